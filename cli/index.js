@@ -0,0 +1,308 @@
+#!/usr/bin/env node
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { createHash } from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { PROVIDERS, getProviderConfig } from '../src/providers/index.js';
+import { validateFramework, FrameworkError } from '../src/lib/framework.js';
+import { validatePersona, PersonaError } from '../src/lib/personas.js';
+import { evaluateScreens } from '../src/lib/evaluateScreens.js';
+import { validateTemplate, resolveTemplate, TemplateError } from '../src/lib/promptTemplates.js';
+import { formatTokens } from '../src/lib/usage.js';
+import { buildExport } from '../src/lib/exportFormat.js';
+import { FORMATS, findFailures, formatResults } from './output.js';
+
+const FRAMEWORKS_DIR = fileURLToPath(new URL('../src/frameworks/', import.meta.url));
+const DEFAULT_FRAMEWORK_ID = 'tenets-and-traps';
+const PERSONAS_FILE = fileURLToPath(new URL('../src/personas/built-in.json', import.meta.url));
+
+const MEDIA_TYPES = { '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.gif': 'image/gif', '.webp': 'image/webp' };
+const API_KEY_VARS = { anthropic: 'ANTHROPIC_API_KEY', openai: 'OPENAI_API_KEY' };
+// Screenshots are sent as they are, so warn about files a provider is likely to refuse
+const LARGE_IMAGE_BYTES = 5 * 1024 * 1024;
+
+// Exit codes
+const PASSED = 0;
+const FAILED = 1;
+const ERROR = 2;
+
+const USAGE = `Usage: heuristic-evaluator [options] <image...>
+
+Evaluates screenshots against a heuristic framework and reports the findings.
+
+Options:
+  -c, --context <file>       JSON with workflow, epic, persona and useCase
+  -w, --workflow <name>      Workflow name; overrides the context file
+  -f, --format <format>      ${FORMATS.join(', ')} (default json)
+  -o, --output <file>        Write the report here instead of to stdout
+      --fail-on <severity>   Also fail when any trap is this severe or worse (P1-P5)
+      --flow                 Evaluate the images together as one flow, in the order given
+      --framework <id|file>  Built-in framework id or a framework JSON file (default ${DEFAULT_FRAMEWORK_ID})
+      --persona <id|file>    Built-in persona id or a persona JSON file; its severity rules are applied
+      --template <file>      Prompt template the app exported (its latest version) or a plain text template
+      --runs <n>             Repeat each evaluation n times and report the consensus
+      --provider <id>        ${Object.keys(PROVIDERS).join(', ')} (default anthropic)
+      --model <model>        Model to use
+      --base-url <url>       Provider or proxy base URL
+      --max-tokens <n>       Upper bound on the reply length
+      --embed-images         Include the screenshots in JSON output
+      --cache <dir>          Reuse results for identical requests, stored as JSON files in dir
+      --fresh                With --cache, call the model anyway and replace what is stored
+      --replay               With --cache, only use stored results and never call the model
+  -h, --help                 Show this help
+
+Screenshots are sent as they are: unlike the app, the CLI does not downscale large
+images or cut tall pages into tiles, so resize them first.
+
+API keys are read from ${Object.values(API_KEY_VARS).join(' or ')}.
+Exits with 0 when everything passed, 1 when a verdict is Critical or a trap meets
+--fail-on, and 2 when the evaluation could not be run.`;
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+const readJsonFile = async (file, what) => {
+  let text;
+  try {
+    text = await fs.readFile(file, 'utf8');
+  } catch (err) {
+    throw new UsageError(`Could not read ${what} ${file}: ${err.message}`);
+  }
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new UsageError(`${what[0].toUpperCase()}${what.slice(1)} ${file} is not valid JSON: ${err.message}`);
+  }
+};
+
+// A built-in id such as "nielsen-10", or the path of a framework file
+const loadFramework = async (value = DEFAULT_FRAMEWORK_ID) => {
+  if (!/[\\/.]/.test(value)) {
+    const files = (await fs.readdir(FRAMEWORKS_DIR)).filter(file => file.endsWith('.json'));
+    const builtIn = await Promise.all(files.map(file => readJsonFile(path.join(FRAMEWORKS_DIR, file), 'framework')));
+    const raw = builtIn.find(framework => framework.id === value);
+    if (!raw) throw new UsageError(`Unknown framework "${value}". Built in: ${builtIn.map(framework => framework.id).join(', ')}.`);
+    return validateFramework(raw);
+  }
+  try {
+    return validateFramework(await readJsonFile(value, 'framework'));
+  } catch (err) {
+    throw err instanceof FrameworkError ? new UsageError(`Framework ${value} is not valid: ${err.message}`) : err;
+  }
+};
+
+const checkPersona = (raw, source) => {
+  try {
+    return validatePersona(raw);
+  } catch (err) {
+    throw err instanceof PersonaError ? new UsageError(`Persona ${source} is not valid: ${err.message}`) : err;
+  }
+};
+
+// A built-in id such as "on-call-operator", or the path of a persona file the app exported
+const loadPersona = async (value) => {
+  if (!/[\\/.]/.test(value)) {
+    const builtIn = await readJsonFile(PERSONAS_FILE, 'personas');
+    const raw = builtIn.find(persona => persona.id === value);
+    if (!raw) throw new UsageError(`Unknown persona "${value}". Built in: ${builtIn.map(persona => persona.id).join(', ')}.`);
+    return validatePersona(raw);
+  }
+  return checkPersona(await readJsonFile(value, 'persona'), value);
+};
+
+// The context file takes the short names or the ones the app uses in its exports. Its "persona"
+// is either free text or a structured persona; --persona replaces the structured one.
+const loadContext = async (file, workflow, personaOption) => {
+  const raw = file ? await readJsonFile(file, 'context file') : {};
+  const structured = raw.personaProfile || (raw.persona && typeof raw.persona === 'object' ? raw.persona : null);
+  const context = {
+    workflowName: workflow || raw.workflow || raw.workflowName || '',
+    epicDetails: raw.epic || raw.epicDetails || '',
+    persona: typeof raw.persona === 'string' ? raw.persona : '',
+    personaProfile: personaOption ? await loadPersona(personaOption) : structured && checkPersona(structured, `in ${file}`),
+    usecaseDescription: raw.useCase || raw.usecase || raw.usecaseDescription || ''
+  };
+  if (!context.workflowName.trim()) throw new UsageError('A workflow name is required: set "workflow" in the context file or pass --workflow.');
+  return context;
+};
+
+// A template the app exported, or a text file holding a template body, named after the file
+const loadTemplate = async (file) => {
+  try {
+    if (path.extname(file).toLowerCase() === '.json') return resolveTemplate(validateTemplate(await readJsonFile(file, 'template')));
+    let body;
+    try {
+      body = await fs.readFile(file, 'utf8');
+    } catch (err) {
+      throw new UsageError(`Could not read template ${file}: ${err.message}`);
+    }
+    return resolveTemplate(validateTemplate({ name: path.basename(file, path.extname(file)), body }));
+  } catch (err) {
+    throw err instanceof TemplateError ? new UsageError(`Template ${file} is not valid: ${err.message}`) : err;
+  }
+};
+
+const loadImage = async (file) => {
+  const mediaType = MEDIA_TYPES[path.extname(file).toLowerCase()];
+  if (!mediaType) throw new UsageError(`${file} is not a PNG, JPEG, GIF or WebP image.`);
+  let bytes;
+  try {
+    bytes = await fs.readFile(file);
+  } catch (err) {
+    throw new UsageError(`Could not read ${file}: ${err.message}`);
+  }
+  if (bytes.length > LARGE_IMAGE_BYTES) {
+    console.error(`Warning: ${path.basename(file)} is ${(bytes.length / 1024 / 1024).toFixed(1)} MB and is sent as it is; providers may refuse images over 5 MB. Resize it first.`);
+  }
+  const data = `data:${mediaType};base64,${bytes.toString('base64')}`;
+  // Same content hash as the app, so exported files find screenshots it already has
+  const hash = createHash('sha256').update(data).digest('hex');
+  return { id: hash, name: path.basename(file), data, hash };
+};
+
+// The response cache as one JSON file per request key
+const fileCache = (dir) => ({
+  get: async (key) => {
+    try {
+      return JSON.parse(await fs.readFile(path.join(dir, `${key}.json`), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  },
+  put: async (entry) => {
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, `${entry.key}.json`), JSON.stringify(entry, null, 2));
+  }
+});
+
+const positiveInteger = (value, option) => {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) throw new UsageError(`${option} must be a positive whole number.`);
+  return number;
+};
+
+const buildSettings = (options) => {
+  const provider = options.provider || 'anthropic';
+  if (!PROVIDERS[provider]) throw new UsageError(`Unknown provider "${provider}". Use one of ${Object.keys(PROVIDERS).join(', ')}.`);
+  const config = {
+    ...(API_KEY_VARS[provider] && process.env[API_KEY_VARS[provider]] && { apiKey: process.env[API_KEY_VARS[provider]] }),
+    ...(options.model && { model: options.model }),
+    ...(options['base-url'] && { baseUrl: options['base-url'] }),
+    ...(options['max-tokens'] && { maxTokens: positiveInteger(options['max-tokens'], '--max-tokens') }),
+    // Offline runs in CI shouldn't wait for a pretend model
+    ...(provider === 'mock' && { latency: 0 })
+  };
+  return { provider, providers: { [provider]: config } };
+};
+
+const run = async (argv) => {
+  const { values: options, positionals: files } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      context: { type: 'string', short: 'c' },
+      workflow: { type: 'string', short: 'w' },
+      format: { type: 'string', short: 'f', default: 'json' },
+      output: { type: 'string', short: 'o' },
+      'fail-on': { type: 'string' },
+      flow: { type: 'boolean', default: false },
+      framework: { type: 'string' },
+      persona: { type: 'string' },
+      template: { type: 'string' },
+      runs: { type: 'string' },
+      provider: { type: 'string' },
+      model: { type: 'string' },
+      'base-url': { type: 'string' },
+      'max-tokens': { type: 'string' },
+      'embed-images': { type: 'boolean', default: false },
+      cache: { type: 'string' },
+      fresh: { type: 'boolean', default: false },
+      replay: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (options.help) {
+    console.log(USAGE);
+    return PASSED;
+  }
+  if (files.length === 0) throw new UsageError('No images given.');
+  if (!FORMATS.includes(options.format)) throw new UsageError(`Unknown format "${options.format}". Use one of ${FORMATS.join(', ')}.`);
+  const failOn = options['fail-on']?.toUpperCase();
+  if (failOn && !/^P[1-5]$/.test(failOn)) throw new UsageError('--fail-on must be one of P1, P2, P3, P4 or P5.');
+  const runs = positiveInteger(options.runs, '--runs') || 1;
+  if ((options.fresh || options.replay) && !options.cache) throw new UsageError('--fresh and --replay need a --cache folder.');
+  if (options.fresh && options.replay) throw new UsageError('--fresh and --replay can\'t be combined.');
+  const cache = options.cache ? fileCache(options.cache) : null;
+  const cacheMode = options.replay ? 'replay' : options.fresh ? 'fresh' : 'use';
+
+  const settings = buildSettings(options);
+  const framework = await loadFramework(options.framework);
+  const context = await loadContext(options.context, options.workflow, options.persona);
+  const template = options.template ? await loadTemplate(options.template) : undefined;
+  const images = await Promise.all(files.map(loadImage));
+
+  const controller = new AbortController();
+  process.once('SIGINT', () => controller.abort());
+
+  // A flow is one evaluation of every image; otherwise each image is evaluated on its own
+  const groups = options.flow && images.length > 1 ? [images] : images.map(image => [image]);
+  const results = [];
+  for (const screens of groups) {
+    const label = screens.map(screen => screen.name).join(', ');
+    console.error(`Evaluating ${label}…`);
+    const { evaluation, prompt, isFlow, usage, cached, cacheError } = await evaluateScreens({
+      settings,
+      screens,
+      context,
+      framework,
+      template,
+      flow: options.flow,
+      runs,
+      cache,
+      cacheMode,
+      signal: controller.signal,
+      onProgress: (current, total) => console.error(`  run ${current} of ${total}`)
+    });
+    const failures = findFailures(evaluation, failOn);
+    console.error(`  ${evaluation.score ?? '—'}/10 · ${evaluation.summary?.verdict || 'no verdict'} · ${evaluation.traps.length} ${framework.labels.items.toLowerCase()} · ${cached ? 'cached' : `${formatTokens(usage.inputTokens + usage.outputTokens)} tokens`}${failures.length ? ` · FAILED (${failures.length})` : ''}`);
+    if (cacheError) console.error(`  The result could not be cached: ${cacheError}`);
+
+    const exportDoc = buildExport({
+      context,
+      flow: isFlow,
+      images: screens,
+      run: { createdAt: new Date().toISOString(), prompt, provider: settings.provider, model: getProviderConfig(settings).config.model },
+      evaluation,
+      review: null,
+      framework,
+      embedImages: options['embed-images']
+    });
+    results.push({ screens, evaluation, exportDoc, failures });
+  }
+
+  const report = formatResults(options.format, results, { framework, context, failOn });
+  if (options.output) await fs.writeFile(options.output, report);
+  else process.stdout.write(report.endsWith('\n') ? report : `${report}\n`);
+
+  return results.some(result => result.failures.length > 0) ? FAILED : PASSED;
+};
+
+run(process.argv.slice(2))
+  .then(code => { process.exitCode = code; })
+  .catch(err => {
+    if (err.name === 'AbortError') console.error('Cancelled.');
+    else if (err instanceof UsageError || err.code?.startsWith('ERR_PARSE_ARGS')) console.error(`${err.message}\nRun with --help for usage.`);
+    else {
+      console.error(`Evaluation failed: ${err.message}`);
+      err.issues?.forEach(issue => console.error(`  ${issue.path}: ${issue.message}`));
+    }
+    process.exitCode = ERROR;
+  });
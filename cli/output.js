@@ -0,0 +1,119 @@
+import { SEVERITY_CONFIG } from '../src/lib/framework.js';
+import { SEVERITY_RANK } from '../src/lib/compare.js';
+import { getTrapScreens } from '../src/lib/traps.js';
+import { personaAdjustmentLabel } from '../src/lib/personas.js';
+
+// Formats for the command line results. Each result is
+// { screens: [{ name }], evaluation, exportDoc, failures }.
+
+export const FORMATS = ['json', 'markdown', 'junit'];
+
+// Why an evaluation should fail the build: a Critical verdict, or traps at or above `failOn`.
+// Validated traps always have a severity; one that doesn't can't be ranked, so it fails too.
+export const findFailures = (evaluation, failOn) => {
+  const failures = [];
+  if (evaluation.summary?.verdict === 'Critical') failures.push({ reason: 'Verdict is Critical' });
+  if (failOn) {
+    evaluation.traps.forEach(trap => {
+      const rank = SEVERITY_RANK[trap.severity];
+      if (rank === undefined) failures.push({ reason: `Unknown severity "${trap.severity}" on ${trap.name}`, trapId: trap.id });
+      else if (rank <= SEVERITY_RANK[failOn]) failures.push({ reason: `${trap.severity} ${trap.name}`, trapId: trap.id });
+    });
+  }
+  return failures;
+};
+
+const screenNames = (result) => result.screens.map(screen => screen.name).join(', ');
+
+// The export documents are the same files the app's Open button reads
+const formatJson = (results, { failOn }) => JSON.stringify({
+  passed: results.every(result => result.failures.length === 0),
+  failOn: failOn || null,
+  results: results.map(result => ({
+    screens: result.screens.map(screen => screen.name),
+    verdict: result.evaluation.summary?.verdict || null,
+    score: result.evaluation.score ?? null,
+    failures: result.failures,
+    export: result.exportDoc
+  }))
+}, null, 2);
+
+const cell = (value) => String(value ?? '').replace(/\|/g, '\\|').replace(/\n+/g, ' ');
+
+const formatMarkdown = (results, { framework, context, failOn }) => {
+  const { labels } = framework;
+  const lines = [`# Heuristic evaluation: ${context.workflowName}`, '', `${framework.name}${failOn ? ` · fails on ${failOn} or worse` : ''}`, ''];
+
+  results.forEach(result => {
+    const { evaluation } = result;
+    lines.push(`## ${screenNames(result)}`, '');
+    lines.push(`**Score:** ${evaluation.score ?? '—'}/10 · **Verdict:** ${evaluation.summary?.verdict || '—'}`, '');
+    if (evaluation.summary?.health) lines.push(evaluation.summary.health, '');
+    if (result.failures.length > 0) {
+      lines.push(`**Failed:** ${result.failures.map(failure => failure.reason).join('; ')}`, '');
+    }
+
+    const scores = Object.entries(evaluation.tenetScores || {});
+    if (scores.length > 0) {
+      lines.push(`| ${labels.category} | Score |`, '| --- | --- |');
+      scores.forEach(([tenet, score]) => lines.push(`| ${cell(tenet)} | ${score}/${framework.scale.max} |`));
+      lines.push('');
+    }
+
+    lines.push(`### ${labels.items} (${evaluation.traps.length})`, '');
+    if (evaluation.traps.length === 0) lines.push(`No ${labels.items.toLowerCase()} found.`, '');
+    evaluation.traps.forEach(trap => {
+      const severity = SEVERITY_CONFIG[trap.severity] || SEVERITY_CONFIG.P3;
+      const where = [
+        evaluation.flow && `Screen ${getTrapScreens(trap).join(', ')}`,
+        trap.location?.description
+      ].filter(Boolean).join(' · ');
+      lines.push(`#### ${trap.id}. ${trap.name} — ${trap.severity} ${severity.label}`, '');
+      lines.push(`*${[trap.tenet, where].filter(Boolean).join(' · ')}*`, '');
+      if (personaAdjustmentLabel(trap)) lines.push(`${personaAdjustmentLabel(trap)}: ${trap.personaAdjustment.reasons.join('; ')}`, '');
+      [['Evidence', trap.evidence], ['Impact', trap.diagnostic], ['Quick Pivot', trap.quickPivot], ['Architectural Solve', trap.architecturalSolve], ['AI-Assisted Fix', trap.aiFix]]
+        .filter(([, text]) => text)
+        .forEach(([label, text]) => lines.push(`- **${label}:** ${text}`));
+      lines.push('');
+    });
+  });
+  return lines.join('\n');
+};
+
+const xml = (value) => String(value ?? '').replace(/[<>&"']/g, ch => ({
+  '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;'
+}[ch]));
+
+// One test suite per evaluation: a test case for the verdict and one per trap, failing where the
+// trap meets the threshold
+const formatJUnit = (results, { framework, context }) => {
+  const suites = results.map(result => {
+    const { evaluation } = result;
+    const failedTraps = new Set(result.failures.map(failure => failure.trapId).filter(id => id !== undefined));
+    const critical = evaluation.summary?.verdict === 'Critical';
+    const cases = [
+      `    <testcase classname="${xml(framework.name)}" name="Verdict: ${xml(evaluation.summary?.verdict || 'none')}">${critical
+        ? `\n      <failure message="Verdict is Critical" type="verdict">${xml(evaluation.summary?.health)}</failure>\n    `
+        : ''}</testcase>`,
+      ...evaluation.traps.map(trap => {
+        const name = `${trap.id}. ${trap.name} (${trap.severity})`;
+        const detail = [trap.location?.description, trap.evidence, trap.quickPivot && `Quick pivot: ${trap.quickPivot}`].filter(Boolean).join('\n');
+        const body = failedTraps.has(trap.id)
+          ? `\n      <failure message="${xml(`${trap.severity} ${trap.name}`)}" type="${xml(trap.severity)}">${xml(detail)}</failure>\n    `
+          : `\n      <system-out>${xml(detail)}</system-out>\n    `;
+        return `    <testcase classname="${xml(trap.tenet || framework.name)}" name="${xml(name)}">${body}</testcase>`;
+      })
+    ];
+    const failures = (critical ? 1 : 0) + failedTraps.size;
+    return `  <testsuite name="${xml(`${context.workflowName}: ${screenNames(result)}`)}" tests="${cases.length}" failures="${failures}">\n${cases.join('\n')}\n  </testsuite>`;
+  });
+  const tests = results.reduce((sum, result) => sum + 1 + result.evaluation.traps.length, 0);
+  const failures = results.reduce((sum, result) => sum + result.failures.length, 0);
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<testsuites name="Heuristic evaluation" tests="${tests}" failures="${failures}">\n${suites.join('\n')}\n</testsuites>\n`;
+};
+
+export const formatResults = (format, results, options) => {
+  if (format === 'markdown') return formatMarkdown(results, options);
+  if (format === 'junit') return formatJUnit(results, options);
+  return formatJson(results, options);
+};
@@ -0,0 +1,201 @@
+import http from 'node:http';
+import { anthropicProvider } from '../src/providers/anthropic.js';
+import { ProviderError, ERROR_MESSAGES } from '../src/providers/errors.js';
+import { createRateLimiter } from './rateLimiter.js';
+import { validateEvaluationRequest } from './validateRequest.js';
+
+const STATUS_FOR_CODE = {
+  rate_limited: 429,
+  overloaded: 503,
+  invalid_request: 400,
+  payload_too_large: 413,
+  auth_failed: 502,
+  not_found: 404,
+  timeout: 504,
+  network: 502,
+  upstream_error: 502,
+  unknown: 500
+};
+
+// Messages that describe the proxy's own situation rather than the browser user's settings
+const SERVER_MESSAGES = {
+  auth_failed: 'The proxy server could not authenticate with the model provider.',
+  network: 'The proxy server could not reach the model provider.',
+  not_found: 'The model provider rejected the configured endpoint or model.'
+};
+
+const sendJson = (res, status, body, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+};
+
+const toProviderError = (err) => (err instanceof ProviderError ? err : new ProviderError('unknown', 'Internal proxy error.'));
+
+const errorBody = (error) => {
+  const message = error.message === ERROR_MESSAGES[error.code] ? SERVER_MESSAGES[error.code] || error.message : error.message;
+  return { error: { code: error.code, message, ...(error.retryAfter && { retryAfter: error.retryAfter }) } };
+};
+
+const sendError = (res, err) => {
+  const error = toProviderError(err);
+  const headers = error.retryAfter ? { 'Retry-After': String(error.retryAfter) } : {};
+  sendJson(res, STATUS_FOR_CODE[error.code] || 500, errorBody(error), headers);
+};
+
+const sendEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Buffer the request body, refusing anything larger than the limit as soon as it's known
+const readBody = (req, maxBytes) => new Promise((resolve, reject) => {
+  const tooLarge = () => new ProviderError(
+    'payload_too_large',
+    `Request body exceeds ${(maxBytes / (1024 * 1024)).toFixed(1)} MB. Try fewer or smaller images.`
+  );
+  if (Number(req.headers['content-length']) > maxBytes) {
+    reject(tooLarge());
+    return;
+  }
+
+  const chunks = [];
+  let size = 0;
+  req.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > maxBytes) {
+      req.removeAllListeners('data');
+      reject(tooLarge());
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+  req.on('error', reject);
+});
+
+const clientKey = (req, trustProxy) => {
+  const forwarded = trustProxy && req.headers['x-forwarded-for'];
+  return forwarded ? forwarded.split(',')[0].trim() : req.socket.remoteAddress;
+};
+
+export const createProxyServer = (config) => {
+  const limiter = createRateLimiter({ limit: config.rateLimit, windowMs: config.rateWindowMs });
+
+  const corsHeaders = (req) => {
+    const origin = req.headers.origin;
+    if (!origin) return {};
+    if (!config.allowedOrigins.includes('*') && !config.allowedOrigins.includes(origin)) return null;
+    return {
+      'Access-Control-Allow-Origin': origin,
+      'Access-Control-Allow-Methods': 'POST, GET, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type',
+      Vary: 'Origin'
+    };
+  };
+
+  const handleEvaluate = async (req, res) => {
+    const limit = limiter.take(clientKey(req, config.trustProxy));
+    if (!limit.allowed) {
+      throw new ProviderError('rate_limited', `Too many evaluations. Try again in ${limit.retryAfter}s.`, { retryAfter: limit.retryAfter });
+    }
+
+    const raw = await readBody(req, config.maxBodyBytes);
+    let body;
+    try {
+      body = JSON.parse(raw);
+    } catch {
+      throw new ProviderError('invalid_request', 'Request body must be JSON.');
+    }
+    validateEvaluationRequest(body, config);
+
+    const model = body.model || config.defaultModel;
+    if (config.allowedModels.length > 0 && !config.allowedModels.includes(model)) {
+      throw new ProviderError('invalid_request', `Model "${model}" is not enabled on this proxy.`);
+    }
+
+    // Abort the upstream call if the browser goes away or the upstream stalls
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, config.upstreamTimeoutMs);
+    res.on('close', () => {
+      if (!res.writableEnded) controller.abort();
+    });
+
+    // A streamed reply opens the event stream with the first piece of text, so errors that
+    // happen before it still get their HTTP status
+    const openStream = () => {
+      if (res.headersSent) return;
+      res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+    };
+    const onText = body.stream === true
+      ? (text) => {
+          openStream();
+          sendEvent(res, 'text', { text });
+        }
+      : undefined;
+
+    try {
+      const result = await anthropicProvider.send({
+        messages: body.messages,
+        signal: controller.signal,
+        onText,
+        config: {
+          apiKey: config.apiKey,
+          baseUrl: config.upstreamUrl,
+          model,
+          maxTokens: Math.min(body.maxTokens || config.maxTokens, config.maxTokens)
+        }
+      });
+      if (onText) {
+        openStream();
+        sendEvent(res, 'done', result);
+        res.end();
+      } else {
+        sendJson(res, 200, result);
+      }
+    } catch (err) {
+      const error = err.name === 'AbortError' ? (timedOut ? new ProviderError('timeout') : null) : err;
+      if (!error) return;
+      // Once streaming has started the error can only be reported inside the stream
+      if (!res.headersSent) throw error;
+      if (!(error instanceof ProviderError)) console.error(error);
+      sendEvent(res, 'error', errorBody(toProviderError(error)));
+      res.end();
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const cors = corsHeaders(req);
+    if (cors === null) {
+      sendJson(res, 403, { error: { code: 'invalid_request', message: 'Origin not allowed.' } });
+      return;
+    }
+    Object.entries(cors).forEach(([name, value]) => res.setHeader(name, value));
+
+    const { pathname } = new URL(req.url, 'http://localhost');
+    try {
+      if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+      } else if (pathname === '/api/health' && req.method === 'GET') {
+        sendJson(res, 200, { ok: true, model: config.defaultModel });
+      } else if (pathname === '/api/evaluate' && req.method === 'POST') {
+        await handleEvaluate(req, res);
+      } else {
+        sendJson(res, 404, { error: { code: 'not_found', message: `No route for ${req.method} ${pathname}.` } });
+      }
+    } catch (err) {
+      if (!(err instanceof ProviderError)) console.error(err);
+      if (!res.headersSent) sendError(res, err);
+      // Stop reading an oversized body we've already answered
+      if (!req.complete) req.destroy();
+    }
+  });
+
+  server.on('close', () => limiter.stop());
+  return server;
+};
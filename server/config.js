@@ -0,0 +1,23 @@
+const MB = 1024 * 1024;
+
+const list = (value, fallback) => (value ?? fallback).split(',').map(s => s.trim()).filter(Boolean);
+const number = (value, fallback) => (value !== undefined && value !== '' && Number.isFinite(Number(value)) ? Number(value) : fallback);
+
+// All proxy settings come from the environment so the API key never reaches the browser
+export const loadConfig = (env = process.env) => ({
+  port: number(env.PORT, 8787),
+  apiKey: env.ANTHROPIC_API_KEY || '',
+  upstreamUrl: env.UPSTREAM_URL || 'https://api.anthropic.com',
+  defaultModel: env.DEFAULT_MODEL || 'claude-sonnet-4-20250514',
+  allowedModels: list(env.ALLOWED_MODELS, ''),
+  maxTokens: number(env.MAX_TOKENS, 4000),
+  rateLimit: number(env.RATE_LIMIT, 10),
+  rateWindowMs: number(env.RATE_WINDOW_MS, 60_000),
+  maxBodyBytes: number(env.MAX_BODY_MB, 10) * MB,
+  maxImageBytes: number(env.MAX_IMAGE_MB, 5) * MB,
+  // Flow evaluations send every screen at once; 50 matches the pages the app imports from a PDF
+  maxImages: number(env.MAX_IMAGES, 50),
+  allowedOrigins: list(env.ALLOWED_ORIGINS, 'http://localhost:5173,http://localhost:4173'),
+  trustProxy: env.TRUST_PROXY === 'true',
+  upstreamTimeoutMs: number(env.UPSTREAM_TIMEOUT_MS, 120_000)
+});
@@ -0,0 +1,13 @@
+import { loadConfig } from './config.js';
+import { createProxyServer } from './app.js';
+
+const config = loadConfig();
+
+if (!config.apiKey) {
+  console.warn('ANTHROPIC_API_KEY is not set; requests will reach the upstream without a key.');
+}
+
+createProxyServer(config).listen(config.port, () => {
+  console.log(`Heuristic Evaluator proxy listening on http://localhost:${config.port}`);
+  console.log(`Forwarding to ${config.upstreamUrl} (default model ${config.defaultModel})`);
+});
@@ -0,0 +1,91 @@
+import http from 'node:http';
+import { fileURLToPath } from 'node:url';
+import { buildMockEvaluation } from '../src/providers/mock.js';
+
+// Stand-in for api.anthropic.com so the proxy can be exercised without a real key.
+// MOCK_UPSTREAM_ERROR=rate_limit_error|overloaded_error|authentication_error forces an error reply.
+
+const ERROR_STATUS = {
+  rate_limit_error: 429,
+  overloaded_error: 529,
+  authentication_error: 401,
+  invalid_request_error: 400,
+  api_error: 500
+};
+
+const reply = (res, status, body, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+};
+
+// The same reply as Messages API server-sent events, a few lines of text at a time
+const streamReply = (res, { id, model, text, usage }) => {
+  res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify({ type: event, ...data })}\n\n`);
+  send('message_start', { message: { id, type: 'message', role: 'assistant', model, content: [], usage: { input_tokens: usage.input_tokens, output_tokens: 0 } } });
+  send('content_block_start', { index: 0, content_block: { type: 'text', text: '' } });
+
+  const lines = text.match(/[^\n]*\n?/g).filter(Boolean);
+  const timer = setInterval(() => {
+    const chunk = lines.splice(0, 4).join('');
+    if (chunk) {
+      send('content_block_delta', { index: 0, delta: { type: 'text_delta', text: chunk } });
+      return;
+    }
+    clearInterval(timer);
+    send('content_block_stop', { index: 0 });
+    send('message_delta', { delta: { stop_reason: 'end_turn' }, usage: { output_tokens: usage.output_tokens } });
+    send('message_stop', {});
+    res.end();
+  }, 30);
+  res.on('close', () => clearInterval(timer));
+};
+
+export const createMockUpstream = ({ forcedError } = {}) => http.createServer((req, res) => {
+  if (req.method !== 'POST' || req.url !== '/v1/messages') {
+    reply(res, 404, { type: 'error', error: { type: 'not_found_error', message: 'Not found' } });
+    return;
+  }
+
+  let raw = '';
+  req.on('data', (chunk) => { raw += chunk; });
+  req.on('end', () => {
+    if (!req.headers['x-api-key']) {
+      reply(res, 401, { type: 'error', error: { type: 'authentication_error', message: 'x-api-key header is required' } });
+      return;
+    }
+    if (forcedError) {
+      const headers = forcedError === 'rate_limit_error' ? { 'retry-after': '30' } : {};
+      reply(res, ERROR_STATUS[forcedError] || 500, { type: 'error', error: { type: forcedError, message: `Mock ${forcedError}` } }, headers);
+      return;
+    }
+
+    const body = JSON.parse(raw);
+    const screenCount = body.messages[0].content.filter(block => block.type === 'image').length;
+    const prompt = body.messages[0].content.filter(block => block.type === 'text').map(block => block.text).join('\n');
+    const text = JSON.stringify(buildMockEvaluation(screenCount, prompt), null, 2);
+    const usage = { input_tokens: 1500 * Math.max(screenCount, 1), output_tokens: 1200 };
+    const id = `msg_mock_${Date.now()}`;
+    if (body.stream) {
+      streamReply(res, { id, model: body.model, text, usage });
+      return;
+    }
+    reply(res, 200, {
+      id,
+      type: 'message',
+      role: 'assistant',
+      model: body.model,
+      content: [{ type: 'text', text }],
+      stop_reason: 'end_turn',
+      usage
+    });
+  });
+});
+
+// Listen on PORT when run as a script; the tests start their own on a free port
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = Number(process.env.PORT) || 8788;
+  createMockUpstream({ forcedError: process.env.MOCK_UPSTREAM_ERROR }).listen(port, () => {
+    console.log(`Mock upstream listening on http://localhost:${port}/v1/messages`);
+  });
+}
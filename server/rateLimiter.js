@@ -0,0 +1,32 @@
+// Fixed-window request counter per client key, kept in memory
+export const createRateLimiter = ({ limit, windowMs }) => {
+  const windows = new Map();
+
+  // Drop expired windows so the map doesn't grow with every client ever seen
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of windows) {
+      if (entry.resetAt <= now) windows.delete(key);
+    }
+  }, windowMs);
+  sweep.unref();
+
+  return {
+    take(key) {
+      const now = Date.now();
+      let entry = windows.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        windows.set(key, entry);
+      }
+      if (entry.count >= limit) {
+        return { allowed: false, retryAfter: Math.ceil((entry.resetAt - now) / 1000) };
+      }
+      entry.count += 1;
+      return { allowed: true, remaining: limit - entry.count };
+    },
+    stop() {
+      clearInterval(sweep);
+    }
+  };
+};
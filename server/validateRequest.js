@@ -0,0 +1,54 @@
+import { ProviderError } from '../src/providers/errors.js';
+
+const ALLOWED_MEDIA_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+
+const toMegabytes = (bytes) => (bytes / (1024 * 1024)).toFixed(1);
+
+const invalid = (message) => new ProviderError('invalid_request', message);
+
+// Check an /api/evaluate body before anything is forwarded upstream
+export const validateEvaluationRequest = (body, limits) => {
+  if (!body || !Array.isArray(body.messages) || body.messages.length === 0) {
+    throw invalid('Request must include a non-empty "messages" array.');
+  }
+  if (body.model !== undefined && typeof body.model !== 'string') throw invalid('"model" must be a string.');
+  if (body.maxTokens !== undefined && !(Number.isInteger(body.maxTokens) && body.maxTokens > 0)) {
+    throw invalid('"maxTokens" must be a positive integer.');
+  }
+  if (body.stream !== undefined && typeof body.stream !== 'boolean') throw invalid('"stream" must be a boolean.');
+
+  let imageCount = 0;
+  body.messages.forEach((message, msgIdx) => {
+    if (!['user', 'assistant'].includes(message?.role) || !Array.isArray(message.content)) {
+      throw invalid(`messages[${msgIdx}] must have a "role" of user or assistant and a "content" array.`);
+    }
+    message.content.forEach((part, partIdx) => {
+      const path = `messages[${msgIdx}].content[${partIdx}]`;
+      if (part?.type === 'text') {
+        if (typeof part.text !== 'string') throw invalid(`${path}.text must be a string.`);
+        return;
+      }
+      if (part?.type !== 'image') throw invalid(`${path} has unsupported type "${part?.type}".`);
+      if (!ALLOWED_MEDIA_TYPES.includes(part.mediaType)) {
+        throw invalid(`${path} has unsupported media type "${part.mediaType}".`);
+      }
+      if (typeof part.data !== 'string' || !BASE64_PATTERN.test(part.data)) {
+        throw invalid(`${path}.data must be base64 without a data: prefix.`);
+      }
+
+      imageCount += 1;
+      const bytes = Math.floor((part.data.length * 3) / 4);
+      if (bytes > limits.maxImageBytes) {
+        throw new ProviderError(
+          'payload_too_large',
+          `Image ${imageCount} is ${toMegabytes(bytes)} MB; the limit is ${toMegabytes(limits.maxImageBytes)} MB per image.`
+        );
+      }
+    });
+  });
+
+  if (imageCount > limits.maxImages) {
+    throw new ProviderError('payload_too_large', `${imageCount} images were sent; the limit is ${limits.maxImages} per request. Evaluate fewer screens at once, or raise MAX_IMAGES on the proxy.`);
+  }
+};
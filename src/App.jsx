@@ -1,128 +1,259 @@
-import React, { useState, useRef, useCallback } from 'react';
-import { Upload, ChevronDown, ChevronUp, X, Loader2, Info, ZoomIn, ZoomOut, RotateCcw, Download, HelpCircle } from 'lucide-react';
-
-const SEVERITY_CONFIG = {
-  'P1': { label: 'Dangerous', color: '#dc2626' },
-  'P2': { label: 'Critical', color: '#ea580c' },
-  'P3': { label: 'High', color: '#d97706' },
-  'P4': { label: 'Medium', color: '#2563eb' },
-  'P5': { label: 'Low', color: '#6b7280' }
+import React, { useState, useRef, useCallback, useEffect, useMemo } from 'react';
+import { Upload, ChevronDown, ChevronUp, X, Loader2, Info, ZoomIn, ZoomOut, RotateCcw, Download, HelpCircle, Settings, AlertTriangle, History, FolderOpen, Undo2, Redo2, Plus, Pencil, Trash2, Layers, MessageSquare, Users, Coins, FileText, Share2 } from 'lucide-react';
+import SettingsPanel from './components/SettingsPanel';
+import HistoryPanel from './components/HistoryPanel';
+import CompareCanvas from './components/CompareCanvas';
+import ComparePanel from './components/ComparePanel';
+import TrapEditor from './components/TrapEditor';
+import RegionOverlay from './components/RegionOverlay';
+import EvidenceThumbnail from './components/EvidenceThumbnail';
+import HtmlImportPanel from './components/HtmlImportPanel';
+import BatchPanel from './components/BatchPanel';
+import TicketExportPanel from './components/TicketExportPanel';
+import PersonaPanel from './components/PersonaPanel';
+import TrapDiscussion from './components/TrapDiscussion';
+import UsagePanel from './components/UsagePanel';
+import PromptTemplatePanel from './components/PromptTemplatePanel';
+import SharePanel from './components/SharePanel';
+import SharedViewActions from './components/SharedViewActions';
+import SharedViewSidebar from './components/SharedViewSidebar';
+import { loadSettings, saveSettings, getProviderConfig } from './providers';
+import { SEVERITY_CONFIG, getCategoryColor, scaleSteps, validateFramework } from './lib/framework';
+import { DEFAULT_FRAMEWORK, listFrameworks, getFramework, isBuiltInFramework, saveCustomFramework, deleteCustomFramework } from './frameworks';
+import { listPersonas } from './personas';
+import { DEFAULT_TEMPLATE, listTemplates } from './templates';
+import { evaluateScreens } from './lib/evaluateScreens';
+import { compressImage, tileImage } from './lib/compressImage';
+import { importFiles, describeRejected, filesFromDrop, filesFromClipboard } from './lib/importFiles';
+import { hashDataUrl, saveRun, updateRun, saveDraft, loadDraft, openRun, getRun, loadImages, ensureDefaultProject, collectUnusedImages, listProjects, listUsage, recordUsage, responseCache } from './lib/storage';
+import { buildExport, parseExport } from './lib/exportFormat';
+import { getTrapLocations, getTrapScreens, getLocationBounds, moveLocation } from './lib/traps';
+import { compareEvaluations } from './lib/compare';
+import { createBatchQueue, ACTIVE_STATUSES } from './lib/batchQueue';
+import { requestDiscussionReply, normalizeDiscussions } from './lib/discussion';
+import { BudgetError, checkBudget, estimateNextCost, estimateCost, loadPrices, emptyUsage, addUsage } from './lib/usage';
+import { CacheMissError } from './lib/responseCache';
+import { latestVersion, findVersion, resolveTemplate, templateLabel } from './lib/promptTemplates';
+import { SHARE_IMAGE_SETTINGS, buildShareLink, buildShareBundle, readShareBundle } from './lib/share';
+import { useSharedView } from './hooks/useSharedView';
+import { summarizePersona, personaAdjustmentLabel } from './lib/personas';
+import { downloadBlob, slugify } from './lib/download';
+import { prepareReport, buildReportHtml, buildReportPdf } from './lib/report';
+import {
+  applyReview, editTrap, moveTrapLocation, addTrap, dismissTrap, restoreTrap, revertTrap,
+  createReviewHistory, pushReview, undoReview, redoReview
+} from './lib/review';
+
+// Runs keep the framework definition they were made with; older runs predate frameworks and get the default
+const getRunFramework = (run) => {
+  try {
+    return run.framework ? validateFramework(run.framework) : getFramework(run.evaluation?.framework?.id);
+  } catch {
+    return getFramework(run.evaluation?.framework?.id);
+  }
 };
 
-const EVALUATION_PROMPT = `You are the Lead UX Architect performing a rigorous heuristic evaluation using the Tenets & Traps framework.
-
-## CONTEXT PROVIDED
-{CONTEXT}
-
-## YOUR EVALUATION PROCESS
-
-1. **Understand the Context**: Analyze the workflow, persona needs/pain points, and use case to establish evaluation criteria
-2. **Map Persona to Severity**: 
-   - Consumer/Novice users → Stricter evaluation
-   - Admin/Expert users → Memory Challenge, Forced Syntax may be acceptable
-   - High-stress workflows → Elevate Data Loss, Irreversible Action severity
-3. **Scan for All 25 Traps** across 9 Tenets:
-   - UNDERSTANDABLE: Distraction, Effectively Invisible Element, Feedback Failure, Forced Syntax, Invisible Element, Memory Challenge, Uncomprehended Element
-   - RESPONSIVE: Captive Wait, Slow or No Response
-   - COMFORTABLE: Accidental Activation, Physical Challenge
-   - FORGIVING: Irreversible Action
-   - PROTECTIVE: Data Loss
-   - BEAUTIFUL: Unattractive Appearance
-   - EFFICIENT: Unnecessary Step, Bad Prediction, Information Overload, System Amnesia
-   - DISCREET: Unwanted Disclosure
-   - HABITUATING: Gratuitous Redundancy, Variable Outcome, Ambiguous Home, Wandering Element, Inconsistent Appearance, Ambiguous Interactions
-
-4. **Score Each Tenet** (1-5 scale)
-5. **Provide Remediation** for each trap found
-
-## SEVERITY SCALE
-- P1: Dangerous - Blocks user completely or causes harm
-- P2: Critical - Major friction, user may abandon
-- P3: High - Significant usability issue
-- P4: Medium - Noticeable friction
-- P5: Low - Minor issue
-
-## REQUIRED JSON OUTPUT
-{
-  "summary": {
-    "verdict": "Pass|Needs Work|Critical",
-    "userIntent": "What user is trying to achieve",
-    "emotionalContext": "User's stress level/expectations",
-    "health": "Tenet-led or Trap-heavy"
-  },
-  "traps": [
-    {
-      "id": 1,
-      "name": "Trap Name",
-      "tenet": "Tenet Name",
-      "severity": "P1-P5",
-      "location": {
-        "x": 0-100,
-        "y": 0-100,
-        "description": "Specific location in UI"
-      },
-      "evidence": "Exactly what triggers this trap",
-      "diagnostic": "Psychological impact on user",
-      "quickPivot": "Low-effort tactical fix",
-      "architecturalSolve": "High-impact redesign option",
-      "aiFix": "How AI could automate away friction"
-    }
-  ],
-  "tenetScores": {
-    "Understandable": 1-5,
-    "Responsive": 1-5,
-    "Comfortable": 1-5,
-    "Forgiving": 1-5,
-    "Protective": 1-5,
-    "Beautiful": 1-5,
-    "Efficient": 1-5,
-    "Discreet": 1-5,
-    "Habituating": 1-5
-  },
-  "tenetWin": "One area where design excels",
-  "disarmPriorities": ["Top 3 traps to fix first"],
-  "score": 1-10
-}
+// A run for an export document opened from a file or a share
+const importedRun = (doc, projectId, source) => ({
+  projectId,
+  name: `${doc.context.workflowName || source} (imported)`,
+  workflowName: doc.context.workflowName,
+  context: doc.context,
+  flow: doc.flow,
+  prompt: doc.run.prompt,
+  provider: doc.run.provider,
+  model: doc.run.model,
+  evaluation: doc.evaluation,
+  framework: doc.framework,
+  review: doc.review,
+  discussions: doc.discussions,
+  importedFrom: source
+});
 
-x,y = percentage from top-left corner. Return valid JSON only, no markdown.`;
-
-const compressImage = (base64, maxWidth = 1200) => {
-  return new Promise((resolve) => {
-    const img = new Image();
-    img.onload = () => {
-      const canvas = document.createElement('canvas');
-      let width = img.width;
-      let height = img.height;
-      if (width > maxWidth) {
-        height = (height * maxWidth) / width;
-        width = maxWidth;
-      }
-      canvas.width = width;
-      canvas.height = height;
-      const ctx = canvas.getContext('2d');
-      ctx.drawImage(img, 0, 0, width, height);
-      const compressed = canvas.toDataURL('image/jpeg', 0.7);
-      resolve({ base64: compressed.split(',')[1], type: 'image/jpeg' });
-    };
-    img.src = base64;
-  });
+// Screenshots for a share link: re-encoded no wider than `width`, under their new content hash so
+// they are never mistaken for the originals
+const downscaleForShare = (images, width) => Promise.all(images.map(async (img) => {
+  const { base64, type } = await compressImage(img.data, { ...SHARE_IMAGE_SETTINGS, maxWidth: width });
+  const data = `data:${type};base64,${base64}`;
+  return { ...img, data, hash: await hashDataUrl(data) };
+}));
+
+const PROGRESS_UNITS = { run: 'Run', tile: 'Tile', template: 'Template' };
+
+// How evaluations go through the response cache under these settings; `fresh` skips stored answers
+const cacheOptions = (settings, fresh = false) => ({
+  cache: settings.cache.enabled || settings.cache.replay ? responseCache : null,
+  cacheMode: settings.cache.replay ? 'replay' : fresh ? 'fresh' : 'use'
+});
+
+// Where the project's budget stands before `runs` more evaluations with these settings. Replay
+// never reaches the model, so it costs nothing.
+const checkProjectBudget = async (projectId, settings, runs = 1) => {
+  if (settings.cache.replay) return checkBudget(null, []);
+  const [projects, entries] = await Promise.all([listProjects(), listUsage(projectId)]);
+  const { config } = getProviderConfig(settings);
+  const budget = projects.find(project => project.id === projectId)?.budget;
+  return checkBudget(budget, entries, { estimate: estimateNextCost(entries, { provider: settings.provider, model: config.model, runs }) });
+};
+
+// Usage priced at today's prices, as kept with a run and in the ledger
+const priceUsage = (usage) => ({ ...usage, cost: estimateCost(usage, loadPrices()) });
+
+// Add what an evaluation or reply used to the ledger; nothing is recorded when no request was
+// answered. A ledger that can't be written doesn't fail the evaluation: resolves with a warning to
+// show instead, or null.
+const logUsage = async ({ usage, ...entry }) => {
+  if (!usage?.requests) return null;
+  try {
+    await recordUsage({ ...entry, ...priceUsage(usage) });
+    return null;
+  } catch (err) {
+    return `What this used could not be added to the usage ledger: ${err.message}`;
+  }
+};
+
+// One batch job: a single screenshot evaluated with the context, framework, prompt template and
+// model settings it was queued with, then saved as a run like any other. A project over its budget stops the job.
+const runBatchJob = async ({ image, context, framework, template, settings, projectId }, signal) => {
+  const budget = await checkProjectBudget(projectId, settings);
+  if (budget.status === 'blocked') throw new BudgetError(budget.message, budget);
+
+  const entry = { projectId, workflowName: context.workflowName, runName: image.name, kind: 'batch', provider: settings.provider, runs: 1 };
+  let result;
+  try {
+    result = await evaluateScreens({
+      settings,
+      screens: [image],
+      context,
+      framework,
+      template,
+      compress: compressImage,
+      tile: tileImage,
+      signal,
+      ...cacheOptions(settings)
+    });
+  } catch (err) {
+    await logUsage({ ...entry, usage: err.usage });
+    throw err;
+  }
+  const { evaluation, prompt, usage, cached, cacheError } = result;
+
+  const { config } = getProviderConfig(settings);
+  const run = await saveRun({
+    projectId,
+    name: image.name,
+    workflowName: context.workflowName,
+    context,
+    flow: false,
+    prompt,
+    provider: settings.provider,
+    model: config.model,
+    evaluation,
+    framework,
+    usage: priceUsage(usage),
+    cached
+  }, [image]);
+  const usageWarning = await logUsage({ ...entry, runId: run.id, usage });
+  const warnings = [cacheError && `The result could not be cached: ${cacheError}`, usageWarning].filter(Boolean);
+  return { runId: run.id, score: evaluation.score, verdict: evaluation.summary?.verdict, trapCount: evaluation.traps.length, warnings };
 };
 
 export default function HeuristicEvaluator() {
   const [workflowName, setWorkflowName] = useState('');
   const [epicDetails, setEpicDetails] = useState('');
   const [persona, setPersona] = useState('');
+  const [personaProfile, setPersonaProfile] = useState(null);
+  const [personas, setPersonas] = useState(listPersonas);
+  const [showPersonas, setShowPersonas] = useState(false);
   const [usecaseDescription, setUsecaseDescription] = useState('');
   const [images, setImages] = useState([]);
   const [activeImageIndex, setActiveImageIndex] = useState(0);
+  const [flowMode, setFlowMode] = useState(false);
   const [isEvaluating, setIsEvaluating] = useState(false);
+  const [consensusRuns, setConsensusRuns] = useState(1);
+  const [evaluationProgress, setEvaluationProgress] = useState(null);
+  const [showLowAgreement, setShowLowAgreement] = useState(false);
   const [evaluation, setEvaluation] = useState(null);
   const [error, setError] = useState(null);
+  const [errorIssues, setErrorIssues] = useState([]);
+  const [notice, setNotice] = useState(null);
   const [selectedTrap, setSelectedTrap] = useState(null);
   const [hoveredTrap, setHoveredTrap] = useState(null);
   const [expandedTraps, setExpandedTraps] = useState(true);
   const [expandedTenets, setExpandedTenets] = useState(false);
+  const [tenetScoreScreen, setTenetScoreScreen] = useState(null);
+  const [expandedValidation, setExpandedValidation] = useState(false);
   const [showHelp, setShowHelp] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  const [showExportMenu, setShowExportMenu] = useState(false);
+  const [showTickets, setShowTickets] = useState(false);
+  const [htmlImport, setHtmlImport] = useState(null);
+  const [importStatus, setImportStatus] = useState(null);
+  const [dropActive, setDropActive] = useState(false);
+  const [renamingImageId, setRenamingImageId] = useState(null);
+  const [draggedImageIndex, setDraggedImageIndex] = useState(null);
+  const [imageDropIndex, setImageDropIndex] = useState(null);
+  const [settings, setSettings] = useState(loadSettings);
+  const [frameworks, setFrameworks] = useState(listFrameworks);
+  const [frameworkId, setFrameworkId] = useState(DEFAULT_FRAMEWORK.id);
+  const [templates, setTemplates] = useState(listTemplates);
+  // The prompt template in use; no version means its latest
+  const [templateChoice, setTemplateChoice] = useState({ id: DEFAULT_TEMPLATE.id, version: null });
+  const [showTemplates, setShowTemplates] = useState(false);
+  const [showShare, setShowShare] = useState(false);
+  // Set when the page was opened from a share link or bundle: { source, doc, saved }
+  const { shared, readOnly, markSaved } = useSharedView({
+    defaultFramework: DEFAULT_FRAMEWORK,
+    onOpen: (doc) => openSavedRun({ ...doc, images: doc.images.filter(img => img.data), id: null }),
+    onError: setError
+  });
+  // The framework the evaluation on screen was made with, which may differ from the one picked for the next run
+  const [evaluationFramework, setEvaluationFramework] = useState(DEFAULT_FRAMEWORK);
+
+  // Local workspace: current project, the saved run on screen and the history drawer
+  const [projectId, setProjectId] = useState(null);
+  const [activeRunId, setActiveRunId] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
+  const [showBatch, setShowBatch] = useState(false);
+  const [showUsage, setShowUsage] = useState(false);
+  // The cached answer on screen, if it is one: { evaluation, key, createdAt }
+  const [cachedResult, setCachedResult] = useState(null);
+  const [batchJobs, setBatchJobs] = useState([]);
+  const [batchConcurrency, setBatchConcurrency] = useState(2);
+  const [historyVersion, setHistoryVersion] = useState(0);
+  // The batch queue outlives the panel, so jobs keep running while it is closed
+  const batchQueueRef = useRef(null);
+  if (!batchQueueRef.current) {
+    batchQueueRef.current = createBatchQueue({
+      concurrency: 2,
+      onChange: setBatchJobs,
+      runJob: async (input, signal) => {
+        const result = await runBatchJob(input, signal);
+        setHistoryVersion(v => v + 1);
+        return result;
+      }
+    });
+  }
+  useEffect(() => () => batchQueueRef.current.stop(), []);
+  const [draftLoaded, setDraftLoaded] = useState(false);
+
+  // Before/after comparison of two saved runs
+  const [comparison, setComparison] = useState(null);
+  const [compareScreen, setCompareScreen] = useState(1);
+  const [compareSelected, setCompareSelected] = useState(null);
+
+  // Reviewer edits on top of the model's findings, with undo/redo
+  const [reviewHistory, setReviewHistory] = useState(() => createReviewHistory(null));
+  const [editingTrapId, setEditingTrapId] = useState(null);
+  const [addingTrap, setAddingTrap] = useState(false);
+  const [markerDrag, setMarkerDrag] = useState(null);
+  const [showDismissed, setShowDismissed] = useState(false);
+
+  // Follow-up threads with the evaluator, per trap; the ref lets a reply that arrives later add to
+  // the latest threads
+  const [discussions, setDiscussions] = useState({});
+  const [discussingTrapId, setDiscussingTrapId] = useState(null);
+  const discussionsRef = useRef(discussions);
   
   // Zoom and pan state
   const [zoom, setZoom] = useState(1);
@@ -131,58 +262,555 @@ export default function HeuristicEvaluator() {
   const [dragStart, setDragStart] = useState({ x: 0, y: 0 });
   
   const fileInputRef = useRef(null);
+  const importInputRef = useRef(null);
+  const frameworkInputRef = useRef(null);
   const abortControllerRef = useRef(null);
   const containerRef = useRef(null);
+  const imageRef = useRef(null);
+  const markerMovedRef = useRef(false);
+
+  const framework = frameworks.find(f => f.id === frameworkId) || DEFAULT_FRAMEWORK;
+  // What the title and help describe: the viewer can't run anything, so only the shared evaluation's framework applies
+  const shownFramework = readOnly ? evaluationFramework : framework;
+  const promptTemplate = useMemo(() => {
+    const template = templates.find(t => t.id === templateChoice.id) || DEFAULT_TEMPLATE;
+    return resolveTemplate(template, findVersion(template, templateChoice.version) || latestVersion(template));
+  }, [templates, templateChoice]);
 
-  // Export evaluation results as JSON
-  const exportResults = useCallback(() => {
+  // What the panels, markers and exports show: the model's findings with the reviewer's edits applied
+  const reviewed = useMemo(() => applyReview(evaluation, reviewHistory.present), [evaluation, reviewHistory.present]);
+  // What the results panel lists, and reports number their pins by: findings most consensus runs
+  // missed are hidden unless asked for
+  const shownEvaluation = useMemo(() => reviewed && {
+    ...reviewed,
+    traps: reviewed.traps.filter(trap => showLowAgreement || !trap.consensus?.lowAgreement)
+  }, [reviewed, showLowAgreement]);
+
+  // Export evaluation results as a versioned JSON file, with screenshots embedded or referenced by hash
+  const exportResults = useCallback(async (embedImages = true) => {
     if (!evaluation) return;
-    const exportData = {
-      workflow: workflowName,
-      epicDetails,
-      persona,
-      usecaseDescription,
-      evaluatedAt: new Date().toISOString(),
-      ...evaluation
-    };
+    setShowExportMenu(false);
+    const run = activeRunId ? await getRun(activeRunId).catch(() => null) : null;
+    const exportData = buildExport({
+      context: { workflowName, epicDetails, persona, personaProfile, usecaseDescription },
+      flow: evaluation.flow,
+      images,
+      run,
+      evaluation,
+      framework: evaluationFramework,
+      review: reviewHistory.present,
+      discussions,
+      embedImages
+    });
     const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `heuristic-evaluation-${workflowName.replace(/\s+/g, '-').toLowerCase()}-${Date.now()}.json`;
-    a.click();
-    URL.revokeObjectURL(url);
-  }, [evaluation, workflowName, epicDetails, persona, usecaseDescription]);
+    downloadBlob(blob, `heuristic-evaluation-${slugify(workflowName)}-${Date.now()}.json`);
+  }, [evaluation, evaluationFramework, reviewHistory.present, discussions, activeRunId, images, workflowName, epicDetails, persona, personaProfile, usecaseDescription]);
 
-  const handleFileUpload = useCallback((e) => {
-    const files = Array.from(e.target.files);
-    files.forEach(file => {
-      if (file.type.startsWith('image/')) {
-        const reader = new FileReader();
-        reader.onload = (event) => {
-          setImages(prev => [...prev, {
-            id: Date.now() + Math.random(),
-            name: file.name,
-            data: event.target.result
-          }]);
-        };
-        reader.readAsDataURL(file);
+  // The screenshots the evaluation on screen was made from
+  const evaluatedScreens = () => (evaluation.evaluatedImages
+    ? evaluation.evaluatedImages.map(ref => images.find(img => img.id === ref.id)).filter(Boolean)
+    : images.slice(activeImageIndex, activeImageIndex + 1));
+
+  // Stakeholder report with the trap pins drawn onto the screenshots, as standalone HTML or PDF
+  const exportReport = useCallback(async (format) => {
+    if (!evaluation) return;
+    setShowExportMenu(false);
+    try {
+      const run = activeRunId ? await getRun(activeRunId).catch(() => null) : null;
+      const screens = evaluatedScreens();
+      const report = await prepareReport({
+        context: { workflowName, epicDetails, persona, personaProfile, usecaseDescription },
+        evaluation: shownEvaluation,
+        framework: evaluationFramework,
+        screens,
+        model: run?.model
+      });
+      const filename = `heuristic-evaluation-${slugify(workflowName)}-${Date.now()}`;
+      if (format === 'pdf') {
+        downloadBlob(await buildReportPdf(report), `${filename}.pdf`);
+      } else {
+        downloadBlob(new Blob([buildReportHtml(report)], { type: 'text/html' }), `${filename}.html`);
       }
-    });
+    } catch (err) {
+      setError(`Could not build the report: ${err.message}`);
+    }
+  }, [evaluation, shownEvaluation, evaluationFramework, activeRunId, images, activeImageIndex, workflowName, epicDetails, persona, personaProfile, usecaseDescription]);
+
+  // A read-only link to the evaluation on screen; when even the smallest screenshots don't fit,
+  // a bundle file with the report and the full evaluation instead
+  const createShare = async () => {
+    const run = activeRunId ? await getRun(activeRunId).catch(() => null) : null;
+    const screens = evaluatedScreens();
+    const context = { workflowName, epicDetails, persona, personaProfile, usecaseDescription };
+    const content = { context, flow: evaluation.flow, images: screens, run, evaluation, review: reviewHistory.present, discussions, framework: evaluationFramework };
+    const appUrl = `${window.location.origin}${window.location.pathname}`;
+
+    const link = await buildShareLink({ baseUrl: appUrl, downscale: downscaleForShare, ...content });
+    if (link) return { kind: 'link', ...link };
+    const report = await prepareReport({ context, evaluation: shownEvaluation, framework: evaluationFramework, screens, model: run?.model });
+    return {
+      kind: 'bundle',
+      blob: new Blob([buildShareBundle({ reportHtml: buildReportHtml(report), appUrl, ...content })], { type: 'text/html' }),
+      filename: `heuristic-evaluation-${slugify(workflowName)}-shared.html`
+    };
+  };
+
+  // Keep a shared evaluation: save it to History in the workspace's current project
+  const saveSharedView = async () => {
+    try {
+      const [draft, defaultProject] = await Promise.all([loadDraft(), ensureDefaultProject()]);
+      await saveRun(importedRun(shared.doc, draft?.projectId || defaultProject.id, shared.source), images);
+      markSaved();
+      setNotice('Saved to History. Open the app to keep working on it.');
+    } catch (err) {
+      setError(`Could not save the evaluation: ${err.message}`);
+    }
+  };
+
+  // Files from the file picker, a drop or the clipboard become screens in the order given; PDF
+  // pages are rendered one by one and anything unusable is listed with the reason
+  const addFiles = useCallback(async (files) => {
+    if (files.length === 0) return;
+    let result;
+    try {
+      result = await importFiles(files, { onProgress: setImportStatus });
+    } catch (err) {
+      setError(err.message);
+      return;
+    } finally {
+      setImportStatus(null);
+    }
+    const { screens, htmlFiles, rejected } = result;
+    if (screens.length > 0) setImages(prev => [...prev, ...screens]);
+    // HTML pages are rendered and captured first, at a viewport picked in the dialog
+    if (htmlFiles.length > 0) setHtmlImport(htmlFiles[0]);
+    const skipped = [
+      ...rejected,
+      ...htmlFiles.slice(1).map(({ name }) => ({ name, reason: 'HTML pages are captured one at a time; add it again afterwards' }))
+    ];
+    setNotice(skipped.length > 0 ? describeRejected(skipped) : null);
   }, []);
 
+  const handleFileUpload = useCallback((e) => {
+    const files = Array.from(e.target.files);
+    e.target.value = '';
+    addFiles(files);
+  }, [addFiles]);
+
+  // Screenshots pasted anywhere in the app
+  useEffect(() => {
+    const onPaste = (e) => {
+      if (readOnly) return;
+      const files = filesFromClipboard(e.clipboardData);
+      if (files.length === 0) return;
+      e.preventDefault();
+      addFiles(files);
+    };
+    window.addEventListener('paste', onPaste);
+    return () => window.removeEventListener('paste', onPaste);
+  }, [addFiles]);
+
+  // Files and folders dropped on the sidebar or canvas. Thumbnails being reordered are dragged
+  // too, but carry no files.
+  const dragDepthRef = useRef(0);
+  const isFileDrag = (e) => Array.from(e.dataTransfer?.types || []).includes('Files');
+
+  const fileDropHandlers = {
+    onDragEnter: (e) => {
+      if (!isFileDrag(e)) return;
+      e.preventDefault();
+      dragDepthRef.current += 1;
+      setDropActive(true);
+    },
+    onDragOver: (e) => {
+      if (!isFileDrag(e)) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'copy';
+    },
+    onDragLeave: (e) => {
+      if (!isFileDrag(e)) return;
+      dragDepthRef.current = Math.max(0, dragDepthRef.current - 1);
+      if (dragDepthRef.current === 0) setDropActive(false);
+    },
+    onDrop: (e) => {
+      if (!isFileDrag(e)) return;
+      e.preventDefault();
+      dragDepthRef.current = 0;
+      setDropActive(false);
+      filesFromDrop(e.dataTransfer)
+        .then(addFiles)
+        .catch(() => setError('Could not read the dropped files.'));
+    }
+  };
+
+  const addCapturedPage = async (page) => {
+    const hash = await hashDataUrl(page.data);
+    setImages(prev => [...prev, { id: Date.now() + Math.random(), hash, ...page }]);
+    setHtmlImport(null);
+  };
+
   const removeImage = useCallback((id) => {
     setImages(prev => prev.filter(img => img.id !== id));
     setActiveImageIndex(0);
     setEvaluation(null);
+    setActiveRunId(null);
     resetView();
   }, []);
 
+  // Restore the working draft (and the run it showed) after a refresh
+  useEffect(() => {
+    // The viewer opens the shared evaluation instead (see useSharedView)
+    if (readOnly) return;
+    (async () => {
+      try {
+        const [draft, defaultProject] = await Promise.all([loadDraft(), ensureDefaultProject()]);
+        setProjectId(draft?.projectId || defaultProject.id);
+        if (draft) {
+          setWorkflowName(draft.workflowName || '');
+          setEpicDetails(draft.epicDetails || '');
+          setPersona(draft.persona || '');
+          setPersonaProfile(draft.personaProfile || null);
+          setUsecaseDescription(draft.usecaseDescription || '');
+          setFlowMode(!!draft.flowMode);
+          setConsensusRuns(draft.consensusRuns || 1);
+          if (draft.frameworkId) setFrameworkId(draft.frameworkId);
+          if (draft.templateChoice) setTemplateChoice(draft.templateChoice);
+          setImages(draft.images);
+          if (draft.activeRunId) {
+            const run = await openRun(draft.activeRunId).catch(() => null);
+            if (run) {
+              setEvaluation(run.evaluation);
+              setEvaluationFramework(getRunFramework(run));
+              setReviewHistory(createReviewHistory(run.review));
+              showDiscussions(run.discussions);
+              setActiveRunId(run.id);
+            }
+          }
+        }
+        collectUnusedImages();
+      } catch (err) {
+        setNotice(`Your local workspace is unavailable, so drafts and evaluations won't be kept: ${err.message}`);
+      } finally {
+        setDraftLoaded(true);
+      }
+    })();
+  }, []);
+
+  // Autosave the draft shortly after the user stops editing
+  useEffect(() => {
+    if (!draftLoaded) return;
+    const timer = setTimeout(() => {
+      saveDraft({ projectId, workflowName, epicDetails, persona, personaProfile, usecaseDescription, flowMode, consensusRuns, frameworkId, templateChoice, activeRunId }, images)
+        .catch(err => setNotice(`Your draft could not be saved in this browser: ${err.message}`));
+    }, 500);
+    return () => clearTimeout(timer);
+  }, [draftLoaded, projectId, workflowName, epicDetails, persona, personaProfile, usecaseDescription, flowMode, consensusRuns, frameworkId, templateChoice, activeRunId, images]);
+
+  // Put a saved run back on screen exactly as it was evaluated
+  const openSavedRun = (run) => {
+    setWorkflowName(run.context.workflowName || '');
+    setEpicDetails(run.context.epicDetails || '');
+    setPersona(run.context.persona || '');
+    setPersonaProfile(run.context.personaProfile || null);
+    setUsecaseDescription(run.context.usecaseDescription || '');
+    setFlowMode(!!run.flow);
+    setImages(run.images);
+    const firstScreen = run.images.findIndex(img => img.id === run.evaluation.evaluatedImages?.[0]?.id);
+    setActiveImageIndex(Math.max(firstScreen, 0));
+    setEvaluation(run.evaluation);
+    setEvaluationFramework(getRunFramework(run));
+    setReviewHistory(createReviewHistory(run.review));
+    showDiscussions(run.discussions);
+    setActiveRunId(run.id);
+    setSelectedTrap(null);
+    setEditingTrapId(null);
+    setDiscussingTrapId(null);
+    setAddingTrap(false);
+    setTenetScoreScreen(null);
+    setError(null);
+    setErrorIssues([]);
+    setShowHistory(false);
+    setComparison(null);
+    resetView();
+  };
+
+  // Jobs aren't queued once the project is over its budget; near it, only after a confirmation
+  const addBatchJobs = async (items) => {
+    const budget = await checkProjectBudget(projectId, settings, items.length);
+    if (budget.status === 'blocked') throw new BudgetError(budget.message, budget);
+    if (budget.status === 'warn' && !window.confirm(`${budget.message}\n\nQueue ${items.length} more ${items.length === 1 ? 'evaluation' : 'evaluations'} anyway?`)) return;
+    batchQueueRef.current.add(items.map(({ image, context }) => ({
+      name: image.name,
+      input: { image, context, framework, template: promptTemplate, settings, projectId }
+    })));
+  };
+
+  const changeBatchConcurrency = (value) => {
+    setBatchConcurrency(value);
+    batchQueueRef.current.setConcurrency(value);
+  };
+
+  const openBatchResult = async (runId) => {
+    try {
+      openSavedRun(await openRun(runId));
+      setShowBatch(false);
+    } catch (err) {
+      setError(err.message || 'Could not open the evaluation');
+    }
+  };
+
+  // Open an exported file or a share bundle: upgrade old formats, find its screenshots and save it
+  // as a run
+  const importEvaluation = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    setError(null);
+    setErrorIssues([]);
+    setNotice(null);
+
+    try {
+      let doc;
+      try {
+        const text = await file.text();
+        const raw = /\.html?$/i.test(file.name) ? readShareBundle(text) : JSON.parse(text);
+        if (!raw) throw new Error(`${file.name} is not a shared evaluation file.`);
+        doc = parseExport(raw, { defaultFramework: DEFAULT_FRAMEWORK });
+      } catch (err) {
+        throw err instanceof SyntaxError ? new Error(`${file.name} is not valid JSON.`) : err;
+      }
+
+      const embedded = doc.images.filter(img => img.data);
+      const referenced = await loadImages(doc.images.filter(img => !img.data)).catch(() => []);
+      const found = new Map([...embedded, ...referenced].map(img => [img.id, img]));
+      const restoredImages = doc.images.map(img => found.get(img.id)).filter(Boolean);
+
+      const runFields = importedRun(doc, projectId, file.name);
+      const run = await saveRun(runFields, restoredImages).catch(() => ({ ...runFields, id: null }));
+      openSavedRun({ ...run, images: restoredImages });
+      setHistoryVersion(v => v + 1);
+
+      const messages = [];
+      if (doc.migratedFrom) messages.push(`Upgraded from export format v${doc.migratedFrom}.`);
+      const missing = doc.images.length - restoredImages.length;
+      if (missing > 0) messages.push(`${missing} screenshot${missing === 1 ? ' was' : 's were'} referenced by hash but not found in this browser.`);
+      if (doc.images.length === 0) messages.push('This file has no screenshots; upload the original design to see the markers.');
+      if (messages.length > 0) setNotice(messages.join(' '));
+    } catch (err) {
+      setError(err.message || 'Could not open evaluation');
+    }
+  };
+
+  // `sides` names the two sides when they aren't simply older and newer
+  const showComparison = (before, after, sides) => {
+    const result = compareEvaluations(applyReview(before.evaluation, before.review), applyReview(after.evaluation, after.review));
+    setComparison({ before, after, result, sides });
+    setCompareScreen(1);
+    setCompareSelected(null);
+    resetView();
+  };
+
+  // Compare a saved run with the one on screen; the older run is always "before"
+  const startCompare = async (runId) => {
+    try {
+      const runs = await Promise.all([openRun(runId), openRun(activeRunId)]);
+      runs.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+      showComparison(runs[0], runs[1]);
+      setShowHistory(false);
+    } catch (err) {
+      setError(err.message || 'Could not load evaluations to compare');
+    }
+  };
+
+  const selectCompareItem = (idx) => {
+    setCompareSelected(idx);
+    const item = comparison.result.items[idx];
+    const trap = item && (item.after || item.before);
+    const trapScreens = trap ? getTrapScreens(trap) : [];
+    if (trapScreens.length > 0 && !trapScreens.includes(compareScreen)) setCompareScreen(trapScreens[0]);
+  };
+
+  const changeProject = (id) => {
+    setProjectId(id);
+    setActiveRunId(null);
+  };
+
+  // Reorder screens; the list order is the flow order sent to the model. The active screen stays
+  // active wherever it ends up.
+  const reorderImage = useCallback((from, to) => {
+    if (from === to || to < 0 || to >= images.length) return;
+    const activeId = images[activeImageIndex]?.id;
+    const next = [...images];
+    const [moved] = next.splice(from, 1);
+    next.splice(to, 0, moved);
+    setImages(next);
+    setActiveImageIndex(Math.max(0, next.findIndex(img => img.id === activeId)));
+  }, [images, activeImageIndex]);
+
+  const renameImage = (id, name) => {
+    setRenamingImageId(null);
+    if (!name.trim()) return;
+    setImages(prev => prev.map(img => (img.id === id ? { ...img, name: name.trim() } : img)));
+  };
+
+  const dropThumbnail = (index) => {
+    if (draggedImageIndex !== null) reorderImage(draggedImageIndex, index);
+    setDraggedImageIndex(null);
+    setImageDropIndex(null);
+  };
+
+  const selectImage = (index) => {
+    setActiveImageIndex(index);
+    setSelectedTrap(null);
+    resetView();
+  };
+
+  const updateSettings = (next) => {
+    saveSettings(next);
+    setSettings(next);
+    setShowSettings(false);
+  };
+
+  // Add a team's own framework from a JSON file and select it for the next run
+  const importFramework = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    setError(null);
+    try {
+      const saved = saveCustomFramework(JSON.parse(await file.text()));
+      setFrameworks(listFrameworks());
+      setFrameworkId(saved.id);
+      setNotice(`Added the ${saved.name} framework.`);
+    } catch (err) {
+      setError(err instanceof SyntaxError ? `${file.name} is not valid JSON.` : `Could not add framework: ${err.message}`);
+    }
+  };
+
+  const removeFramework = (id) => {
+    deleteCustomFramework(id);
+    setFrameworks(listFrameworks());
+    setFrameworkId(DEFAULT_FRAMEWORK.id);
+  };
+
   const cancelEvaluation = () => {
     if (abortControllerRef.current) abortControllerRef.current.abort();
     setIsEvaluating(false);
   };
 
+  // Record a reviewer change (or an undo/redo step) and keep the saved run in sync
+  const changeReview = (history) => {
+    // Results still streaming in can't be reviewed yet
+    if (isEvaluating) return;
+    setReviewHistory(history);
+    if (activeRunId) updateRun(activeRunId, { review: history.present }).catch(err => setError(`Your edit could not be saved: ${err.message}`));
+  };
+  const commitReview = (review) => changeReview(pushReview(reviewHistory, review));
+  const undoReviewChange = () => changeReview(undoReview(reviewHistory));
+  const redoReviewChange = () => changeReview(redoReview(reviewHistory));
+
+  const showDiscussions = (value) => {
+    discussionsRef.current = normalizeDiscussions(value);
+    setDiscussions(discussionsRef.current);
+  };
+
+  // Threads are saved with the run they discuss
+  const changeDiscussion = (trapId, turns) => {
+    const next = { ...discussionsRef.current, [trapId]: turns };
+    if (turns.length === 0) delete next[trapId];
+    discussionsRef.current = next;
+    setDiscussions(next);
+    if (activeRunId) updateRun(activeRunId, { discussions: next }).catch(err => setError(`The discussion could not be saved: ${err.message}`));
+  };
+
+  // Record usage from the app; a ledger failure shows as a notice
+  const trackUsage = async (entry) => {
+    const warning = await logUsage(entry);
+    if (warning) setNotice(warning);
+  };
+
+  // The evaluator sees the screens the trap is on, the workflow context and the trap as it stands now
+  const askAboutTrap = async (trap, turns, { signal, onText }) => {
+    if (settings.cache.replay) {
+      throw new CacheMissError('Replay mode never calls the model, so the evaluator can\'t answer. Turn replay off in Model Settings to discuss this trap.');
+    }
+    const budget = await checkProjectBudget(projectId, settings);
+    if (budget.status === 'blocked') throw new BudgetError(budget.message, budget);
+    const screens = await Promise.all(getTrapScreens(trap)
+      .map(screen => ({ screen, image: getScreenImage(screen) }))
+      .filter(({ image }) => image)
+      .map(async ({ screen, image }) => ({ label: `Screen ${screen}: ${image.name}`, image: await compressImage(image.data, settings.image) })));
+    return requestDiscussionReply({
+      settings,
+      signal,
+      onText,
+      onUsage: (reply) => trackUsage({
+        projectId,
+        workflowName,
+        runId: activeRunId,
+        runName: workflowName,
+        kind: 'discussion',
+        provider: settings.provider,
+        runs: 1,
+        usage: addUsage(emptyUsage(), reply)
+      }),
+      trap,
+      screens,
+      context: { workflowName, epicDetails, persona, personaProfile, usecaseDescription },
+      framework: evaluationFramework,
+      turns
+    });
+  };
+
+  // Ctrl/Cmd+Z and Ctrl/Cmd+Shift+Z (or Ctrl+Y) outside of text fields
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || !evaluation || comparison || readOnly) return;
+      if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undoReviewChange();
+      } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+        e.preventDefault();
+        redoReviewChange();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  const dismissReviewedTrap = (trap, reason) => {
+    commitReview(dismissTrap(reviewHistory.present, trap.id, reason));
+    setSelectedTrap(null);
+    setEditingTrapId(null);
+  };
+
+  // Pointer position as a percentage of the screenshot, whatever the zoom and pan
+  const pointerToImage = (e) => {
+    const rect = imageRef.current.getBoundingClientRect();
+    return { x: ((e.clientX - rect.left) / rect.width) * 100, y: ((e.clientY - rect.top) / rect.height) * 100 };
+  };
+
+  const startMarkerDrag = (e, trap, locationIndex) => {
+    if (e.button !== 0 || readOnly) return;
+    e.stopPropagation();
+    markerMovedRef.current = false;
+    setMarkerDrag({ trapId: trap.id, locationIndex, ...pointerToImage(e) });
+  };
+
+  // Clicking the screenshot in "add trap" mode creates a finding there and opens it for editing
+  const placeTrap = (e) => {
+    if (!addingTrap) return;
+    e.stopPropagation();
+    const { review, trap } = addTrap(reviewHistory.present, evaluation, { screen: activeScreen, ...pointerToImage(e) }, evaluationFramework);
+    commitReview(review);
+    setAddingTrap(false);
+    setSelectedTrap(trap);
+    setEditingTrapId(trap.id);
+    setExpandedTraps(true);
+  };
+
   // Zoom controls - infinite zoom
   const handleZoomIn = () => setZoom(z => z * 1.25);
   const handleZoomOut = () => setZoom(z => z / 1.25);
@@ -199,90 +827,279 @@ export default function HeuristicEvaluator() {
 
   // Pan handlers - work at any zoom
   const handleMouseDown = (e) => {
-    if (e.button === 0) {
+    if (e.button === 0 && !addingTrap) {
       setIsDragging(true);
       setDragStart({ x: e.clientX - pan.x, y: e.clientY - pan.y });
     }
   };
 
   const handleMouseMove = (e) => {
-    if (isDragging) {
+    if (markerDrag) {
+      markerMovedRef.current = true;
+      setMarkerDrag(prev => ({ ...prev, ...pointerToImage(e) }));
+    } else if (isDragging) {
       setPan({ x: e.clientX - dragStart.x, y: e.clientY - dragStart.y });
     }
   };
 
-  const handleMouseUp = () => setIsDragging(false);
+  const handleMouseUp = () => {
+    setIsDragging(false);
+    if (markerDrag) {
+      if (markerMovedRef.current) {
+        commitReview(moveTrapLocation(reviewHistory.present, evaluation, markerDrag.trapId, markerDrag.locationIndex, markerDrag));
+      }
+      setMarkerDrag(null);
+    }
+  };
   
   // Double-click to zoom in
   const handleDoubleClick = (e) => {
     setZoom(z => z * 2);
   };
 
-  const runEvaluation = async () => {
+  // Whether `runs` more evaluations may go ahead: over budget stops here, close to it asks first
+  const confirmBudget = async (runs) => {
+    try {
+      const budget = await checkProjectBudget(projectId, settings, runs);
+      if (budget.status === 'blocked') {
+        setError(budget.message);
+        return false;
+      }
+      if (budget.status === 'warn' && !window.confirm(`${budget.message}\n\nRun the evaluation anyway?`)) return false;
+    } catch (err) {
+      setNotice(`The budget could not be checked: ${err.message}`);
+    }
+    return true;
+  };
+
+  // `fresh` asks the model again even when an identical request has a cached answer
+  const runEvaluation = async ({ fresh = false } = {}) => {
     if (images.length === 0 || !workflowName.trim()) {
       setError('Please provide a workflow name and upload at least one design.');
       return;
     }
+    if (!await confirmBudget(consensusRuns)) return;
 
     abortControllerRef.current = new AbortController();
     setIsEvaluating(true);
     setError(null);
+    setErrorIssues([]);
     setEvaluation(null);
+    setActiveRunId(null);
+    setComparison(null);
+    setCachedResult(null);
 
     try {
-      const compressed = await compressImage(images[activeImageIndex].data);
-      
-      // Build context from all fields
-      const contextParts = [`**Workflow:** ${workflowName}`];
-      if (epicDetails.trim()) contextParts.push(`**EPIC/Story:** ${epicDetails}`);
-      if (persona.trim()) contextParts.push(`**Persona:** ${persona}`);
-      if (usecaseDescription.trim()) contextParts.push(`**Use Case Description:** ${usecaseDescription}`);
-      const context = contextParts.join('\n');
-      
-      const prompt = EVALUATION_PROMPT.replace('{CONTEXT}', context);
-      
-      const response = await fetch('https://api.anthropic.com/v1/messages', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        signal: abortControllerRef.current.signal,
-        body: JSON.stringify({
-          model: 'claude-sonnet-4-20250514',
-          max_tokens: 4000,
-          messages: [{
-            role: 'user',
-            content: [
-              { type: 'image', source: { type: 'base64', media_type: compressed.type, data: compressed.base64 } },
-              { type: 'text', text: prompt }
-            ]
-          }]
-        })
-      });
+      const isFlow = flowMode && images.length > 1;
+      const screens = isFlow ? images : [images[activeImageIndex]];
+      const context = { workflowName, epicDetails, persona, personaProfile, usecaseDescription };
+
+      const usageEntry = { projectId, workflowName, runName: workflowName, kind: 'evaluation', provider: settings.provider, runs: consensusRuns };
 
-      const data = await response.json();
-      if (data.error) {
-        const errorMsg = data.error.message || 'API error';
-        if (errorMsg.includes('rate')) throw new Error('Rate limit reached. Please wait a moment and try again.');
-        if (errorMsg.includes('invalid')) throw new Error('Invalid request. Please check your inputs.');
-        throw new Error(errorMsg);
+      const showEvaluation = async (parsed, prompt, usage, cached = null) => {
+        setEvaluation(parsed);
+        setEvaluationFramework(framework);
+        setReviewHistory(createReviewHistory(null));
+        showDiscussions(null);
+        setEditingTrapId(null);
+        setDiscussingTrapId(null);
+
+        try {
+          const { config } = getProviderConfig(settings);
+          const run = await saveRun({
+            projectId,
+            name: workflowName,
+            workflowName,
+            context,
+            flow: isFlow,
+            prompt,
+            provider: settings.provider,
+            model: config.model,
+            evaluation: parsed,
+            framework,
+            usage: priceUsage(usage),
+            cached
+          }, images);
+          setActiveRunId(run.id);
+          setHistoryVersion(v => v + 1);
+          await trackUsage({ ...usageEntry, runId: run.id, usage });
+        } catch (err) {
+          setError(`The evaluation could not be saved to History: ${err.message}`);
+        }
+      };
+
+      setTenetScoreScreen(null);
+      setExpandedValidation(false);
+      setEvaluationFramework(framework);
+
+      // Consensus mode repeats the request and keeps what the runs agree on; a single run is
+      // streamed onto the canvas as it arrives
+      let result;
+      try {
+        result = await evaluateScreens({
+          settings,
+          screens,
+          context,
+          framework,
+          template: promptTemplate,
+          flow: isFlow,
+          compress: compressImage,
+          tile: tileImage,
+          signal: abortControllerRef.current.signal,
+          runs: consensusRuns,
+          onProgress: (step, steps, unit = 'run') => setEvaluationProgress({ step, steps, unit }),
+          onPartial: setEvaluation,
+          ...cacheOptions(settings, fresh)
+        });
+      } catch (err) {
+        // Cancelling keeps whatever had already arrived, marked as incomplete
+        if (err.name !== 'AbortError' || !err.partial || (err.partial.traps.length === 0 && !err.partial.summary?.verdict)) throw err;
+        await showEvaluation(err.partial, err.prompt, err.usage);
+        return;
       }
+      const messages = [];
+      if (result.evaluation.consensus?.failedRuns > 0) {
+        messages.push(`${result.evaluation.consensus.failedRuns} of ${consensusRuns} runs gave no usable result and were left out of the consensus.`);
+      }
+      if (result.evaluation.tiling?.failedTiles > 0) {
+        messages.push(`${result.evaluation.tiling.failedTiles} of ${result.evaluation.tiling.tiles} tiles gave no usable result; ${framework.labels.items.toLowerCase()} in those parts of the page may be missing.`);
+      }
+      if (result.cacheError) messages.push(`The result could not be cached, so the next identical request will ask the model again: ${result.cacheError}`);
+      if (messages.length > 0) setNotice(messages.join(' '));
+      if (result.cached) setCachedResult({ evaluation: result.evaluation, ...result.cached });
+      await showEvaluation(result.evaluation, result.prompt, result.usage, result.cached);
+    } catch (err) {
+      // Drop any partial result that was streamed before the failure; what it used still counts
+      setEvaluation(null);
+      trackUsage({ projectId, workflowName, runName: workflowName, kind: 'evaluation', provider: settings.provider, runs: consensusRuns, usage: err.usage });
+      if (err.name === 'AbortError') setError('Cancelled');
+      else setError(err.message || 'Evaluation failed');
+      if (err.issues) setErrorIssues(err.issues);
+    } finally {
+      setIsEvaluating(false);
+      setEvaluationProgress(null);
+    }
+  };
 
-      const text = data.content?.[0]?.text || '';
-      const jsonMatch = text.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) throw new Error('Could not parse evaluation results. Please try again.');
-      
-      const parsed = JSON.parse(jsonMatch[0]);
-      if (!parsed.traps || !parsed.summary) throw new Error('Incomplete evaluation response. Please try again.');
-      
-      setEvaluation(parsed);
+  // The selected screenshot evaluated once with each template version, one after the other; both
+  // runs are saved and then opened side by side
+  const compareTemplates = async (versions) => {
+    if (images.length === 0 || !workflowName.trim()) {
+      setError('Please provide a workflow name and upload at least one design.');
+      return;
+    }
+    setShowTemplates(false);
+    if (!await confirmBudget(versions.length)) return;
+
+    abortControllerRef.current = new AbortController();
+    setIsEvaluating(true);
+    setError(null);
+    setErrorIssues([]);
+    setComparison(null);
+
+    const screens = [images[activeImageIndex]];
+    const context = { workflowName, epicDetails, persona, personaProfile, usecaseDescription };
+    const { config } = getProviderConfig(settings);
+    try {
+      const runs = [];
+      for (const [idx, template] of versions.entries()) {
+        setEvaluationProgress({ step: idx + 1, steps: versions.length, unit: 'template' });
+        const name = `${workflowName} · ${templateLabel(template)}`;
+        const usageEntry = { projectId, workflowName, runName: name, kind: 'evaluation', provider: settings.provider, runs: 1 };
+        let result;
+        try {
+          result = await evaluateScreens({
+            settings,
+            screens,
+            context,
+            framework,
+            template,
+            compress: compressImage,
+            tile: tileImage,
+            signal: abortControllerRef.current.signal,
+            ...cacheOptions(settings)
+          });
+        } catch (err) {
+          await trackUsage({ ...usageEntry, usage: err.usage });
+          throw err;
+        }
+        if (result.cacheError) setNotice(`The result could not be cached, so the next identical request will ask the model again: ${result.cacheError}`);
+        const run = await saveRun({
+          projectId,
+          name,
+          workflowName,
+          context,
+          flow: false,
+          prompt: result.prompt,
+          provider: settings.provider,
+          model: config.model,
+          evaluation: result.evaluation,
+          framework,
+          usage: priceUsage(result.usage),
+          cached: result.cached
+        }, screens);
+        await trackUsage({ ...usageEntry, runId: run.id, usage: result.usage });
+        runs.push(await openRun(run.id));
+      }
+      setHistoryVersion(v => v + 1);
+      showComparison(runs[0], runs[1], { before: templateLabel(versions[0]), after: templateLabel(versions[1]), title: 'Prompt templates' });
     } catch (err) {
       if (err.name === 'AbortError') setError('Cancelled');
       else setError(err.message || 'Evaluation failed');
+      if (err.issues) setErrorIssues(err.issues);
     } finally {
       setIsEvaluating(false);
+      setEvaluationProgress(null);
     }
   };
 
-  const TrapMarker = ({ trap, index }) => {
+  const activeBatchCount = batchJobs.filter(job => ACTIVE_STATUSES.includes(job.status)).length;
+
+  // What a cancelled evaluation never received
+  const missingParts = evaluation?.incomplete ? [
+    !evaluation.tenetScores && `${evaluationFramework.labels.category.toLowerCase()} scores`,
+    evaluation.score === undefined && 'the overall score'
+  ].filter(Boolean) : [];
+
+  const activeImage = images[activeImageIndex];
+  // 1-based screen number of the active thumbnail within the evaluation, 0 when it wasn't evaluated
+  const activeScreen = evaluation?.evaluatedImages
+    ? evaluation.evaluatedImages.findIndex(img => img.id === activeImage?.id) + 1
+    : evaluation && activeImage ? 1 : 0; // old exports don't say which image they belong to
+
+  // The thumbnail a screen number of the evaluation refers to
+  const getScreenImage = (screen) => (evaluation?.evaluatedImages
+    ? images.find(img => img.id === evaluation.evaluatedImages[screen - 1]?.id)
+    : activeImage);
+
+  // Markers and regions on the active screen; a dragged marker takes its region along
+  const shownTraps = shownEvaluation?.traps || [];
+  const hiddenTrapCount = (reviewed?.traps.length || 0) - shownTraps.length;
+
+  const screenLocations = shownTraps.flatMap((trap, index) => getTrapLocations(trap).map((loc, locationIndex) => {
+    const dragged = markerDrag?.trapId === trap.id && markerDrag.locationIndex === locationIndex;
+    return { trap, index, locationIndex, location: dragged ? moveLocation(loc, { x: markerDrag.x, y: markerDrag.y }) : loc };
+  })).filter(({ location }) => location.screen === activeScreen);
+
+  // Select a trap from the results panel, switching to a screen it occurs on if needed
+  const focusTrap = (trap) => {
+    if (selectedTrap?.id === trap.id) {
+      setSelectedTrap(null);
+      return;
+    }
+    setSelectedTrap(trap);
+    const trapScreens = getTrapScreens(trap);
+    if (trapScreens.length > 0 && !trapScreens.includes(activeScreen)) {
+      const target = evaluation?.evaluatedImages?.[trapScreens[0] - 1];
+      const index = images.findIndex(img => img.id === target?.id);
+      if (index >= 0) {
+        setActiveImageIndex(index);
+        resetView();
+      }
+    }
+  };
+
+  const TrapMarker = ({ trap, location, locationIndex, index }) => {
     const isActive = selectedTrap?.id === trap.id || hoveredTrap?.id === trap.id;
     const severity = SEVERITY_CONFIG[trap.severity] || SEVERITY_CONFIG['P3'];
     
@@ -292,15 +1109,19 @@ export default function HeuristicEvaluator() {
     
     return (
       <div
-        className="absolute cursor-pointer"
+        className="absolute cursor-move"
         style={{ 
-          left: `${trap.location.x}%`, 
-          top: `${trap.location.y}%`, 
+          left: `${location.x}%`, 
+          top: `${location.y}%`, 
           zIndex: isActive ? 50 : 10,
           transform: `translate(-50%, -50%) scale(${markerScale})`,
           transformOrigin: 'center center'
         }}
-        onClick={(e) => { e.stopPropagation(); setSelectedTrap(selectedTrap?.id === trap.id ? null : trap); }}
+        onMouseDown={(e) => startMarkerDrag(e, trap, locationIndex)}
+        onClick={(e) => {
+          e.stopPropagation();
+          if (!markerMovedRef.current) setSelectedTrap(selectedTrap?.id === trap.id ? null : trap);
+        }}
         onMouseEnter={() => setHoveredTrap(trap)}
         onMouseLeave={() => setHoveredTrap(null)}
       >
@@ -320,7 +1141,7 @@ export default function HeuristicEvaluator() {
               <span className="font-semibold text-gray-900 text-sm">{trap.name}</span>
             </div>
             {trap.tenet && <p className="text-xs text-indigo-600 mb-1">{trap.tenet}</p>}
-            <p className="text-xs text-gray-600 mb-1">{trap.location?.description}</p>
+            <p className="text-xs text-gray-600 mb-1">{location.description}</p>
             <p className="text-xs text-gray-700 mb-2">{trap.evidence}</p>
             {trap.diagnostic && <p className="text-xs text-amber-700 bg-amber-50 p-2 rounded mb-2">⚠️ {trap.diagnostic}</p>}
             {trap.quickPivot && <p className="text-xs text-blue-700 bg-blue-50 p-2 rounded mb-1">🔧 {trap.quickPivot}</p>}
@@ -331,101 +1152,36 @@ export default function HeuristicEvaluator() {
     );
   };
 
-  // Tenets and Traps data from skill
-  const TENETS_AND_TRAPS = [
-    { 
-      tenet: 'Understandable', 
-      color: '#1e3a5f', 
-      description: 'The user can comprehend the interface and how to interact with it.',
-      traps: [
-        { name: 'Distraction', desc: 'Something in the UI suddenly appears or draws attention, distracting from the goal.' },
-        { name: 'Effectively Invisible Element', desc: 'A cue is not noticed because its appearance or location differs from expectations.' },
-        { name: 'Feedback Failure', desc: 'System fails to provide noticeable, comprehensible feedback to user actions.' },
-        { name: 'Forced Syntax', desc: 'System doesn\'t allow commands in the order or manner most natural to the user.' },
-        { name: 'Invisible Element', desc: 'No cue is provided to signal how to achieve a goal.' },
-        { name: 'Memory Challenge', desc: 'System requires user to remember information that is easy to forget.' },
-        { name: 'Uncomprehended Element', desc: 'A cue is noticed but its meaning or interaction method is unclear.' }
-      ]
-    },
-    { 
-      tenet: 'Responsive', 
-      color: '#0d7377', 
-      description: 'The system responds quickly and provides appropriate feedback.',
-      traps: [
-        { name: 'Captive Wait', desc: 'User prevented from advancing or backing out of a process.' },
-        { name: 'Slow or No Response', desc: 'User prevented from goal due to actual or perceived slow performance.' }
-      ]
-    },
-    { 
-      tenet: 'Comfortable', 
-      color: '#6b7280', 
-      description: 'Interactions require minimal physical effort and avoid strain.',
-      traps: [
-        { name: 'Accidental Activation', desc: 'System misinterprets physical actions resulting in unintended outcome.' },
-        { name: 'Physical Challenge', desc: 'Required effort is physically difficult or impossible.' }
-      ]
-    },
-    { 
-      tenet: 'Forgiving', 
-      color: '#ea580c', 
-      description: 'The system allows users to recover from mistakes easily.',
-      traps: [
-        { name: 'Irreversible Action', desc: 'System does not allow user to undo an action taken.' }
-      ]
-    },
-    { 
-      tenet: 'Protective', 
-      color: '#16a34a', 
-      description: 'The system safeguards user data and prevents loss.',
-      traps: [
-        { name: 'Data Loss', desc: 'System can lose user\'s work through action or inaction.' }
-      ]
-    },
-    { 
-      tenet: 'Beautiful', 
-      color: '#f97316', 
-      description: 'The interface is aesthetically pleasing and appropriate.',
-      traps: [
-        { name: 'Unattractive Appearance', desc: 'UI is aesthetically unpleasing, inconsistent, or inappropriate.' }
-      ]
-    },
-    { 
-      tenet: 'Efficient', 
-      color: '#1e40af', 
-      description: 'Users can accomplish tasks with minimal steps and cognitive load.',
-      traps: [
-        { name: 'Unnecessary Step', desc: 'Number of steps required to achieve a goal is too high.' },
-        { name: 'Bad Prediction', desc: 'System misinterprets user intent or preferences, forcing workarounds.' },
-        { name: 'Information Overload', desc: 'Information is comprehensible but there is too much of it.' },
-        { name: 'System Amnesia', desc: 'System re-prompts for information it previously gathered.' }
-      ]
-    },
-    { 
-      tenet: 'Discreet', 
-      color: '#7c3aed', 
-      description: 'The system respects user privacy and avoids unwanted exposure.',
-      traps: [
-        { name: 'Unwanted Disclosure', desc: 'System makes user data or behavior public in harmful ways.' }
-      ]
-    },
-    { 
-      tenet: 'Habituating', 
-      color: '#374151', 
-      description: 'The system behaves consistently, building user confidence through predictability.',
-      traps: [
-        { name: 'Gratuitous Redundancy', desc: 'System presents duplicate cues for the same action.' },
-        { name: 'Variable Outcome', desc: 'System responds differently at different times to the same action.' },
-        { name: 'Ambiguous Home', desc: 'UI provides no single place to return to begin a new task.' },
-        { name: 'Wandering Element', desc: 'Physical location of a cue varies across the UI.' },
-        { name: 'Inconsistent Appearance', desc: 'Visual appearance of a cue varies across the UI.' },
-        { name: 'Ambiguous Interactions', desc: 'System doesn\'t provide clear ways to interact with AI.' }
-      ]
-    }
-  ];
-
   const [expandedTenetIndex, setExpandedTenetIndex] = useState(null);
   const [selectedTrapName, setSelectedTrapName] = useState(null);
 
+  // Notices and errors, under the inputs or in the viewer's sidebar
+  const statusMessages = (
+    <>
+      {notice && (
+        <div className="p-3 bg-blue-50 border border-blue-200 rounded-lg text-sm text-blue-700 flex items-start gap-2">
+          <span className="flex-1">{notice}</span>
+          <button onClick={() => setNotice(null)} className="p-0.5 hover:bg-blue-100 rounded">
+            <X className="w-3.5 h-3.5" />
+          </button>
+        </div>
+      )}
+
+      {error && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+          {error}
+          {errorIssues.length > 0 && (
+            <ul className="mt-2 space-y-1 text-xs">
+              {errorIssues.map((issue, idx) => (
+                <li key={idx}><span className="font-mono">{issue.path}</span> — {issue.message}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </>
+  );
+
   return (
     <div className="h-screen flex flex-col bg-slate-100">
       {/* Help Modal */}
@@ -434,7 +1190,7 @@ export default function HeuristicEvaluator() {
           <div className="bg-white rounded-xl max-w-3xl w-full flex flex-col" style={{ height: '500px' }} onClick={e => e.stopPropagation()}>
             {/* Fixed Header */}
             <div className="flex items-center justify-between px-6 py-4 border-b border-slate-200 flex-shrink-0">
-              <h2 className="text-xl font-bold text-slate-900">Tenets & Traps Framework</h2>
+              <h2 className="text-xl font-bold text-slate-900">{shownFramework.name}</h2>
               <button onClick={() => { setShowHelp(false); setExpandedTenetIndex(null); setSelectedTrapName(null); }} className="p-1 hover:bg-slate-100 rounded-lg">
                 <X className="w-5 h-5 text-slate-500" />
               </button>
@@ -456,7 +1212,7 @@ export default function HeuristicEvaluator() {
                   </div>
                   <div className="bg-slate-50 rounded-lg p-3">
                     <span className="inline-flex items-center justify-center w-6 h-6 rounded-full bg-indigo-100 text-indigo-700 text-xs font-bold mb-2">3</span>
-                    <p className="text-slate-700"><strong>Run & Review</strong> — See traps on your design with fixes</p>
+                    <p className="text-slate-700"><strong>Run & Review</strong> — See {shownFramework.labels.items.toLowerCase()} on your design with fixes</p>
                   </div>
                 </div>
               </div>
@@ -474,14 +1230,18 @@ export default function HeuristicEvaluator() {
                 </div>
               </div>
 
-              {/* Tenets & Traps Reference */}
+              {/* Framework Reference */}
               <div>
-                <h3 className="font-semibold text-slate-900 mb-3">9 Tenets & 25 Traps</h3>
-                <p className="text-sm text-slate-500 mb-4">Click on a tenet to expand, then click any trap to read more.</p>
+                <h3 className="font-semibold text-slate-900 mb-3">
+                  {shownFramework.categories.length} {shownFramework.labels.categories} & {shownFramework.categories.reduce((sum, c) => sum + c.items.length, 0)} {shownFramework.labels.items}
+                </h3>
+                <p className="text-sm text-slate-500 mb-4">
+                  {shownFramework.description && `${shownFramework.description} `}Click on a {shownFramework.labels.category.toLowerCase()} to expand, then click any {shownFramework.labels.item.toLowerCase()} to read more.
+                </p>
                 <div className="space-y-3">
-                  {TENETS_AND_TRAPS.map((item, tenetIdx) => (
-                    <div key={item.tenet} className="border border-slate-200 rounded-lg overflow-hidden">
-                      {/* Tenet Header */}
+                  {shownFramework.categories.map((item, tenetIdx) => (
+                    <div key={item.name} className="border border-slate-200 rounded-lg overflow-hidden">
+                      {/* Category Header */}
                       <button 
                         className="w-full px-4 py-3 flex items-center gap-3 text-left transition-colors hover:bg-slate-50"
                         style={{ backgroundColor: expandedTenetIndex === tenetIdx ? `${item.color}10` : 'white' }}
@@ -492,20 +1252,20 @@ export default function HeuristicEvaluator() {
                       >
                         <div className="w-3 h-3 rounded-full flex-shrink-0" style={{ backgroundColor: item.color }} />
                         <div className="flex-1 min-w-0">
-                          <h4 className="font-semibold text-slate-900">{item.tenet}</h4>
+                          <h4 className="font-semibold text-slate-900">{item.name}</h4>
                           <p className="text-xs text-slate-500 truncate">{item.description}</p>
                         </div>
                         <span className="text-xs font-medium px-2 py-1 rounded-full bg-slate-100 text-slate-600 flex-shrink-0">
-                          {item.traps.length} trap{item.traps.length !== 1 ? 's' : ''}
+                          {item.items.length} {(item.items.length !== 1 ? shownFramework.labels.items : shownFramework.labels.item).toLowerCase()}
                         </span>
                         <ChevronDown className={`w-4 h-4 text-slate-400 transition-transform flex-shrink-0 ${expandedTenetIndex === tenetIdx ? 'rotate-180' : ''}`} />
                       </button>
                       
-                      {/* Expanded Traps */}
+                      {/* Expanded Items */}
                       {expandedTenetIndex === tenetIdx && (
                         <div className="border-t border-slate-200 bg-slate-50 p-3">
                           <div className="space-y-2">
-                            {item.traps.map((trap) => (
+                            {item.items.map((trap) => (
                               <div key={trap.name}>
                                 <button
                                   className={`w-full text-left px-3 py-2 rounded-lg text-sm transition-all ${
@@ -520,7 +1280,7 @@ export default function HeuristicEvaluator() {
                                     <ChevronDown className={`w-4 h-4 text-slate-400 transition-transform ${selectedTrapName === trap.name ? 'rotate-180' : ''}`} />
                                   </div>
                                   {selectedTrapName === trap.name && (
-                                    <p className="mt-2 text-slate-600 text-sm leading-relaxed">{trap.desc}</p>
+                                    <p className="mt-2 text-slate-600 text-sm leading-relaxed">{trap.description}</p>
                                   )}
                                 </button>
                               </div>
@@ -537,6 +1297,91 @@ export default function HeuristicEvaluator() {
         </div>
       )}
 
+      {htmlImport && (
+        <HtmlImportPanel initial={htmlImport} onCapture={addCapturedPage} onClose={() => setHtmlImport(null)} />
+      )}
+
+      {showSettings && (
+        <SettingsPanel settings={settings} onSave={updateSettings} onClose={() => setShowSettings(false)} />
+      )}
+
+      {showPersonas && (
+        <PersonaPanel
+          personas={personas}
+          activeId={personaProfile?.id}
+          framework={framework}
+          onLibraryChange={() => setPersonas(listPersonas())}
+          onUse={(profile) => {
+            setPersonaProfile(profile);
+            setShowPersonas(false);
+          }}
+          onClose={() => setShowPersonas(false)}
+        />
+      )}
+
+      {showTemplates && (
+        <PromptTemplatePanel
+          templates={templates}
+          active={promptTemplate}
+          canRun={images.length > 0 && !!workflowName.trim() && !isEvaluating}
+          onLibraryChange={() => setTemplates(listTemplates())}
+          onUse={(template, version) => {
+            setTemplateChoice({ id: template.id, version: version === latestVersion(template) ? null : version.version });
+            setShowTemplates(false);
+          }}
+          onCompare={compareTemplates}
+          onClose={() => setShowTemplates(false)}
+        />
+      )}
+
+      {showShare && evaluation && (
+        <SharePanel createShare={createShare} onClose={() => setShowShare(false)} />
+      )}
+
+      {showTickets && reviewed && (
+        <TicketExportPanel
+          traps={shownTraps}
+          framework={evaluationFramework}
+          context={{ workflowName, epicDetails, persona, personaProfile, usecaseDescription }}
+          isFlow={!!evaluation.flow}
+          onClose={() => setShowTickets(false)}
+        />
+      )}
+
+      {showBatch && (
+        <BatchPanel
+          jobs={batchJobs}
+          concurrency={batchConcurrency}
+          initialContext={{ workflowName, epicDetails, persona, personaProfile, usecaseDescription }}
+          currentImages={images}
+          onConcurrencyChange={changeBatchConcurrency}
+          onAdd={addBatchJobs}
+          onCancel={(id) => batchQueueRef.current.cancel(id)}
+          onRetry={(id) => batchQueueRef.current.retry(id)}
+          onRemove={(id) => batchQueueRef.current.remove(id)}
+          onClearFinished={() => batchQueueRef.current.clearFinished()}
+          onOpenRun={openBatchResult}
+          onClose={() => setShowBatch(false)}
+        />
+      )}
+
+      {showUsage && (
+        <UsagePanel projectId={projectId} version={historyVersion} onClose={() => setShowUsage(false)} />
+      )}
+
+      {showHistory && (
+        <HistoryPanel
+          projectId={projectId}
+          activeRunId={activeRunId}
+          version={historyVersion}
+          onProjectChange={changeProject}
+          onOpenRun={openSavedRun}
+          onRunDeleted={() => setActiveRunId(null)}
+          onCompare={startCompare}
+          onClose={() => setShowHistory(false)}
+        />
+      )}
+
       {/* Banner */}
       <div className="px-6 py-6 relative overflow-hidden bg-gradient-to-br from-indigo-950 via-black to-black">
         <div className="flex items-start justify-between relative z-10">
@@ -544,127 +1389,343 @@ export default function HeuristicEvaluator() {
             <h1 className="text-4xl font-semibold text-white leading-none">
               Heuristic<br/>Evaluator
             </h1>
-            <p className="text-sm text-indigo-300 mt-1">Tenets & Traps Framework</p>
+            <p className="text-sm text-indigo-300 mt-1">{shownFramework.name}</p>
           </div>
-          <button 
-            onClick={() => setShowHelp(true)}
-            className="flex items-center gap-2 px-3 py-1.5 hover:bg-white/10 rounded-lg transition-colors"
-            title="How to use"
-          >
-            <HelpCircle className="w-4 h-4 text-white/70" />
-            <span className="text-sm text-white/70 hover:text-white">Know more</span>
-          </button>
+          {readOnly ? (
+            <SharedViewActions canSave={!!shared.doc && !shared.saved} onSave={saveSharedView} onHelp={() => setShowHelp(true)} />
+          ) : (
+            <div className="flex items-center gap-1">
+              <input ref={importInputRef} type="file" accept="application/json,.json,text/html,.html" onChange={importEvaluation} className="hidden" />
+              <button 
+                onClick={() => importInputRef.current?.click()}
+                className="flex items-center gap-2 px-3 py-1.5 hover:bg-white/10 rounded-lg transition-colors"
+                title="Open an exported evaluation or a shared file"
+              >
+                <FolderOpen className="w-4 h-4 text-white/70" />
+                <span className="text-sm text-white/70 hover:text-white">Open</span>
+              </button>
+              <button 
+                onClick={() => setShowBatch(true)}
+                className="flex items-center gap-2 px-3 py-1.5 hover:bg-white/10 rounded-lg transition-colors"
+                title="Queue many evaluations"
+              >
+                <Layers className="w-4 h-4 text-white/70" />
+                <span className="text-sm text-white/70 hover:text-white">Batch</span>
+                {activeBatchCount > 0 && (
+                  <span className="px-1.5 py-0.5 bg-indigo-500 text-white rounded-full text-[10px] font-medium">{activeBatchCount}</span>
+                )}
+              </button>
+              <button 
+                onClick={() => setShowUsage(true)}
+                className="flex items-center gap-2 px-3 py-1.5 hover:bg-white/10 rounded-lg transition-colors"
+                title="Token usage, cost and budgets"
+              >
+                <Coins className="w-4 h-4 text-white/70" />
+                <span className="text-sm text-white/70 hover:text-white">Usage</span>
+              </button>
+              <button 
+                onClick={() => setShowHistory(true)}
+                className="flex items-center gap-2 px-3 py-1.5 hover:bg-white/10 rounded-lg transition-colors"
+                title="Saved evaluations"
+              >
+                <History className="w-4 h-4 text-white/70" />
+                <span className="text-sm text-white/70 hover:text-white">History</span>
+              </button>
+              <button 
+                onClick={() => setShowSettings(true)}
+                className="flex items-center gap-2 px-3 py-1.5 hover:bg-white/10 rounded-lg transition-colors"
+                title="Model settings"
+              >
+                <Settings className="w-4 h-4 text-white/70" />
+                <span className="text-sm text-white/70 hover:text-white">{getProviderConfig(settings).config.model}</span>
+              </button>
+              <button 
+                onClick={() => setShowHelp(true)}
+                className="flex items-center gap-2 px-3 py-1.5 hover:bg-white/10 rounded-lg transition-colors"
+                title="How to use"
+              >
+                <HelpCircle className="w-4 h-4 text-white/70" />
+                <span className="text-sm text-white/70 hover:text-white">Know more</span>
+              </button>
+            </div>
+          )}
         </div>
       </div>
 
-      <div className="flex flex-1 overflow-hidden">
-        {/* Left Panel - Inputs */}
-        <div className="w-72 bg-white border-r border-slate-200 overflow-y-auto p-4 flex flex-col gap-3">
-          <div>
-            <label className="block text-sm font-medium text-slate-700 mb-1">Workflow Name *</label>
-            <input
-              type="text"
-              value={workflowName}
-              onChange={(e) => setWorkflowName(e.target.value)}
-              placeholder="e.g., Asset Onboarding"
-              className="w-full px-3 py-2 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 outline-none"
-            />
+      <div className="flex flex-1 overflow-hidden relative" {...(readOnly ? {} : fileDropHandlers)}>
+        {dropActive && (
+          <div className="absolute inset-0 z-40 m-2 flex items-center justify-center rounded-xl border-2 border-dashed border-indigo-400 bg-indigo-50/80 pointer-events-none">
+            <div className="text-center text-indigo-700">
+              <Upload className="w-10 h-10 mx-auto mb-2" />
+              <p className="font-medium">Drop screenshots, PDFs, HTML pages or folders</p>
+            </div>
           </div>
+        )}
 
-          <div>
-            <label className="block text-sm font-medium text-slate-700 mb-1">
-              EPIC Details <span className="text-slate-400 font-normal">(optional)</span>
-            </label>
-            <textarea
-              value={epicDetails}
-              onChange={(e) => setEpicDetails(e.target.value)}
-              placeholder="Business context, acceptance criteria, or JIRA reference..."
-              rows={2}
-              className="w-full px-3 py-2 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 outline-none resize-none"
-            />
-          </div>
+        {/* Left Panel - Inputs, or the shared screens in the viewer */}
+        {readOnly ? (
+          <SharedViewSidebar
+            workflowName={workflowName}
+            images={images}
+            activeIndex={activeImageIndex}
+            numbered={flowMode}
+            loaded={!!shared.doc}
+            failed={!!error}
+            onSelect={selectImage}
+          >
+            {statusMessages}
+          </SharedViewSidebar>
+        ) : (
+          <div className="w-72 bg-white border-r border-slate-200 overflow-y-auto p-4 flex flex-col gap-3">
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">Workflow Name *</label>
+              <input
+                type="text"
+                value={workflowName}
+                onChange={(e) => setWorkflowName(e.target.value)}
+                placeholder="e.g., Asset Onboarding"
+                className="w-full px-3 py-2 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 outline-none"
+              />
+            </div>
 
-          <div>
-            <label className="block text-sm font-medium text-slate-700 mb-1">
-              Persona <span className="text-slate-400 font-normal">(optional)</span>
-            </label>
-            <textarea
-              value={persona}
-              onChange={(e) => setPersona(e.target.value)}
-              placeholder="User type, needs, pain points, expertise level..."
-              rows={2}
-              className="w-full px-3 py-2 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 outline-none resize-none"
-            />
-          </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">
+                EPIC Details <span className="text-slate-400 font-normal">(optional)</span>
+              </label>
+              <textarea
+                value={epicDetails}
+                onChange={(e) => setEpicDetails(e.target.value)}
+                placeholder="Business context, acceptance criteria, or JIRA reference..."
+                rows={2}
+                className="w-full px-3 py-2 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 outline-none resize-none"
+              />
+            </div>
 
-          <div>
-            <label className="block text-sm font-medium text-slate-700 mb-1">
-              Use Case Description <span className="text-slate-400 font-normal">(optional)</span>
-            </label>
-            <textarea
-              value={usecaseDescription}
-              onChange={(e) => setUsecaseDescription(e.target.value)}
-              placeholder="What the user is trying to accomplish, key scenarios..."
-              rows={2}
-              className="w-full px-3 py-2 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 outline-none resize-none"
-            />
-          </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">
+                Persona <span className="text-slate-400 font-normal">(optional)</span>
+              </label>
+              {/* A saved persona drives the framework's severity rules; the text adds anything else */}
+              <div className="flex items-center gap-1 mb-1">
+                <select
+                  value={personaProfile?.id || ''}
+                  onChange={(e) => setPersonaProfile(personas.find(p => p.id === e.target.value) || null)}
+                  className="flex-1 min-w-0 px-3 py-2 border border-slate-300 rounded-lg text-sm bg-white focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 outline-none"
+                >
+                  <option value="">No saved persona</option>
+                  {personaProfile && !personas.some(p => p.id === personaProfile.id) && <option value={personaProfile.id}>{personaProfile.name}</option>}
+                  {personas.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                </select>
+                <button onClick={() => setShowPersonas(true)} className="p-2 hover:bg-slate-100 rounded-lg" title="Manage personas">
+                  <Users className="w-4 h-4 text-slate-500" />
+                </button>
+              </div>
+              {personaProfile && <p className="text-xs text-slate-500 mb-1">{summarizePersona(personaProfile)}</p>}
+              <textarea
+                value={persona}
+                onChange={(e) => setPersona(e.target.value)}
+                placeholder="User type, needs, pain points, expertise level..."
+                rows={2}
+                className="w-full px-3 py-2 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 outline-none resize-none"
+              />
+            </div>
 
-          <div className="border-t border-slate-200 pt-3">
-            <label className="block text-sm font-medium text-slate-700 mb-1">Design Screenshot *</label>
-            <input ref={fileInputRef} type="file" accept="image/*" multiple onChange={handleFileUpload} className="hidden" />
-            <button
-              onClick={() => fileInputRef.current?.click()}
-              className="w-full px-4 py-5 border-2 border-dashed border-slate-300 rounded-lg hover:border-indigo-400 hover:bg-indigo-50 transition-all group"
-            >
-              <Upload className="w-5 h-5 mx-auto text-slate-400 group-hover:text-indigo-500 mb-1" />
-              <span className="text-sm text-slate-500 group-hover:text-indigo-600">Upload design</span>
-            </button>
-          </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">
+                Use Case Description <span className="text-slate-400 font-normal">(optional)</span>
+              </label>
+              <textarea
+                value={usecaseDescription}
+                onChange={(e) => setUsecaseDescription(e.target.value)}
+                placeholder="What the user is trying to accomplish, key scenarios..."
+                rows={2}
+                className="w-full px-3 py-2 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 outline-none resize-none"
+              />
+            </div>
 
-          {images.length > 0 && (
-            <div className="space-y-2">
-              {images.map((img, idx) => (
-                <div
-                  key={img.id}
-                  className={`flex items-center gap-2 p-2 rounded-lg cursor-pointer transition-all ${idx === activeImageIndex ? 'bg-indigo-100 border border-indigo-300' : 'bg-slate-50 hover:bg-slate-100'}`}
-                  onClick={() => { setActiveImageIndex(idx); setEvaluation(null); resetView(); }}
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">Framework</label>
+              <div className="flex items-center gap-1">
+                <select
+                  value={framework.id}
+                  onChange={(e) => setFrameworkId(e.target.value)}
+                  className="flex-1 min-w-0 px-3 py-2 border border-slate-300 rounded-lg text-sm bg-white focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 outline-none"
                 >
-                  <img src={img.data} alt="" className="w-10 h-10 object-cover rounded" />
-                  <span className="flex-1 text-sm text-slate-700 truncate">{img.name}</span>
-                  <button onClick={(e) => { e.stopPropagation(); removeImage(img.id); }} className="p-1 hover:bg-red-100 rounded">
-                    <X className="w-4 h-4 text-slate-400 hover:text-red-500" />
+                  {frameworks.map(f => <option key={f.id} value={f.id}>{f.name}</option>)}
+                </select>
+                {!isBuiltInFramework(framework.id) && (
+                  <button onClick={() => removeFramework(framework.id)} className="p-2 hover:bg-red-50 rounded-lg" title="Remove this framework">
+                    <Trash2 className="w-4 h-4 text-slate-400 hover:text-red-500" />
                   </button>
-                </div>
-              ))}
+                )}
+              </div>
+              <input ref={frameworkInputRef} type="file" accept="application/json,.json" onChange={importFramework} className="hidden" />
+              <button onClick={() => frameworkInputRef.current?.click()} className="mt-1 text-xs text-indigo-600 hover:underline">
+                Import framework JSON
+              </button>
             </div>
-          )}
 
-          {isEvaluating ? (
-            <div className="space-y-2">
-              <div className="w-full py-3 bg-indigo-100 text-indigo-700 rounded-lg font-medium flex items-center justify-center gap-2">
-                <Loader2 className="w-5 h-5 animate-spin" />
-                <span className="text-sm">Analyzing...</span>
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">Prompt template</label>
+              <div className="flex items-center gap-1">
+                <select
+                  value={promptTemplate.id}
+                  onChange={(e) => setTemplateChoice({ id: e.target.value, version: null })}
+                  className="flex-1 min-w-0 px-3 py-2 border border-slate-300 rounded-lg text-sm bg-white focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 outline-none"
+                >
+                  {templates.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+                </select>
+                <button onClick={() => setShowTemplates(true)} className="p-2 hover:bg-slate-100 rounded-lg" title="Edit, compare and version prompt templates">
+                  <FileText className="w-4 h-4 text-slate-500" />
+                </button>
               </div>
-              <button onClick={cancelEvaluation} className="w-full py-2 bg-slate-200 text-slate-600 rounded-lg text-sm hover:bg-slate-300">Cancel</button>
+              <p className="mt-1 text-xs text-slate-500">
+                {templateChoice.version && promptTemplate.version === templateChoice.version ? `Pinned to v${promptTemplate.version}` : `Latest version, v${promptTemplate.version}`}
+              </p>
             </div>
-          ) : (
-            <button
-              onClick={runEvaluation}
-              disabled={images.length === 0 || !workflowName.trim()}
-              className="w-full py-3 bg-indigo-600 text-white rounded-lg font-medium hover:bg-indigo-700 disabled:bg-slate-300 disabled:cursor-not-allowed"
-            >
-              Run Evaluation
-            </button>
-          )}
 
-          {error && <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>}
-        </div>
+            <div className="border-t border-slate-200 pt-3">
+              <label className="block text-sm font-medium text-slate-700 mb-1">Design Screenshot *</label>
+              <input ref={fileInputRef} type="file" accept="image/*,.html,.htm,text/html,application/pdf,.pdf" multiple onChange={handleFileUpload} className="hidden" />
+              <button
+                onClick={() => fileInputRef.current?.click()}
+                className="w-full px-4 py-5 border-2 border-dashed border-slate-300 rounded-lg hover:border-indigo-400 hover:bg-indigo-50 transition-all group"
+              >
+                <Upload className="w-5 h-5 mx-auto text-slate-400 group-hover:text-indigo-500 mb-1" />
+                <span className="text-sm text-slate-500 group-hover:text-indigo-600">Upload design</span>
+                <span className="block text-[11px] text-slate-400 mt-0.5">or drop files here, or paste a screenshot · images, PDF, HTML</span>
+              </button>
+              {importStatus && (
+                <p className="flex items-center gap-1.5 mt-1 text-xs text-indigo-600">
+                  <Loader2 className="w-3.5 h-3.5 animate-spin" /> {importStatus}
+                </p>
+              )}
+              <button onClick={() => setHtmlImport({})} className="mt-1 text-xs text-indigo-600 hover:underline">
+                or evaluate an HTML page
+              </button>
+            </div>
+
+            {images.length > 0 && (
+              <div className="space-y-2">
+                {images.map((img, idx) => (
+                  <div
+                    key={img.id}
+                    draggable={renamingImageId !== img.id}
+                    onDragStart={(e) => { e.dataTransfer.effectAllowed = 'move'; e.dataTransfer.setData('text/plain', img.name); setDraggedImageIndex(idx); }}
+                    onDragOver={(e) => { if (draggedImageIndex === null) return; e.preventDefault(); setImageDropIndex(idx); }}
+                    onDrop={(e) => { if (draggedImageIndex === null) return; e.preventDefault(); dropThumbnail(idx); }}
+                    onDragEnd={() => { setDraggedImageIndex(null); setImageDropIndex(null); }}
+                    className={`group flex items-center gap-2 p-2 rounded-lg cursor-pointer transition-all ${idx === activeImageIndex ? 'bg-indigo-100 border border-indigo-300' : 'bg-slate-50 hover:bg-slate-100'} ${imageDropIndex === idx && draggedImageIndex !== idx ? 'ring-2 ring-indigo-400' : ''} ${draggedImageIndex === idx ? 'opacity-50' : ''}`}
+                    onClick={() => selectImage(idx)}
+                    title="Drag to reorder"
+                  >
+                    {flowMode && <span className="text-xs font-bold text-indigo-600 w-4 text-center flex-shrink-0">{idx + 1}</span>}
+                    <img src={img.data} alt="" className="w-10 h-10 object-cover rounded" draggable={false} />
+                    <div className="flex-1 min-w-0">
+                      {renamingImageId === img.id ? (
+                        <input
+                          type="text"
+                          defaultValue={img.name}
+                          autoFocus
+                          onFocus={(e) => e.target.select()}
+                          onClick={(e) => e.stopPropagation()}
+                          onBlur={(e) => renameImage(img.id, e.target.value)}
+                          onKeyDown={(e) => {
+                            if (e.key === 'Enter') e.target.blur();
+                            if (e.key === 'Escape') setRenamingImageId(null);
+                          }}
+                          className="w-full px-1 py-0.5 border border-indigo-300 rounded text-sm outline-none focus:ring-1 focus:ring-indigo-500"
+                        />
+                      ) : (
+                        <span className="block text-sm text-slate-700 truncate" onDoubleClick={(e) => { e.stopPropagation(); setRenamingImageId(img.id); }}>{img.name}</span>
+                      )}
+                      {img.page && (
+                        <span className="block text-[10px] text-slate-500">
+                          HTML · {img.page.facts.length} measured {img.page.facts.length === 1 ? 'issue' : 'issues'}
+                        </span>
+                      )}
+                    </div>
+                    {flowMode && (
+                      <div className="flex flex-col">
+                        <button onClick={(e) => { e.stopPropagation(); reorderImage(idx, idx - 1); }} disabled={idx === 0} className="hover:bg-indigo-200 rounded disabled:opacity-30" title="Move earlier">
+                          <ChevronUp className="w-3.5 h-3.5 text-slate-500" />
+                        </button>
+                        <button onClick={(e) => { e.stopPropagation(); reorderImage(idx, idx + 1); }} disabled={idx === images.length - 1} className="hover:bg-indigo-200 rounded disabled:opacity-30" title="Move later">
+                          <ChevronDown className="w-3.5 h-3.5 text-slate-500" />
+                        </button>
+                      </div>
+                    )}
+                    <button onClick={(e) => { e.stopPropagation(); setRenamingImageId(img.id); }} className="p-1 hover:bg-indigo-200 rounded opacity-0 group-hover:opacity-100" title="Rename">
+                      <Pencil className="w-3.5 h-3.5 text-slate-400" />
+                    </button>
+                    <button onClick={(e) => { e.stopPropagation(); removeImage(img.id); }} className="p-1 hover:bg-red-100 rounded">
+                      <X className="w-4 h-4 text-slate-400 hover:text-red-500" />
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {images.length > 1 && (
+              <label className="flex items-start gap-2 p-2 bg-slate-50 rounded-lg cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={flowMode}
+                  onChange={(e) => setFlowMode(e.target.checked)}
+                  className="mt-0.5 accent-indigo-600"
+                />
+                <span className="text-sm text-slate-700">
+                  Evaluate as flow
+                  <span className="block text-xs text-slate-500">Send all screens in this order as one journey</span>
+                </span>
+              </label>
+            )}
+
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">Runs per evaluation</label>
+              <select
+                value={consensusRuns}
+                onChange={(e) => setConsensusRuns(Number(e.target.value))}
+                className="w-full px-3 py-2 border border-slate-300 rounded-lg text-sm bg-white focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 outline-none"
+              >
+                <option value={1}>1 run</option>
+                <option value={3}>3 runs (consensus)</option>
+                <option value={5}>5 runs (consensus)</option>
+              </select>
+              {consensusRuns > 1 && (
+                <p className="text-xs text-slate-500 mt-1">Findings are kept with how many runs found them; scores are averaged. Large screenshots are not tiled.</p>
+              )}
+            </div>
+
+            {isEvaluating ? (
+              <div className="space-y-2">
+                <div className="w-full py-3 bg-indigo-100 text-indigo-700 rounded-lg font-medium flex items-center justify-center gap-2">
+                  <Loader2 className="w-5 h-5 animate-spin" />
+                  <span className="text-sm">Analyzing...{evaluationProgress && ` ${PROGRESS_UNITS[evaluationProgress.unit] || 'Run'} ${evaluationProgress.step} of ${evaluationProgress.steps}`}</span>
+                </div>
+                <button onClick={cancelEvaluation} className="w-full py-2 bg-slate-200 text-slate-600 rounded-lg text-sm hover:bg-slate-300">Cancel</button>
+              </div>
+            ) : (
+              <button
+                onClick={() => runEvaluation()}
+                disabled={images.length === 0 || !workflowName.trim()}
+                className="w-full py-3 bg-indigo-600 text-white rounded-lg font-medium hover:bg-indigo-700 disabled:bg-slate-300 disabled:cursor-not-allowed"
+              >
+                {flowMode && images.length > 1 ? `Evaluate Flow (${images.length} screens)` : 'Run Evaluation'}
+              </button>
+            )}
+            {settings.cache.replay && (
+              <p className="text-xs text-amber-700">Replay mode: only cached results are shown and the model is never called.</p>
+            )}
+
+            {statusMessages}
+          </div>
+        )}
 
         {/* Center - Design Preview with Zoom */}
         <div className="flex-1 flex flex-col overflow-hidden">
           {/* Zoom Controls */}
-          {images.length > 0 && (
+          {(images.length > 0 || comparison) && (
             <div className="flex items-center justify-center gap-1 py-2 bg-white border-b border-slate-200">
               <button onClick={handleZoomOut} className="p-2 hover:bg-slate-100 rounded-lg transition-colors" title="Zoom Out">
                 <ZoomOut className="w-5 h-5 text-slate-600" />
@@ -683,105 +1744,287 @@ export default function HeuristicEvaluator() {
               <button onClick={resetView} className="p-2 hover:bg-slate-100 rounded-lg transition-colors" title="Reset View">
                 <RotateCcw className="w-4 h-4 text-slate-600" />
               </button>
+              {evaluation && !comparison && (
+                <>
+                  <div className="w-px h-6 bg-slate-200 mx-2" />
+                  <span className="text-xs text-slate-500">
+                    {activeScreen === 0
+                      ? 'Not part of this evaluation'
+                      : evaluation.flow ? `Screen ${activeScreen} of ${evaluation.evaluatedImages.length}` : 'Evaluated screen'}
+                  </span>
+                  {!readOnly && (
+                    <>
+                      <div className="w-px h-6 bg-slate-200 mx-2" />
+                      <button
+                        onClick={() => setAddingTrap(!addingTrap)}
+                        disabled={activeScreen === 0 || isEvaluating}
+                        className={`flex items-center gap-1 px-2 py-1 text-xs rounded-lg transition-colors disabled:opacity-40 ${addingTrap ? 'bg-indigo-100 text-indigo-700' : 'hover:bg-slate-100 text-slate-600'}`}
+                        title={`Click on the screenshot to add a ${evaluationFramework.labels.item.toLowerCase()}`}
+                      >
+                        <Plus className="w-4 h-4" /> Add {evaluationFramework.labels.item.toLowerCase()}
+                      </button>
+                      <button onClick={undoReviewChange} disabled={reviewHistory.past.length === 0} className="p-2 hover:bg-slate-100 rounded-lg transition-colors disabled:opacity-40" title="Undo (Ctrl+Z)">
+                        <Undo2 className="w-4 h-4 text-slate-600" />
+                      </button>
+                      <button onClick={redoReviewChange} disabled={reviewHistory.future.length === 0} className="p-2 hover:bg-slate-100 rounded-lg transition-colors disabled:opacity-40" title="Redo (Ctrl+Shift+Z)">
+                        <Redo2 className="w-4 h-4 text-slate-600" />
+                      </button>
+                    </>
+                  )}
+                </>
+              )}
             </div>
           )}
           
-          <div 
-            ref={containerRef}
-            className="flex-1 p-4 overflow-hidden"
-            onWheel={handleWheel}
-            onMouseDown={handleMouseDown}
-            onMouseMove={handleMouseMove}
-            onMouseUp={handleMouseUp}
-            onMouseLeave={handleMouseUp}
-            onDoubleClick={handleDoubleClick}
-            style={{ cursor: isDragging ? 'grabbing' : 'grab' }}
-          >
-            {images.length > 0 ? (
-              <div 
-                className="h-full w-full flex items-center justify-center rounded-xl overflow-hidden"
-                style={{
-                  backgroundColor: '#e2e8f0',
-                  backgroundImage: 'radial-gradient(circle, #94a3b8 1px, transparent 1px)',
-                  backgroundSize: '20px 20px'
-                }}
-              >
+          {comparison ? (
+            <CompareCanvas
+              before={comparison.before}
+              after={comparison.after}
+              result={comparison.result}
+              sides={comparison.sides}
+              screen={compareScreen}
+              onScreenChange={setCompareScreen}
+              zoom={zoom}
+              pan={pan}
+              isDragging={isDragging}
+              handlers={{
+                onWheel: handleWheel,
+                onMouseDown: handleMouseDown,
+                onMouseMove: handleMouseMove,
+                onMouseUp: handleMouseUp,
+                onDoubleClick: handleDoubleClick
+              }}
+              selectedIndex={compareSelected}
+              onSelect={selectCompareItem}
+            />
+          ) : (
+            <div 
+              ref={containerRef}
+              className="flex-1 p-4 overflow-hidden"
+              onWheel={handleWheel}
+              onMouseDown={handleMouseDown}
+              onMouseMove={handleMouseMove}
+              onMouseUp={handleMouseUp}
+              onMouseLeave={handleMouseUp}
+              onDoubleClick={handleDoubleClick}
+              style={{ cursor: addingTrap ? 'crosshair' : isDragging ? 'grabbing' : 'grab' }}
+            >
+              {images.length > 0 ? (
                 <div 
-                  className="relative"
-                  style={{ 
-                    transform: `scale(${zoom}) translate(${pan.x / zoom}px, ${pan.y / zoom}px)`,
-                    transformOrigin: 'center center',
-                    transition: isDragging ? 'none' : 'transform 0.1s ease-out'
+                  className="h-full w-full flex items-center justify-center rounded-xl overflow-hidden"
+                  style={{
+                    backgroundColor: '#e2e8f0',
+                    backgroundImage: 'radial-gradient(circle, #94a3b8 1px, transparent 1px)',
+                    backgroundSize: '20px 20px'
                   }}
                 >
-                  <img 
-                    src={images[activeImageIndex]?.data} 
-                    alt="Design" 
-                    className="max-h-[70vh] max-w-full object-contain rounded-lg shadow-lg"
-                    draggable={false}
-                  />
-                  {evaluation?.traps?.map((trap, idx) => <TrapMarker key={trap.id} trap={trap} index={idx} />)}
+                  <div 
+                    className="relative"
+                    style={{ 
+                      transform: `scale(${zoom}) translate(${pan.x / zoom}px, ${pan.y / zoom}px)`,
+                      transformOrigin: 'center center',
+                      transition: isDragging ? 'none' : 'transform 0.1s ease-out'
+                    }}
+                  >
+                    <img 
+                      ref={imageRef}
+                      src={images[activeImageIndex]?.data} 
+                      alt="Design" 
+                      className="max-h-[70vh] max-w-full object-contain rounded-lg shadow-lg"
+                      draggable={false}
+                      onClick={placeTrap}
+                    />
+                    <RegionOverlay
+                      zoom={zoom}
+                      regions={screenLocations.filter(({ location }) => getLocationBounds(location)).map(({ trap, locationIndex, location }) => ({
+                        key: `${trap.id}-${locationIndex}`,
+                        location,
+                        color: (SEVERITY_CONFIG[trap.severity] || SEVERITY_CONFIG['P3']).color,
+                        active: selectedTrap?.id === trap.id || hoveredTrap?.id === trap.id
+                      }))}
+                    />
+                    {screenLocations.map(({ trap, index, locationIndex, location }) => (
+                      <TrapMarker key={`${trap.id}-${locationIndex}`} trap={trap} location={location} locationIndex={locationIndex} index={index} />
+                    ))}
+                  </div>
                 </div>
-              </div>
-            ) : (
-              <div 
-                className="h-full flex items-center justify-center rounded-xl border-2 border-dashed border-slate-300"
-                style={{
-                  backgroundColor: '#f8fafc',
-                  backgroundImage: 'radial-gradient(circle, #cbd5e1 1px, transparent 1px)',
-                  backgroundSize: '20px 20px'
-                }}
-              >
-                <div className="text-center text-slate-400">
-                  <Upload className="w-12 h-12 mx-auto mb-3 opacity-50" />
-                  <p className="font-medium">Upload a design to evaluate</p>
+              ) : (
+                <div 
+                  className="h-full flex items-center justify-center rounded-xl border-2 border-dashed border-slate-300"
+                  style={{
+                    backgroundColor: '#f8fafc',
+                    backgroundImage: 'radial-gradient(circle, #cbd5e1 1px, transparent 1px)',
+                    backgroundSize: '20px 20px'
+                  }}
+                >
+                  <div className="text-center text-slate-400">
+                    <Upload className="w-12 h-12 mx-auto mb-3 opacity-50" />
+                    <p className="font-medium">Upload a design to evaluate</p>
+                    <p className="text-sm mt-1">Drop screenshots, PDFs or a folder here, or paste from the clipboard</p>
+                  </div>
                 </div>
-              </div>
-            )}
-          </div>
+              )}
+            </div>
+          )}
         </div>
 
         {/* Right Panel - Results */}
         <div className="w-80 bg-white border-l border-slate-200 overflow-y-auto">
-          {isEvaluating && (
+          {comparison && (
+            <ComparePanel
+              before={comparison.before}
+              after={comparison.after}
+              result={comparison.result}
+              labels={getRunFramework(comparison.after).labels}
+              sides={comparison.sides}
+              selectedIndex={compareSelected}
+              onSelect={selectCompareItem}
+              onExit={() => { setComparison(null); resetView(); }}
+            />
+          )}
+
+          {!comparison && isEvaluating && !evaluation && (
             <div className="h-full flex items-center justify-center p-8">
               <div className="text-center">
                 <Loader2 className="w-10 h-10 mx-auto mb-3 text-indigo-500 animate-spin" />
-                <p className="font-medium text-slate-700">Analyzing design...</p>
-                <p className="text-sm text-slate-500 mt-1">Finding UX traps</p>
+                <p className="font-medium text-slate-700">{flowMode && images.length > 1 ? 'Analyzing flow...' : 'Analyzing design...'}</p>
+                <p className="text-sm text-slate-500 mt-1">
+                  {evaluationProgress ? `${PROGRESS_UNITS[evaluationProgress.unit] || 'Run'} ${evaluationProgress.step} of ${evaluationProgress.steps}` : `Finding UX ${framework.labels.items.toLowerCase()}`}
+                </p>
               </div>
             </div>
           )}
 
-          {evaluation && (
+          {!comparison && evaluation && (
             <div className="p-4 space-y-4">
               {/* Summary */}
               <div className="border border-slate-200 rounded-lg p-4">
                 <div className="flex items-center justify-between mb-3">
                   <span className="text-sm text-slate-600">Score</span>
                   <div className="flex items-center gap-2">
-                    <span className="text-2xl font-bold text-slate-900">{evaluation.score}/10</span>
-                    <button
-                      onClick={exportResults}
-                      className="p-1.5 hover:bg-slate-100 rounded-lg transition-colors"
-                      title="Export results"
-                    >
-                      <Download className="w-4 h-4 text-slate-500" />
-                    </button>
+                    <span className="text-2xl font-bold text-slate-900">{evaluation.score ?? '—'}/10</span>
+                    {!readOnly && !isEvaluating && (
+                      <button
+                        onClick={() => setShowShare(true)}
+                        className="p-1.5 hover:bg-slate-100 rounded-lg transition-colors"
+                        title="Share a read-only link"
+                      >
+                        <Share2 className="w-4 h-4 text-slate-500" />
+                      </button>
+                    )}
+                    <div className={`relative ${isEvaluating ? 'hidden' : ''}`}>
+                      <button
+                        onClick={() => setShowExportMenu(!showExportMenu)}
+                        className="p-1.5 hover:bg-slate-100 rounded-lg transition-colors"
+                        title="Export results"
+                      >
+                        <Download className="w-4 h-4 text-slate-500" />
+                      </button>
+                      {showExportMenu && (
+                        <div className="absolute right-0 top-8 z-20 w-56 bg-white border border-slate-200 rounded-lg shadow-lg py-1">
+                          <button onClick={() => exportResults(true)} className="w-full text-left px-3 py-2 text-sm text-slate-700 hover:bg-slate-50">
+                            JSON with screenshots
+                            <span className="block text-xs text-slate-500">Self-contained, opens anywhere</span>
+                          </button>
+                          <button onClick={() => exportResults(false)} className="w-full text-left px-3 py-2 text-sm text-slate-700 hover:bg-slate-50">
+                            JSON, screenshots by hash
+                            <span className="block text-xs text-slate-500">Smaller; reopens where the screenshots are saved</span>
+                          </button>
+                          <div className="my-1 border-t border-slate-100" />
+                          <button onClick={() => exportReport('html')} className="w-full text-left px-3 py-2 text-sm text-slate-700 hover:bg-slate-50">
+                            HTML report
+                            <span className="block text-xs text-slate-500">Annotated screenshots, prints cleanly</span>
+                          </button>
+                          <button onClick={() => exportReport('pdf')} className="w-full text-left px-3 py-2 text-sm text-slate-700 hover:bg-slate-50">
+                            PDF report
+                            <span className="block text-xs text-slate-500">For stakeholders without the app</span>
+                          </button>
+                          <div className="my-1 border-t border-slate-100" />
+                          <button onClick={() => { setShowExportMenu(false); setShowTickets(true); }} className="w-full text-left px-3 py-2 text-sm text-slate-700 hover:bg-slate-50">
+                            Tickets…
+                            <span className="block text-xs text-slate-500">Jira CSV or GitHub issues, edited first</span>
+                          </button>
+                        </div>
+                      )}
+                    </div>
                   </div>
                 </div>
-                <span className={`inline-block px-3 py-1 rounded-full text-sm font-medium ${
-                  evaluation.summary?.verdict === 'Pass' ? 'bg-green-100 text-green-700' :
-                  evaluation.summary?.verdict === 'Critical' ? 'bg-red-100 text-red-700' :
-                  'bg-amber-100 text-amber-700'
-                }`}>
-                  {evaluation.summary?.verdict}
-                </span>
+                {evaluation.summary?.verdict && (
+                  <span className={`inline-block px-3 py-1 rounded-full text-sm font-medium ${
+                    evaluation.summary.verdict === 'Pass' ? 'bg-green-100 text-green-700' :
+                    evaluation.summary.verdict === 'Critical' ? 'bg-red-100 text-red-700' :
+                    'bg-amber-100 text-amber-700'
+                  }`}>
+                    {evaluation.summary.verdict}
+                  </span>
+                )}
                 {evaluation.summary?.health && (
                   <p className="text-xs text-slate-500 mt-2">{evaluation.summary.health}</p>
                 )}
+                {evaluation.consensus && (
+                  <p className="text-xs text-slate-500 mt-2">
+                    Consensus of {evaluation.consensus.runs} runs
+                    {evaluation.consensus.score && ` · score ${evaluation.consensus.score.min}–${evaluation.consensus.score.max}, variance ${evaluation.consensus.score.variance}`}
+                  </p>
+                )}
+                {evaluation.promptTemplate && (
+                  <p className="text-xs text-slate-500 mt-2">Prompt template: {templateLabel(evaluation.promptTemplate)}</p>
+                )}
+                {cachedResult?.evaluation === evaluation && (
+                  <p className="text-xs text-slate-500 mt-2">
+                    Cached result from {new Date(cachedResult.createdAt).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })}; no request was sent.
+                    {!settings.cache.replay && !isEvaluating && (
+                      <button onClick={() => runEvaluation({ fresh: true })} className="ml-1 text-indigo-600 hover:text-indigo-800 font-medium">Run fresh</button>
+                    )}
+                  </p>
+                )}
+                {evaluation.tiling && (
+                  <p className="text-xs text-slate-500 mt-2" title={`${evaluation.tiling.width} × ${evaluation.tiling.height} px, ${evaluation.tiling.columns} × ${evaluation.tiling.rows} tiles`}>
+                    Analyzed in {evaluation.tiling.tiles} tiles at full resolution; scores are averaged over the tiles
+                  </p>
+                )}
               </div>
 
+              {/* Streaming progress, or what is missing from a cancelled evaluation */}
+              {evaluation.incomplete && (isEvaluating ? (
+                <div className="flex items-center gap-2 px-3 py-2 bg-indigo-50 border border-indigo-200 rounded-lg text-xs text-indigo-700">
+                  <Loader2 className="w-4 h-4 animate-spin flex-shrink-0" />
+                  Receiving results… {evaluation.traps.length} {evaluationFramework.labels.items.toLowerCase()} so far
+                </div>
+              ) : (
+                <div className="flex items-start gap-2 px-3 py-2 bg-amber-50 border border-amber-200 rounded-lg text-xs text-amber-800">
+                  <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+                  <span>
+                    <span className="font-semibold">Incomplete result.</span> The evaluation was cancelled before the model finished; only what had arrived is shown.
+                    {missingParts.length > 0 && ` Missing: ${missingParts.join(' and ')}.`}
+                  </span>
+                </div>
+              ))}
+
+              {/* Validation diagnostics */}
+              {evaluation.validation?.issues?.length > 0 && (
+                <div className="border border-amber-200 rounded-lg overflow-hidden">
+                  <button onClick={() => setExpandedValidation(!expandedValidation)} className="w-full px-3 py-2 bg-amber-50 flex items-center justify-between hover:bg-amber-100">
+                    <span className="flex items-center gap-2 text-xs font-medium text-amber-800">
+                      <AlertTriangle className="w-4 h-4" />
+                      {evaluation.validation.issues.filter(i => i.level === 'warning').length} fixed · {evaluation.validation.issues.filter(i => i.level === 'error').length} dropped
+                      {evaluation.validation.repaired && ' · auto-repaired'}
+                    </span>
+                    {expandedValidation ? <ChevronUp className="w-4 h-4 text-amber-700" /> : <ChevronDown className="w-4 h-4 text-amber-700" />}
+                  </button>
+                  {expandedValidation && (
+                    <ul className="p-3 space-y-1.5">
+                      {evaluation.validation.issues.map((issue, idx) => (
+                        <li key={idx} className="text-xs">
+                          <span className={`font-mono ${issue.level === 'error' ? 'text-red-700' : 'text-amber-700'}`}>{issue.path}</span>
+                          <span className="text-slate-600"> — {issue.message}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              )}
+
               {/* Context Summary */}
               {evaluation.summary?.userIntent && (
                 <div className="border border-slate-200 rounded-lg p-3">
@@ -796,29 +2039,49 @@ export default function HeuristicEvaluator() {
                 </div>
               )}
 
-              {/* Tenet Scores */}
+              {/* Category Scores */}
               {evaluation.tenetScores && (
                 <div className="border border-slate-200 rounded-lg overflow-hidden">
                   <button onClick={() => setExpandedTenets(!expandedTenets)} className="w-full px-4 py-3 bg-slate-50 flex items-center justify-between hover:bg-slate-100">
-                    <span className="font-semibold text-slate-900">Tenet Scores</span>
+                    <span className="font-semibold text-slate-900">{evaluationFramework.labels.category} Scores</span>
                     {expandedTenets ? <ChevronUp className="w-5 h-5 text-slate-500" /> : <ChevronDown className="w-5 h-5 text-slate-500" />}
                   </button>
                   {expandedTenets && (
                     <div className="p-3 space-y-2">
-                      {Object.entries(evaluation.tenetScores).map(([tenet, score]) => (
+                      {evaluation.screenScores?.length > 0 && (
+                        <div className="flex flex-wrap gap-1 pb-2">
+                          <button onClick={() => setTenetScoreScreen(null)} className={`px-2 py-1 text-xs rounded ${tenetScoreScreen === null ? 'bg-indigo-100 text-indigo-700' : 'hover:bg-slate-100 text-slate-600'}`}>Flow</button>
+                          {evaluation.screenScores.map(({ screen }) => (
+                            <button key={screen} onClick={() => setTenetScoreScreen(screen)} className={`px-2 py-1 text-xs rounded ${tenetScoreScreen === screen ? 'bg-indigo-100 text-indigo-700' : 'hover:bg-slate-100 text-slate-600'}`}>
+                              Screen {screen}
+                            </button>
+                          ))}
+                        </div>
+                      )}
+                      {Object.entries(
+                        (tenetScoreScreen !== null && evaluation.screenScores?.find(s => s.screen === tenetScoreScreen)?.tenetScores) || evaluation.tenetScores
+                      ).map(([tenet, score]) => (
                         <div key={tenet} className="flex items-center justify-between">
-                          <span className="text-sm text-slate-600">{tenet}</span>
+                          <span className="flex items-center gap-2 text-sm text-slate-600">
+                            <span className="w-2 h-2 rounded-full flex-shrink-0" style={{ backgroundColor: getCategoryColor(evaluationFramework, tenet) }} />
+                            {tenet}
+                          </span>
                           <div className="flex items-center gap-1">
-                            {[1,2,3,4,5].map(i => (
+                            {scaleSteps(evaluationFramework).map(i => (
                               <div key={i} className={`w-2 h-2 rounded-full ${i <= score ? 'bg-indigo-500' : 'bg-slate-200'}`} />
                             ))}
-                            <span className="text-xs text-slate-500 ml-1">{score}/5</span>
+                            <span className="text-xs text-slate-500 ml-1">{score}/{evaluationFramework.scale.max}</span>
+                            {tenetScoreScreen === null && evaluation.consensus?.tenetScores[tenet] && (
+                              <span className="text-[10px] text-slate-400 w-14 text-right" title={`Run scores: ${evaluation.consensus.tenetScores[tenet].values.join(', ')}`}>
+                                var {evaluation.consensus.tenetScores[tenet].variance}
+                              </span>
+                            )}
                           </div>
                         </div>
                       ))}
                       {evaluation.tenetWin && (
                         <div className="mt-2 p-2 bg-green-50 rounded-lg">
-                          <p className="text-xs font-medium text-green-700">🏆 Tenet Win</p>
+                          <p className="text-xs font-medium text-green-700">🏆 {evaluationFramework.labels.category} Win</p>
                           <p className="text-xs text-green-800">{evaluation.tenetWin}</p>
                         </div>
                       )}
@@ -831,29 +2094,68 @@ export default function HeuristicEvaluator() {
               <div className="border border-slate-200 rounded-lg overflow-hidden">
                 <button onClick={() => setExpandedTraps(!expandedTraps)} className="w-full px-4 py-3 bg-slate-50 flex items-center justify-between hover:bg-slate-100">
                   <div className="flex items-center gap-2">
-                    <span className="font-semibold text-slate-900">Traps Found</span>
-                    <span className="px-2 py-0.5 bg-red-100 text-red-700 rounded-full text-xs font-medium">{evaluation.traps?.length || 0}</span>
+                    <span className="font-semibold text-slate-900">{evaluationFramework.labels.items} Found</span>
+                    <span className="px-2 py-0.5 bg-red-100 text-red-700 rounded-full text-xs font-medium">{shownTraps.length}</span>
                   </div>
                   {expandedTraps ? <ChevronUp className="w-5 h-5 text-slate-500" /> : <ChevronDown className="w-5 h-5 text-slate-500" />}
                 </button>
                 {expandedTraps && (
                   <div className="divide-y divide-slate-100">
-                    {evaluation.traps?.map((trap, idx) => {
+                    {shownTraps.map((trap, idx) => {
                       const severity = SEVERITY_CONFIG[trap.severity] || SEVERITY_CONFIG['P3'];
                       const isExpanded = selectedTrap?.id === trap.id;
+                      const isEditing = isExpanded && editingTrapId === trap.id;
+                      const evidenceLocation = getTrapLocations(trap)[0];
+                      const evidenceImage = evidenceLocation && getScreenImage(evidenceLocation.screen ?? 1);
                       
                       return (
-                        <div key={trap.id} className={`p-3 cursor-pointer transition-all ${isExpanded ? 'bg-slate-50' : 'hover:bg-slate-50'}`} onClick={() => setSelectedTrap(isExpanded ? null : trap)}>
+                        <div key={trap.id} className={`p-3 cursor-pointer transition-all ${isExpanded ? 'bg-slate-50' : 'hover:bg-slate-50'}`} onClick={() => focusTrap(trap)}>
                           <div className="flex items-start gap-3">
                             <div className="flex items-center justify-center w-6 h-6 rounded-full text-white text-xs font-bold flex-shrink-0" style={{ backgroundColor: severity.color }}>{idx + 1}</div>
                             <div className="flex-1 min-w-0">
                               <div className="flex items-center gap-2 mb-1">
                                 <span className="font-medium text-slate-900 text-sm">{trap.name}</span>
+                                {trap.origin === 'reviewer' && <span className="px-1.5 py-0.5 bg-indigo-50 text-indigo-600 rounded text-[10px] font-medium">Added</span>}
+                                {trap.edited && <span className="px-1.5 py-0.5 bg-slate-100 text-slate-500 rounded text-[10px] font-medium">Edited</span>}
+                                {trap.consensus?.lowAgreement && <span className="px-1.5 py-0.5 bg-amber-50 text-amber-700 rounded text-[10px] font-medium">Low agreement</span>}
+                                {personaAdjustmentLabel(trap) && (
+                                  <span className="px-1.5 py-0.5 bg-violet-50 text-violet-700 rounded text-[10px] font-medium" title={trap.personaAdjustment.reasons.join('\n')}>
+                                    {personaAdjustmentLabel(trap).split(' ')[0]} for persona
+                                  </span>
+                                )}
+                                {trap.facts?.length > 0 && <span className="px-1.5 py-0.5 bg-emerald-50 text-emerald-700 rounded text-[10px] font-medium" title={`Based on measured page facts ${trap.facts.join(', ')}`}>Measured</span>}
                               </div>
                               <p className="text-xs text-slate-500">{trap.tenet && `${trap.tenet} · `}{trap.location?.description}</p>
+                              {trap.consensus && (
+                                <p className="text-xs text-slate-500 mt-0.5" title={`Severities: ${trap.consensus.severities.join(', ')}`}>
+                                  Found in {trap.consensus.found} of {trap.consensus.runs} runs · {Math.round(trap.consensus.confidence * 100)}% confidence · avg P{trap.consensus.severityMean}
+                                </p>
+                              )}
+                              {evaluation.flow && (
+                                <p className="text-xs text-indigo-600 mt-0.5">
+                                  {getTrapScreens(trap).length > 1 ? 'Screens' : 'Screen'} {getTrapScreens(trap).join(', ')}
+                                </p>
+                              )}
+                              {evidenceImage && <EvidenceThumbnail src={evidenceImage.data} location={evidenceLocation} color={severity.color} />}
                               
-                              {isExpanded && (
+                              {isEditing && (
+                                <TrapEditor
+                                  trap={trap}
+                                  framework={evaluationFramework}
+                                  onChange={(changes) => commitReview(editTrap(reviewHistory.present, trap.id, changes))}
+                                  onDismiss={(reason) => dismissReviewedTrap(trap, reason)}
+                                  onRevert={() => commitReview(revertTrap(reviewHistory.present, trap.id))}
+                                />
+                              )}
+
+                              {isExpanded && !isEditing && (
                                 <div className="mt-3 space-y-2 pt-3 border-t border-slate-200">
+                                  {personaAdjustmentLabel(trap) && (
+                                    <div className="p-2 bg-violet-50 rounded-lg">
+                                      <span className="text-xs font-medium text-violet-700">{personaAdjustmentLabel(trap)}</span>
+                                      {trap.personaAdjustment.reasons.map(reason => <p key={reason} className="text-xs text-violet-800 mt-1">{reason}</p>)}
+                                    </div>
+                                  )}
                                   <div>
                                     <span className="text-xs font-medium text-slate-500">Evidence</span>
                                     <p className="text-sm text-slate-700">{trap.evidence}</p>
@@ -882,14 +2184,81 @@ export default function HeuristicEvaluator() {
                                       <p className="text-xs text-green-800 mt-1">{trap.aiFix}</p>
                                     </div>
                                   )}
+                                  {!readOnly && (
+                                    <div className="flex items-center gap-1">
+                                      <button
+                                        onClick={(e) => { e.stopPropagation(); setEditingTrapId(trap.id); }}
+                                        className="flex items-center gap-1 px-2 py-1 text-xs text-slate-600 hover:bg-slate-200 rounded"
+                                      >
+                                        <Pencil className="w-3.5 h-3.5" /> Edit finding
+                                      </button>
+                                      {!isEvaluating && discussingTrapId !== trap.id && (
+                                        <button
+                                          onClick={(e) => { e.stopPropagation(); setDiscussingTrapId(trap.id); }}
+                                          className="flex items-center gap-1 px-2 py-1 text-xs text-slate-600 hover:bg-slate-200 rounded"
+                                        >
+                                          <MessageSquare className="w-3.5 h-3.5" /> Discuss{discussions[trap.id] && ` (${discussions[trap.id].length})`}
+                                        </button>
+                                      )}
+                                    </div>
+                                  )}
                                 </div>
                               )}
+
+                              {isExpanded && !isEditing && discussingTrapId === trap.id && (
+                                <TrapDiscussion
+                                  trap={trap}
+                                  turns={discussions[trap.id] || []}
+                                  onAsk={(turns, options) => askAboutTrap(trap, turns, options)}
+                                  onChange={(turns) => changeDiscussion(trap.id, turns)}
+                                  onAccept={(proposal) => commitReview(editTrap(reviewHistory.present, trap.id, proposal))}
+                                  onClose={() => setDiscussingTrapId(null)}
+                                />
+                              )}
                             </div>
                             <span className="px-2 py-0.5 rounded text-xs font-semibold text-white flex-shrink-0" style={{ backgroundColor: severity.color }}>{trap.severity}</span>
                           </div>
                         </div>
                       );
                     })}
+
+                    {(hiddenTrapCount > 0 || showLowAgreement) && evaluation.consensus?.lowAgreementCount > 0 && (
+                      <button onClick={() => setShowLowAgreement(!showLowAgreement)} className="w-full p-3 text-left text-xs font-medium text-amber-700 hover:bg-amber-50">
+                        {showLowAgreement
+                          ? 'Hide low-agreement findings'
+                          : `${hiddenTrapCount} low-agreement ${hiddenTrapCount === 1 ? 'finding' : 'findings'} hidden (found in half the runs or fewer) · Show`}
+                      </button>
+                    )}
+
+                    {/* False positives the reviewer dismissed, kept so they can be restored */}
+                    {reviewed.dismissedTraps.length > 0 && (
+                      <div className="p-3 bg-slate-50">
+                        <button onClick={() => setShowDismissed(!showDismissed)} className="w-full flex items-center justify-between text-xs font-medium text-slate-500">
+                          <span>Dismissed as false positives ({reviewed.dismissedTraps.length})</span>
+                          {showDismissed ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+                        </button>
+                        {showDismissed && (
+                          <div className="mt-2 space-y-2">
+                            {reviewed.dismissedTraps.map(trap => (
+                              <div key={trap.id} className="flex items-start gap-2 text-xs">
+                                <div className="flex-1 min-w-0">
+                                  <p className="text-slate-500 line-through">{trap.name} · {trap.severity}</p>
+                                  <p className="text-slate-600">{trap.dismissedReason}</p>
+                                </div>
+                                {!readOnly && (
+                                  <button
+                                    onClick={() => commitReview(restoreTrap(reviewHistory.present, trap.id))}
+                                    className="px-2 py-0.5 text-indigo-600 hover:bg-indigo-50 rounded flex-shrink-0"
+                                  >
+                                    Restore
+                                  </button>
+                                )}
+                              </div>
+                            ))}
+                          </div>
+                        )}
+                      </div>
+                    )}
                   </div>
                 )}
               </div>
@@ -911,7 +2280,7 @@ export default function HeuristicEvaluator() {
             </div>
           )}
 
-          {!evaluation && !isEvaluating && (
+          {!comparison && !evaluation && !isEvaluating && (
             <div className="h-full flex items-center justify-center p-8">
               <div className="text-center text-slate-400">
                 <Info className="w-12 h-12 mx-auto mb-3 opacity-50" />
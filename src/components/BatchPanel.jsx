@@ -0,0 +1,204 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { X, Loader2, Upload, RotateCcw, Trash2, ExternalLink, Ban } from 'lucide-react';
+import { JOB_STATUS, ACTIVE_STATUSES, MAX_RETRIES } from '../lib/batchQueue';
+import { importFiles, describeRejected } from '../lib/importFiles';
+
+const inputClass = 'w-full px-3 py-2 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 outline-none';
+
+const STATUS_STYLES = {
+  queued: 'bg-slate-100 text-slate-600',
+  running: 'bg-indigo-100 text-indigo-700',
+  waiting: 'bg-amber-100 text-amber-700',
+  done: 'bg-green-100 text-green-700',
+  failed: 'bg-red-100 text-red-700',
+  cancelled: 'bg-slate-100 text-slate-500'
+};
+
+const FILTERS = [
+  { id: 'all', label: 'All', matches: () => true },
+  { id: 'active', label: 'In progress', matches: (job) => ACTIVE_STATUSES.includes(job.status) },
+  { id: 'done', label: 'Results', matches: (job) => job.status === 'done' },
+  { id: 'failed', label: 'Failed', matches: (job) => ['failed', 'cancelled'].includes(job.status) }
+];
+
+// Shown while a job waits out a rate limit
+const Countdown = ({ until }) => {
+  const [now, setNow] = useState(Date.now());
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+  return <>{Math.max(0, Math.ceil((until - now) / 1000))}s</>;
+};
+
+// Queue many screenshots, each with its workflow context, and follow them through to saved runs
+export default function BatchPanel({
+  jobs, concurrency, initialContext, currentImages,
+  onConcurrencyChange, onAdd, onCancel, onRetry, onRemove, onClearFinished, onOpenRun, onClose
+}) {
+  const [context, setContext] = useState(initialContext);
+  const [filter, setFilter] = useState('all');
+  const [error, setError] = useState(null);
+  const [importStatus, setImportStatus] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const setField = (field) => (e) => setContext(prev => ({ ...prev, [field]: e.target.value }));
+
+  const addImages = (images) => {
+    if (!context.workflowName.trim()) {
+      setError('Give the jobs a workflow name first.');
+      return;
+    }
+    setError(null);
+    // Refused when the project is over its budget
+    Promise.resolve(onAdd(images.map(image => ({ image, context: { ...context, workflowName: context.workflowName.trim() } }))))
+      .catch(err => setError(err.message));
+  };
+
+  // Each image, and each page of a PDF, becomes a job
+  const chooseFiles = async (e) => {
+    const files = Array.from(e.target.files);
+    e.target.value = '';
+    if (files.length === 0) return;
+    let result;
+    try {
+      result = await importFiles(files, { html: false, onProgress: setImportStatus });
+    } catch (err) {
+      setError(err.message);
+      return;
+    } finally {
+      setImportStatus(null);
+    }
+    if (result.screens.length > 0) addImages(result.screens);
+    if (result.rejected.length > 0) setError(prev => [prev, describeRejected(result.rejected)].filter(Boolean).join(' '));
+  };
+
+  const counts = Object.fromEntries(Object.keys(JOB_STATUS).map(status => [status, jobs.filter(job => job.status === status).length]));
+  const shown = jobs.filter(FILTERS.find(f => f.id === filter).matches);
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div className="bg-white rounded-xl max-w-3xl w-full max-h-[90vh] flex flex-col" onClick={e => e.stopPropagation()}>
+        <div className="flex items-center justify-between px-6 py-4 border-b border-slate-200">
+          <h2 className="text-xl font-bold text-slate-900">Batch Evaluation</h2>
+          <button onClick={onClose} className="p-1 hover:bg-slate-100 rounded-lg">
+            <X className="w-5 h-5 text-slate-500" />
+          </button>
+        </div>
+
+        {/* New jobs share this context; each screenshot becomes its own job */}
+        <div className="px-6 py-4 border-b border-slate-200 space-y-3">
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">Workflow Name *</label>
+              <input type="text" value={context.workflowName} onChange={setField('workflowName')} placeholder="e.g., Asset Onboarding" className={inputClass} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">Persona</label>
+              <input type="text" value={context.persona} onChange={setField('persona')} className={inputClass} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">EPIC / Story</label>
+              <input type="text" value={context.epicDetails} onChange={setField('epicDetails')} className={inputClass} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">Use Case</label>
+              <input type="text" value={context.usecaseDescription} onChange={setField('usecaseDescription')} className={inputClass} />
+            </div>
+          </div>
+          <div className="flex items-center gap-2">
+            <input ref={fileInputRef} type="file" accept="image/*,application/pdf,.pdf" multiple onChange={chooseFiles} className="hidden" />
+            <button
+              onClick={() => fileInputRef.current?.click()}
+              className="flex items-center gap-2 px-3 py-2 bg-indigo-600 text-white rounded-lg text-sm font-medium hover:bg-indigo-700"
+            >
+              <Upload className="w-4 h-4" /> Add screenshots or PDFs
+            </button>
+            {importStatus && (
+              <span className="flex items-center gap-1.5 text-xs text-indigo-600">
+                <Loader2 className="w-3.5 h-3.5 animate-spin" /> {importStatus}
+              </span>
+            )}
+            {currentImages.length > 0 && (
+              <button onClick={() => addImages(currentImages)} className="px-3 py-2 bg-slate-100 text-slate-700 rounded-lg text-sm hover:bg-slate-200">
+                Add current screens ({currentImages.length})
+              </button>
+            )}
+            <label className="ml-auto flex items-center gap-2 text-sm text-slate-600">
+              Run at once
+              <select value={concurrency} onChange={(e) => onConcurrencyChange(Number(e.target.value))} className="px-2 py-1 border border-slate-300 rounded text-sm">
+                {[1, 2, 3, 4].map(n => <option key={n} value={n}>{n}</option>)}
+              </select>
+            </label>
+          </div>
+          {error && <p className="text-sm text-red-600">{error}</p>}
+        </div>
+
+        <div className="flex items-center gap-1 px-6 pt-3">
+          {FILTERS.map(f => (
+            <button
+              key={f.id}
+              onClick={() => setFilter(f.id)}
+              className={`px-2 py-1 text-xs rounded ${filter === f.id ? 'bg-indigo-100 text-indigo-700' : 'text-slate-600 hover:bg-slate-100'}`}
+            >
+              {f.label} ({jobs.filter(f.matches).length})
+            </button>
+          ))}
+          <span className="ml-auto text-xs text-slate-500">
+            {counts.running} running · {counts.queued + counts.waiting} waiting · {counts.done} done · {counts.failed} failed
+          </span>
+          {jobs.some(job => !ACTIVE_STATUSES.includes(job.status)) && (
+            <button onClick={onClearFinished} className="ml-2 px-2 py-1 text-xs text-slate-600 hover:bg-slate-100 rounded">Clear finished</button>
+          )}
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-6 py-3 space-y-1">
+          {shown.length === 0 && (
+            <p className="text-sm text-slate-400 text-center py-8">
+              {jobs.length === 0 ? 'Add screenshots to start. Every finished job is saved to the history like any other run.' : 'No jobs here.'}
+            </p>
+          )}
+          {shown.map(job => (
+            <div key={job.id} className="flex items-center gap-3 p-2 rounded-lg bg-slate-50">
+              <img src={job.input.image.data} alt="" className="w-12 h-9 object-cover rounded border border-slate-200 flex-shrink-0" />
+              <div className="flex-1 min-w-0">
+                <p className="text-sm text-slate-800 truncate">{job.name}</p>
+                <p className="text-xs text-slate-500 truncate">
+                  {job.input.context.workflowName}
+                  {job.status === 'done' && job.result && ` · ${job.result.score ?? '—'}/10 · ${job.result.verdict || 'No verdict'} · ${job.result.trapCount} ${job.input.framework.labels.items.toLowerCase()}`}
+                  {job.status === 'done' && job.result?.warnings?.length > 0 && <span className="text-amber-700"> · {job.result.warnings.join(' ')}</span>}
+                  {job.status === 'waiting' && <> · {job.error} Retrying in <Countdown until={job.retryAt} /> (attempt {job.attempts + 1} of {MAX_RETRIES + 1})</>}
+                  {job.status === 'failed' && ` · ${job.error}`}
+                </p>
+              </div>
+              <span className={`flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-medium flex-shrink-0 ${STATUS_STYLES[job.status]}`}>
+                {job.status === 'running' && <Loader2 className="w-3 h-3 animate-spin" />}
+                {JOB_STATUS[job.status].label}
+              </span>
+              <div className="flex items-center gap-1 flex-shrink-0">
+                {job.status === 'done' && (
+                  <button onClick={() => onOpenRun(job.result.runId)} className="p-1 hover:bg-white rounded" title="Open result">
+                    <ExternalLink className="w-4 h-4 text-indigo-600" />
+                  </button>
+                )}
+                {ACTIVE_STATUSES.includes(job.status) && (
+                  <button onClick={() => onCancel(job.id)} className="p-1 hover:bg-white rounded" title="Cancel">
+                    <Ban className="w-4 h-4 text-slate-500" />
+                  </button>
+                )}
+                {['failed', 'cancelled'].includes(job.status) && (
+                  <button onClick={() => onRetry(job.id)} className="p-1 hover:bg-white rounded" title="Retry">
+                    <RotateCcw className="w-4 h-4 text-slate-500" />
+                  </button>
+                )}
+                <button onClick={() => onRemove(job.id)} className="p-1 hover:bg-red-100 rounded" title="Remove">
+                  <Trash2 className="w-4 h-4 text-slate-400 hover:text-red-500" />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
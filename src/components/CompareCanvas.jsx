@@ -0,0 +1,119 @@
+import React from 'react';
+import { ChevronLeft, ChevronRight } from 'lucide-react';
+import { getTrapLocations, getLocationBounds } from '../lib/traps';
+import { COMPARE_STATUS, getRunScreenImage, getRunScreenCount } from '../lib/compare';
+import RegionOverlay from './RegionOverlay';
+
+const DEFAULT_SIDES = { before: 'Before', after: 'After' };
+
+const formatDate = (iso) => (iso ? new Date(iso).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' }) : '');
+
+// Before and after screenshots side by side; both panes share one zoom/pan so they move together.
+// `sides` renames the panes, e.g. after the prompt templates that produced them.
+export default function CompareCanvas({ before, after, result, sides = DEFAULT_SIDES, screen, onScreenChange, zoom, pan, isDragging, handlers, selectedIndex, onSelect }) {
+  const screenCount = Math.max(getRunScreenCount(before), getRunScreenCount(after));
+  const markerScale = 1 / zoom;
+
+  const panes = [
+    { key: 'before', label: sides.before, run: before },
+    { key: 'after', label: sides.after, run: after }
+  ];
+
+  return (
+    <div className="flex-1 flex flex-col overflow-hidden">
+      {screenCount > 1 && (
+        <div className="flex items-center justify-center gap-2 pt-3">
+          <button onClick={() => onScreenChange(screen - 1)} disabled={screen <= 1} className="p-1 hover:bg-slate-200 rounded disabled:opacity-30">
+            <ChevronLeft className="w-4 h-4 text-slate-600" />
+          </button>
+          <span className="text-xs text-slate-600">Screen {screen} of {screenCount}</span>
+          <button onClick={() => onScreenChange(screen + 1)} disabled={screen >= screenCount} className="p-1 hover:bg-slate-200 rounded disabled:opacity-30">
+            <ChevronRight className="w-4 h-4 text-slate-600" />
+          </button>
+        </div>
+      )}
+
+      <div className="flex-1 flex gap-4 p-4 overflow-hidden">
+        {panes.map(({ key, label, run }) => {
+          const image = getRunScreenImage(run, screen);
+          return (
+            <div key={key} className="flex-1 flex flex-col min-w-0">
+              <div className="flex items-baseline justify-between mb-2 px-1">
+                <span className="text-sm font-semibold text-slate-800">{label} <span className="font-normal text-slate-500">· {run.name}</span></span>
+                <span className="text-xs text-slate-500">{formatDate(run.createdAt)}</span>
+              </div>
+              <div
+                className="flex-1 rounded-xl overflow-hidden"
+                onWheel={handlers.onWheel}
+                onMouseDown={handlers.onMouseDown}
+                onMouseMove={handlers.onMouseMove}
+                onMouseUp={handlers.onMouseUp}
+                onMouseLeave={handlers.onMouseUp}
+                onDoubleClick={handlers.onDoubleClick}
+                style={{
+                  cursor: isDragging ? 'grabbing' : 'grab',
+                  backgroundColor: '#e2e8f0',
+                  backgroundImage: 'radial-gradient(circle, #94a3b8 1px, transparent 1px)',
+                  backgroundSize: '20px 20px'
+                }}
+              >
+                <div className="h-full w-full flex items-center justify-center">
+                  {image ? (
+                    <div
+                      className="relative"
+                      style={{
+                        transform: `scale(${zoom}) translate(${pan.x / zoom}px, ${pan.y / zoom}px)`,
+                        transformOrigin: 'center center',
+                        transition: isDragging ? 'none' : 'transform 0.1s ease-out'
+                      }}
+                    >
+                      <img src={image.data} alt={label} className="max-h-[65vh] max-w-full object-contain rounded-lg shadow-lg" draggable={false} />
+                      <RegionOverlay
+                        zoom={zoom}
+                        regions={result.items.flatMap((item, idx) => (item[key] ? getTrapLocations(item[key])
+                          .filter(loc => (loc.screen ?? 1) === screen && getLocationBounds(loc))
+                          .map((loc, locIdx) => ({ key: `${idx}-${locIdx}`, location: loc, color: COMPARE_STATUS[item.status].color, active: selectedIndex === idx }))
+                          : []))}
+                      />
+                      {result.items.map((item, idx) => {
+                        const trap = item[key];
+                        if (!trap) return null;
+                        const status = COMPARE_STATUS[item.status];
+                        const isActive = selectedIndex === idx;
+                        return getTrapLocations(trap)
+                          .filter(loc => (loc.screen ?? 1) === screen)
+                          .map((loc, locIdx) => (
+                            <div
+                              key={`${idx}-${locIdx}`}
+                              className="absolute cursor-pointer"
+                              style={{
+                                left: `${loc.x}%`,
+                                top: `${loc.y}%`,
+                                zIndex: isActive ? 50 : 10,
+                                transform: `translate(-50%, -50%) scale(${markerScale})`
+                              }}
+                              onClick={(e) => { e.stopPropagation(); onSelect(isActive ? null : idx); }}
+                              title={`${status.label}: ${trap.name} (${trap.severity})`}
+                            >
+                              <div
+                                className={`flex items-center justify-center rounded-full font-bold text-white shadow-lg ${isActive ? 'ring-4 ring-white' : ''}`}
+                                style={{ backgroundColor: status.color, width: isActive ? 32 : 24, height: isActive ? 32 : 24, fontSize: isActive ? 14 : 12 }}
+                              >
+                                {idx + 1}
+                              </div>
+                            </div>
+                          ));
+                      })}
+                    </div>
+                  ) : (
+                    <p className="text-sm text-slate-500">This evaluation has no screen {screen}</p>
+                  )}
+                </div>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
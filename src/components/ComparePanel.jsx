@@ -0,0 +1,109 @@
+import React from 'react';
+import { X, ArrowRight } from 'lucide-react';
+import { SEVERITY_CONFIG } from '../lib/framework';
+import { COMPARE_STATUS } from '../lib/compare';
+
+const STATUS_ORDER = ['resolved', 'new', 'severity_changed', 'persisting'];
+
+const Delta = ({ value, suffix = '' }) => {
+  if (value === null || value === undefined) return <span className="text-xs text-slate-400">—</span>;
+  const color = value > 0 ? 'text-green-700' : value < 0 ? 'text-red-700' : 'text-slate-500';
+  return <span className={`text-xs font-semibold ${color}`}>{value > 0 ? '+' : ''}{value}{suffix}</span>;
+};
+
+const SeverityBadge = ({ severity }) => (
+  <span className="px-1.5 py-0.5 rounded text-xs font-semibold text-white" style={{ backgroundColor: SEVERITY_CONFIG[severity]?.color || '#6b7280' }}>
+    {severity}
+  </span>
+);
+
+const DEFAULT_SIDES = { title: 'Before / After' };
+
+// Right-hand summary of a before/after comparison
+export default function ComparePanel({ before, after, result, labels, sides = DEFAULT_SIDES, selectedIndex, onSelect, onExit }) {
+  return (
+    <div className="p-4 space-y-4">
+      <div className="flex items-center justify-between">
+        <span className="font-semibold text-slate-900">{sides.title}</span>
+        <button onClick={onExit} className="flex items-center gap-1 px-2 py-1 text-xs text-slate-600 hover:bg-slate-100 rounded-lg">
+          <X className="w-3.5 h-3.5" /> Exit compare
+        </button>
+      </div>
+
+      {/* Score */}
+      <div className="border border-slate-200 rounded-lg p-4">
+        <div className="flex items-center justify-between">
+          <span className="text-sm text-slate-600">Score</span>
+          <div className="flex items-center gap-2">
+            <span className="text-lg font-bold text-slate-400">{before.evaluation.score ?? '—'}</span>
+            <ArrowRight className="w-4 h-4 text-slate-400" />
+            <span className="text-2xl font-bold text-slate-900">{after.evaluation.score ?? '—'}/10</span>
+            <Delta value={result.scoreDelta.delta} />
+          </div>
+        </div>
+        <div className="flex flex-wrap gap-1.5 mt-3">
+          {STATUS_ORDER.map(status => (
+            <span key={status} className="px-2 py-0.5 rounded-full text-xs font-medium text-white" style={{ backgroundColor: COMPARE_STATUS[status].color }}>
+              {result.counts[status]} {COMPARE_STATUS[status].label.toLowerCase()}
+            </span>
+          ))}
+        </div>
+      </div>
+
+      {/* Category score deltas */}
+      <div className="border border-slate-200 rounded-lg p-3 space-y-1.5">
+        <p className="text-xs font-medium text-slate-500 mb-1">{labels.category} Scores</p>
+        {result.tenetDeltas.map(({ tenet, before: from, after: to, delta }) => (
+          <div key={tenet} className="flex items-center justify-between">
+            <span className="text-sm text-slate-600">{tenet}</span>
+            <div className="flex items-center gap-2">
+              <span className="text-xs text-slate-500 font-mono">{from ?? '–'} → {to ?? '–'}</span>
+              <span className="w-6 text-right"><Delta value={delta} /></span>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {/* Traps by status */}
+      {STATUS_ORDER.filter(status => result.counts[status] > 0).map(status => (
+        <div key={status} className="border border-slate-200 rounded-lg overflow-hidden">
+          <div className="px-3 py-2 bg-slate-50 flex items-center gap-2">
+            <span className="w-2.5 h-2.5 rounded-full" style={{ backgroundColor: COMPARE_STATUS[status].color }} />
+            <span className="text-sm font-semibold text-slate-900">{COMPARE_STATUS[status].label}</span>
+            <span className="text-xs text-slate-500">{result.counts[status]}</span>
+          </div>
+          <div className="divide-y divide-slate-100">
+            {result.items.map((item, idx) => {
+              if (item.status !== status) return null;
+              const trap = item.after || item.before;
+              const isActive = selectedIndex === idx;
+              return (
+                <div key={idx} className={`p-3 cursor-pointer ${isActive ? 'bg-slate-50' : 'hover:bg-slate-50'}`} onClick={() => onSelect(isActive ? null : idx)}>
+                  <div className="flex items-start gap-2">
+                    <div className="flex items-center justify-center w-6 h-6 rounded-full text-white text-xs font-bold flex-shrink-0" style={{ backgroundColor: COMPARE_STATUS[status].color }}>{idx + 1}</div>
+                    <div className="flex-1 min-w-0">
+                      <p className="text-sm font-medium text-slate-900">{trap.name}</p>
+                      <p className="text-xs text-slate-500">{trap.tenet && `${trap.tenet} · `}{trap.location?.description}</p>
+                    </div>
+                    <div className="flex items-center gap-1 flex-shrink-0">
+                      {item.before && item.after && item.before.severity !== item.after.severity ? (
+                        <>
+                          <SeverityBadge severity={item.before.severity} />
+                          <ArrowRight className="w-3 h-3 text-slate-400" />
+                          <SeverityBadge severity={item.after.severity} />
+                        </>
+                      ) : (
+                        <SeverityBadge severity={trap.severity} />
+                      )}
+                    </div>
+                  </div>
+                  {isActive && trap.evidence && <p className="text-xs text-slate-600 mt-2 pl-8">{trap.evidence}</p>}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
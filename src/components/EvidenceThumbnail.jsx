@@ -0,0 +1,19 @@
+import React, { useState, useEffect } from 'react';
+import { renderEvidenceCrop } from '../lib/evidence';
+
+// Zoomed-in crop of the screenshot around a trap
+export default function EvidenceThumbnail({ src, location, color }) {
+  const [thumbnail, setThumbnail] = useState(null);
+  const regionKey = JSON.stringify([location.x, location.y, location.box, location.polygon]);
+
+  useEffect(() => {
+    let cancelled = false;
+    renderEvidenceCrop(src, location, color)
+      .then(url => !cancelled && setThumbnail(url))
+      .catch(() => !cancelled && setThumbnail(null));
+    return () => { cancelled = true; };
+  }, [src, regionKey, color]);
+
+  if (!thumbnail) return null;
+  return <img src={thumbnail} alt="Evidence" className="w-full max-h-32 object-contain bg-slate-100 rounded border border-slate-200 mt-2" />;
+}
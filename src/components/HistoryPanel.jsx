@@ -0,0 +1,209 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { X, Copy, Pencil, Trash2, FolderPlus, Check, Loader2, GitCompare } from 'lucide-react';
+import {
+  listProjects, createProject, renameProject, deleteProject,
+  listRuns, openRun, updateRun, duplicateRun, deleteRun
+} from '../lib/storage';
+import { formatCost, formatTokens } from '../lib/usage';
+import { templateLabel } from '../lib/promptTemplates';
+
+const inputClass = 'w-full px-2 py-1 border border-slate-300 rounded text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 outline-none';
+
+const formatDate = (iso) => new Date(iso).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+
+// Inline text editor used for renaming projects and runs
+const RenameInput = ({ initial, onSubmit, onCancel }) => {
+  const [value, setValue] = useState(initial);
+  const submit = () => (value.trim() ? onSubmit(value.trim()) : onCancel());
+  return (
+    <input
+      autoFocus
+      value={value}
+      onChange={(e) => setValue(e.target.value)}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter') submit();
+        if (e.key === 'Escape') onCancel();
+      }}
+      onBlur={submit}
+      onClick={(e) => e.stopPropagation()}
+      className={inputClass}
+    />
+  );
+};
+
+export default function HistoryPanel({ projectId, activeRunId, version, onProjectChange, onOpenRun, onRunDeleted, onCompare, onClose }) {
+  const [projects, setProjects] = useState([]);
+  const [runs, setRuns] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [renamingId, setRenamingId] = useState(null);
+  const [creatingProject, setCreatingProject] = useState(false);
+
+  const reload = useCallback(async () => {
+    try {
+      setProjects(await listProjects());
+      setRuns(projectId ? await listRuns(projectId) : []);
+      setError(null);
+    } catch (err) {
+      setError(err.message || 'Could not read saved evaluations');
+    } finally {
+      setLoading(false);
+    }
+  }, [projectId]);
+
+  useEffect(() => { reload(); }, [reload, version]);
+
+  // Surface storage failures in the panel instead of losing them
+  const act = (fn) => async (...args) => {
+    try {
+      await fn(...args);
+      await reload();
+    } catch (err) {
+      setError(err.message || 'Storage error');
+    }
+  };
+
+  const handleCreateProject = act(async (name) => {
+    setCreatingProject(false);
+    const project = await createProject(name);
+    onProjectChange(project.id);
+  });
+
+  const handleDeleteProject = act(async () => {
+    const project = projects.find(p => p.id === projectId);
+    if (!project || !window.confirm(`Delete project "${project.name}" and all ${runs.length} saved evaluations?`)) return;
+    await deleteProject(project.id);
+    const remaining = await listProjects();
+    onProjectChange(remaining[0]?.id || (await createProject('My Project')).id);
+  });
+
+  const handleOpen = act(async (id) => onOpenRun(await openRun(id)));
+
+  const handleRename = act(async (id, name) => {
+    setRenamingId(null);
+    if (id === projectId) await renameProject(id, name);
+    else await updateRun(id, { name });
+  });
+
+  const handleDuplicate = act((id) => duplicateRun(id));
+
+  const handleDelete = act(async (run) => {
+    if (!window.confirm(`Delete "${run.name}"?`)) return;
+    await deleteRun(run.id);
+    if (run.id === activeRunId) onRunDeleted();
+  });
+
+  // Group runs by workflow, keeping the newest workflow first
+  const workflows = runs.reduce((groups, run) => {
+    const key = run.workflowName || 'Untitled workflow';
+    (groups[key] = groups[key] || []).push(run);
+    return groups;
+  }, {});
+
+  const currentProject = projects.find(p => p.id === projectId);
+
+  return (
+    <div className="fixed inset-0 z-40 flex" onClick={onClose}>
+      <div className="w-80 h-full bg-white shadow-xl flex flex-col" onClick={e => e.stopPropagation()}>
+        <div className="flex items-center justify-between px-4 py-3 border-b border-slate-200">
+          <h2 className="font-semibold text-slate-900">Saved Evaluations</h2>
+          <button onClick={onClose} className="p-1 hover:bg-slate-100 rounded-lg">
+            <X className="w-5 h-5 text-slate-500" />
+          </button>
+        </div>
+
+        {/* Project picker */}
+        <div className="px-4 py-3 border-b border-slate-200 space-y-2">
+          <label className="block text-xs font-medium text-slate-500">Project</label>
+          {renamingId === projectId && currentProject ? (
+            <RenameInput initial={currentProject.name} onSubmit={(name) => handleRename(projectId, name)} onCancel={() => setRenamingId(null)} />
+          ) : creatingProject ? (
+            <RenameInput initial="" onSubmit={handleCreateProject} onCancel={() => setCreatingProject(false)} />
+          ) : (
+            <div className="flex items-center gap-1">
+              <select value={projectId || ''} onChange={(e) => onProjectChange(e.target.value)} className={inputClass}>
+                {projects.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+              </select>
+              <button onClick={() => setCreatingProject(true)} className="p-1.5 hover:bg-slate-100 rounded" title="New project">
+                <FolderPlus className="w-4 h-4 text-slate-500" />
+              </button>
+              <button onClick={() => setRenamingId(projectId)} className="p-1.5 hover:bg-slate-100 rounded" title="Rename project">
+                <Pencil className="w-4 h-4 text-slate-500" />
+              </button>
+              <button onClick={handleDeleteProject} className="p-1.5 hover:bg-red-100 rounded" title="Delete project">
+                <Trash2 className="w-4 h-4 text-slate-400 hover:text-red-500" />
+              </button>
+            </div>
+          )}
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-4 space-y-4">
+          {error && <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>}
+
+          {loading && <Loader2 className="w-6 h-6 mx-auto text-indigo-500 animate-spin" />}
+
+          {!loading && runs.length === 0 && (
+            <p className="text-sm text-slate-400 text-center">No saved evaluations in this project yet. Every run is saved here automatically.</p>
+          )}
+
+          {Object.entries(workflows).map(([workflow, workflowRuns]) => (
+            <div key={workflow}>
+              <p className="text-xs font-semibold text-slate-500 uppercase tracking-wide mb-2">{workflow}</p>
+              <div className="space-y-1">
+                {workflowRuns.map(run => (
+                  <div
+                    key={run.id}
+                    className={`group p-2 rounded-lg cursor-pointer transition-all ${run.id === activeRunId ? 'bg-indigo-100 border border-indigo-300' : 'bg-slate-50 hover:bg-slate-100'}`}
+                    onClick={() => renamingId !== run.id && handleOpen(run.id)}
+                  >
+                    {renamingId === run.id ? (
+                      <RenameInput initial={run.name} onSubmit={(name) => handleRename(run.id, name)} onCancel={() => setRenamingId(null)} />
+                    ) : (
+                      <div className="flex items-center gap-2">
+                        <div className="flex-1 min-w-0">
+                          <p className="text-sm text-slate-800 truncate">{run.name}</p>
+                          <p className="text-xs text-slate-500">
+                            {formatDate(run.createdAt)} · {run.images?.length || 0} screen{run.images?.length === 1 ? '' : 's'}
+                            {run.evaluation?.promptTemplate && ` · ${templateLabel(run.evaluation.promptTemplate)}`}
+                            {run.usage?.requests > 0 && ` · ${formatTokens(run.usage.inputTokens + run.usage.outputTokens)} tokens · ${formatCost(run.usage.cost)}`}
+                          </p>
+                        </div>
+                        {run.evaluation?.incomplete && (
+                          <span className="px-1.5 py-0.5 bg-amber-50 text-amber-700 rounded text-[10px] font-medium flex-shrink-0">Incomplete</span>
+                        )}
+                        {run.cached && (
+                          <span className="px-1.5 py-0.5 bg-slate-200 text-slate-600 rounded text-[10px] font-medium flex-shrink-0" title={`Served from the response cache, first evaluated ${formatDate(run.cached.createdAt)}`}>Cached</span>
+                        )}
+                        {run.evaluation?.score !== undefined && (
+                          <span className="text-xs font-semibold text-slate-700 flex-shrink-0">{run.evaluation.score}/10</span>
+                        )}
+                        {run.id === activeRunId && <Check className="w-4 h-4 text-indigo-600 flex-shrink-0" />}
+                      </div>
+                    )}
+                    <div className="hidden group-hover:flex items-center gap-1 mt-1">
+                      <button onClick={(e) => { e.stopPropagation(); setRenamingId(run.id); }} className="p-1 hover:bg-white rounded" title="Rename">
+                        <Pencil className="w-3.5 h-3.5 text-slate-500" />
+                      </button>
+                      <button onClick={(e) => { e.stopPropagation(); handleDuplicate(run.id); }} className="p-1 hover:bg-white rounded" title="Duplicate">
+                        <Copy className="w-3.5 h-3.5 text-slate-500" />
+                      </button>
+                      {activeRunId && run.id !== activeRunId && (
+                        <button onClick={(e) => { e.stopPropagation(); onCompare(run.id); }} className="p-1 hover:bg-white rounded" title="Compare with the evaluation on screen">
+                          <GitCompare className="w-3.5 h-3.5 text-slate-500" />
+                        </button>
+                      )}
+                      <button onClick={(e) => { e.stopPropagation(); handleDelete(run); }} className="p-1 hover:bg-red-100 rounded" title="Delete">
+                        <Trash2 className="w-3.5 h-3.5 text-slate-400 hover:text-red-500" />
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+      <div className="flex-1 bg-black/30" />
+    </div>
+  );
+}
@@ -0,0 +1,99 @@
+import React, { useState, useRef } from 'react';
+import { X, Loader2, FileCode } from 'lucide-react';
+import { VIEWPORTS, capturePage } from '../lib/pageCapture';
+
+const inputClass = 'w-full px-3 py-2 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 outline-none';
+
+// Render an HTML file or pasted markup at a viewport and add the capture as a screen
+export default function HtmlImportPanel({ initial, onCapture, onClose }) {
+  const [name, setName] = useState(initial?.name || '');
+  const [markup, setMarkup] = useState(initial?.markup || '');
+  const [viewportId, setViewportId] = useState(VIEWPORTS[0].id);
+  const [isCapturing, setIsCapturing] = useState(false);
+  const [error, setError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const chooseFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    setMarkup(await file.text());
+    setName(file.name);
+  };
+
+  const capture = async () => {
+    const viewport = VIEWPORTS.find(v => v.id === viewportId);
+    setIsCapturing(true);
+    setError(null);
+    try {
+      const { data, facts } = await capturePage(markup, viewport);
+      onCapture({ name: `${name.trim() || 'Pasted page'} (${viewport.label})`, data, page: { viewport, facts } });
+    } catch (err) {
+      setError(err.message || 'Could not render the page');
+      setIsCapturing(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div className="bg-white rounded-xl max-w-2xl w-full flex flex-col" onClick={e => e.stopPropagation()}>
+        <div className="flex items-center justify-between px-6 py-4 border-b border-slate-200">
+          <h2 className="text-xl font-bold text-slate-900">Evaluate an HTML Page</h2>
+          <button onClick={onClose} className="p-1 hover:bg-slate-100 rounded-lg">
+            <X className="w-5 h-5 text-slate-500" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">Name</label>
+              <input type="text" value={name} onChange={(e) => setName(e.target.value)} placeholder="Pasted page" className={inputClass} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">Viewport</label>
+              <select value={viewportId} onChange={(e) => setViewportId(e.target.value)} className={inputClass}>
+                {VIEWPORTS.map(v => <option key={v.id} value={v.id}>{v.label} · {v.width}×{v.height}</option>)}
+              </select>
+            </div>
+          </div>
+
+          <div>
+            <div className="flex items-center justify-between mb-1">
+              <label className="block text-sm font-medium text-slate-700">Markup</label>
+              <input ref={fileInputRef} type="file" accept=".html,.htm,text/html" onChange={chooseFile} className="hidden" />
+              <button onClick={() => fileInputRef.current?.click()} className="flex items-center gap-1 text-xs text-indigo-600 hover:underline">
+                <FileCode className="w-3.5 h-3.5" /> Choose HTML file
+              </button>
+            </div>
+            <textarea
+              value={markup}
+              onChange={(e) => setMarkup(e.target.value)}
+              placeholder="<!DOCTYPE html>…"
+              rows={12}
+              spellCheck={false}
+              className={`${inputClass} font-mono text-xs resize-y`}
+            />
+            <p className="text-xs text-slate-500 mt-1">
+              The page is rendered in a sandbox with scripts disabled. Contrast, touch-target sizes, missing labels and focus order are measured and sent with the prompt.
+            </p>
+          </div>
+
+          {error && <p className="text-sm text-red-600">{error}</p>}
+        </div>
+
+        <div className="flex justify-end gap-2 px-6 py-4 border-t border-slate-200">
+          <button onClick={onClose} className="px-4 py-2 bg-slate-200 text-slate-600 rounded-lg text-sm hover:bg-slate-300">Cancel</button>
+          <button
+            onClick={capture}
+            disabled={!markup.trim() || isCapturing}
+            className="flex items-center gap-2 px-4 py-2 bg-indigo-600 text-white rounded-lg text-sm font-medium hover:bg-indigo-700 disabled:bg-slate-300"
+          >
+            {isCapturing && <Loader2 className="w-4 h-4 animate-spin" />}
+            Capture page
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,204 @@
+import React, { useState, useRef } from 'react';
+import { X, Plus, Download, Upload, Trash2 } from 'lucide-react';
+import { PERSONA_ATTRIBUTES, ACCESSIBILITY_NEEDS, validatePersona, matchingRules, summarizePersona } from '../lib/personas';
+import { isBuiltInPersona, saveCustomPersona, deleteCustomPersona } from '../personas';
+import { downloadBlob } from '../lib/download';
+
+const inputClass = 'w-full px-3 py-2 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 outline-none';
+
+const NEW_PERSONA = {
+  id: '',
+  name: '',
+  description: '',
+  expertise: 'intermediate',
+  stress: 'moderate',
+  device: 'desktop',
+  frequency: 'occasional',
+  accessibility: []
+};
+
+const tryValidate = (draft) => {
+  try {
+    return validatePersona(draft);
+  } catch {
+    return null;
+  }
+};
+
+// Save, pick and share structured personas, and see which of the framework's severity rules
+// each one triggers
+export default function PersonaPanel({ personas, activeId, framework, onLibraryChange, onUse, onClose }) {
+  const [draft, setDraft] = useState(() => personas.find(p => p.id === activeId) || personas[0] || NEW_PERSONA);
+  const [error, setError] = useState(null);
+  const importRef = useRef(null);
+
+  const builtIn = isBuiltInPersona(draft.id);
+  const isSaved = personas.some(p => p.id === draft.id);
+  const valid = tryValidate(draft);
+  const rules = valid ? matchingRules(valid, framework) : [];
+
+  const select = (persona) => {
+    setDraft(persona);
+    setError(null);
+  };
+
+  const setField = (field, value) => setDraft(prev => ({ ...prev, [field]: value }));
+
+  const toggleNeed = (need) => setDraft(prev => ({
+    ...prev,
+    accessibility: prev.accessibility.includes(need) ? prev.accessibility.filter(n => n !== need) : [...prev.accessibility, need]
+  }));
+
+  // Built-in personas are saved as a copy under a new name
+  const save = () => {
+    try {
+      const saved = saveCustomPersona(builtIn ? { ...draft, id: '' } : draft);
+      onLibraryChange();
+      select(saved);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const remove = () => {
+    deleteCustomPersona(draft.id);
+    onLibraryChange();
+    select(personas.find(p => p.id !== draft.id) || NEW_PERSONA);
+  };
+
+  const use = () => {
+    try {
+      onUse(validatePersona(draft));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const exportPersona = () => {
+    if (!valid) return;
+    downloadBlob(new Blob([JSON.stringify(valid, null, 2)], { type: 'application/json' }), `persona-${valid.id}.json`);
+  };
+
+  // A shared file holds one persona or a list of them
+  const importPersonas = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const raw = JSON.parse(await file.text());
+      const saved = (Array.isArray(raw) ? raw : [raw]).map(saveCustomPersona);
+      onLibraryChange();
+      select(saved[0]);
+    } catch (err) {
+      setError(err instanceof SyntaxError ? `${file.name} is not valid JSON.` : `Could not import personas: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div className="bg-white rounded-xl max-w-3xl w-full max-h-[90vh] flex flex-col" onClick={e => e.stopPropagation()}>
+        <div className="flex items-center justify-between px-6 py-4 border-b border-slate-200">
+          <h2 className="text-xl font-bold text-slate-900">Personas</h2>
+          <button onClick={onClose} className="p-1 hover:bg-slate-100 rounded-lg">
+            <X className="w-5 h-5 text-slate-500" />
+          </button>
+        </div>
+
+        <div className="flex-1 flex min-h-0">
+          <div className="w-60 border-r border-slate-200 overflow-y-auto py-2">
+            {personas.map(persona => (
+              <button
+                key={persona.id}
+                onClick={() => select(persona)}
+                className={`w-full text-left px-4 py-2 ${persona.id === draft.id ? 'bg-indigo-50' : 'hover:bg-slate-50'}`}
+              >
+                <span className="block text-sm text-slate-800 truncate">
+                  {persona.name}
+                  {persona.id === activeId && <span className="ml-1 text-xs text-indigo-600">(in use)</span>}
+                </span>
+                <span className="block text-xs text-slate-500 truncate">{isBuiltInPersona(persona.id) ? 'Built-in' : 'Saved in this browser'}</span>
+              </button>
+            ))}
+            <div className="px-4 pt-2 space-y-1">
+              <button onClick={() => select(NEW_PERSONA)} className="flex items-center gap-1 text-xs text-indigo-600 hover:underline">
+                <Plus className="w-3.5 h-3.5" /> New persona
+              </button>
+              <input ref={importRef} type="file" accept="application/json,.json" onChange={importPersonas} className="hidden" />
+              <button onClick={() => importRef.current?.click()} className="flex items-center gap-1 text-xs text-indigo-600 hover:underline">
+                <Upload className="w-3.5 h-3.5" /> Import persona JSON
+              </button>
+            </div>
+          </div>
+
+          <div className="flex-1 overflow-y-auto p-6 space-y-3">
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">Name *</label>
+              <input type="text" value={draft.name} onChange={(e) => setField('name', e.target.value)} placeholder="e.g., Night-shift nurse" className={inputClass} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">Description</label>
+              <textarea value={draft.description} onChange={(e) => setField('description', e.target.value)} rows={2} className={`${inputClass} resize-none`} />
+            </div>
+            <div className="grid grid-cols-2 gap-3">
+              {Object.entries(PERSONA_ATTRIBUTES).map(([attribute, { label, options }]) => (
+                <div key={attribute}>
+                  <label className="block text-sm font-medium text-slate-700 mb-1">{label}</label>
+                  <select value={draft[attribute]} onChange={(e) => setField(attribute, e.target.value)} className={`${inputClass} bg-white`}>
+                    {Object.entries(options).map(([value, optionLabel]) => <option key={value} value={value}>{optionLabel}</option>)}
+                  </select>
+                </div>
+              ))}
+            </div>
+            <div>
+              <span className="block text-sm font-medium text-slate-700 mb-1">Accessibility needs</span>
+              <div className="flex flex-wrap gap-x-4 gap-y-1">
+                {Object.entries(ACCESSIBILITY_NEEDS).map(([need, label]) => (
+                  <label key={need} className="flex items-center gap-1.5 text-sm text-slate-700">
+                    <input type="checkbox" checked={draft.accessibility.includes(need)} onChange={() => toggleNeed(need)} />
+                    {label}
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            <div className="p-3 bg-slate-50 rounded-lg">
+              <span className="text-xs font-medium text-slate-500">Severity rules in {framework.name}</span>
+              {rules.length === 0 ? (
+                <p className="text-xs text-slate-500 mt-1">None; severities are left as the model rates them.</p>
+              ) : (
+                <ul className="mt-1 space-y-1">
+                  {rules.map((rule, idx) => (
+                    <li key={idx} className="text-xs text-slate-700">
+                      <strong>{rule.adjust === 'raise' ? 'Raise' : 'Lower'}</strong> {rule.items.join(', ')}
+                      {rule.reason && <span className="text-slate-500"> — {rule.reason}</span>}
+                    </li>
+                  ))}
+                </ul>
+              )}
+              {valid && <p className="text-xs text-slate-400 mt-2">{summarizePersona(valid)}</p>}
+            </div>
+
+            {error && <p className="text-sm text-red-600">{error}</p>}
+          </div>
+        </div>
+
+        <div className="flex items-center gap-2 px-6 py-4 border-t border-slate-200">
+          {isSaved && !builtIn && (
+            <button onClick={remove} className="p-2 hover:bg-red-50 rounded-lg" title="Delete this persona">
+              <Trash2 className="w-4 h-4 text-slate-400 hover:text-red-500" />
+            </button>
+          )}
+          <button onClick={exportPersona} disabled={!valid} className="flex items-center gap-1 px-3 py-2 text-sm text-slate-600 hover:bg-slate-100 rounded-lg disabled:opacity-40">
+            <Download className="w-4 h-4" /> Export
+          </button>
+          <button onClick={save} disabled={!draft.name.trim()} className="ml-auto px-3 py-2 bg-slate-100 text-slate-700 rounded-lg text-sm hover:bg-slate-200 disabled:opacity-40">
+            {builtIn ? 'Save as new persona' : 'Save'}
+          </button>
+          <button onClick={use} disabled={!draft.name.trim()} className="px-4 py-2 bg-indigo-600 text-white rounded-lg text-sm font-medium hover:bg-indigo-700 disabled:opacity-40">
+            Use persona
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,362 @@
+import React, { useState, useRef, useMemo } from 'react';
+import { X, Plus, Download, Upload, Trash2, GitCompare } from 'lucide-react';
+import { TEMPLATE_PLACEHOLDERS } from '../lib/prompt';
+import {
+  validateTemplateBody, validateTemplate, templateId, addVersion, latestVersion, findVersion, resolveTemplate, templateLabel, diffLines
+} from '../lib/promptTemplates';
+import { isBuiltInTemplate, saveCustomTemplate, deleteCustomTemplate } from '../templates';
+import { downloadBlob } from '../lib/download';
+
+const inputClass = 'w-full px-3 py-2 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 outline-none';
+
+const formatDate = (iso) => (iso ? new Date(iso).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' }) : 'built in');
+
+const TABS = [
+  { id: 'edit', label: 'Edit' },
+  { id: 'diff', label: 'History & diff' },
+  { id: 'compare', label: 'Side-by-side run' }
+];
+
+const DIFF_STYLES = {
+  same: 'text-slate-600',
+  added: 'bg-green-50 text-green-800',
+  removed: 'bg-red-50 text-red-800 line-through decoration-red-300'
+};
+
+const DIFF_MARKS = { same: ' ', added: '+', removed: '−' };
+
+const tryValidate = (body) => {
+  try {
+    validateTemplateBody(body);
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+};
+
+// "house-style@3" ⇄ { id, version }, for the side-by-side pickers
+const versionKey = (template, version) => `${template.id}@${version.version}`;
+
+const VersionPicker = ({ templates, value, onChange }) => (
+  <select value={value} onChange={(e) => onChange(e.target.value)} className={`${inputClass} bg-white`}>
+    {templates.map(template => (
+      <optgroup key={template.id} label={template.name}>
+        {[...template.versions].reverse().map(version => (
+          <option key={version.version} value={versionKey(template, version)}>
+            {templateLabel({ name: template.name, version: version.version })}{version.note ? ` — ${version.note}` : ''}
+          </option>
+        ))}
+      </optgroup>
+    ))}
+  </select>
+);
+
+// Write prompt templates with named placeholders, keep every saved version, diff them, and run
+// two versions on the same screenshot to compare what they find
+export default function PromptTemplatePanel({ templates, active, canRun, onLibraryChange, onUse, onCompare, onClose }) {
+  const [selectedId, setSelectedId] = useState(active.id);
+  const selected = templates.find(t => t.id === selectedId) || null;
+  const [name, setName] = useState(selected?.name || '');
+  const [body, setBody] = useState(() => (selected ? (findVersion(selected, active.version) || latestVersion(selected)).body : ''));
+  const [note, setNote] = useState('');
+  const [tab, setTab] = useState('edit');
+  const [error, setError] = useState(null);
+  const [diffFrom, setDiffFrom] = useState(null);
+  const [diffTo, setDiffTo] = useState(null);
+  const [compareA, setCompareA] = useState(() => versionKey(templates[0], latestVersion(templates[0])));
+  const [compareB, setCompareB] = useState(() => (selected ? versionKey(selected, latestVersion(selected)) : versionKey(templates[0], latestVersion(templates[0]))));
+  const importRef = useRef(null);
+  const bodyRef = useRef(null);
+
+  const builtIn = selected && isBuiltInTemplate(selected.id);
+  const latest = selected && latestVersion(selected);
+  const problem = tryValidate(body);
+  const changed = !selected || body !== latest.body || name.trim() !== selected.name;
+
+  const select = (template, version = latestVersion(template)) => {
+    setSelectedId(template.id);
+    setName(template.name);
+    setBody(version.body);
+    setNote('');
+    setDiffFrom(null);
+    setDiffTo(null);
+    setError(null);
+  };
+
+  const startNew = () => {
+    const base = selected ? latestVersion(selected).body : templates[0].versions[0].body;
+    setSelectedId(null);
+    setName('');
+    setBody(base);
+    setNote('');
+    setTab('edit');
+    setError(null);
+  };
+
+  // Put `{{name}}` where the cursor is
+  const insertPlaceholder = (placeholder) => {
+    const textarea = bodyRef.current;
+    const token = `{{${placeholder}}}`;
+    const start = textarea ? textarea.selectionStart : body.length;
+    const end = textarea ? textarea.selectionEnd : body.length;
+    setBody(body.slice(0, start) + token + body.slice(end));
+    requestAnimationFrame(() => {
+      textarea?.focus();
+      textarea?.setSelectionRange(start + token.length, start + token.length);
+    });
+  };
+
+  // A changed body becomes the next version; built-in templates are saved as a new template
+  const save = () => {
+    try {
+      let saved;
+      if (selected && !builtIn) {
+        saved = saveCustomTemplate({ ...addVersion(selected, body, note), name: name.trim() || selected.name });
+      } else {
+        const newName = builtIn && name.trim() === selected.name ? `${selected.name} (copy)` : name.trim();
+        if (templates.some(t => t.id === templateId(newName))) {
+          setError(`A template called "${newName}" already exists; pick another name or add a version to it.`);
+          return;
+        }
+        saved = saveCustomTemplate(addVersion({ name: newName, versions: [] }, body, note));
+      }
+      onLibraryChange();
+      select(saved);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const remove = () => {
+    if (!window.confirm(`Delete the "${selected.name}" template and all ${selected.versions.length} of its versions? Evaluations keep the name and version they were run with.`)) return;
+    deleteCustomTemplate(selected.id);
+    onLibraryChange();
+    select(templates[0]);
+  };
+
+  const exportTemplate = () => {
+    downloadBlob(new Blob([JSON.stringify(selected, null, 2)], { type: 'application/json' }), `prompt-template-${selected.id}.json`);
+  };
+
+  const importTemplates = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const raw = JSON.parse(await file.text());
+      const saved = (Array.isArray(raw) ? raw : [raw]).map(template => saveCustomTemplate(validateTemplate(template)));
+      onLibraryChange();
+      select(saved[0]);
+    } catch (err) {
+      setError(err instanceof SyntaxError ? `${file.name} is not valid JSON.` : `Could not import templates: ${err.message}`);
+    }
+  };
+
+  const resolveKey = (key) => {
+    const [id, number] = key.split('@');
+    const template = templates.find(t => t.id === id);
+    const version = template && findVersion(template, Number(number));
+    return version ? resolveTemplate(template, version) : null;
+  };
+
+  // Newest two versions by default
+  const history = selected ? [...selected.versions].reverse() : [];
+  const from = selected && (findVersion(selected, diffFrom) || history[1] || history[0]);
+  const to = selected && (findVersion(selected, diffTo) || history[0]);
+  const diff = useMemo(() => (from && to ? diffLines(from.body, to.body) : []), [from, to]);
+  const diffCounts = diff.reduce((counts, line) => ({ ...counts, [line.type]: counts[line.type] + 1 }), { same: 0, added: 0, removed: 0 });
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div className="bg-white rounded-xl max-w-5xl w-full h-[90vh] flex flex-col" onClick={e => e.stopPropagation()}>
+        <div className="flex items-center justify-between px-6 py-4 border-b border-slate-200">
+          <h2 className="text-xl font-bold text-slate-900">Prompt Templates</h2>
+          <button onClick={onClose} className="p-1 hover:bg-slate-100 rounded-lg">
+            <X className="w-5 h-5 text-slate-500" />
+          </button>
+        </div>
+
+        <div className="flex-1 flex min-h-0">
+          <div className="w-56 border-r border-slate-200 overflow-y-auto py-2">
+            {templates.map(template => (
+              <button
+                key={template.id}
+                onClick={() => select(template)}
+                className={`w-full text-left px-4 py-2 ${template.id === selectedId ? 'bg-indigo-50' : 'hover:bg-slate-50'}`}
+              >
+                <span className="block text-sm text-slate-800 truncate">
+                  {template.name}
+                  {template.id === active.id && <span className="ml-1 text-xs text-indigo-600">(in use)</span>}
+                </span>
+                <span className="block text-xs text-slate-500 truncate">
+                  {isBuiltInTemplate(template.id) ? 'Built-in' : `${template.versions.length} version${template.versions.length === 1 ? '' : 's'}`} · latest v{latestVersion(template).version}
+                </span>
+              </button>
+            ))}
+            <div className="px-4 pt-2 space-y-1">
+              <button onClick={startNew} className="flex items-center gap-1 text-xs text-indigo-600 hover:underline">
+                <Plus className="w-3.5 h-3.5" /> New template
+              </button>
+              <input ref={importRef} type="file" accept="application/json,.json" onChange={importTemplates} className="hidden" />
+              <button onClick={() => importRef.current?.click()} className="flex items-center gap-1 text-xs text-indigo-600 hover:underline">
+                <Upload className="w-3.5 h-3.5" /> Import template JSON
+              </button>
+            </div>
+          </div>
+
+          <div className="flex-1 flex flex-col min-w-0">
+            <div className="flex gap-1 px-6 pt-3 border-b border-slate-200">
+              {TABS.map(({ id, label }) => (
+                <button
+                  key={id}
+                  onClick={() => setTab(id)}
+                  disabled={id === 'diff' && !selected}
+                  className={`px-3 py-1.5 text-sm rounded-t-lg -mb-px border ${tab === id ? 'bg-white border-slate-200 border-b-white text-slate-900 font-medium' : 'border-transparent text-slate-500 hover:text-slate-700'} disabled:opacity-40`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+
+            {tab === 'edit' && (
+              <div className="flex-1 flex min-h-0">
+                <div className="flex-1 flex flex-col p-6 gap-3 min-w-0">
+                  <div className="grid grid-cols-2 gap-3">
+                    <div>
+                      <label className="block text-sm font-medium text-slate-700 mb-1">Name *</label>
+                      <input type="text" value={name} onChange={(e) => setName(e.target.value)} placeholder="e.g., House style" className={inputClass} />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-slate-700 mb-1">What changed <span className="text-slate-400 font-normal">(optional)</span></label>
+                      <input type="text" value={note} onChange={(e) => setNote(e.target.value)} placeholder="e.g., Stricter visual criteria" className={inputClass} />
+                    </div>
+                  </div>
+                  <textarea
+                    ref={bodyRef}
+                    value={body}
+                    onChange={(e) => setBody(e.target.value)}
+                    spellCheck={false}
+                    className={`${inputClass} flex-1 font-mono text-xs resize-none`}
+                  />
+                  {problem ? (
+                    <p className="text-xs text-red-600">{problem}</p>
+                  ) : (
+                    <p className="text-xs text-slate-500">
+                      {selected && !builtIn && changed ? `Saving adds version ${latest.version + 1}.` : builtIn ? 'The built-in template can\'t be changed; saving creates a new template from it.' : ''}
+                    </p>
+                  )}
+                </div>
+                <div className="w-60 border-l border-slate-200 overflow-y-auto p-4">
+                  <p className="text-xs font-semibold text-slate-500 uppercase tracking-wide mb-2">Placeholders</p>
+                  <div className="space-y-2">
+                    {Object.entries(TEMPLATE_PLACEHOLDERS).map(([placeholder, description]) => (
+                      <button key={placeholder} onClick={() => insertPlaceholder(placeholder)} className="block w-full text-left p-1.5 rounded hover:bg-slate-50" title="Insert at the cursor">
+                        <span className="block font-mono text-xs text-indigo-700">{`{{${placeholder}}}`}</span>
+                        <span className="block text-[11px] text-slate-500">{description}</span>
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              </div>
+            )}
+
+            {tab === 'diff' && selected && (
+              <div className="flex-1 overflow-y-auto p-6 space-y-3">
+                <div className="space-y-1">
+                  {history.map(version => (
+                    <div key={version.version} className="flex items-center gap-2 px-2 py-1 bg-slate-50 rounded text-xs">
+                      <span className="font-semibold text-slate-800 w-10">v{version.version}</span>
+                      <span className="text-slate-500 w-40">{formatDate(version.createdAt)}</span>
+                      <span className="flex-1 min-w-0 truncate text-slate-700">{version.note}</span>
+                      <button onClick={() => { setBody(version.body); setTab('edit'); }} className="text-indigo-600 hover:underline">Edit from here</button>
+                      <button onClick={() => onUse(selected, version)} className="text-indigo-600 hover:underline">Use this version</button>
+                    </div>
+                  ))}
+                </div>
+                {selected.versions.length > 1 && (
+                  <>
+                    <div className="flex items-center gap-2 text-sm text-slate-700">
+                      Compare
+                      <select value={from.version} onChange={(e) => setDiffFrom(Number(e.target.value))} className="px-2 py-1 border border-slate-300 rounded text-sm bg-white">
+                        {history.map(version => <option key={version.version} value={version.version}>v{version.version}</option>)}
+                      </select>
+                      with
+                      <select value={to.version} onChange={(e) => setDiffTo(Number(e.target.value))} className="px-2 py-1 border border-slate-300 rounded text-sm bg-white">
+                        {history.map(version => <option key={version.version} value={version.version}>v{version.version}</option>)}
+                      </select>
+                      <span className="text-xs text-slate-500">{diffCounts.added} added · {diffCounts.removed} removed</span>
+                    </div>
+                    <pre className="border border-slate-200 rounded-lg text-xs font-mono overflow-x-auto">
+                      {diff.map((line, idx) => (
+                        <div key={idx} className={`px-2 whitespace-pre-wrap ${DIFF_STYLES[line.type]}`}>
+                          <span className="select-none text-slate-400 mr-2">{DIFF_MARKS[line.type]}</span>{line.text || ' '}
+                        </div>
+                      ))}
+                    </pre>
+                  </>
+                )}
+              </div>
+            )}
+
+            {tab === 'compare' && (
+              <div className="flex-1 overflow-y-auto p-6 space-y-4">
+                <p className="text-sm text-slate-600">
+                  Evaluate the selected screenshot with two template versions, one after the other, and open the results side by side. Both are saved to History.
+                </p>
+                <div className="grid grid-cols-2 gap-3">
+                  <div>
+                    <label className="block text-sm font-medium text-slate-700 mb-1">Left</label>
+                    <VersionPicker templates={templates} value={compareA} onChange={setCompareA} />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-slate-700 mb-1">Right</label>
+                    <VersionPicker templates={templates} value={compareB} onChange={setCompareB} />
+                  </div>
+                </div>
+                {compareA === compareB && <p className="text-xs text-amber-700">Both sides use the same version; pick two different ones.</p>}
+                {!canRun && <p className="text-xs text-amber-700">Add a workflow name and a screenshot first.</p>}
+                <button
+                  onClick={() => onCompare([resolveKey(compareA), resolveKey(compareB)])}
+                  disabled={!canRun || compareA === compareB}
+                  className="flex items-center gap-2 px-4 py-2 bg-indigo-600 text-white rounded-lg text-sm font-medium hover:bg-indigo-700 disabled:opacity-40"
+                >
+                  <GitCompare className="w-4 h-4" /> Run both
+                </button>
+              </div>
+            )}
+
+            {error && <p className="px-6 pb-2 text-sm text-red-600">{error}</p>}
+          </div>
+        </div>
+
+        <div className="flex items-center gap-2 px-6 py-4 border-t border-slate-200">
+          {selected && !builtIn && (
+            <button onClick={remove} className="p-2 hover:bg-red-50 rounded-lg" title="Delete this template">
+              <Trash2 className="w-4 h-4 text-slate-400 hover:text-red-500" />
+            </button>
+          )}
+          {selected && (
+            <button onClick={exportTemplate} className="flex items-center gap-1 px-3 py-2 text-sm text-slate-600 hover:bg-slate-100 rounded-lg">
+              <Download className="w-4 h-4" /> Export
+            </button>
+          )}
+          <button
+            onClick={save}
+            disabled={!!problem || !name.trim() || !changed}
+            className="ml-auto px-3 py-2 bg-slate-100 text-slate-700 rounded-lg text-sm hover:bg-slate-200 disabled:opacity-40"
+          >
+            {!selected || builtIn ? 'Save as new template' : 'Save version'}
+          </button>
+          <button
+            onClick={() => onUse(selected, latest)}
+            disabled={!selected || changed}
+            title={changed ? 'Save your changes first' : undefined}
+            className="px-4 py-2 bg-indigo-600 text-white rounded-lg text-sm font-medium hover:bg-indigo-700 disabled:opacity-40"
+          >
+            Use template
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
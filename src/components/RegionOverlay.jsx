@@ -0,0 +1,28 @@
+import React from 'react';
+
+// Trap regions drawn over a screenshot. Coordinates are screen percentages, so the SVG is
+// stretched over the image; the stroke width is divided by the zoom to stay constant on screen.
+export default function RegionOverlay({ regions, zoom }) {
+  if (regions.length === 0) return null;
+  const strokeWidth = 2 / zoom;
+
+  return (
+    <svg className="absolute inset-0 w-full h-full pointer-events-none overflow-visible" viewBox="0 0 100 100" preserveAspectRatio="none">
+      {regions.map(({ key, location, color, active }) => {
+        const shape = {
+          fill: color,
+          fillOpacity: active ? 0.18 : 0.06,
+          stroke: color,
+          strokeWidth: active ? strokeWidth * 1.5 : strokeWidth,
+          strokeDasharray: active ? undefined : `${6 / zoom} ${3 / zoom}`,
+          vectorEffect: 'non-scaling-stroke'
+        };
+        return location.box ? (
+          <rect key={key} x={location.box.x} y={location.box.y} width={location.box.width} height={location.box.height} {...shape} />
+        ) : (
+          <polygon key={key} points={location.polygon.map(point => point.join(',')).join(' ')} {...shape} />
+        );
+      })}
+    </svg>
+  );
+}
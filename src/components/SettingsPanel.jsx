@@ -0,0 +1,282 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { X, Trash2 } from 'lucide-react';
+import { PROVIDERS, DEFAULT_SETTINGS } from '../providers';
+import { IMAGE_FORMATS, TILING_MODES, normalizeImageSettings } from '../lib/tiling';
+import { listCachedResponses, deleteCachedResponse, clearResponseCache } from '../lib/storage';
+
+const inputClass = 'w-full px-3 py-2 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 outline-none';
+
+const formatDate = (iso) => new Date(iso).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+
+// What the response cache holds. Deleting takes effect at once, not on Save.
+const CachedResponses = () => {
+  const [entries, setEntries] = useState(null);
+  const [error, setError] = useState(null);
+
+  const reload = useCallback(async () => {
+    try {
+      setEntries(await listCachedResponses());
+      setError(null);
+    } catch (err) {
+      setError(err.message || 'Could not read the cache');
+    }
+  }, []);
+
+  useEffect(() => { reload(); }, [reload]);
+
+  const act = (fn) => async (...args) => {
+    try {
+      await fn(...args);
+      await reload();
+    } catch (err) {
+      setError(err.message || 'Storage error');
+    }
+  };
+
+  const handleClear = act(async () => {
+    if (!window.confirm(`Delete all ${entries.length} cached evaluations? The next run of each will call the model again.`)) return;
+    await clearResponseCache();
+  });
+
+  const handleDelete = act((key) => deleteCachedResponse(key));
+
+  if (error) return <p className="text-xs text-red-600">{error}</p>;
+  if (!entries) return null;
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between">
+        <p className="text-sm text-slate-700">{entries.length} cached evaluation{entries.length === 1 ? '' : 's'}</p>
+        {entries.length > 0 && (
+          <button onClick={handleClear} className="text-xs text-red-600 hover:text-red-800">Clear cache</button>
+        )}
+      </div>
+      {entries.length > 0 && (
+        <div className="max-h-48 overflow-y-auto space-y-1">
+          {entries.map(entry => (
+            <div key={entry.key} className="flex items-center gap-2 px-2 py-1 bg-slate-50 rounded text-xs" title={`Key ${entry.key}`}>
+              <div className="flex-1 min-w-0">
+                <p className="text-slate-800 truncate">{entry.workflowName} · {entry.screens.join(', ')}</p>
+                <p className="text-slate-500 truncate">
+                  {formatDate(entry.createdAt)} · {entry.model}{entry.runs > 1 ? ` · ${entry.runs} runs` : ''} · {entry.score ?? '—'}/10, {entry.trapCount} found · used {entry.hits || 0}×
+                </p>
+              </div>
+              <button onClick={() => handleDelete(entry.key)} className="p-1 hover:bg-red-100 rounded" title="Delete">
+                <Trash2 className="w-3.5 h-3.5 text-slate-400 hover:text-red-500" />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default function SettingsPanel({ settings, onSave, onClose }) {
+  const [draft, setDraft] = useState(settings);
+  const provider = PROVIDERS[draft.provider];
+  const config = draft.providers[draft.provider];
+  const image = draft.image;
+
+  const updateConfig = (field, value) => {
+    setDraft(prev => ({
+      ...prev,
+      providers: { ...prev.providers, [prev.provider]: { ...prev.providers[prev.provider], [field]: value } }
+    }));
+  };
+
+  const updateImage = (field, value) => setDraft(prev => ({ ...prev, image: { ...prev.image, [field]: value } }));
+
+  const updateCache = (field, value) => setDraft(prev => ({ ...prev, cache: { ...prev.cache, [field]: value } }));
+
+  const resetProvider = () => setDraft(prev => ({
+    ...prev,
+    providers: { ...prev.providers, [prev.provider]: { ...DEFAULT_SETTINGS.providers[prev.provider] } }
+  }));
+
+  const handleSave = () => {
+    const maxTokens = parseInt(config.maxTokens, 10);
+    onSave({
+      ...draft,
+      providers: {
+        ...draft.providers,
+        [draft.provider]: { ...config, maxTokens: Number.isFinite(maxTokens) && maxTokens > 0 ? maxTokens : provider.defaults.maxTokens }
+      },
+      image: normalizeImageSettings(draft.image)
+    });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div className="bg-white rounded-xl max-w-lg w-full max-h-[90vh] flex flex-col" onClick={e => e.stopPropagation()}>
+        <div className="flex items-center justify-between px-6 py-4 border-b border-slate-200">
+          <h2 className="text-xl font-bold text-slate-900">Model Settings</h2>
+          <button onClick={onClose} className="p-1 hover:bg-slate-100 rounded-lg">
+            <X className="w-5 h-5 text-slate-500" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4 overflow-y-auto">
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">Provider</label>
+            <select value={draft.provider} onChange={(e) => setDraft(prev => ({ ...prev, provider: e.target.value }))} className={inputClass}>
+              {Object.values(PROVIDERS).map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+            </select>
+            <p className="text-xs text-slate-500 mt-1">{provider.description}</p>
+          </div>
+
+          {provider.fields.includes('apiKey') && (
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">
+                API Key <span className="text-slate-400 font-normal">(optional behind a proxy)</span>
+              </label>
+              <input
+                type="password"
+                value={config.apiKey}
+                onChange={(e) => updateConfig('apiKey', e.target.value)}
+                placeholder="Stored in this browser only"
+                autoComplete="off"
+                className={inputClass}
+              />
+            </div>
+          )}
+
+          {provider.fields.includes('baseUrl') && (
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">Base URL</label>
+              <input
+                type="text"
+                value={config.baseUrl}
+                onChange={(e) => updateConfig('baseUrl', e.target.value)}
+                placeholder={provider.defaults.baseUrl || 'Same origin'}
+                className={inputClass}
+              />
+            </div>
+          )}
+
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">Model</label>
+              <input
+                type="text"
+                value={config.model}
+                onChange={(e) => updateConfig('model', e.target.value)}
+                placeholder={provider.defaults.model || 'Server default'}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">Max Tokens</label>
+              <input
+                type="number"
+                min={1}
+                value={config.maxTokens}
+                onChange={(e) => updateConfig('maxTokens', e.target.value)}
+                className={inputClass}
+              />
+            </div>
+          </div>
+
+          <div className="pt-4 border-t border-slate-200 space-y-3">
+            <h3 className="text-sm font-semibold text-slate-900">Screenshots</h3>
+            <div className="grid grid-cols-3 gap-3">
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">Max width (px)</label>
+                <input
+                  type="number"
+                  min={320}
+                  max={4096}
+                  step={100}
+                  value={image.maxWidth}
+                  onChange={(e) => updateImage('maxWidth', e.target.value)}
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">Format</label>
+                <select value={image.format} onChange={(e) => updateImage('format', e.target.value)} className={inputClass}>
+                  {Object.entries(IMAGE_FORMATS).map(([id, format]) => <option key={id} value={id}>{format.label}</option>)}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">Quality</label>
+                <input
+                  type="number"
+                  min={0.1}
+                  max={1}
+                  step={0.05}
+                  value={image.quality}
+                  disabled={!IMAGE_FORMATS[image.format]?.lossy}
+                  onChange={(e) => updateImage('quality', e.target.value)}
+                  className={`${inputClass} disabled:bg-slate-50 disabled:text-slate-400`}
+                />
+              </div>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">Tiled analysis</label>
+              <select value={image.tiling} onChange={(e) => updateImage('tiling', e.target.value)} className={inputClass}>
+                {Object.entries(TILING_MODES).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+              </select>
+              <p className="text-xs text-slate-500 mt-1">
+                A single large screenshot is cut into overlapping full-resolution tiles, each evaluated next to the whole page. Costs one request per tile.
+              </p>
+            </div>
+            {image.tiling !== 'off' && (
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-1">Tile size (px)</label>
+                  <input
+                    type="number"
+                    min={512}
+                    max={2048}
+                    step={100}
+                    value={image.tileSize}
+                    onChange={(e) => updateImage('tileSize', e.target.value)}
+                    className={inputClass}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-1">Max tiles</label>
+                  <input
+                    type="number"
+                    min={2}
+                    max={32}
+                    value={image.maxTiles}
+                    onChange={(e) => updateImage('maxTiles', e.target.value)}
+                    className={inputClass}
+                  />
+                </div>
+              </div>
+            )}
+          </div>
+
+          <div className="pt-4 border-t border-slate-200 space-y-3">
+            <h3 className="text-sm font-semibold text-slate-900">Response cache</h3>
+            <label className="flex items-start gap-2 text-sm text-slate-700">
+              <input type="checkbox" checked={draft.cache.enabled} onChange={(e) => updateCache('enabled', e.target.checked)} className="mt-0.5" />
+              <span>
+                Reuse results for identical requests
+                <span className="block text-xs text-slate-500">Same screenshots, context, prompt and model give the stored result instantly, without a request. Use <strong>Run fresh</strong> on a cached result to ask again.</span>
+              </span>
+            </label>
+            <label className="flex items-start gap-2 text-sm text-slate-700">
+              <input type="checkbox" checked={draft.cache.replay} onChange={(e) => updateCache('replay', e.target.checked)} className="mt-0.5" />
+              <span>
+                Replay mode
+                <span className="block text-xs text-slate-500">Serve only cached results and never call the model, for demos and UI tests offline. Requests with nothing cached fail.</span>
+              </span>
+            </label>
+            <CachedResponses />
+          </div>
+        </div>
+
+        <div className="flex items-center justify-between px-6 py-4 border-t border-slate-200">
+          <button onClick={resetProvider} className="text-sm text-slate-500 hover:text-slate-700">Reset to defaults</button>
+          <div className="flex gap-2">
+            <button onClick={onClose} className="px-4 py-2 bg-slate-200 text-slate-600 rounded-lg text-sm hover:bg-slate-300">Cancel</button>
+            <button onClick={handleSave} className="px-4 py-2 bg-indigo-600 text-white rounded-lg text-sm font-medium hover:bg-indigo-700">Save</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,92 @@
+import React, { useState, useEffect } from 'react';
+import { X, Loader2, Copy, Check, Download } from 'lucide-react';
+import { downloadBlob } from '../lib/download';
+
+const formatSize = (bytes) => (bytes < 1024 * 1024 ? `${Math.max(1, Math.round(bytes / 1024))} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`);
+
+// Build a read-only link to the evaluation on screen, or the bundle file when it doesn't fit in
+// one. `createShare()` resolves to { kind: 'link', url, width, length } or
+// { kind: 'bundle', blob, filename }.
+export default function SharePanel({ createShare, onClose }) {
+  const [share, setShare] = useState(null);
+  const [error, setError] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    createShare()
+      .then(result => {
+        if (cancelled) return;
+        setShare(result);
+        if (result.kind === 'bundle') downloadBlob(result.blob, result.filename);
+      })
+      .catch(err => !cancelled && setError(err.message || 'Could not share this evaluation'));
+    return () => { cancelled = true; };
+  }, []);
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(share.url);
+      setCopied(true);
+    } catch {
+      setError('Could not copy to the clipboard; select the link and copy it instead.');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div className="bg-white rounded-xl max-w-lg w-full" onClick={e => e.stopPropagation()}>
+        <div className="flex items-center justify-between px-6 py-4 border-b border-slate-200">
+          <h2 className="text-xl font-bold text-slate-900">Share Evaluation</h2>
+          <button onClick={onClose} className="p-1 hover:bg-slate-100 rounded-lg">
+            <X className="w-5 h-5 text-slate-500" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-3">
+          {!share && !error && (
+            <p className="flex items-center gap-2 text-sm text-slate-600">
+              <Loader2 className="w-4 h-4 animate-spin text-indigo-500" /> Packing the evaluation and screenshots…
+            </p>
+          )}
+
+          {share?.kind === 'link' && (
+            <>
+              <p className="text-sm text-slate-600">
+                Anyone with this link sees the annotated screenshot and results, read-only. Everything is inside the link itself; nothing is uploaded.
+              </p>
+              <div className="flex items-center gap-2">
+                <input
+                  type="text"
+                  readOnly
+                  value={share.url}
+                  onFocus={(e) => e.target.select()}
+                  className="flex-1 min-w-0 px-3 py-2 border border-slate-300 rounded-lg text-xs font-mono text-slate-600 bg-slate-50 outline-none"
+                />
+                <button onClick={copy} className="flex items-center gap-1 px-3 py-2 bg-indigo-600 text-white rounded-lg text-sm font-medium hover:bg-indigo-700">
+                  {copied ? <Check className="w-4 h-4" /> : <Copy className="w-4 h-4" />} {copied ? 'Copied' : 'Copy'}
+                </button>
+              </div>
+              <p className="text-xs text-slate-500">
+                {formatSize(share.length)} link · screenshots downscaled to {share.width} px wide. The prompt and discussion threads are left out.
+              </p>
+            </>
+          )}
+
+          {share?.kind === 'bundle' && (
+            <>
+              <p className="text-sm text-slate-600">
+                This evaluation is too large for a link, so it was saved as a single file ({formatSize(share.blob.size)}) instead. Send the file; it opens in any browser as a report, and its <strong>Open in viewer</strong> button shows it here, read-only. It can also be opened with <strong>Open</strong>.
+              </p>
+              <button onClick={() => downloadBlob(share.blob, share.filename)} className="flex items-center gap-2 px-3 py-2 text-sm text-slate-700 bg-slate-100 rounded-lg hover:bg-slate-200">
+                <Download className="w-4 h-4" /> Download again
+              </button>
+            </>
+          )}
+
+          {error && <p className="text-sm text-red-600">{error}</p>}
+        </div>
+      </div>
+    </div>
+  );
+}
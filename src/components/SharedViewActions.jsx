@@ -0,0 +1,40 @@
+import React from 'react';
+import { Eye, History, FolderOpen, HelpCircle } from 'lucide-react';
+
+// The banner's buttons in the read-only viewer. `canSave` once the shared evaluation has opened
+// and no copy has been saved yet.
+export default function SharedViewActions({ canSave, onSave, onHelp }) {
+  return (
+    <div className="flex items-center gap-1">
+      <span className="flex items-center gap-2 px-3 py-1.5 text-sm text-indigo-200">
+        <Eye className="w-4 h-4" /> Shared evaluation · read-only
+      </span>
+      {canSave && (
+        <button
+          onClick={onSave}
+          className="flex items-center gap-2 px-3 py-1.5 hover:bg-white/10 rounded-lg transition-colors"
+          title="Save a copy to History in this browser"
+        >
+          <History className="w-4 h-4 text-white/70" />
+          <span className="text-sm text-white/70 hover:text-white">Save to my workspace</span>
+        </button>
+      )}
+      <a
+        href={window.location.pathname}
+        className="flex items-center gap-2 px-3 py-1.5 hover:bg-white/10 rounded-lg transition-colors"
+        title="Leave the viewer for your own workspace"
+      >
+        <FolderOpen className="w-4 h-4 text-white/70" />
+        <span className="text-sm text-white/70 hover:text-white">Open the app</span>
+      </a>
+      <button
+        onClick={onHelp}
+        className="flex items-center gap-2 px-3 py-1.5 hover:bg-white/10 rounded-lg transition-colors"
+        title="How to read the results"
+      >
+        <HelpCircle className="w-4 h-4 text-white/70" />
+        <span className="text-sm text-white/70 hover:text-white">Know more</span>
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,42 @@
+import React from 'react';
+import { Loader2 } from 'lucide-react';
+
+// The viewer's left panel: the shared screens to pick from, with `children` (the notices and
+// errors) below. `numbered` in flow mode; `loaded` once the evaluation has opened and `failed` when
+// it couldn't be.
+export default function SharedViewSidebar({ workflowName, images, activeIndex, numbered, loaded, failed, onSelect, children }) {
+  return (
+    <div className="w-72 bg-white border-r border-slate-200 overflow-y-auto p-4 flex flex-col gap-3">
+      <div>
+        <p className="text-xs font-medium text-slate-500 uppercase tracking-wide">Workflow</p>
+        <p className="text-sm font-medium text-slate-900">{workflowName || 'Untitled'}</p>
+      </div>
+      {images.length > 0 && (
+        <div className="space-y-2">
+          {images.map((img, idx) => (
+            <div
+              key={img.id}
+              onClick={() => onSelect(idx)}
+              className={`flex items-center gap-2 p-2 rounded-lg cursor-pointer transition-all ${idx === activeIndex ? 'bg-indigo-100 border border-indigo-300' : 'bg-slate-50 hover:bg-slate-100'}`}
+            >
+              {numbered && <span className="text-xs font-bold text-indigo-600 w-4 text-center flex-shrink-0">{idx + 1}</span>}
+              <img src={img.data} alt="" className="w-10 h-10 object-cover rounded" draggable={false} />
+              <span className="flex-1 min-w-0 text-sm text-slate-700 truncate">{img.name}</span>
+            </div>
+          ))}
+        </div>
+      )}
+      {loaded && (
+        <p className="text-xs text-slate-500">
+          Screenshots may be downscaled. Nothing here can be changed or re-run; use <strong>Save to my workspace</strong> to keep a copy you can work on.
+        </p>
+      )}
+      {!loaded && !failed && (
+        <p className="flex items-center gap-2 text-sm text-slate-500">
+          <Loader2 className="w-4 h-4 animate-spin text-indigo-500" /> Opening the shared evaluation…
+        </p>
+      )}
+      {children}
+    </div>
+  );
+}
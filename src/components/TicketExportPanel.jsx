@@ -0,0 +1,249 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { X, Download, ExternalLink, RotateCcw, Settings } from 'lucide-react';
+import {
+  loadTicketSettings, saveTicketSettings, buildTickets, toLabel,
+  markdownToJira, toJiraCsv, toGithubMarkdown, githubIssueUrl, githubLabels
+} from '../lib/tickets';
+import { SEVERITY_CONFIG } from '../lib/framework';
+import { downloadBlob, slugify } from '../lib/download';
+
+const inputClass = 'w-full px-3 py-2 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 outline-none';
+
+const FORMATS = [
+  { id: 'jira', label: 'Jira CSV' },
+  { id: 'github', label: 'GitHub issues' }
+];
+
+// Comma-separated while typing, committed as clean labels on blur
+const LabelsField = ({ labels, onCommit }) => {
+  const [text, setText] = useState(labels.join(', '));
+  useEffect(() => setText(labels.join(', ')), [labels]);
+  return (
+    <input
+      type="text"
+      value={text}
+      onChange={(e) => setText(e.target.value)}
+      onBlur={() => onCommit(text.split(',').map(toLabel).filter(Boolean))}
+      className={inputClass}
+    />
+  );
+};
+
+// Turn the selected traps into tickets, edit them one by one and download them for the tracker
+export default function TicketExportPanel({ traps, framework, context, isFlow, onClose }) {
+  const [settings, setSettings] = useState(loadTicketSettings);
+  const [showSettings, setShowSettings] = useState(false);
+  const [format, setFormat] = useState('jira');
+  const [selected, setSelected] = useState(() => new Set(traps.map(trap => trap.id)));
+  const [edits, setEdits] = useState({});
+  const [activeId, setActiveId] = useState(traps[0]?.id ?? null);
+
+  const tickets = useMemo(
+    () => buildTickets(traps, { framework, context, isFlow, settings }).map(ticket => ({ ...ticket, ...edits[ticket.trapId] })),
+    [traps, framework, context, isFlow, settings, edits]
+  );
+  const active = tickets.find(ticket => ticket.trapId === activeId);
+  const chosen = tickets.filter(ticket => selected.has(ticket.trapId));
+  const priorityOptions = [...new Set(Object.values(settings.priorities).filter(Boolean))];
+
+  const changeSettings = (changes) => {
+    const next = { ...settings, ...changes };
+    setSettings(next);
+    saveTicketSettings(next);
+  };
+
+  const editTicket = (trapId, changes) => setEdits(prev => ({ ...prev, [trapId]: { ...prev[trapId], ...changes } }));
+
+  const resetTicket = (trapId) => setEdits(({ [trapId]: _, ...rest }) => rest);
+
+  const toggle = (trapId) => setSelected(prev => {
+    const next = new Set(prev);
+    if (next.has(trapId)) next.delete(trapId);
+    else next.add(trapId);
+    return next;
+  });
+
+  const download = () => {
+    const name = `tickets-${slugify(context.workflowName)}-${Date.now()}`;
+    if (format === 'jira') downloadBlob(new Blob([toJiraCsv(chosen)], { type: 'text/csv' }), `${name}.csv`);
+    else downloadBlob(new Blob([toGithubMarkdown(chosen)], { type: 'text/markdown' }), `${name}.md`);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div className="bg-white rounded-xl max-w-5xl w-full h-[90vh] flex flex-col" onClick={e => e.stopPropagation()}>
+        <div className="flex items-center justify-between px-6 py-4 border-b border-slate-200">
+          <h2 className="text-xl font-bold text-slate-900">Export Tickets</h2>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => setShowSettings(!showSettings)}
+              className={`p-1 rounded-lg ${showSettings ? 'bg-indigo-100' : 'hover:bg-slate-100'}`}
+              title="Priority mapping and links"
+            >
+              <Settings className="w-5 h-5 text-slate-500" />
+            </button>
+            <button onClick={onClose} className="p-1 hover:bg-slate-100 rounded-lg">
+              <X className="w-5 h-5 text-slate-500" />
+            </button>
+          </div>
+        </div>
+
+        {showSettings && (
+          <div className="px-6 py-4 border-b border-slate-200 space-y-3 bg-slate-50">
+            <div>
+              <span className="block text-sm font-medium text-slate-700 mb-1">Priority for each severity</span>
+              <div className="grid grid-cols-5 gap-2">
+                {Object.entries(SEVERITY_CONFIG).map(([key, config]) => (
+                  <label key={key} className="block">
+                    <span className="text-xs text-slate-500">{key} · {config.label}</span>
+                    <input
+                      type="text"
+                      value={settings.priorities[key]}
+                      onChange={(e) => changeSettings({ priorities: { ...settings.priorities, [key]: e.target.value } })}
+                      className={inputClass}
+                    />
+                  </label>
+                ))}
+              </div>
+            </div>
+            <div className="grid grid-cols-2 gap-3">
+              <label className="block">
+                <span className="block text-sm font-medium text-slate-700 mb-1">Jira site</span>
+                <input
+                  type="text"
+                  value={settings.jiraUrl}
+                  onChange={(e) => changeSettings({ jiraUrl: e.target.value })}
+                  placeholder="https://your-team.atlassian.net"
+                  className={inputClass}
+                />
+                <span className="text-xs text-slate-500">Links an EPIC key such as SHOP-142 from the EPIC field</span>
+              </label>
+              <label className="block">
+                <span className="block text-sm font-medium text-slate-700 mb-1">GitHub repository</span>
+                <input
+                  type="text"
+                  value={settings.githubRepo}
+                  onChange={(e) => changeSettings({ githubRepo: e.target.value })}
+                  placeholder="owner/repo"
+                  className={inputClass}
+                />
+                <span className="text-xs text-slate-500">Lets you open each ticket as a prefilled new issue</span>
+              </label>
+            </div>
+          </div>
+        )}
+
+        <div className="flex-1 flex min-h-0">
+          <div className="w-80 border-r border-slate-200 overflow-y-auto">
+            <label className="flex items-center gap-2 px-4 py-2 border-b border-slate-100 text-xs text-slate-600">
+              <input
+                type="checkbox"
+                checked={selected.size === traps.length}
+                onChange={(e) => setSelected(new Set(e.target.checked ? traps.map(trap => trap.id) : []))}
+              />
+              {selected.size} of {traps.length} selected
+            </label>
+            {tickets.map(ticket => {
+              const trap = traps.find(t => t.id === ticket.trapId);
+              const severity = SEVERITY_CONFIG[trap.severity] || SEVERITY_CONFIG.P3;
+              return (
+                <div
+                  key={ticket.trapId}
+                  onClick={() => setActiveId(ticket.trapId)}
+                  className={`flex items-start gap-2 px-4 py-2 cursor-pointer ${ticket.trapId === activeId ? 'bg-indigo-50' : 'hover:bg-slate-50'}`}
+                >
+                  <input type="checkbox" checked={selected.has(ticket.trapId)} onChange={() => toggle(ticket.trapId)} onClick={e => e.stopPropagation()} className="mt-1" />
+                  <div className="flex-1 min-w-0">
+                    <p className="text-sm text-slate-800 line-clamp-2">{ticket.title}</p>
+                    <p className="text-xs text-slate-500">
+                      <span className="font-semibold" style={{ color: severity.color }}>{trap.severity}</span> · {ticket.priority}
+                      {edits[ticket.trapId] && ' · Edited'}
+                    </p>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+
+          {active ? (
+            <div className="flex-1 overflow-y-auto p-6 space-y-3">
+              <label className="block">
+                <span className="block text-sm font-medium text-slate-700 mb-1">Title</span>
+                <input type="text" value={active.title} onChange={(e) => editTicket(active.trapId, { title: e.target.value })} className={inputClass} />
+              </label>
+              <div className="grid grid-cols-2 gap-3">
+                <label className="block">
+                  <span className="block text-sm font-medium text-slate-700 mb-1">Priority</span>
+                  <select value={active.priority} onChange={(e) => editTicket(active.trapId, { priority: e.target.value })} className={inputClass}>
+                    {[...new Set([...priorityOptions, active.priority])].map(priority => <option key={priority} value={priority}>{priority}</option>)}
+                  </select>
+                </label>
+                <label className="block">
+                  <span className="block text-sm font-medium text-slate-700 mb-1">Labels</span>
+                  <LabelsField labels={active.labels} onCommit={(labels) => editTicket(active.trapId, { labels })} />
+                </label>
+              </div>
+              <label className="block">
+                <span className="block text-sm font-medium text-slate-700 mb-1">Description <span className="text-slate-400 font-normal">(Markdown)</span></span>
+                <textarea
+                  value={active.body}
+                  rows={12}
+                  onChange={(e) => editTicket(active.trapId, { body: e.target.value })}
+                  className={`${inputClass} font-mono text-xs resize-y`}
+                />
+              </label>
+              <div>
+                <span className="block text-sm font-medium text-slate-700 mb-1">
+                  As exported {format === 'jira' ? '(Jira markup)' : `(labels: ${githubLabels(active).join(', ')})`}
+                </span>
+                <pre className="p-3 bg-slate-50 border border-slate-200 rounded-lg text-xs text-slate-700 whitespace-pre-wrap">
+                  {format === 'jira' ? markdownToJira(active.body) : active.body}
+                </pre>
+              </div>
+              <div className="flex items-center gap-2">
+                {edits[active.trapId] && (
+                  <button onClick={() => resetTicket(active.trapId)} className="flex items-center gap-1 px-2 py-1 text-xs text-slate-600 hover:bg-slate-100 rounded">
+                    <RotateCcw className="w-3.5 h-3.5" /> Reset to finding
+                  </button>
+                )}
+                {format === 'github' && settings.githubRepo.trim() && (
+                  <a
+                    href={githubIssueUrl(settings.githubRepo, active)}
+                    target="_blank"
+                    rel="noreferrer"
+                    className="flex items-center gap-1 px-2 py-1 text-xs text-indigo-600 hover:bg-indigo-50 rounded"
+                  >
+                    <ExternalLink className="w-3.5 h-3.5" /> Open as new issue
+                  </a>
+                )}
+              </div>
+            </div>
+          ) : (
+            <p className="flex-1 p-6 text-sm text-slate-400 text-center">No {framework.labels.items.toLowerCase()} to export.</p>
+          )}
+        </div>
+
+        <div className="flex items-center gap-3 px-6 py-4 border-t border-slate-200">
+          <div className="flex items-center gap-1">
+            {FORMATS.map(f => (
+              <button
+                key={f.id}
+                onClick={() => setFormat(f.id)}
+                className={`px-3 py-1.5 text-sm rounded-lg ${format === f.id ? 'bg-indigo-100 text-indigo-700' : 'text-slate-600 hover:bg-slate-100'}`}
+              >
+                {f.label}
+              </button>
+            ))}
+          </div>
+          <button
+            onClick={download}
+            disabled={chosen.length === 0}
+            className="ml-auto flex items-center gap-2 px-4 py-2 bg-indigo-600 text-white rounded-lg text-sm font-medium hover:bg-indigo-700 disabled:opacity-40"
+          >
+            <Download className="w-4 h-4" /> Download {chosen.length} {chosen.length === 1 ? 'ticket' : 'tickets'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,132 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { Send, Loader2, Check, X } from 'lucide-react';
+import { PROPOSAL_LABELS, SUGGESTED_QUESTIONS, createTurnId } from '../lib/discussion';
+import { SEVERITY_CONFIG } from '../lib/framework';
+
+// What the evaluator suggests changing, next to what the trap says now
+const Proposal = ({ turn, trap, onAccept }) => (
+  <div className="mt-2 p-2 bg-white border border-indigo-200 rounded-lg space-y-1.5">
+    <span className="text-xs font-medium text-indigo-700">Suggested changes</span>
+    {Object.entries(turn.proposal).map(([field, value]) => (
+      <div key={field}>
+        <span className="text-xs font-medium text-slate-500">{PROPOSAL_LABELS[field]}</span>
+        {field === 'severity'
+          ? <p className="text-xs text-slate-700">{trap.severity} → {value} · {SEVERITY_CONFIG[value].label}</p>
+          : <p className="text-xs text-slate-700">{value}</p>}
+      </div>
+    ))}
+    {turn.accepted ? (
+      <span className="flex items-center gap-1 text-xs text-green-700"><Check className="w-3.5 h-3.5" /> Accepted</span>
+    ) : (
+      <button onClick={() => onAccept(turn)} className="px-2 py-1 bg-indigo-600 text-white rounded text-xs font-medium hover:bg-indigo-700">
+        Accept changes
+      </button>
+    )}
+  </div>
+);
+
+// A conversation with the evaluator about one trap. onAsk(turns, { signal, onText }) resolves with
+// the reply turn; onChange(turns) saves the thread; onAccept(proposal) applies a suggestion.
+export default function TrapDiscussion({ trap, turns, onAsk, onChange, onAccept, onClose }) {
+  const [draft, setDraft] = useState('');
+  const [reply, setReply] = useState(null);
+  const [error, setError] = useState(null);
+  const controllerRef = useRef(null);
+
+  // Closing the thread or the panel stops an answer that is still coming in
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const ask = async (question) => {
+    if (!question.trim() || controllerRef.current) return;
+    const thread = [...turns, { id: createTurnId(), role: 'user', text: question.trim(), at: new Date().toISOString() }];
+    onChange(thread);
+    setDraft('');
+    setError(null);
+    setReply('');
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    try {
+      const answer = await onAsk(thread, { signal: controller.signal, onText: setReply });
+      onChange([...thread, answer]);
+    } catch (err) {
+      // Without an answer the question is taken back, so the thread keeps alternating
+      onChange(turns);
+      setDraft(question);
+      if (controller.signal.aborted) return;
+      setError(err.message || 'The evaluator did not answer.');
+    } finally {
+      if (controllerRef.current === controller) {
+        controllerRef.current = null;
+        setReply(null);
+      }
+    }
+  };
+
+  const accept = (turn) => {
+    onAccept(turn.proposal);
+    onChange(turns.map(t => (t.id === turn.id ? { ...t, accepted: true } : t)));
+  };
+
+  return (
+    <div className="mt-3 pt-3 border-t border-slate-200 space-y-2" onClick={e => e.stopPropagation()}>
+      <div className="flex items-center justify-between">
+        <span className="text-xs font-medium text-slate-500">Discussion</span>
+        <button onClick={onClose} className="p-0.5 hover:bg-slate-200 rounded" title="Close discussion">
+          <X className="w-3.5 h-3.5 text-slate-500" />
+        </button>
+      </div>
+
+      {turns.map(turn => (
+        <div key={turn.id} className={turn.role === 'user' ? 'ml-6 p-2 bg-indigo-50 rounded-lg' : 'mr-2 p-2 bg-white border border-slate-200 rounded-lg'}>
+          <p className="text-xs text-slate-700 whitespace-pre-wrap">{turn.text}</p>
+          {turn.proposal && <Proposal turn={turn} trap={trap} onAccept={accept} />}
+        </div>
+      ))}
+
+      {reply !== null && (
+        <div className="mr-2 p-2 bg-white border border-slate-200 rounded-lg">
+          {reply
+            ? <p className="text-xs text-slate-700 whitespace-pre-wrap">{reply}</p>
+            : <p className="flex items-center gap-1 text-xs text-slate-400"><Loader2 className="w-3.5 h-3.5 animate-spin" /> Thinking…</p>}
+        </div>
+      )}
+
+      {error && <p className="text-xs text-red-600">{error}</p>}
+
+      {turns.length === 0 && reply === null && (
+        <div className="flex flex-wrap gap-1">
+          {SUGGESTED_QUESTIONS.map(question => (
+            <button key={question} onClick={() => ask(question)} className="px-2 py-1 bg-slate-100 text-slate-600 rounded text-xs text-left hover:bg-slate-200">
+              {question}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="flex items-end gap-1">
+        <textarea
+          value={draft}
+          rows={2}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+              e.preventDefault();
+              ask(draft);
+            }
+          }}
+          placeholder="Ask about this finding…"
+          className="flex-1 px-2 py-1.5 border border-slate-300 rounded text-xs bg-white resize-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 outline-none"
+        />
+        {reply !== null ? (
+          <button onClick={() => controllerRef.current?.abort()} className="p-2 bg-slate-200 text-slate-600 rounded hover:bg-slate-300" title="Stop">
+            <X className="w-4 h-4" />
+          </button>
+        ) : (
+          <button onClick={() => ask(draft)} disabled={!draft.trim()} className="p-2 bg-indigo-600 text-white rounded hover:bg-indigo-700 disabled:opacity-40" title="Send">
+            <Send className="w-4 h-4" />
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
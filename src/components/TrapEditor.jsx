@@ -0,0 +1,115 @@
+import React, { useState, useEffect } from 'react';
+import { Undo2, Trash2, EyeOff } from 'lucide-react';
+import { SEVERITY_CONFIG, getItemCatalogue } from '../lib/framework';
+
+const inputClass = 'w-full px-2 py-1.5 border border-slate-300 rounded text-sm bg-white focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 outline-none';
+
+const TEXT_FIELDS = [
+  { field: 'evidence', label: 'Evidence' },
+  { field: 'diagnostic', label: 'Impact' },
+  { field: 'quickPivot', label: '🔧 Quick Pivot' },
+  { field: 'architecturalSolve', label: '🏗️ Architectural Solve' },
+  { field: 'aiFix', label: '🤖 AI-Assisted Fix' }
+];
+
+// Text is committed on blur so each edited field is one undo step
+const TextField = ({ label, value, rows = 2, onCommit }) => {
+  const [text, setText] = useState(value || '');
+  useEffect(() => setText(value || ''), [value]);
+  return (
+    <label className="block">
+      <span className="text-xs font-medium text-slate-500">{label}</span>
+      <textarea
+        value={text}
+        rows={rows}
+        onChange={(e) => setText(e.target.value)}
+        onBlur={() => text !== (value || '') && onCommit(text)}
+        className={`${inputClass} resize-y`}
+      />
+    </label>
+  );
+};
+
+export default function TrapEditor({ trap, framework, onChange, onDismiss, onRevert }) {
+  const [dismissing, setDismissing] = useState(false);
+  const [reason, setReason] = useState('');
+  const isModelTrap = trap.origin !== 'reviewer';
+
+  return (
+    <div className="mt-3 space-y-2 pt-3 border-t border-slate-200" onClick={e => e.stopPropagation()}>
+      <div className="grid grid-cols-3 gap-2">
+        <label className="block col-span-2">
+          <span className="text-xs font-medium text-slate-500">{framework.labels.item}</span>
+          {/* Changing the type also moves the finding to the category it belongs to */}
+          <select
+            value={trap.name}
+            onChange={(e) => onChange(getItemCatalogue(framework).find(item => item.name === e.target.value))}
+            className={inputClass}
+          >
+            {framework.categories.map(category => (
+              <optgroup key={category.name} label={category.name}>
+                {category.items.map(item => <option key={item.name} value={item.name}>{item.name}</option>)}
+              </optgroup>
+            ))}
+          </select>
+        </label>
+        <label className="block">
+          <span className="text-xs font-medium text-slate-500">Severity</span>
+          <select value={trap.severity} onChange={(e) => onChange({ severity: e.target.value })} className={inputClass}>
+            {Object.entries(SEVERITY_CONFIG).map(([key, config]) => <option key={key} value={key}>{key} · {config.label}</option>)}
+          </select>
+        </label>
+      </div>
+
+      <TextField
+        label="Location"
+        rows={1}
+        value={trap.location?.description}
+        onCommit={(description) => onChange({ location: { ...trap.location, description } })}
+      />
+      {TEXT_FIELDS.map(({ field, label }) => (
+        <TextField key={field} label={label} value={trap[field]} onCommit={(text) => onChange({ [field]: text })} />
+      ))}
+
+      {dismissing ? (
+        <div className="p-2 bg-slate-100 rounded-lg space-y-2">
+          <input
+            autoFocus
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && reason.trim() && onDismiss(reason.trim())}
+            placeholder="Why is this a false positive?"
+            className={inputClass}
+          />
+          <div className="flex justify-end gap-2">
+            <button onClick={() => setDismissing(false)} className="px-2 py-1 text-xs text-slate-600 hover:bg-slate-200 rounded">Cancel</button>
+            <button
+              onClick={() => onDismiss(reason.trim())}
+              disabled={!reason.trim()}
+              className="px-2 py-1 text-xs font-medium text-white bg-slate-700 hover:bg-slate-800 disabled:bg-slate-300 rounded"
+            >
+              Dismiss finding
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div className="flex items-center gap-2 pt-1">
+          {isModelTrap ? (
+            <button onClick={() => setDismissing(true)} className="flex items-center gap-1 px-2 py-1 text-xs text-slate-600 hover:bg-slate-200 rounded">
+              <EyeOff className="w-3.5 h-3.5" /> False positive
+            </button>
+          ) : (
+            <button onClick={() => onDismiss(null)} className="flex items-center gap-1 px-2 py-1 text-xs text-red-600 hover:bg-red-50 rounded">
+              <Trash2 className="w-3.5 h-3.5" /> Delete
+            </button>
+          )}
+          {trap.edited && (
+            <button onClick={onRevert} className="flex items-center gap-1 px-2 py-1 text-xs text-slate-600 hover:bg-slate-200 rounded">
+              <Undo2 className="w-3.5 h-3.5" /> Restore AI version
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,283 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { X, Download, Loader2, Plus, RotateCcw, Trash2 } from 'lucide-react';
+import { listProjects, listUsage, setProjectBudget } from '../lib/storage';
+import {
+  DEFAULT_PRICES, BUDGET_PERIODS, loadPrices, savePrices, normalizeBudget,
+  checkBudget, sumUsage, groupUsage, formatCost, formatTokens, toUsageCsv
+} from '../lib/usage';
+import { downloadBlob, slugify } from '../lib/download';
+
+const inputClass = 'w-full px-2 py-1 border border-slate-300 rounded text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 outline-none';
+
+const formatDate = (iso) => new Date(iso).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+
+const KIND_LABELS = { evaluation: 'Evaluation', batch: 'Batch job', discussion: 'Discussion' };
+
+const STATUS_STYLES = {
+  ok: 'bg-emerald-50 border-emerald-200 text-emerald-800',
+  warn: 'bg-amber-50 border-amber-200 text-amber-800',
+  blocked: 'bg-red-50 border-red-200 text-red-700'
+};
+
+const monthStart = () => {
+  const now = new Date();
+  return new Date(now.getFullYear(), now.getMonth(), 1).toISOString();
+};
+
+const Totals = ({ label, totals }) => (
+  <div className="p-3 bg-slate-50 rounded-lg">
+    <p className="text-xs font-medium text-slate-500">{label}</p>
+    <p className="text-lg font-semibold text-slate-900">{formatCost(totals.cost)}</p>
+    <p className="text-xs text-slate-500">
+      {totals.requests} request{totals.requests === 1 ? '' : 's'} · {formatTokens(totals.inputTokens)} in · {formatTokens(totals.outputTokens)} out
+    </p>
+    {totals.unpriced > 0 && <p className="text-xs text-amber-700 mt-1">{totals.unpriced} without a price for their model</p>}
+  </div>
+);
+
+// Token usage and estimated cost for the current project, its budget and the price table
+export default function UsagePanel({ projectId, version, onClose }) {
+  const [projects, setProjects] = useState([]);
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [budgetDraft, setBudgetDraft] = useState({ limit: '', period: 'month', warnAt: 80 });
+  const [prices, setPrices] = useState(loadPrices);
+
+  const project = projects.find(p => p.id === projectId);
+
+  const reload = useCallback(async () => {
+    try {
+      const all = await listProjects();
+      setProjects(all);
+      setEntries(await listUsage(projectId));
+      const budget = normalizeBudget(all.find(p => p.id === projectId)?.budget);
+      setBudgetDraft(budget
+        ? { limit: String(budget.limit), period: budget.period, warnAt: Math.round(budget.warnAt * 100) }
+        : { limit: '', period: 'month', warnAt: 80 });
+      setError(null);
+    } catch (err) {
+      setError(err.message || 'Could not read usage');
+    } finally {
+      setLoading(false);
+    }
+  }, [projectId]);
+
+  useEffect(() => { reload(); }, [reload, version]);
+
+  const saveBudget = async () => {
+    try {
+      await setProjectBudget(projectId, normalizeBudget({ ...budgetDraft, warnAt: Number(budgetDraft.warnAt) / 100 }));
+      await reload();
+    } catch (err) {
+      setError(err.message || 'Could not save the budget');
+    }
+  };
+
+  const removeBudget = async () => {
+    try {
+      await setProjectBudget(projectId, null);
+      await reload();
+    } catch (err) {
+      setError(err.message || 'Could not remove the budget');
+    }
+  };
+
+  // Prices apply to runs from now on; what was already recorded keeps the cost it was logged with
+  const changePrices = (next) => {
+    setPrices(next);
+    savePrices(next);
+  };
+
+  const editPrice = (idx, changes) => changePrices(prices.map((row, i) => (i === idx ? { ...row, ...changes } : row)));
+
+  const exportCsv = async () => {
+    try {
+      const all = await listUsage();
+      const names = Object.fromEntries(projects.map(p => [p.id, p.name]));
+      downloadBlob(new Blob([toUsageCsv(all, names)], { type: 'text/csv' }), `usage-${slugify(project?.name)}-${Date.now()}.csv`);
+    } catch (err) {
+      setError(err.message || 'Could not export usage');
+    }
+  };
+
+  const since = monthStart();
+  const thisMonth = sumUsage(entries.filter(entry => entry.at >= since));
+  const allTime = sumUsage(entries);
+  const budgetCheck = checkBudget(project?.budget, entries);
+  const workflows = groupUsage(entries, entry => entry.workflowName || 'Untitled workflow');
+  const recent = [...entries].reverse().slice(0, 25);
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div className="bg-white rounded-xl max-w-4xl w-full max-h-[90vh] flex flex-col" onClick={e => e.stopPropagation()}>
+        <div className="flex items-center justify-between px-6 py-4 border-b border-slate-200">
+          <h2 className="text-xl font-bold text-slate-900">Usage{project ? ` · ${project.name}` : ''}</h2>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={exportCsv}
+              className="flex items-center gap-1.5 px-3 py-1.5 text-sm text-slate-700 border border-slate-300 rounded-lg hover:bg-slate-50"
+              title="Every recorded request, across all projects"
+            >
+              <Download className="w-4 h-4" />
+              Export CSV
+            </button>
+            <button onClick={onClose} className="p-1 hover:bg-slate-100 rounded-lg">
+              <X className="w-5 h-5 text-slate-500" />
+            </button>
+          </div>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6 space-y-6">
+          {error && <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>}
+          {loading && <Loader2 className="w-6 h-6 mx-auto text-indigo-500 animate-spin" />}
+
+          {!loading && (
+            <>
+              <div className="grid grid-cols-2 gap-3">
+                <Totals label="This month" totals={thisMonth} />
+                <Totals label="All time" totals={allTime} />
+              </div>
+
+              {/* Budget */}
+              <div className="space-y-2">
+                <h3 className="text-sm font-semibold text-slate-700">Budget</h3>
+                {budgetCheck.status !== 'none' && (
+                  <div className={`p-3 border rounded-lg text-sm ${STATUS_STYLES[budgetCheck.status]}`}>
+                    {budgetCheck.message || `${formatCost(budgetCheck.spent)} of ${formatCost(budgetCheck.limit)} spent.`}
+                  </div>
+                )}
+                <div className="flex items-end gap-2">
+                  <label className="block">
+                    <span className="block text-xs text-slate-500 mb-1">Limit (USD)</span>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.5"
+                      value={budgetDraft.limit}
+                      onChange={(e) => setBudgetDraft(prev => ({ ...prev, limit: e.target.value }))}
+                      placeholder="No budget"
+                      className={`${inputClass} w-28`}
+                    />
+                  </label>
+                  <label className="block">
+                    <span className="block text-xs text-slate-500 mb-1">Period</span>
+                    <select
+                      value={budgetDraft.period}
+                      onChange={(e) => setBudgetDraft(prev => ({ ...prev, period: e.target.value }))}
+                      className={inputClass}
+                    >
+                      {Object.entries(BUDGET_PERIODS).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+                    </select>
+                  </label>
+                  <label className="block">
+                    <span className="block text-xs text-slate-500 mb-1">Warn at (%)</span>
+                    <input
+                      type="number"
+                      min="1"
+                      max="100"
+                      value={budgetDraft.warnAt}
+                      onChange={(e) => setBudgetDraft(prev => ({ ...prev, warnAt: e.target.value }))}
+                      className={`${inputClass} w-20`}
+                    />
+                  </label>
+                  <button onClick={saveBudget} className="px-3 py-1.5 text-sm text-white bg-indigo-600 rounded hover:bg-indigo-700">Save</button>
+                  {project?.budget && (
+                    <button onClick={removeBudget} className="px-3 py-1.5 text-sm text-slate-600 hover:bg-slate-100 rounded">Remove</button>
+                  )}
+                </div>
+                <p className="text-xs text-slate-500">
+                  Evaluations ask for confirmation once spending passes the warning level, or when the next run is likely to go over. At the limit they stop.
+                </p>
+              </div>
+
+              {/* Per workflow */}
+              <div className="space-y-2">
+                <h3 className="text-sm font-semibold text-slate-700">By workflow</h3>
+                {workflows.length === 0 ? (
+                  <p className="text-sm text-slate-400">Nothing recorded in this project yet.</p>
+                ) : (
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-xs text-slate-500 border-b border-slate-200">
+                        <th className="py-1 font-medium">Workflow</th>
+                        <th className="py-1 font-medium text-right">Requests</th>
+                        <th className="py-1 font-medium text-right">Input</th>
+                        <th className="py-1 font-medium text-right">Output</th>
+                        <th className="py-1 font-medium text-right">Cost</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {workflows.map(group => (
+                        <tr key={group.key} className="border-b border-slate-100">
+                          <td className="py-1 text-slate-800">{group.key}</td>
+                          <td className="py-1 text-right text-slate-600">{group.requests}</td>
+                          <td className="py-1 text-right text-slate-600">{formatTokens(group.inputTokens)}</td>
+                          <td className="py-1 text-right text-slate-600">{formatTokens(group.outputTokens)}</td>
+                          <td className="py-1 text-right font-medium text-slate-800">{formatCost(group.cost)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+
+              {/* Recent requests */}
+              {recent.length > 0 && (
+                <div className="space-y-2">
+                  <h3 className="text-sm font-semibold text-slate-700">Recent</h3>
+                  <div className="space-y-1">
+                    {recent.map(entry => (
+                      <div key={entry.id} className="flex items-center gap-2 px-2 py-1 bg-slate-50 rounded text-xs">
+                        <span className="text-slate-500 w-36 flex-shrink-0">{formatDate(entry.at)}</span>
+                        <span className="flex-1 min-w-0 truncate text-slate-800">{entry.runName || entry.workflowName}</span>
+                        <span className="text-slate-500">{KIND_LABELS[entry.kind] || entry.kind}</span>
+                        <span className="text-slate-500 w-36 truncate">{entry.model || entry.provider}</span>
+                        <span className="text-slate-500 w-24 text-right">{formatTokens(entry.inputTokens + entry.outputTokens)} tokens</span>
+                        <span className="font-medium text-slate-800 w-14 text-right">{formatCost(entry.cost)}</span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {/* Price table */}
+              <div className="space-y-2">
+                <div className="flex items-center justify-between">
+                  <h3 className="text-sm font-semibold text-slate-700">Prices (USD per million tokens)</h3>
+                  <button
+                    onClick={() => changePrices(DEFAULT_PRICES)}
+                    className="flex items-center gap-1 px-2 py-1 text-xs text-slate-600 hover:bg-slate-100 rounded"
+                  >
+                    <RotateCcw className="w-3.5 h-3.5" />
+                    Reset to defaults
+                  </button>
+                </div>
+                <p className="text-xs text-slate-500">A row prices every model whose name starts with it; the longest match wins. Costs are estimates and are fixed when a run is recorded.</p>
+                <div className="space-y-1">
+                  {prices.map((row, idx) => (
+                    <div key={idx} className="flex items-center gap-2">
+                      <input value={row.model} onChange={(e) => editPrice(idx, { model: e.target.value })} placeholder="Model name or prefix" className={`${inputClass} flex-1`} />
+                      <input type="number" min="0" step="0.01" value={row.input} onChange={(e) => editPrice(idx, { input: e.target.value })} title="Input" className={`${inputClass} w-24`} />
+                      <input type="number" min="0" step="0.01" value={row.output} onChange={(e) => editPrice(idx, { output: e.target.value })} title="Output" className={`${inputClass} w-24`} />
+                      <button onClick={() => changePrices(prices.filter((_, i) => i !== idx))} className="p-1 hover:bg-red-100 rounded" title="Remove">
+                        <Trash2 className="w-4 h-4 text-slate-400 hover:text-red-500" />
+                      </button>
+                    </div>
+                  ))}
+                  <button
+                    onClick={() => changePrices([...prices, { model: '', input: 0, output: 0 }])}
+                    className="flex items-center gap-1 px-2 py-1 text-xs text-indigo-600 hover:bg-indigo-50 rounded"
+                  >
+                    <Plus className="w-3.5 h-3.5" />
+                    Add model
+                  </button>
+                </div>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,49 @@
+import tenetsAndTraps from './tenets-and-traps.json';
+import nielsen from './nielsen.json';
+import { validateFramework, FrameworkError } from '../lib/framework.js';
+
+export const BUILT_IN_FRAMEWORKS = [tenetsAndTraps, nielsen].map(validateFramework);
+
+export const DEFAULT_FRAMEWORK = BUILT_IN_FRAMEWORKS[0];
+
+const FRAMEWORKS_KEY = 'heuristic-evaluator:frameworks';
+
+// Frameworks a team imported, kept in this browser
+export const loadCustomFrameworks = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(FRAMEWORKS_KEY) || '[]');
+    return stored.flatMap(raw => {
+      try {
+        return [validateFramework(raw)];
+      } catch {
+        return [];
+      }
+    });
+  } catch {
+    return [];
+  }
+};
+
+const saveCustomFrameworks = (frameworks) => {
+  localStorage.setItem(FRAMEWORKS_KEY, JSON.stringify(frameworks));
+};
+
+export const listFrameworks = () => [...BUILT_IN_FRAMEWORKS, ...loadCustomFrameworks()];
+
+export const isBuiltInFramework = (id) => BUILT_IN_FRAMEWORKS.some(f => f.id === id);
+
+// Add or replace a custom framework; returns the validated definition
+export const saveCustomFramework = (raw) => {
+  const framework = validateFramework(raw);
+  if (isBuiltInFramework(framework.id)) {
+    throw new FrameworkError(`"${framework.id}" is the id of a built-in framework; pick another id.`);
+  }
+  saveCustomFrameworks([...loadCustomFrameworks().filter(f => f.id !== framework.id), framework]);
+  return framework;
+};
+
+export const deleteCustomFramework = (id) => {
+  saveCustomFrameworks(loadCustomFrameworks().filter(f => f.id !== id));
+};
+
+export const getFramework = (id) => listFrameworks().find(f => f.id === id) || DEFAULT_FRAMEWORK;
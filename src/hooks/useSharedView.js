@@ -0,0 +1,71 @@
+import { useState, useEffect } from 'react';
+import { parseExport } from '../lib/exportFormat';
+import { ShareError, SHARE_BUNDLE_HASH, SHARE_READY_MESSAGE, SHARE_DOC_MESSAGE, sharedDataFromHash, decodeShareDoc } from '../lib/share';
+
+// The read-only viewer behind a share link or bundle file (see lib/share.js). The page's hash
+// decides it once, on load: the workspace is then neither loaded nor saved, and nothing can be
+// changed.
+
+export const isSharedViewHash = (hash) => sharedDataFromHash(hash) !== null || hash === SHARE_BUNDLE_HASH;
+
+// The export document behind a share link, or the one a bundle file posts to the viewer it opened
+const receiveSharedDoc = () => {
+  const encoded = sharedDataFromHash(window.location.hash);
+  if (encoded !== null) return decodeShareDoc(encoded);
+  return new Promise((resolve, reject) => {
+    if (!window.opener) {
+      reject(new ShareError('Nothing to show: open the shared file and use its "Open in viewer" button.'));
+      return;
+    }
+    const onMessage = (event) => {
+      if (event.source !== window.opener || event.data?.type !== SHARE_DOC_MESSAGE) return;
+      clearTimeout(timer);
+      window.removeEventListener('message', onMessage);
+      resolve(event.data.doc);
+    };
+    const timer = setTimeout(() => {
+      window.removeEventListener('message', onMessage);
+      reject(new ShareError('The shared file did not answer. Use its "Open in viewer" button again.'));
+    }, 10000);
+    window.addEventListener('message', onMessage);
+    window.opener.postMessage({ type: SHARE_READY_MESSAGE }, '*');
+  });
+};
+
+const initialSharedView = () => {
+  const { hash } = window.location;
+  if (!isSharedViewHash(hash)) return null;
+  return { source: sharedDataFromHash(hash) !== null ? 'shared link' : 'shared file', doc: null, saved: false };
+};
+
+// `shared` is { source, doc, saved } in the viewer and null in the workspace. The shared document
+// is read once and handed to onOpen(doc) as parsed by parseExport; onError(message) when it can't be.
+export const useSharedView = ({ defaultFramework, onOpen, onError }) => {
+  const [shared, setShared] = useState(initialSharedView);
+  const readOnly = !!shared;
+
+  useEffect(() => {
+    if (!readOnly) return;
+    receiveSharedDoc()
+      .then(raw => {
+        const doc = parseExport(raw, { defaultFramework });
+        onOpen(doc);
+        setShared(prev => ({ ...prev, doc }));
+      })
+      .catch(err => onError(err.message || 'Could not open the shared evaluation'));
+  }, []);
+
+  // Pasting a share link into the address bar only changes the hash; the viewer needs a fresh start,
+  // and so does the workspace when leaving the viewer
+  useEffect(() => {
+    const onHashChange = () => {
+      if (readOnly || isSharedViewHash(window.location.hash)) window.location.reload();
+    };
+    window.addEventListener('hashchange', onHashChange);
+    return () => window.removeEventListener('hashchange', onHashChange);
+  }, [readOnly]);
+
+  const markSaved = () => setShared(prev => ({ ...prev, saved: true }));
+
+  return { shared, readOnly, markSaved };
+};
@@ -0,0 +1,156 @@
+import { ProviderError } from '../providers/errors.js';
+
+// A queue of evaluation jobs run a few at a time. Rate-limit and overload errors are retried with
+// exponential backoff and hold back jobs that haven't started yet until the wait is over, so a
+// busy provider isn't hit by the rest of the queue in the meantime.
+
+export const JOB_STATUS = {
+  queued: { label: 'Queued' },
+  running: { label: 'Running' },
+  waiting: { label: 'Waiting to retry' },
+  done: { label: 'Done' },
+  failed: { label: 'Failed' },
+  cancelled: { label: 'Cancelled' }
+};
+
+export const ACTIVE_STATUSES = ['queued', 'running', 'waiting'];
+
+const RETRYABLE_CODES = ['rate_limited', 'overloaded'];
+const BASE_DELAY = 2000;
+const MAX_DELAY = 60_000;
+export const MAX_RETRIES = 5;
+
+export const isRetryable = (err) => err instanceof ProviderError && RETRYABLE_CODES.includes(err.code);
+
+// 2s, 4s, 8s… up to a minute, never sooner than the provider asked for. The jitter keeps jobs
+// that failed together from retrying together.
+export const backoffDelay = (attempt, retryAfter) => {
+  const delay = Math.min(BASE_DELAY * 2 ** (attempt - 1), MAX_DELAY);
+  return Math.max(Math.round(delay * (1 + Math.random() * 0.2)), (retryAfter || 0) * 1000);
+};
+
+let nextJobId = 1;
+
+// runJob(input, signal) does the work of one job and resolves with its result. onChange(jobs) is
+// called with a new array whenever a job changes.
+export const createBatchQueue = ({ runJob, onChange, concurrency = 2, maxRetries = MAX_RETRIES }) => {
+  let jobs = [];
+  let limit = concurrency;
+  let holdUntil = 0;
+  let holdTimer = null;
+  const controllers = new Map();
+  const retryTimers = new Map();
+
+  const find = (id) => jobs.find(job => job.id === id);
+  const update = (id, changes) => {
+    jobs = jobs.map(job => (job.id === id ? { ...job, ...changes } : job));
+    onChange?.(jobs);
+  };
+
+  const pump = () => {
+    const hold = holdUntil - Date.now();
+    if (hold > 0) {
+      clearTimeout(holdTimer);
+      holdTimer = setTimeout(pump, hold);
+      return;
+    }
+    let running = jobs.filter(job => job.status === 'running').length;
+    jobs.filter(job => job.status === 'queued').forEach(job => {
+      if (running >= limit) return;
+      running += 1;
+      start(job);
+    });
+  };
+
+  const scheduleRetry = (id, delay) => {
+    retryTimers.set(id, setTimeout(() => {
+      retryTimers.delete(id);
+      if (find(id)?.status !== 'waiting') return;
+      update(id, { status: 'queued', retryAt: null });
+      pump();
+    }, delay));
+  };
+
+  const start = async (job) => {
+    const controller = new AbortController();
+    const attempts = job.attempts + 1;
+    controllers.set(job.id, controller);
+    update(job.id, { status: 'running', attempts, error: null, retryAt: null });
+
+    try {
+      const result = await runJob(job.input, controller.signal);
+      if (find(job.id)?.status === 'running') update(job.id, { status: 'done', result, finishedAt: Date.now() });
+    } catch (err) {
+      // Cancelled jobs were already marked by cancel()
+      if (err.name === 'AbortError' || find(job.id)?.status !== 'running') return;
+      if (isRetryable(err) && attempts <= maxRetries) {
+        const delay = backoffDelay(attempts, err.retryAfter);
+        holdUntil = Math.max(holdUntil, Date.now() + delay);
+        update(job.id, { status: 'waiting', error: err.message, retryAt: Date.now() + delay });
+        scheduleRetry(job.id, delay);
+      } else {
+        update(job.id, { status: 'failed', error: err.message || 'Evaluation failed', finishedAt: Date.now() });
+      }
+    } finally {
+      controllers.delete(job.id);
+      pump();
+    }
+  };
+
+  const stopJob = (id) => {
+    controllers.get(id)?.abort();
+    clearTimeout(retryTimers.get(id));
+    retryTimers.delete(id);
+  };
+
+  return {
+    // items: [{ name, input }]
+    add(items) {
+      const added = items.map(({ name, input }) => ({
+        id: nextJobId++,
+        name,
+        input,
+        status: 'queued',
+        attempts: 0,
+        error: null,
+        retryAt: null,
+        result: null,
+        addedAt: Date.now()
+      }));
+      jobs = [...jobs, ...added];
+      onChange?.(jobs);
+      pump();
+      return added.map(job => job.id);
+    },
+    cancel(id) {
+      if (!ACTIVE_STATUSES.includes(find(id)?.status)) return;
+      stopJob(id);
+      update(id, { status: 'cancelled', retryAt: null, finishedAt: Date.now() });
+      pump();
+    },
+    retry(id) {
+      if (!['failed', 'cancelled'].includes(find(id)?.status)) return;
+      update(id, { status: 'queued', attempts: 0, error: null, result: null });
+      pump();
+    },
+    remove(id) {
+      stopJob(id);
+      jobs = jobs.filter(job => job.id !== id);
+      onChange?.(jobs);
+      pump();
+    },
+    clearFinished() {
+      jobs = jobs.filter(job => ACTIVE_STATUSES.includes(job.status));
+      onChange?.(jobs);
+    },
+    setConcurrency(value) {
+      limit = Math.max(1, value);
+      pump();
+    },
+    // Cancel everything, e.g. when the page goes away
+    stop() {
+      jobs.filter(job => ACTIVE_STATUSES.includes(job.status)).forEach(job => stopJob(job.id));
+      clearTimeout(holdTimer);
+    }
+  };
+};
@@ -0,0 +1,99 @@
+import { getTrapLocations } from './traps.js';
+
+// Traps further apart than this (in % of the screen) are treated as different findings
+export const MATCH_DISTANCE = 15;
+
+export const SEVERITY_RANK = { P1: 1, P2: 2, P3: 3, P4: 4, P5: 5 };
+
+// Closest pair of locations on the same screen, Infinity when the traps share no screen
+export const locationDistance = (a, b) => {
+  let best = Infinity;
+  for (const locA of getTrapLocations(a)) {
+    for (const locB of getTrapLocations(b)) {
+      if ((locA.screen ?? 1) !== (locB.screen ?? 1)) continue;
+      best = Math.min(best, Math.hypot(locA.x - locB.x, locA.y - locB.y));
+    }
+  }
+  return best;
+};
+
+export const sameFinding = (a, b) => a.name === b.name && (a.tenet || '') === (b.tenet || '');
+
+// Match the traps of two evaluations of the same workflow. Traps pair up when they have the
+// same name and tenet and sit close together; the closest pairs are taken first and each trap
+// is used at most once.
+export const compareEvaluations = (before, after, { maxDistance = MATCH_DISTANCE } = {}) => {
+  const beforeTraps = before.traps || [];
+  const afterTraps = after.traps || [];
+
+  const candidates = [];
+  beforeTraps.forEach((b, bIdx) => {
+    afterTraps.forEach((a, aIdx) => {
+      if (!sameFinding(b, a)) return;
+      const distance = locationDistance(b, a);
+      if (distance <= maxDistance) candidates.push({ bIdx, aIdx, distance });
+    });
+  });
+  candidates.sort((x, y) => x.distance - y.distance);
+
+  const usedBefore = new Set();
+  const usedAfter = new Set();
+  const items = [];
+  for (const { bIdx, aIdx, distance } of candidates) {
+    if (usedBefore.has(bIdx) || usedAfter.has(aIdx)) continue;
+    usedBefore.add(bIdx);
+    usedAfter.add(aIdx);
+    const b = beforeTraps[bIdx];
+    const a = afterTraps[aIdx];
+    const changed = b.severity !== a.severity;
+    items.push({
+      status: changed ? 'severity_changed' : 'persisting',
+      before: b,
+      after: a,
+      distance,
+      // Positive when the trap got less severe (P2 → P4)
+      severityShift: changed ? (SEVERITY_RANK[a.severity] || 0) - (SEVERITY_RANK[b.severity] || 0) : 0
+    });
+  }
+  beforeTraps.forEach((b, bIdx) => {
+    if (!usedBefore.has(bIdx)) items.push({ status: 'resolved', before: b, after: null });
+  });
+  afterTraps.forEach((a, aIdx) => {
+    if (!usedAfter.has(aIdx)) items.push({ status: 'new', before: null, after: a });
+  });
+
+  const tenets = [...new Set([...Object.keys(before.tenetScores || {}), ...Object.keys(after.tenetScores || {})])];
+  const tenetDeltas = tenets.map(tenet => {
+    const from = before.tenetScores?.[tenet];
+    const to = after.tenetScores?.[tenet];
+    return { tenet, before: from, after: to, delta: typeof from === 'number' && typeof to === 'number' ? to - from : null };
+  });
+
+  const scoreDelta = {
+    before: before.score,
+    after: after.score,
+    delta: typeof before.score === 'number' && typeof after.score === 'number' ? after.score - before.score : null
+  };
+
+  const counts = items.reduce((acc, item) => ({ ...acc, [item.status]: acc[item.status] + 1 }), {
+    resolved: 0, new: 0, persisting: 0, severity_changed: 0
+  });
+
+  return { items, tenetDeltas, scoreDelta, counts };
+};
+
+export const COMPARE_STATUS = {
+  resolved: { label: 'Resolved', color: '#16a34a' },
+  new: { label: 'New', color: '#dc2626' },
+  severity_changed: { label: 'Severity changed', color: '#d97706' },
+  persisting: { label: 'Persisting', color: '#64748b' }
+};
+
+// The image a run showed for a given screen number
+export const getRunScreenImage = (run, screen) => {
+  const ref = run.evaluation.evaluatedImages?.[screen - 1];
+  if (ref) return run.images.find(img => img.id === ref.id) || null;
+  return screen === 1 ? run.images[0] || null : null;
+};
+
+export const getRunScreenCount = (run) => run.evaluation.evaluatedImages?.length || 1;
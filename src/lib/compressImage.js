@@ -0,0 +1,49 @@
+import { DEFAULT_IMAGE_SETTINGS, IMAGE_FORMATS, normalizeImageSettings, planTiles, shouldTile } from './tiling.js';
+import { loadImage } from './evidence.js';
+
+// Downscaling and re-encoding of screenshots before they are sent, under the image settings
+// (settings.image). Browser only; Node callers send their images as they are (see readDataUrl in
+// evaluateScreens.js).
+
+// Draw part of the image (sx, sy, sw, sh in px) at `scale` and encode it → { base64, type }.
+// Browsers that can't encode the format fall back to PNG, so the type is read from the result.
+const encode = (img, { sx = 0, sy = 0, sw = img.width, sh = img.height, scale = 1 }, settings) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(sw * scale));
+  canvas.height = Math.max(1, Math.round(sh * scale));
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(img, sx, sy, sw, sh, 0, 0, canvas.width, canvas.height);
+  const format = IMAGE_FORMATS[settings.format];
+  const dataUrl = format.lossy ? canvas.toDataURL(format.type, settings.quality) : canvas.toDataURL(format.type);
+  const [header, base64] = dataUrl.split(',');
+  return { base64, type: /^data:([^;]+)/.exec(header)[1] };
+};
+
+export const compressImage = async (dataUrl, imageSettings = DEFAULT_IMAGE_SETTINGS) => {
+  const settings = normalizeImageSettings(imageSettings);
+  const img = await loadImage(dataUrl);
+  return encode(img, { scale: Math.min(1, settings.maxWidth / img.width) }, settings);
+};
+
+// Cut a screenshot too large to send whole into overlapping full-resolution tiles, plus a
+// downscaled overview of the page. Null when the settings say it can go as one image.
+//   { width, height, plan, overview: { base64, type }, tiles: [{ tile, image: { base64, type } }] }
+export const tileImage = async (dataUrl, imageSettings = DEFAULT_IMAGE_SETTINGS) => {
+  const settings = normalizeImageSettings(imageSettings);
+  const img = await loadImage(dataUrl);
+  const size = { width: img.width, height: img.height };
+  if (!shouldTile(size, settings)) return null;
+
+  const plan = planTiles(size, settings);
+  // The overview only has to show the layout, so its longer edge is kept to maxWidth
+  const overview = encode(img, { scale: Math.min(1, settings.maxWidth / Math.max(img.width, img.height)) }, settings);
+  return {
+    ...size,
+    plan,
+    overview,
+    tiles: plan.tiles.map(tile => ({
+      tile,
+      image: encode(img, { sx: tile.x, sy: tile.y, sw: tile.width, sh: tile.height, scale: plan.scale }, settings)
+    }))
+  };
+};
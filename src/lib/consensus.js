@@ -0,0 +1,115 @@
+import { MATCH_DISTANCE, SEVERITY_RANK, locationDistance, sameFinding } from './compare.js';
+
+// Several evaluations of the same screens merged into one. Traps found by the different runs are
+// clustered by name, tenet and location; each cluster becomes one trap carrying
+// `consensus: { found, runs, confidence, lowAgreement, severities, severityMean }`.
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const stats = (values) => {
+  const numbers = values.filter(value => typeof value === 'number');
+  if (numbers.length === 0) return null;
+  const mean = numbers.reduce((sum, value) => sum + value, 0) / numbers.length;
+  const variance = numbers.reduce((sum, value) => sum + (value - mean) ** 2, 0) / numbers.length;
+  return { mean: round(mean), variance: round(variance), min: Math.min(...numbers), max: Math.max(...numbers), values: numbers };
+};
+
+// Per-tenet statistics across runs, keyed like tenetScores
+const scoreStats = (scoreSets) => {
+  const tenets = [...new Set(scoreSets.flatMap(scores => Object.keys(scores || {})))];
+  return Object.fromEntries(tenets.map(tenet => [tenet, stats(scoreSets.map(scores => scores?.[tenet]))]));
+};
+
+const means = (statsByTenet) => Object.fromEntries(Object.entries(statsByTenet).filter(([, s]) => s).map(([tenet, s]) => [tenet, s.mean]));
+
+// A finding is trusted when more than half of the runs reported it
+export const isLowAgreement = (found, runs) => found * 2 <= runs;
+
+export const consensusLabel = (trap) => (trap.consensus
+  ? `Found in ${trap.consensus.found} of ${trap.consensus.runs} runs${trap.consensus.lowAgreement ? ' (low agreement)' : ''}`
+  : '');
+
+// Each run contributes at most one trap to a cluster; a trap joins the closest matching cluster
+const clusterTraps = (evaluations, maxDistance) => {
+  const clusters = [];
+  evaluations.forEach((evaluation, run) => {
+    (evaluation.traps || []).forEach(trap => {
+      let best = null;
+      let bestDistance = Infinity;
+      clusters.forEach(cluster => {
+        if (cluster.some(member => member.run === run) || !sameFinding(cluster[0].trap, trap)) return;
+        const distance = Math.min(...cluster.map(member => locationDistance(member.trap, trap)));
+        if (distance <= maxDistance && distance < bestDistance) {
+          best = cluster;
+          bestDistance = distance;
+        }
+      });
+      if (best) best.push({ run, trap });
+      else clusters.push([{ run, trap }]);
+    });
+  });
+  return clusters;
+};
+
+// The member closest to all the others speaks for the cluster
+const representative = (cluster) => cluster
+  .map(member => ({
+    member,
+    spread: cluster.reduce((sum, other) => sum + (other === member ? 0 : locationDistance(member.trap, other.trap)), 0)
+  }))
+  .sort((a, b) => a.spread - b.spread)[0].member.trap;
+
+export const buildConsensus = (evaluations, { maxDistance = MATCH_DISTANCE } = {}) => {
+  const runs = evaluations.length;
+  const traps = clusterTraps(evaluations, maxDistance)
+    .map(cluster => {
+      const severities = cluster.map(member => member.trap.severity);
+      const severityMean = round(severities.reduce((sum, severity) => sum + (SEVERITY_RANK[severity] || 3), 0) / severities.length, 1);
+      return {
+        ...representative(cluster),
+        severity: `P${Math.round(severityMean)}`,
+        consensus: {
+          found: cluster.length,
+          runs,
+          confidence: round(cluster.length / runs),
+          lowAgreement: isLowAgreement(cluster.length, runs),
+          severities,
+          severityMean
+        }
+      };
+    })
+    .sort((a, b) => b.consensus.found - a.consensus.found || a.consensus.severityMean - b.consensus.severityMean)
+    .map((trap, idx) => ({ ...trap, id: idx + 1 }));
+
+  const tenetScores = scoreStats(evaluations.map(evaluation => evaluation.tenetScores));
+  const score = stats(evaluations.map(evaluation => evaluation.score));
+
+  // Narrative fields come from the run whose overall score is closest to the mean; the verdict
+  // is the one most runs gave
+  const typical = [...evaluations].sort((a, b) => Math.abs((a.score ?? 0) - (score?.mean ?? 0)) - Math.abs((b.score ?? 0) - (score?.mean ?? 0)))[0];
+  const verdicts = evaluations.map(evaluation => evaluation.summary?.verdict).filter(Boolean);
+  const verdict = [...verdicts].sort((a, b) => verdicts.filter(v => v === b).length - verdicts.filter(v => v === a).length)[0];
+
+  const screens = [...new Set(evaluations.flatMap(evaluation => (evaluation.screenScores || []).map(entry => entry.screen)))].sort((a, b) => a - b);
+
+  return {
+    ...typical,
+    summary: { ...typical.summary, ...(verdict && { verdict }) },
+    traps,
+    tenetScores: means(tenetScores),
+    ...(screens.length > 0 && {
+      screenScores: screens.map(screen => ({
+        screen,
+        tenetScores: means(scoreStats(evaluations.map(evaluation => evaluation.screenScores?.find(entry => entry.screen === screen)?.tenetScores)))
+      }))
+    }),
+    ...(score && { score: score.mean }),
+    consensus: {
+      runs,
+      tenetScores,
+      score,
+      verdicts,
+      lowAgreementCount: traps.filter(trap => trap.consensus.lowAgreement).length
+    }
+  };
+};
@@ -0,0 +1,136 @@
+import { sendMessage } from '../providers/index.js';
+import { SEVERITY_CONFIG } from './framework.js';
+import { buildContext } from './prompt.js';
+
+// Follow-up conversations about a single trap. A thread is a list of turns
+//   { id, role: 'user' | 'assistant', text, proposal?, accepted?, at }
+// and threads are kept per evaluation as { [trapId]: turns }. When the evaluator suggests new
+// remediation or a different severity it adds a `proposal` block, which the reviewer can accept
+// onto the trap.
+
+export const PROPOSAL_FIELDS = ['quickPivot', 'architecturalSolve', 'aiFix', 'severity'];
+
+export const PROPOSAL_LABELS = {
+  quickPivot: '🔧 Quick Pivot',
+  architecturalSolve: '🏗️ Architectural Solve',
+  aiFix: '🤖 AI-Assisted Fix',
+  severity: 'Severity'
+};
+
+export const SUGGESTED_QUESTIONS = [
+  'Why was this flagged? Point me to what you saw in the screenshot.',
+  'I think the severity is wrong. Argue for or against a different rating.',
+  'Suggest alternative fixes that stay within our existing design system components.'
+];
+
+const PROPOSAL_BLOCK = /```proposal\s*([\s\S]*?)(```|$)/;
+
+const TRAP_FIELDS = ['name', 'tenet', 'severity', 'evidence', 'diagnostic', 'quickPivot', 'architecturalSolve', 'aiFix'];
+
+const buildDiscussionPrompt = ({ trap, context, framework }) => {
+  const { labels } = framework;
+  const finding = Object.fromEntries(TRAP_FIELDS.filter(field => trap[field]).map(field => [field, trap[field]]));
+  if (trap.location?.description) finding.location = trap.location.description;
+
+  return `You evaluated these screens against the ${framework.name} framework and reported the ${labels.item.toLowerCase()} below. A member of the design team wants to discuss it with you.
+
+## Context
+${buildContext(context)}
+
+## The ${labels.item}
+\`\`\`json
+${JSON.stringify(finding, null, 2)}
+\`\`\`
+
+Answer their questions about this ${labels.item.toLowerCase()} only. Ground your answers in what is visible in the screenshot and in the ${labels.category.toLowerCase()} it falls under. If they challenge your reasoning, reconsider honestly: concede when they are right and explain why when they are not. Keep answers short and practical.
+
+Severity scale: ${Object.entries(SEVERITY_CONFIG).map(([key, config]) => `${key} ${config.label}`).join(', ')}.
+
+When your answer recommends changing the severity or the remediation, end it with a block containing only the fields you would change:
+\`\`\`proposal
+{"severity": "P3", "quickPivot": "…", "architecturalSolve": "…", "aiFix": "…"}
+\`\`\`
+Leave the block out when nothing should change.`;
+};
+
+// Only recognised fields with usable values; null when nothing is left
+const normalizeProposal = (value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return null;
+  const proposal = {};
+  PROPOSAL_FIELDS.forEach(field => {
+    const raw = value[field];
+    if (typeof raw !== 'string' || !raw.trim()) return;
+    if (field === 'severity') {
+      const severity = raw.trim().toUpperCase().slice(0, 2);
+      if (SEVERITY_CONFIG[severity]) proposal.severity = severity;
+    } else {
+      proposal[field] = raw.trim();
+    }
+  });
+  return Object.keys(proposal).length > 0 ? proposal : null;
+};
+
+// The readable part of a reply, also while it is still streaming in
+export const replyText = (text) => text.replace(PROPOSAL_BLOCK, '').trim();
+
+export const parseDiscussionReply = (text) => {
+  const match = PROPOSAL_BLOCK.exec(text);
+  let proposal = null;
+  if (match) {
+    try {
+      proposal = normalizeProposal(JSON.parse(match[1]));
+    } catch {
+      proposal = null;
+    }
+  }
+  return { text: replyText(text), proposal };
+};
+
+// Assistant turns go back to the model the way it wrote them, proposal included
+const turnContent = (turn) => (turn.role === 'assistant' && turn.proposal
+  ? `${turn.text}\n\n\`\`\`proposal\n${JSON.stringify(turn.proposal)}\n\`\`\``
+  : turn.text);
+
+// screens: [{ label, image: { base64, type } }] for the screens the trap is on
+export const buildDiscussionMessages = ({ trap, screens, context, framework, turns }) => {
+  const intro = [
+    ...screens.flatMap(screen => [
+      { type: 'text', text: screen.label },
+      { type: 'image', mediaType: screen.image.type, data: screen.image.base64 }
+    ]),
+    { type: 'text', text: buildDiscussionPrompt({ trap, context, framework }) }
+  ];
+  return turns.map((turn, idx) => ({
+    role: turn.role,
+    content: [...(idx === 0 ? intro : []), { type: 'text', text: turnContent(turn) }]
+  }));
+};
+
+// Send the thread, which ends with the reviewer's question, and resolve with the reply turn.
+// onText(text) receives the readable reply so far; onUsage(reply) the model and token usage.
+export const requestDiscussionReply = async ({ settings, signal, onText, onUsage, ...thread }) => {
+  let received = '';
+  const reply = await sendMessage(settings, {
+    messages: buildDiscussionMessages(thread),
+    signal,
+    onText: onText && ((delta) => {
+      received += delta;
+      // Hold back what may be the start of the proposal block
+      onText(replyText(received).replace(/`{1,3}[a-z]*$/, '').trimEnd());
+    })
+  });
+  onUsage?.(reply);
+  return { id: createTurnId(), role: 'assistant', ...parseDiscussionReply(reply.text), at: new Date().toISOString() };
+};
+
+export const createTurnId = () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+// Threads as stored with a run or read from an export file
+export const normalizeDiscussions = (discussions) => {
+  if (!discussions || typeof discussions !== 'object' || Array.isArray(discussions)) return {};
+  return Object.fromEntries(Object.entries(discussions)
+    .map(([trapId, turns]) => [trapId, (Array.isArray(turns) ? turns : [])
+      .filter(turn => turn && ['user', 'assistant'].includes(turn.role) && typeof turn.text === 'string')
+      .map(turn => ({ ...turn, proposal: normalizeProposal(turn.proposal) }))])
+    .filter(([, turns]) => turns.length > 0));
+};
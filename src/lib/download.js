@@ -0,0 +1,19 @@
+// Save a Blob through a temporary link
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+};
+
+export const slugify = (value) => String(value || 'untitled').trim().replace(/\s+/g, '-').toLowerCase();
+
+const csvCell = (value) => {
+  const text = String(value ?? '');
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// rows: arrays of cells, the first usually the header
+export const toCsv = (rows) => rows.map(row => row.map(csvCell).join(',')).join('\r\n');
@@ -0,0 +1,220 @@
+import { buildEvaluationPrompt, buildFlowPrompt, buildPageFactsPrompt, buildTilePrompt } from './prompt.js';
+import { STANDARD, resolveTemplate } from './promptTemplates.js';
+import { collectPageFacts, anchorTrapsToFacts } from './pageFacts.js';
+import { requestEvaluation, requestConsensusEvaluation, requestTiledEvaluation } from './evaluation.js';
+import { tileRegion } from './tiling.js';
+import { emptyUsage, addUsage } from './usage.js';
+import { buildPersonaRulesPrompt, applyPersonaRules } from './personas.js';
+import { responseKey, CacheMissError } from './responseCache.js';
+import { getProviderConfig } from '../providers/index.js';
+
+// Everything between screenshots plus their context and a finished evaluation, shared by the app,
+// the batch queue and the command line. Nothing here touches the DOM; the browser passes its
+// canvas-based compressImage as `compress` and tileImage as `tile`, and its response cache as
+// `cache`.
+
+// "data:image/png;base64,…" → { base64, type }, unchanged
+export const readDataUrl = async (dataUrl) => {
+  const match = /^data:([^;,]+);base64,(.*)$/s.exec(dataUrl);
+  if (!match) throw new Error('Screenshots must be base64 data URLs.');
+  return { base64: match[2], type: match[1] };
+};
+
+const STANDARD_VERSION = resolveTemplate(STANDARD);
+
+// Recorded on every evaluation as `promptTemplate`
+const templateUsed = ({ id, name, version }) => ({ id, name, version });
+
+// screens: [{ id, name, data, page? }] with `data` a data URL; context: { workflowName,
+// epicDetails, persona, personaProfile?, usecaseDescription }; template: the prompt template
+// version to use ({ id, name, version, body }, see promptTemplates.js); imageSettings:
+// settings.image, passed on to `compress`. Returns the prompt and the request to send.
+export const buildEvaluationRequest = async ({
+  screens, context, framework, template = STANDARD_VERSION, flow = false, compress = readDataUrl, imageSettings
+}) => {
+  const isFlow = flow && screens.length > 1;
+  const encoded = await Promise.all(screens.map(screen => compress(screen.data, imageSettings)));
+
+  let prompt = buildEvaluationPrompt(framework, context, template.body);
+  if (isFlow) prompt += buildFlowPrompt(framework).replaceAll('{SCREEN_COUNT}', String(screens.length));
+  const pageFacts = collectPageFacts(screens);
+  if (pageFacts.length > 0) prompt += buildPageFactsPrompt(pageFacts, framework, isFlow);
+  prompt += buildPersonaRulesPrompt(context.personaProfile, framework);
+
+  // In flow mode each image is preceded by its screen label so traps can reference it
+  const imageContent = encoded.flatMap((img, idx) => {
+    const block = { type: 'image', mediaType: img.type, data: img.base64 };
+    return isFlow ? [{ type: 'text', text: `Screen ${idx + 1}: ${screens[idx].name}` }, block] : [block];
+  });
+
+  return {
+    prompt,
+    isFlow,
+    pageFacts,
+    messages: [{ role: 'user', content: [...imageContent, { type: 'text', text: prompt }] }]
+  };
+};
+
+// One request per tile of a single screenshot cut up by `tile`: the downscaled page for context,
+// then the tile, then the prompt with where the tile sits on the page
+export const buildTileRequests = ({ screen, tiled, context, framework, template = STANDARD_VERSION }) => {
+  let prompt = buildEvaluationPrompt(framework, context, template.body);
+  const pageFacts = collectPageFacts([screen]);
+  if (pageFacts.length > 0) prompt += buildPageFactsPrompt(pageFacts, framework, false);
+  prompt += buildPersonaRulesPrompt(context.personaProfile, framework);
+
+  const page = { width: tiled.width, height: tiled.height };
+  const overview = { type: 'image', mediaType: tiled.overview.type, data: tiled.overview.base64 };
+  const count = tiled.tiles.length;
+  const tiles = tiled.tiles.map(({ tile, image }) => ({
+    tile,
+    messages: [{
+      role: 'user',
+      content: [
+        { type: 'text', text: 'Whole page (context only):' },
+        overview,
+        { type: 'text', text: `Tile ${tile.index + 1} of ${count}:` },
+        { type: 'image', mediaType: image.type, data: image.base64 },
+        { type: 'text', text: prompt + buildTilePrompt(framework, { number: tile.index + 1, count, region: tileRegion(tile, page), hasFacts: pageFacts.length > 0 }) }
+      ]
+    }]
+  }));
+  return { prompt, pageFacts, page, tiles };
+};
+
+// Answer from `cache` when cacheMode allows it, otherwise run `ask` and store the evaluation it
+// returns, before it is placed on the screens (their ids change from one upload to the next).
+//   { result, cached: { key, createdAt } | null, cacheError: message | null }
+const withCache = async ({ cache, cacheMode = 'use', settings, runs, context, template, screens, messages, prompt }, ask) => {
+  if (!cache && cacheMode !== 'replay') return { result: await ask(), cached: null, cacheError: null };
+  const { config } = getProviderConfig(settings);
+  const key = await responseKey({ provider: settings.provider, model: config.model, runs, context, template, messages });
+  if (cacheMode !== 'fresh') {
+    const hit = await cache?.get(key);
+    if (hit) return { result: hit.evaluation, cached: { key, createdAt: hit.createdAt }, cacheError: null };
+    if (cacheMode === 'replay') {
+      throw new CacheMissError('Replay mode only serves cached results, and this request has none. Turn replay off to evaluate it.', key);
+    }
+  }
+  const result = await ask();
+  try {
+    await cache.put({
+      key,
+      createdAt: new Date().toISOString(),
+      provider: settings.provider,
+      model: config.model,
+      runs,
+      workflowName: context.workflowName,
+      screens: screens.map(screen => screen.name),
+      prompt,
+      evaluation: result
+    });
+  } catch (err) {
+    // A full or unavailable cache costs the next run a request, nothing more; the caller says so
+    return { result, cached: null, cacheError: err.message || String(err) };
+  }
+  return { result, cached: null, cacheError: null };
+};
+
+const evaluateTiles = async ({
+  settings, screen, tiled, context, framework, template, signal, onPartial, onProgress, onUsage, cache, cacheMode
+}) => {
+  const { prompt, pageFacts, page, tiles } = buildTileRequests({ screen, tiled, context, framework, template });
+
+  // Traps are on the page by now; the persona rules and facts apply as for any single screen
+  const placeOnPage = (result) => anchorTrapsToFacts({
+    ...applyPersonaRules(result, context.personaProfile, framework),
+    promptTemplate: templateUsed(template),
+    flow: false,
+    evaluatedImages: [{ id: screen.id, name: screen.name }]
+  }, pageFacts);
+
+  const cacheRequest = {
+    cache, cacheMode, settings, runs: 1, context, template, screens: [screen], messages: tiles.map(request => request.messages), prompt
+  };
+  try {
+    const { result, cached, cacheError } = await withCache(cacheRequest, () => requestTiledEvaluation({
+      settings,
+      tiles,
+      page,
+      plan: tiled.plan,
+      signal,
+      framework,
+      onProgress,
+      onUsage,
+      onPartial: onPartial && ((partial) => onPartial(placeOnPage(partial)))
+    }));
+    return { evaluation: placeOnPage(result), prompt, isFlow: false, cached, cacheError };
+  } catch (err) {
+    if (err.partial) {
+      err.partial = placeOnPage(err.partial);
+      err.prompt = prompt;
+    }
+    throw err;
+  }
+};
+
+const evaluate = async ({
+  settings, screens, context, framework, template = STANDARD_VERSION, flow, compress, tile, signal, runs = 1,
+  onPartial, onProgress, onUsage, cache, cacheMode
+}) => {
+  const tiled = tile && screens.length === 1 && runs <= 1 ? await tile(screens[0].data, settings.image) : null;
+  if (tiled) {
+    return evaluateTiles({
+      settings, screen: screens[0], tiled, context, framework, template, signal, onPartial, onProgress, onUsage, cache, cacheMode
+    });
+  }
+
+  const { prompt, isFlow, pageFacts, messages } = await buildEvaluationRequest({
+    screens, context, framework, template, flow, compress, imageSettings: settings.image
+  });
+
+  // Remember which images the screen numbers refer to, so markers follow the right screenshot.
+  // The persona's severity rules are applied here too, to partial results as well as final ones.
+  const placeOnScreens = (result) => anchorTrapsToFacts({
+    ...applyPersonaRules(result, context.personaProfile, framework),
+    promptTemplate: templateUsed(template),
+    flow: isFlow,
+    evaluatedImages: screens.map(screen => ({ id: screen.id, name: screen.name }))
+  }, pageFacts);
+
+  const request = { settings, messages, signal, screenCount: screens.length, framework, onUsage };
+  const cacheRequest = { cache, cacheMode, settings, runs, context, template, screens, messages: [messages], prompt };
+  try {
+    const { result, cached, cacheError } = await withCache(cacheRequest, () => (runs > 1
+      ? requestConsensusEvaluation({ ...request, runs, onProgress })
+      : requestEvaluation({ ...request, onPartial: onPartial && ((partial) => onPartial(placeOnScreens(partial))) })));
+    return { evaluation: placeOnScreens(result), prompt, isFlow, cached, cacheError };
+  } catch (err) {
+    // A cancelled stream keeps what had arrived, with the prompt it answered
+    if (err.partial) {
+      err.partial = placeOnScreens(err.partial);
+      err.prompt = prompt;
+    }
+    throw err;
+  }
+};
+
+// Evaluate screens end to end. `runs` above 1 asks for a consensus of that many runs; otherwise
+// onPartial receives the streamed result as it grows. A single screenshot that `tile` finds too
+// large (under settings.image) is evaluated tile by tile, unless a consensus was asked for.
+// `template` is the prompt template version to use, the standard prompt by default, and is
+// recorded on the evaluation as `promptTemplate`. onProgress(step, steps, 'run' | 'tile').
+// With a `cache` (see responseCache.js) an identical earlier request is answered from it, as
+// cacheMode ('use', 'fresh' or 'replay') allows; replay without a stored answer fails with a
+// CacheMissError. Resolves with { evaluation, prompt, isFlow, usage, cached, cacheError }, `usage`
+// totalling every request made, `cached` ({ key, createdAt }) set when the answer came from the
+// cache and `cacheError` set when a fresh answer could not be stored; a failure carries what was
+// used as `err.usage`.
+export const evaluateScreens = async (options) => {
+  let usage = emptyUsage();
+  const onUsage = (reply) => {
+    usage = addUsage(usage, reply);
+  };
+  try {
+    return { ...(await evaluate({ ...options, onUsage })), usage };
+  } catch (err) {
+    err.usage = usage;
+    throw err;
+  }
+};
@@ -0,0 +1,180 @@
+import { sendMessage } from '../providers/index.js';
+import { extractJson, validateEvaluation, buildRepairPrompt, ValidationError } from './validateEvaluation.js';
+import { frameworkRef } from './framework.js';
+import { buildConsensus } from './consensus.js';
+import { mergeTileEvaluations } from './tiling.js';
+import { parsePartialJson } from './partialJson.js';
+
+// Re-read a streaming reply at most this often
+const PARTIAL_INTERVAL = 150;
+
+const parseReply = (text, screenCount, framework) => {
+  try {
+    return validateEvaluation(extractJson(text), { screenCount, framework });
+  } catch (err) {
+    if (err instanceof ValidationError) return { evaluation: null, issues: err.issues, fatal: true };
+    throw err;
+  }
+};
+
+const countErrors = (result) => result.issues.filter(issue => issue.level === 'error').length;
+
+// What can be shown of a reply that is still arriving: the summary as far as it goes, the traps
+// that are complete and the scores once they are. Marked `incomplete`.
+export const readPartialEvaluation = (text, { screenCount = 1, framework }) => {
+  const start = text.indexOf('{');
+  if (start < 0) return null;
+  let parsed;
+  try {
+    parsed = parsePartialJson(text.slice(start));
+  } catch {
+    return null;
+  }
+  const { value, open } = parsed;
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return null;
+  const whole = (item) => (item && typeof item === 'object' && !open.has(item) ? item : undefined);
+
+  const { evaluation, issues } = validateEvaluation({
+    ...value,
+    summary: value.summary && typeof value.summary === 'object' ? value.summary : {},
+    traps: Array.isArray(value.traps) ? value.traps.filter(whole) : [],
+    tenetScores: whole(value.tenetScores),
+    screenScores: whole(value.screenScores),
+    disarmPriorities: whole(value.disarmPriorities)
+  }, { screenCount, framework });
+  return {
+    ...evaluation,
+    framework: frameworkRef(framework),
+    // Whatever hasn't arrived yet isn't a problem with the reply
+    validation: { repaired: false, issues: issues.filter(issue => issue.path.startsWith('traps[')) },
+    incomplete: true
+  };
+};
+
+// Stream the first reply when onPartial is given, calling it with each readable partial result.
+// If the request is cancelled part-way, the AbortError carries what had arrived as `partial`.
+const sendStreaming = async ({ settings, messages, signal, screenCount, framework, onPartial }) => {
+  if (!onPartial) return sendMessage(settings, { messages, signal });
+  let text = '';
+  let lastRead = 0;
+  const readPartial = () => {
+    lastRead = Date.now();
+    const partial = readPartialEvaluation(text, { screenCount, framework });
+    if (partial) onPartial(partial);
+  };
+  try {
+    return await sendMessage(settings, {
+      messages,
+      signal,
+      onText: (delta) => {
+        text += delta;
+        if (Date.now() - lastRead >= PARTIAL_INTERVAL) readPartial();
+      }
+    });
+  } catch (err) {
+    if (err.name === 'AbortError' && text) err.partial = readPartialEvaluation(text, { screenCount, framework });
+    throw err;
+  }
+};
+
+// Send the evaluation request, then give the model one chance to repair an off-contract reply.
+// onUsage receives every reply, for its model and token usage.
+export const requestEvaluation = async ({ settings, messages, signal, screenCount = 1, framework, onPartial, onUsage }) => {
+  const first = await sendStreaming({ settings, messages, signal, screenCount, framework, onPartial });
+  onUsage?.(first);
+  let result = parseReply(first.text, screenCount, framework);
+  let repaired = false;
+
+  if (countErrors(result) > 0) {
+    const second = await sendMessage(settings, {
+      signal,
+      messages: [
+        ...messages,
+        { role: 'assistant', content: [{ type: 'text', text: first.text }] },
+        { role: 'user', content: [{ type: 'text', text: buildRepairPrompt(result.issues, framework) }] }
+      ]
+    });
+    onUsage?.(second);
+    const retry = parseReply(second.text, screenCount, framework);
+    // Keep whichever reply lost less; a repair can make things worse
+    if (!retry.fatal && (result.fatal || countErrors(retry) <= countErrors(result))) {
+      result = retry;
+      repaired = true;
+    }
+  }
+
+  if (result.fatal) {
+    throw new ValidationError('Could not parse evaluation results. Please try again.', result.issues);
+  }
+  return { ...result.evaluation, framework: frameworkRef(framework), validation: { repaired, issues: result.issues } };
+};
+
+// Run the same evaluation `runs` times, one after another, and merge the results. A run whose
+// reply can't be used is skipped; cancelling through `signal` stops the whole series.
+export const requestConsensusEvaluation = async ({ runs, onProgress, ...request }) => {
+  const evaluations = [];
+  let lastError = null;
+  for (let run = 1; run <= runs; run++) {
+    onProgress?.(run, runs);
+    try {
+      evaluations.push(await requestEvaluation(request));
+    } catch (err) {
+      if (err.name === 'AbortError' || !(err instanceof ValidationError)) throw err;
+      lastError = err;
+    }
+  }
+  if (evaluations.length === 0) throw lastError;
+
+  const merged = buildConsensus(evaluations);
+  return {
+    ...merged,
+    consensus: { ...merged.consensus, failedRuns: runs - evaluations.length },
+    validation: {
+      repaired: evaluations.some(evaluation => evaluation.validation.repaired),
+      issues: evaluations.flatMap((evaluation, idx) => evaluation.validation.issues.map(issue => ({ ...issue, path: `run ${idx + 1}: ${issue.path}` })))
+    }
+  };
+};
+
+// Evaluate a large screenshot tile by tile and merge the answers into one evaluation of the page.
+// tiles: [{ tile, messages }] from buildTileRequests; page: { width, height } in px. A tile whose
+// reply can't be used is skipped; onPartial receives the merged result as each tile streams in.
+export const requestTiledEvaluation = async ({ tiles, page, plan, onProgress, onPartial, ...request }) => {
+  const results = [];
+  const issues = [];
+  let repaired = false;
+  let lastError = null;
+  const merge = (extra = []) => ({ ...mergeTileEvaluations([...results, ...extra], page, plan), framework: frameworkRef(request.framework) });
+
+  for (const [idx, { tile, messages }] of tiles.entries()) {
+    onProgress?.(idx + 1, tiles.length, 'tile');
+    try {
+      const evaluation = await requestEvaluation({
+        ...request,
+        messages,
+        screenCount: 1,
+        onPartial: onPartial && ((partial) => onPartial({ ...merge([{ tile, evaluation: partial }]), incomplete: true }))
+      });
+      results.push({ tile, evaluation });
+      repaired = repaired || evaluation.validation.repaired;
+      issues.push(...evaluation.validation.issues.map(issue => ({ ...issue, path: `tile ${idx + 1}: ${issue.path}` })));
+    } catch (err) {
+      if (err.name === 'AbortError') {
+        if (results.length > 0 || err.partial) {
+          err.partial = { ...merge(err.partial ? [{ tile, evaluation: err.partial }] : []), incomplete: true };
+        }
+        throw err;
+      }
+      if (!(err instanceof ValidationError)) throw err;
+      lastError = err;
+    }
+  }
+  if (results.length === 0) throw lastError;
+
+  const merged = merge();
+  return {
+    ...merged,
+    tiling: { ...merged.tiling, failedTiles: tiles.length - results.length },
+    validation: { repaired, issues }
+  };
+};
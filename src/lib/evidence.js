@@ -0,0 +1,47 @@
+import { getEvidenceCrop, getLocationBounds } from './traps.js';
+
+export const loadImage = (src) => new Promise((resolve, reject) => {
+  const img = new Image();
+  img.onload = () => resolve(img);
+  img.onerror = () => reject(new Error('Could not load a screenshot.'));
+  img.src = src;
+});
+
+// Cut the trap's area out of the screenshot, enlarge it and outline the region (or ring the
+// point) in the severity color. Returns a JPEG data URL.
+export const renderEvidenceCrop = async (dataUrl, location, color, { width = 480 } = {}) => {
+  const img = await loadImage(dataUrl);
+  const crop = getEvidenceCrop(location);
+  const sx = (crop.x / 100) * img.width;
+  const sy = (crop.y / 100) * img.height;
+  const sw = (crop.width / 100) * img.width;
+  const sh = (crop.height / 100) * img.height;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = Math.max(1, Math.round((sh / sw) * width));
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(img, sx, sy, sw, sh, 0, 0, canvas.width, canvas.height);
+
+  // Screen percentages to canvas pixels
+  const toX = (x) => ((x - crop.x) / crop.width) * canvas.width;
+  const toY = (y) => ((y - crop.y) / crop.height) * canvas.height;
+
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 3;
+  const bounds = getLocationBounds(location);
+  if (location.box) {
+    ctx.strokeRect(toX(bounds.x), toY(bounds.y), toX(bounds.x + bounds.width) - toX(bounds.x), toY(bounds.y + bounds.height) - toY(bounds.y));
+  } else if (bounds) {
+    ctx.beginPath();
+    location.polygon.forEach(([x, y], idx) => (idx === 0 ? ctx.moveTo(toX(x), toY(y)) : ctx.lineTo(toX(x), toY(y))));
+    ctx.closePath();
+    ctx.stroke();
+  } else {
+    ctx.beginPath();
+    ctx.arc(toX(location.x), toY(location.y), canvas.width * 0.08, 0, Math.PI * 2);
+    ctx.stroke();
+  }
+
+  return canvas.toDataURL('image/jpeg', 0.85);
+};
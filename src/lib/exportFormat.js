@@ -0,0 +1,119 @@
+import { validateEvaluation } from './validateEvaluation.js';
+import { normalizeReview, isReviewEmpty } from './review.js';
+import { validateFramework, frameworkRef, FrameworkError } from './framework.js';
+import { normalizeDiscussions } from './discussion.js';
+
+// Self-contained evaluation file: context, screenshots, how it was produced and the result.
+// Bump EXPORT_VERSION and add a migration whenever the shape changes.
+export const EXPORT_FORMAT = 'heuristic-evaluator/evaluation';
+export const EXPORT_VERSION = 5;
+
+export class ImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportError';
+  }
+}
+
+// Each migration upgrades a document from version N to N + 1. Files from before v4 were all
+// made with the default framework (Tenets & Traps), which the caller passes in.
+const MIGRATIONS = {
+  // v1: the original flat export, evaluation fields spread next to the context and no screenshots
+  1: ({ workflow, epicDetails, persona, usecaseDescription, evaluatedAt, ...evaluation }, { defaultFramework }) => {
+    // These predate output validation, so normalize them the same way fresh replies are
+    const { evaluation: normalized, issues } = validateEvaluation(evaluation, {
+      screenCount: evaluation.evaluatedImages?.length || 1,
+      framework: defaultFramework
+    });
+    return {
+      format: EXPORT_FORMAT,
+      version: 2,
+      exportedAt: evaluatedAt || null,
+      context: {
+        workflowName: workflow || '',
+        epicDetails: epicDetails || '',
+        persona: persona || '',
+        usecaseDescription: usecaseDescription || ''
+      },
+      flow: !!evaluation.flow,
+      images: [],
+      run: { evaluatedAt: evaluatedAt || null, prompt: null, provider: null, model: null },
+      evaluation: normalized ? { ...normalized, validation: { repaired: false, issues } } : evaluation
+    };
+  },
+  // v2: before reviewer edits; `evaluation` was already the untouched model output
+  2: (doc) => ({ ...doc, version: 3, review: null }),
+  // v3: before pluggable frameworks
+  3: (doc, { defaultFramework }) => ({
+    ...doc,
+    version: 4,
+    framework: defaultFramework,
+    evaluation: { ...doc.evaluation, framework: frameworkRef(defaultFramework) }
+  }),
+  // v4: before discussion threads on traps
+  4: (doc) => ({ ...doc, version: 5, discussions: null })
+};
+
+const detectVersion = (doc) => {
+  if (!doc || typeof doc !== 'object') return null;
+  if (doc.format === EXPORT_FORMAT) return Number(doc.version);
+  if (Array.isArray(doc.traps) && doc.summary) return 1;
+  return null;
+};
+
+// images: [{ id, name, hash, data, page? }]; with embedImages off only the hashes are written.
+// `evaluation` is the model's output and `review` the reviewer's edits on top of it. The full
+// framework definition travels along so custom frameworks open anywhere. `discussions` are the
+// follow-up threads with the evaluator, by trap id.
+export const buildExport = ({ context, flow, images, run, evaluation, review, discussions, framework, embedImages = true }) => ({
+  format: EXPORT_FORMAT,
+  version: EXPORT_VERSION,
+  exportedAt: new Date().toISOString(),
+  context,
+  flow: !!flow,
+  images: images.map(({ id, name, hash, data, page }) => ({ id, name, hash, ...(page && { page }), ...(embedImages && { data }) })),
+  run: {
+    evaluatedAt: run?.createdAt || null,
+    prompt: run?.prompt || null,
+    provider: run?.provider || null,
+    model: run?.model || null
+  },
+  framework,
+  evaluation,
+  review: isReviewEmpty(review) ? null : review,
+  discussions: discussions && Object.keys(discussions).length > 0 ? discussions : null
+});
+
+// Read any known export version and return it upgraded to the current shape
+export const parseExport = (doc, { defaultFramework }) => {
+  const version = detectVersion(doc);
+  if (version === null) throw new ImportError('This file is not a Heuristic Evaluator export.');
+  if (!Number.isInteger(version) || version < 1) throw new ImportError(`Unknown export version "${doc.version}".`);
+  if (version > EXPORT_VERSION) {
+    throw new ImportError(`This file was exported by a newer version of the app (format v${version}). Please update and try again.`);
+  }
+
+  let upgraded = doc;
+  for (let v = version; v < EXPORT_VERSION; v++) upgraded = MIGRATIONS[v](upgraded, { defaultFramework });
+
+  if (!upgraded.evaluation?.summary || !Array.isArray(upgraded.evaluation.traps)) {
+    throw new ImportError('The file does not contain a complete evaluation.');
+  }
+  if (!Array.isArray(upgraded.images) || upgraded.images.some(img => !img?.hash)) {
+    throw new ImportError('The file lists screenshots without a content hash.');
+  }
+  let framework;
+  try {
+    framework = validateFramework(upgraded.framework);
+  } catch (err) {
+    if (err instanceof FrameworkError) throw new ImportError(`The file's framework definition is invalid: ${err.message}`);
+    throw err;
+  }
+  return {
+    ...upgraded,
+    framework,
+    review: upgraded.review ? normalizeReview(upgraded.review) : null,
+    discussions: normalizeDiscussions(upgraded.discussions),
+    migratedFrom: version < EXPORT_VERSION ? version : null
+  };
+};
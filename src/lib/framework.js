@@ -0,0 +1,112 @@
+export const SEVERITY_CONFIG = {
+  'P1': { label: 'Dangerous', color: '#dc2626' },
+  'P2': { label: 'Critical', color: '#ea580c' },
+  'P3': { label: 'High', color: '#d97706' },
+  'P4': { label: 'Medium', color: '#2563eb' },
+  'P5': { label: 'Low', color: '#6b7280' }
+};
+
+export const VERDICTS = ['Pass', 'Needs Work', 'Critical'];
+
+// Heuristic frameworks are plain data (see src/frameworks/*.json):
+//   { id, name, version, description, labels, scale, guidance, flowItems, factItems, severityRules,
+//     categories: [{ name, color, description, items: [{ name, description }] }] }
+// Evaluation output keeps its `traps`, `tenet` and `tenetScores` keys whatever the framework;
+// `labels` only changes what the UI calls them.
+
+export class FrameworkError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FrameworkError';
+  }
+}
+
+const DEFAULT_LABELS = { category: 'Category', categories: 'Categories', item: 'Issue', items: 'Issues' };
+const DEFAULT_COLORS = ['#1e3a5f', '#0d7377', '#7c3aed', '#b45309', '#be123c', '#15803d', '#1e40af', '#c2410c', '#374151'];
+
+const text = (value) => (typeof value === 'string' ? value.trim() : '');
+
+const SEVERITY_ADJUSTMENTS = ['raise', 'lower'];
+
+// { when: { attribute: [values] }, items, adjust: 'raise' | 'lower', reason }. Every attribute in
+// `when` must match the persona (any of its values); rules that name no known item are dropped.
+const validateSeverityRules = (rules, knownItems) => (Array.isArray(rules) ? rules : []).flatMap(rule => {
+  const when = Object.fromEntries(Object.entries(rule?.when && typeof rule.when === 'object' ? rule.when : {})
+    .map(([attribute, values]) => [attribute, (Array.isArray(values) ? values : [values]).map(text).filter(Boolean)])
+    .filter(([, values]) => values.length > 0));
+  const items = (Array.isArray(rule?.items) ? rule.items : []).map(text).filter(name => knownItems.has(name.toLowerCase()));
+  if (Object.keys(when).length === 0 || items.length === 0 || !SEVERITY_ADJUSTMENTS.includes(rule.adjust)) return [];
+  return [{ when, items, adjust: rule.adjust, reason: text(rule.reason) }];
+});
+
+// Check a framework definition, e.g. one a team imported, and fill in optional fields
+export const validateFramework = (raw) => {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new FrameworkError('A framework must be a JSON object.');
+  const id = text(raw.id);
+  const name = text(raw.name);
+  if (!/^[a-z0-9][a-z0-9-]*$/.test(id)) throw new FrameworkError('"id" must be lowercase letters, digits and dashes, e.g. "my-heuristics".');
+  if (!name) throw new FrameworkError('"name" is required.');
+  if (!Array.isArray(raw.categories) || raw.categories.length === 0) throw new FrameworkError('"categories" must list at least one category.');
+
+  const seenItems = new Set();
+  const categories = raw.categories.map((category, idx) => {
+    const categoryName = text(category?.name);
+    if (!categoryName) throw new FrameworkError(`categories[${idx}] has no name.`);
+    if (!Array.isArray(category.items) || category.items.length === 0) {
+      throw new FrameworkError(`"${categoryName}" must list at least one item.`);
+    }
+    return {
+      name: categoryName,
+      color: /^#[0-9a-f]{6}$/i.test(category.color) ? category.color : DEFAULT_COLORS[idx % DEFAULT_COLORS.length],
+      description: text(category.description),
+      items: category.items.map((item, itemIdx) => {
+        const itemName = text(item?.name);
+        if (!itemName) throw new FrameworkError(`categories[${idx}].items[${itemIdx}] has no name.`);
+        if (seenItems.has(itemName.toLowerCase())) throw new FrameworkError(`"${itemName}" appears more than once.`);
+        seenItems.add(itemName.toLowerCase());
+        return { name: itemName, description: text(item.description) };
+      })
+    };
+  });
+  if (new Set(categories.map(c => c.name.toLowerCase())).size !== categories.length) {
+    throw new FrameworkError('Category names must be unique.');
+  }
+
+  const min = Number.isInteger(raw.scale?.min) ? raw.scale.min : 1;
+  const max = Number.isInteger(raw.scale?.max) ? raw.scale.max : 5;
+  if (max <= min || max - min > 9) throw new FrameworkError('"scale" must run from a lower to a higher whole number, at most 10 steps.');
+
+  return {
+    id,
+    name,
+    version: Number.isInteger(raw.version) ? raw.version : 1,
+    description: text(raw.description),
+    labels: { ...DEFAULT_LABELS, ...Object.fromEntries(Object.entries(raw.labels || {}).filter(([, value]) => text(value))) },
+    scale: { min, max },
+    guidance: Array.isArray(raw.guidance) ? raw.guidance.map(text).filter(Boolean) : [],
+    flowItems: Array.isArray(raw.flowItems) ? raw.flowItems.map(text).filter(name => seenItems.has(name.toLowerCase())) : [],
+    factItems: Object.fromEntries(Object.entries(raw.factItems || {})
+      .map(([kind, name]) => [kind, text(name)])
+      .filter(([, name]) => seenItems.has(name.toLowerCase()))),
+    severityRules: validateSeverityRules(raw.severityRules, seenItems),
+    categories
+  };
+};
+
+export const getCategoryNames = (framework) => framework.categories.map(category => category.name);
+
+// Flat item list with each item's category, used to check model output against the catalogue
+export const getItemCatalogue = (framework) => framework.categories.flatMap(category => category.items.map(item => ({
+  name: item.name,
+  tenet: category.name
+})));
+
+export const getCategoryColor = (framework, name) => framework.categories.find(category => category.name === name)?.color || '#64748b';
+
+// What an evaluation records about the framework it was made with
+export const frameworkRef = (framework) => ({ id: framework.id, name: framework.name, version: framework.version });
+
+export const scaleSteps = (framework) => Array.from(
+  { length: framework.scale.max - framework.scale.min + 1 },
+  (_, idx) => framework.scale.min + idx
+);
@@ -0,0 +1,162 @@
+import { hashDataUrl } from './storage.js';
+import { loadImage } from './evidence.js';
+
+// Files chosen, dropped or pasted, turned into screens: images as they are, every page of a PDF
+// (design exports, slide decks) rendered locally into its own screen, and HTML pages handed back
+// to be captured. Everything else is rejected with a reason the user can act on.
+
+// PDF pages are rendered this wide, however large the page is in points
+const PDF_PAGE_WIDTH = 2000;
+const MAX_PDF_PAGES = 50;
+
+const KNOWN_FORMATS = [
+  [/\.(sketch|fig|xd)$/i, 'design tool files can\'t be read; export the frames as PNG or PDF'],
+  [/\.(heic|heif|tiff?)$/i, 'the browser can\'t display this image format; convert it to PNG or JPEG'],
+  [/\.(pptx?|key|docx?)$/i, 'export the slides or pages as PDF first'],
+  [/\.zip$/i, 'unzip it and drop the folder instead']
+];
+
+const isHtml = (file) => file.type === 'text/html' || /\.html?$/i.test(file.name);
+const isPdf = (file) => file.type === 'application/pdf' || /\.pdf$/i.test(file.name);
+
+const knownReason = (file) => KNOWN_FORMATS.find(([pattern]) => pattern.test(file.name))?.[1];
+
+const rejectReason = (file) => (
+  knownReason(file) || `unsupported file type${file.type ? ` (${file.type})` : ''}; use PNG, JPEG, WebP, GIF, PDF or HTML`
+);
+
+const readDataUrl = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = (event) => resolve(event.target.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(file);
+});
+
+const toScreen = async (name, data) => ({ id: Date.now() + Math.random(), name, data, hash: await hashDataUrl(data) });
+
+// pdf.js is only loaded once a PDF is imported
+const loadPdfJs = async () => {
+  const [pdfjs, { default: workerUrl }] = await Promise.all([
+    import('pdfjs-dist'),
+    import('pdfjs-dist/build/pdf.worker.min.js?url')
+  ]);
+  pdfjs.GlobalWorkerOptions.workerSrc = workerUrl;
+  return pdfjs;
+};
+
+// Each page as a JPEG data URL, in order. onPage(done, total) reports progress.
+export const renderPdfPages = async (file, { onPage } = {}) => {
+  const pdfjs = await loadPdfJs();
+  const pdf = await pdfjs.getDocument({ data: new Uint8Array(await file.arrayBuffer()) }).promise;
+  try {
+    const total = Math.min(pdf.numPages, MAX_PDF_PAGES);
+    const pages = [];
+    for (let number = 1; number <= total; number++) {
+      const page = await pdf.getPage(number);
+      const base = page.getViewport({ scale: 1 });
+      const viewport = page.getViewport({ scale: PDF_PAGE_WIDTH / base.width });
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(viewport.width);
+      canvas.height = Math.round(viewport.height);
+      const ctx = canvas.getContext('2d');
+      // PDFs have no background of their own
+      ctx.fillStyle = '#ffffff';
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      await page.render({ canvasContext: ctx, viewport }).promise;
+      page.cleanup();
+      pages.push(canvas.toDataURL('image/jpeg', 0.92));
+      onPage?.(number, total);
+    }
+    return { pages, skipped: pdf.numPages - total };
+  } finally {
+    pdf.destroy();
+  }
+};
+
+const pageName = (fileName, number, total) => (total > 1 ? `${fileName.replace(/\.pdf$/i, '')} · page ${number}` : fileName);
+
+// files: File[] in the order they should become screens. With `html` off HTML pages are rejected
+// too. Resolves with { screens: [{ id, name, data, hash }], htmlFiles: [{ name, markup }], rejected:
+// [{ name, reason }] }; onProgress(message) reports PDF rendering.
+export const importFiles = async (files, { html = true, onProgress } = {}) => {
+  const screens = [];
+  const htmlFiles = [];
+  const rejected = [];
+  for (const file of files) {
+    try {
+      if (isHtml(file)) {
+        if (html) htmlFiles.push({ name: file.name, markup: await file.text() });
+        else rejected.push({ name: file.name, reason: 'HTML pages are captured one at a time from the sidebar' });
+      } else if (isPdf(file)) {
+        const { pages, skipped } = await renderPdfPages(file, {
+          onPage: (done, total) => onProgress?.(`Rendering ${file.name}: page ${done} of ${total}`)
+        });
+        for (const [idx, data] of pages.entries()) screens.push(await toScreen(pageName(file.name, idx + 1, pages.length), data));
+        if (skipped > 0) rejected.push({ name: file.name, reason: `only the first ${MAX_PDF_PAGES} pages were imported` });
+      } else if (file.type.startsWith('image/')) {
+        const data = await readDataUrl(file);
+        // Some image types (HEIC, TIFF) have a MIME type but no decoder in the browser
+        await loadImage(data);
+        screens.push(await toScreen(file.name, data));
+      } else {
+        rejected.push({ name: file.name, reason: rejectReason(file) });
+      }
+    } catch (err) {
+      const reason = isPdf(file)
+        ? (err?.name === 'PasswordException' ? 'the PDF is password-protected' : 'the PDF could not be read')
+        : knownReason(file) || 'the file could not be read';
+      rejected.push({ name: file.name, reason });
+    }
+  }
+  return { screens, htmlFiles, rejected };
+};
+
+// "2 files skipped: logo.heic (…); deck.key (…)"
+export const describeRejected = (rejected) => (rejected.length === 0 ? '' : (
+  `${rejected.length} ${rejected.length === 1 ? 'file' : 'files'} skipped: ${rejected.map(({ name, reason }) => `${name} (${reason})`).join('; ')}`
+));
+
+// Dropped files, with folders walked recursively and their files sorted by path, so numbered
+// exports (01-home.png, 02-cart.png …) arrive in order. Entries must be read before the drop
+// event returns, so this takes the DataTransfer synchronously.
+export const filesFromDrop = (dataTransfer) => {
+  const entries = Array.from(dataTransfer.items || [])
+    .filter(item => item.kind === 'file')
+    .map(item => item.webkitGetAsEntry?.())
+    .filter(Boolean);
+  if (entries.length === 0) return Promise.resolve(Array.from(dataTransfer.files || []));
+
+  const readEntries = (reader) => new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+  const walk = async (entry) => {
+    if (entry.isFile) {
+      const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+      return [{ path: entry.fullPath, file }];
+    }
+    const reader = entry.createReader();
+    const found = [];
+    // readEntries returns at most 100 entries per call
+    for (let batch = await readEntries(reader); batch.length > 0; batch = await readEntries(reader)) {
+      for (const child of batch) {
+        // Hidden files such as .DS_Store
+        if (!child.name.startsWith('.')) found.push(...await walk(child));
+      }
+    }
+    return found;
+  };
+  return Promise.all(entries.map(walk)).then(groups => {
+    const all = groups.flat();
+    // Loose files keep the order they were dropped in; folder contents are sorted by path
+    if (!entries.every(entry => entry.isFile)) all.sort((a, b) => a.path.localeCompare(b.path, undefined, { numeric: true }));
+    return all.map(({ file }) => file);
+  });
+};
+
+// Images pasted from the clipboard (a screenshot tool, "Copy as PNG" in a design tool), named by
+// the time they were pasted since the clipboard calls them all image.png
+export const filesFromClipboard = (clipboardData) => {
+  const files = Array.from(clipboardData?.files || []);
+  const time = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+  return files.map((file, idx) => (file.type.startsWith('image/') && /^image\.\w+$/i.test(file.name)
+    ? new File([file], `Pasted ${time}${files.length > 1 ? ` (${idx + 1})` : ''}.${file.type.split('/')[1].replace('jpeg', 'jpg')}`, { type: file.type })
+    : file));
+};
@@ -0,0 +1,260 @@
+import {
+  parseColor, blend, contrastRatio,
+  MIN_CONTRAST, MIN_CONTRAST_LARGE, MIN_TARGET_SIZE, MIN_TOUCH_TARGET_SIZE
+} from './pageFacts.js';
+
+// Render an HTML page at a chosen viewport, capture it as the evaluation image and measure
+// accessibility facts from its DOM. Browser only.
+
+export const VIEWPORTS = [
+  { id: 'desktop', label: 'Desktop', width: 1440, height: 900 },
+  { id: 'laptop', label: 'Laptop', width: 1280, height: 800 },
+  { id: 'tablet', label: 'Tablet', width: 768, height: 1024 },
+  { id: 'mobile', label: 'Mobile', width: 390, height: 844 }
+];
+
+// Long pages are captured down to four viewport heights
+const MAX_HEIGHT_RATIO = 4;
+const LOAD_TIMEOUT = 15000;
+
+const INTERACTIVE = 'a[href], button, input:not([type="hidden"]), select, textarea, summary, [role="button"], [role="link"], [onclick]';
+const FOCUSABLE = 'a[href], button, input:not([type="hidden"]), select, textarea, summary, [tabindex], [contenteditable="true"]';
+const UNLABELLED_INPUT_TYPES = ['hidden', 'submit', 'reset', 'button', 'image'];
+
+// The markup is rendered without scripts; same-origin access is only there so we can read its DOM
+const renderMarkup = (markup, viewport) => new Promise((resolve, reject) => {
+  const frame = document.createElement('iframe');
+  frame.setAttribute('sandbox', 'allow-same-origin');
+  frame.setAttribute('aria-hidden', 'true');
+  frame.style.cssText = `position: fixed; top: 0; left: -${viewport.width + 100}px; width: ${viewport.width}px; height: ${viewport.height}px; border: 0;`;
+  const timer = setTimeout(() => {
+    frame.remove();
+    reject(new Error('The page took too long to load.'));
+  }, LOAD_TIMEOUT);
+  frame.onload = () => {
+    clearTimeout(timer);
+    resolve(frame);
+  };
+  frame.srcdoc = markup;
+  document.body.appendChild(frame);
+});
+
+const isVisible = (el) => {
+  const rect = el.getBoundingClientRect();
+  if (rect.width === 0 || rect.height === 0) return false;
+  const style = el.ownerDocument.defaultView.getComputedStyle(el);
+  return style.visibility !== 'hidden' && style.display !== 'none' && Number(style.opacity) > 0;
+};
+
+const textOf = (value, max = 40) => {
+  const text = (value || '').replace(/\s+/g, ' ').trim();
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+};
+
+// Short, human-readable reference to an element for the prompt and the marker description
+const describe = (el, name = accessibleName(el)) => {
+  const tag = el.tagName.toLowerCase();
+  const kind = tag === 'input' ? `${el.type || 'text'} field`
+    : tag === 'a' ? 'link'
+    : tag === 'img' ? 'image'
+    : el.getAttribute('role') || tag;
+  if (name) return `${kind} "${textOf(name)}"`;
+  if (tag === 'img') return `image ${textOf(el.getAttribute('src')?.split('/').pop(), 30)}`;
+  const id = el.id ? `#${el.id}` : el.classList[0] ? `.${el.classList[0]}` : '';
+  return `${kind}${id}`;
+};
+
+const labelledByText = (el) => (el.getAttribute('aria-labelledby') || '')
+  .split(/\s+/)
+  .map(id => id && el.ownerDocument.getElementById(id)?.textContent)
+  .filter(Boolean)
+  .join(' ');
+
+// A practical subset of the accessible name computation
+const accessibleName = (el) => {
+  const tag = el.tagName.toLowerCase();
+  const candidates = [labelledByText(el), el.getAttribute('aria-label')];
+  if (tag === 'img' || (tag === 'input' && el.type === 'image')) candidates.push(el.getAttribute('alt'));
+  if (['input', 'select', 'textarea'].includes(tag)) {
+    candidates.push([...(el.labels || [])].map(label => label.textContent).join(' '));
+    if (tag === 'input' && ['submit', 'reset', 'button'].includes(el.type)) candidates.push(el.value || el.type);
+  } else if (tag !== 'img') {
+    candidates.push(el.textContent);
+    el.querySelectorAll('img[alt], svg title').forEach(child => candidates.push(child.getAttribute('alt') || child.textContent));
+  }
+  candidates.push(el.getAttribute('title'));
+  return textOf(candidates.find(value => value && value.trim()) || '');
+};
+
+const measureContrast = (doc, toBox) => {
+  const view = doc.defaultView;
+  const facts = [];
+  doc.body.querySelectorAll('*').forEach(el => {
+    const hasText = [...el.childNodes].some(node => node.nodeType === 3 && node.textContent.trim());
+    if (!hasText || !isVisible(el)) return;
+    const box = toBox(el);
+    if (!box) return;
+
+    // Composite the backgrounds from the page down; images and gradients can't be judged
+    const layers = [];
+    for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+      const style = view.getComputedStyle(node);
+      if (style.backgroundImage !== 'none') return;
+      const color = parseColor(style.backgroundColor);
+      if (color && color[3] > 0) layers.push(color);
+      if (color && color[3] === 1) break;
+    }
+    const background = layers.reverse().reduce((below, layer) => blend(layer, below), [255, 255, 255, 1]);
+    const style = view.getComputedStyle(el);
+    const color = parseColor(style.color);
+    if (!color) return;
+
+    const ratio = contrastRatio(blend(color, background), background);
+    const size = parseFloat(style.fontSize);
+    const isLarge = size >= 24 || (size >= 18.66 && Number(style.fontWeight) >= 700);
+    const required = isLarge ? MIN_CONTRAST_LARGE : MIN_CONTRAST;
+    if (ratio < required) {
+      facts.push({
+        kind: 'contrast',
+        element: `text "${textOf(el.textContent)}"`,
+        detail: `${ratio.toFixed(2)}:1 contrast, needs ${required}:1 for ${isLarge ? 'large' : 'body'} text`,
+        box,
+        value: ratio
+      });
+    }
+  });
+  return facts.sort((a, b) => a.value - b.value);
+};
+
+const measureTargets = (doc, toBox, minSize) => {
+  const facts = [];
+  doc.querySelectorAll(INTERACTIVE).forEach(el => {
+    if (!isVisible(el)) return;
+    // Links inside running text are exempt from the target size rule
+    if (el.tagName === 'A' && el.parentElement && el.parentElement.textContent.trim().length > el.textContent.trim().length + 20) return;
+    const rect = el.getBoundingClientRect();
+    if (rect.width >= minSize && rect.height >= minSize) return;
+    const box = toBox(el);
+    if (!box) return;
+    facts.push({
+      kind: 'targetSize',
+      element: describe(el),
+      detail: `${Math.round(rect.width)}×${Math.round(rect.height)} px target, needs at least ${minSize}×${minSize} px`,
+      box,
+      value: Math.min(rect.width, rect.height)
+    });
+  });
+  return facts.sort((a, b) => a.value - b.value);
+};
+
+const measureLabels = (doc, toBox) => {
+  const facts = [];
+  const add = (el, detail) => {
+    const box = isVisible(el) && toBox(el);
+    if (box) facts.push({ kind: 'missingLabel', element: describe(el, ''), detail, box });
+  };
+  doc.querySelectorAll('img').forEach(img => !img.hasAttribute('alt') && add(img, 'image has no alt text'));
+  doc.querySelectorAll('input, select, textarea').forEach(el => {
+    if (el.tagName === 'INPUT' && UNLABELLED_INPUT_TYPES.includes(el.type)) {
+      if (el.type === 'image' && !accessibleName(el)) add(el, 'image button has no alt text');
+      return;
+    }
+    if (accessibleName(el)) return;
+    add(el, el.getAttribute('placeholder') ? `only the placeholder "${textOf(el.getAttribute('placeholder'))}" describes it; it has no label` : 'form field has no label');
+  });
+  doc.querySelectorAll('button, a[href], [role="button"], [role="link"]').forEach(el => {
+    if (!accessibleName(el)) add(el, `${el.tagName === 'A' ? 'link' : 'button'} has no text or accessible name`);
+  });
+  return facts;
+};
+
+const measureFocusOrder = (doc, toBox) => {
+  const focusable = [...doc.querySelectorAll(FOCUSABLE)]
+    .filter(el => !el.disabled && el.tabIndex >= 0 && isVisible(el));
+  // Positive tabindex values come first, in ascending order, then the rest in document order
+  const order = [
+    ...focusable.filter(el => el.tabIndex > 0).sort((a, b) => a.tabIndex - b.tabIndex),
+    ...focusable.filter(el => el.tabIndex === 0)
+  ];
+
+  const facts = [];
+  order.forEach((el, idx) => {
+    const box = toBox(el);
+    if (!box) return;
+    if (el.tabIndex > 0) {
+      facts.push({
+        kind: 'focusOrder',
+        element: describe(el),
+        detail: `tabindex="${el.tabIndex}" puts it at step ${idx + 1} of ${order.length}, ahead of the page order`,
+        box
+      });
+      return;
+    }
+    // Focus jumping back up the page, past the previous element, breaks the reading order
+    const previous = order[idx - 1];
+    if (!previous) return;
+    const rect = el.getBoundingClientRect();
+    const before = previous.getBoundingClientRect();
+    if (rect.bottom < before.top) {
+      facts.push({
+        kind: 'focusOrder',
+        element: describe(el),
+        detail: `focus moves back up the page from ${describe(previous)} to here (step ${idx + 1} of ${order.length})`,
+        box
+      });
+    }
+  });
+  return facts;
+};
+
+// markup: a complete HTML document or a fragment. Returns the capture as a PNG data URL with
+// the facts measured from the same layout; long pages are captured below the fold too.
+export const capturePage = async (markup, viewport) => {
+  const frame = await renderMarkup(markup, viewport);
+  try {
+    const doc = frame.contentDocument;
+    if (!doc?.body) throw new Error('The page could not be rendered.');
+    await doc.fonts?.ready;
+
+    const width = viewport.width;
+    const height = Math.min(Math.max(doc.documentElement.scrollHeight, viewport.height), viewport.height * MAX_HEIGHT_RATIO);
+
+    // Element boxes in percentages of the capture; elements outside it are skipped
+    const toBox = (el) => {
+      const rect = el.getBoundingClientRect();
+      const left = Math.max(rect.left, 0);
+      const top = Math.max(rect.top, 0);
+      const right = Math.min(rect.right, width);
+      const bottom = Math.min(rect.bottom, height);
+      if (right <= left || bottom <= top) return null;
+      return {
+        x: (left / width) * 100,
+        y: (top / height) * 100,
+        width: ((right - left) / width) * 100,
+        height: ((bottom - top) / height) * 100
+      };
+    };
+
+    const minTarget = viewport.width <= 768 ? MIN_TOUCH_TARGET_SIZE : MIN_TARGET_SIZE;
+    const facts = [
+      ...measureContrast(doc, toBox),
+      ...measureTargets(doc, toBox, minTarget),
+      ...measureLabels(doc, toBox),
+      ...measureFocusOrder(doc, toBox)
+    ].map(({ value, ...fact }) => fact);
+
+    const { default: html2canvas } = await import('html2canvas');
+    const canvas = await html2canvas(doc.documentElement, {
+      width,
+      height,
+      windowWidth: viewport.width,
+      windowHeight: viewport.height,
+      scale: 1,
+      backgroundColor: '#ffffff',
+      logging: false
+    });
+    return { data: canvas.toDataURL('image/png'), width, height, facts };
+  } finally {
+    frame.remove();
+  }
+};
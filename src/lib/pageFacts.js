@@ -0,0 +1,98 @@
+import { getTrapLocations } from './traps.js';
+
+// Measurable accessibility facts taken from a rendered HTML page. Each fact is
+// { kind, element, detail, box } with the box in percentages of the captured image.
+export const FACT_KINDS = {
+  contrast: { label: 'Low text contrast' },
+  targetSize: { label: 'Small touch target' },
+  missingLabel: { label: 'Missing label or alt text' },
+  focusOrder: { label: 'Confusing focus order' }
+};
+
+// WCAG 2.x thresholds
+export const MIN_CONTRAST = 4.5;
+export const MIN_CONTRAST_LARGE = 3;
+export const MIN_TARGET_SIZE = 24;
+export const MIN_TOUCH_TARGET_SIZE = 44;
+
+// Keep prompts a sensible size on pages with many repeated problems
+const MAX_FACTS_PER_KIND = 12;
+
+// "rgb(12, 34, 56)" / "rgba(12, 34, 56, 0.5)" → [r, g, b, a]
+export const parseColor = (value) => {
+  const match = typeof value === 'string' && value.match(/rgba?\(([^)]+)\)/);
+  if (!match) return null;
+  const [r, g, b, a = 1] = match[1].split(/[\s,/]+/).filter(Boolean).map(Number);
+  return [r, g, b, a];
+};
+
+const channel = (value) => {
+  const c = value / 255;
+  return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+};
+
+const luminance = ([r, g, b]) => 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+
+// Paint a translucent colour over an opaque one
+export const blend = ([r, g, b, a], [br, bg, bb]) => [
+  r * a + br * (1 - a),
+  g * a + bg * (1 - a),
+  b * a + bb * (1 - a),
+  1
+];
+
+export const contrastRatio = (foreground, background) => {
+  const [lighter, darker] = [luminance(foreground), luminance(background)].sort((a, b) => b - a);
+  return (lighter + 0.05) / (darker + 0.05);
+};
+
+// Give the facts of every evaluated screen one numbering (F1, F2, …) shared by the prompt and
+// by anchorTrapsToFacts. screens: [{ page }] in evaluation order.
+export const collectPageFacts = (screens) => {
+  let next = 1;
+  return screens.flatMap((screen, idx) => {
+    const facts = screen.page?.facts || [];
+    return Object.keys(FACT_KINDS).flatMap(kind => facts
+      .filter(fact => fact.kind === kind)
+      .slice(0, MAX_FACTS_PER_KIND)
+      .map(fact => ({ ...fact, id: `F${next++}`, screen: idx + 1 })));
+  });
+};
+
+const factLocation = (fact, isFlow) => ({
+  ...(isFlow && { screen: fact.screen }),
+  x: fact.box.x + fact.box.width / 2,
+  y: fact.box.y + fact.box.height / 2,
+  box: fact.box,
+  description: fact.element
+});
+
+// Traps that cite facts ("facts": ["F3"]) get the measured element boxes as their locations,
+// which are exact where the model's own estimates are not
+export const anchorTrapsToFacts = (evaluation, facts) => {
+  if (facts.length === 0) return evaluation;
+  const byId = new Map(facts.map(fact => [fact.id, fact]));
+  return {
+    ...evaluation,
+    traps: evaluation.traps.map(trap => {
+      const cited = (Array.isArray(trap.facts) ? trap.facts : []).map(id => byId.get(String(id).trim())).filter(Boolean);
+      if (cited.length === 0) return trap;
+      if (!evaluation.flow) {
+        const location = { ...factLocation(cited[0], false), description: trap.location?.description || cited[0].element };
+        return { ...trap, facts: cited.map(fact => fact.id), location };
+      }
+      // One location per screen: the cited element where there is one, otherwise the model's
+      const measured = new Map();
+      cited.forEach(fact => !measured.has(fact.screen) && measured.set(fact.screen, factLocation(fact, true)));
+      const others = getTrapLocations(trap).filter(loc => !measured.has(loc.screen));
+      const locations = [...measured.values(), ...others].sort((a, b) => a.screen - b.screen);
+      return {
+        ...trap,
+        facts: cited.map(fact => fact.id),
+        location: locations[0],
+        locations,
+        screens: locations.map(loc => loc.screen)
+      };
+    })
+  };
+};
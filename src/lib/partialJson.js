@@ -0,0 +1,138 @@
+// Parse the start of a JSON document that is still being streamed. Strings cut off mid-way are
+// kept as far as they go; numbers and literals cut off mid-way are left out, since "1" may still
+// become "10". Objects and arrays that haven't been closed yet are listed in `open`.
+
+class EndOfInput extends Error {
+  constructor() {
+    super('Unexpected end of JSON input');
+    this.name = 'EndOfInput';
+  }
+}
+
+const LITERALS = { true: true, false: false, null: null };
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?([eE][+-]?\d+)?/;
+const ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+
+export const parsePartialJson = (text) => {
+  const open = new WeakSet();
+  let pos = 0;
+
+  const skipSpace = () => {
+    while (pos < text.length && /\s/.test(text[pos])) pos++;
+    if (pos >= text.length) throw new EndOfInput();
+  };
+
+  // Returns { value, done }; done is false for a string that ran into the end of the input
+  const parseString = () => {
+    pos++;
+    let value = '';
+    while (pos < text.length) {
+      const char = text[pos];
+      if (char === '"') {
+        pos++;
+        return { value, done: true };
+      }
+      if (char === '\\') {
+        const next = text[pos + 1];
+        if (next === undefined) break;
+        if (next === 'u') {
+          const hex = text.slice(pos + 2, pos + 6);
+          if (hex.length < 4) break;
+          value += String.fromCharCode(parseInt(hex, 16));
+          pos += 6;
+        } else {
+          value += ESCAPES[next] ?? next;
+          pos += 2;
+        }
+        continue;
+      }
+      value += char;
+      pos++;
+    }
+    pos = text.length;
+    return { value, done: false };
+  };
+
+  const parseScalar = () => {
+    const rest = text.slice(pos);
+    const literal = Object.keys(LITERALS).find(word => rest.startsWith(word));
+    if (literal) {
+      pos += literal.length;
+      return { value: LITERALS[literal], done: true };
+    }
+    const number = rest.match(NUMBER_PATTERN);
+    // A number cut off after its point or exponent sign, such as "7." or "1e-"
+    if (number && /^[.eE+-]+$/.test(rest.slice(number[0].length))) throw new EndOfInput();
+    // A number that reaches the end of the input, or a literal that isn't complete yet
+    if (!number || pos + number[0].length >= text.length) {
+      if (/^[-\d.eE+tfrulnase]*$/.test(rest)) throw new EndOfInput();
+      throw new SyntaxError(`Unexpected "${text[pos]}" at position ${pos}`);
+    }
+    pos += number[0].length;
+    return { value: Number(number[0]), done: true };
+  };
+
+  const parseContainer = (isArray) => {
+    const container = isArray ? [] : {};
+    open.add(container);
+    pos++;
+    try {
+      skipSpace();
+      if (text[pos] === (isArray ? ']' : '}')) {
+        pos++;
+        open.delete(container);
+        return { value: container, done: true };
+      }
+      for (;;) {
+        skipSpace();
+        let key;
+        if (!isArray) {
+          if (text[pos] !== '"') throw new SyntaxError(`Expected a key at position ${pos}`);
+          const parsedKey = parseString();
+          if (!parsedKey.done) throw new EndOfInput();
+          key = parsedKey.value;
+          skipSpace();
+          if (text[pos] !== ':') throw new SyntaxError(`Expected ":" at position ${pos}`);
+          pos++;
+          skipSpace();
+        }
+        const member = parseValue();
+        if (isArray) container.push(member.value);
+        else container[key] = member.value;
+        if (!member.done) return { value: container, done: false };
+
+        skipSpace();
+        if (text[pos] === ',') {
+          pos++;
+          continue;
+        }
+        if (text[pos] === (isArray ? ']' : '}')) {
+          pos++;
+          open.delete(container);
+          return { value: container, done: true };
+        }
+        throw new SyntaxError(`Unexpected "${text[pos]}" at position ${pos}`);
+      }
+    } catch (err) {
+      if (err instanceof EndOfInput) return { value: container, done: false };
+      throw err;
+    }
+  };
+
+  const parseValue = () => {
+    skipSpace();
+    const char = text[pos];
+    if (char === '{') return parseContainer(false);
+    if (char === '[') return parseContainer(true);
+    if (char === '"') return parseString();
+    return parseScalar();
+  };
+
+  try {
+    const { value, done } = parseValue();
+    return { value, done, open };
+  } catch (err) {
+    if (err instanceof EndOfInput) return { value: undefined, done: false, open };
+    throw err;
+  }
+};
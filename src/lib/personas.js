@@ -0,0 +1,124 @@
+import { SEVERITY_CONFIG } from './framework.js';
+
+// Structured personas: who the evaluation is for, in terms the framework's severity rules can
+// match on.
+//   { id, name, description, expertise, stress, device, frequency, accessibility: [needs] }
+// A framework's `severityRules` raise or lower the severity of named items for personas that match,
+// after the model has answered, so the same persona always gets the same adjustments.
+
+export class PersonaError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PersonaError';
+  }
+}
+
+export const PERSONA_ATTRIBUTES = {
+  expertise: { label: 'Expertise', options: { novice: 'Novice', intermediate: 'Intermediate', expert: 'Expert' } },
+  stress: { label: 'Stress level', options: { low: 'Low stress', moderate: 'Moderate stress', high: 'High stress' } },
+  device: {
+    label: 'Device / input',
+    options: { desktop: 'Desktop, mouse and keyboard', touch: 'Phone or tablet, touch', keyboard: 'Keyboard only', voice: 'Voice control' }
+  },
+  frequency: { label: 'Frequency of use', options: { 'first-time': 'First time', occasional: 'Occasional', daily: 'Daily' } }
+};
+
+export const ACCESSIBILITY_NEEDS = {
+  'low-vision': 'Low vision',
+  'color-blind': 'Colour blindness',
+  'screen-reader': 'Screen reader',
+  motor: 'Limited dexterity',
+  cognitive: 'Cognitive or attention needs'
+};
+
+const DEFAULTS = { expertise: 'intermediate', stress: 'moderate', device: 'desktop', frequency: 'occasional' };
+
+// Most severe first
+const SEVERITIES = Object.keys(SEVERITY_CONFIG);
+
+// Each trap moves at most this many steps, however many rules match it
+const MAX_STEPS = 1;
+
+const text = (value) => (typeof value === 'string' ? value.trim() : '');
+
+export const personaId = (name) => text(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+// Check a persona, e.g. one a team shared, and fill in what it leaves out
+export const validatePersona = (raw) => {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new PersonaError('A persona must be a JSON object.');
+  const name = text(raw.name);
+  if (!name) throw new PersonaError('"name" is required.');
+  const id = text(raw.id) || personaId(name);
+  if (!/^[a-z0-9][a-z0-9-]*$/.test(id)) throw new PersonaError('"id" must be lowercase letters, digits and dashes, e.g. "night-shift-nurse".');
+
+  const attributes = Object.fromEntries(Object.entries(PERSONA_ATTRIBUTES).map(([attribute, { options }]) => {
+    const value = text(raw[attribute]) || DEFAULTS[attribute];
+    if (!options[value]) throw new PersonaError(`"${attribute}" must be one of ${Object.keys(options).join(', ')}.`);
+    return [attribute, value];
+  }));
+  const accessibility = Array.isArray(raw.accessibility) ? [...new Set(raw.accessibility.map(text))] : [];
+  const unknown = accessibility.find(need => !ACCESSIBILITY_NEEDS[need]);
+  if (unknown) throw new PersonaError(`"${unknown}" is not an accessibility need; use ${Object.keys(ACCESSIBILITY_NEEDS).join(', ')}.`);
+
+  return { id, name, description: text(raw.description), ...attributes, accessibility };
+};
+
+// "Novice · High stress · Phone or tablet, touch · First time · Screen reader"
+export const summarizePersona = (persona) => [
+  ...Object.entries(PERSONA_ATTRIBUTES).map(([attribute, { options }]) => options[persona[attribute]]),
+  ...persona.accessibility.map(need => ACCESSIBILITY_NEEDS[need])
+].join(' · ');
+
+const matches = (rule, persona) => Object.entries(rule.when).every(([attribute, values]) => (
+  attribute === 'accessibility'
+    ? persona.accessibility.some(need => values.includes(need))
+    : values.includes(persona[attribute])
+));
+
+export const matchingRules = (persona, framework) => (persona ? (framework.severityRules || []).filter(rule => matches(rule, persona)) : []);
+
+const describeRule = (rule) => rule.reason || `${rule.adjust === 'raise' ? 'Raised' : 'Lowered'} for this persona`;
+
+// Appended to the evaluation prompt. The model rates severity for a typical user; the rules are
+// applied to its answer afterwards, so they must not be applied twice.
+export const buildPersonaRulesPrompt = (persona, framework) => {
+  const rules = matchingRules(persona, framework);
+  if (rules.length === 0) return '';
+  const { labels } = framework;
+  return `
+
+## PERSONA SEVERITY RULES
+For the ${persona.name} persona these adjustments are applied to your severities automatically after you answer. Rate each ${labels.item.toLowerCase()} for a typical user and do not apply them yourself, but look especially closely for the ${labels.items.toLowerCase()} they name:
+${rules.map(rule => `- ${rule.adjust === 'raise' ? 'Raise' : 'Lower'} ${rule.items.join(', ')}: ${describeRule(rule)}`).join('\n')}`;
+};
+
+// The evaluation with each matching trap's severity moved and the reasons recorded as
+//   trap.personaAdjustment = { persona, from, to, reasons }
+export const applyPersonaRules = (evaluation, persona, framework) => {
+  const rules = matchingRules(persona, framework);
+  if (!evaluation || rules.length === 0) return evaluation;
+  return {
+    ...evaluation,
+    traps: evaluation.traps.map(trap => {
+      const applied = rules.filter(rule => rule.items.some(item => item.toLowerCase() === trap.name?.toLowerCase()));
+      const rank = SEVERITIES.indexOf(trap.severity);
+      if (applied.length === 0 || rank < 0 || trap.personaAdjustment) return trap;
+      const steps = applied.reduce((sum, rule) => sum + (rule.adjust === 'raise' ? -1 : 1), 0);
+      const moved = Math.max(-MAX_STEPS, Math.min(MAX_STEPS, steps));
+      const to = SEVERITIES[Math.max(0, Math.min(SEVERITIES.length - 1, rank + moved))];
+      return {
+        ...trap,
+        severity: to,
+        personaAdjustment: { persona: persona.name, from: trap.severity, to, reasons: applied.map(describeRule) }
+      };
+    })
+  };
+};
+
+// "Raised from P3 for Night-shift nurse", or '' when the rules left the trap alone
+export const personaAdjustmentLabel = (trap) => {
+  const adjustment = trap.personaAdjustment;
+  if (!adjustment || adjustment.from === adjustment.to) return '';
+  const raised = SEVERITIES.indexOf(adjustment.to) < SEVERITIES.indexOf(adjustment.from);
+  return `${raised ? 'Raised' : 'Lowered'} from ${adjustment.from} for ${adjustment.persona}`;
+};
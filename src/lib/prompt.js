@@ -0,0 +1,215 @@
+import { SEVERITY_CONFIG, getItemCatalogue } from './framework.js';
+import { FACT_KINDS } from './pageFacts.js';
+import { summarizePersona } from './personas.js';
+
+// Raise whenever the wording of the prompts below changes, so answers cached for the old wording
+// are not served for the new one (see responseCache.js)
+export const PROMPT_VERSION = 1;
+
+const SEVERITY_DESCRIPTIONS = {
+  P1: 'Blocks user completely or causes harm',
+  P2: 'Major friction, user may abandon',
+  P3: 'Significant usability issue',
+  P4: 'Noticeable friction',
+  P5: 'Minor issue'
+};
+
+// The standard evaluation prompt. Templates name what they need in {{placeholders}}; see
+// TEMPLATE_PLACEHOLDERS for what each is filled with.
+export const STANDARD_TEMPLATE = `You are the Lead UX Architect performing a rigorous heuristic evaluation using the {{frameworkName}} framework.
+
+## CONTEXT PROVIDED
+{{context}}
+
+## YOUR EVALUATION PROCESS
+
+{{process}}
+
+## SEVERITY SCALE
+{{severityScale}}
+
+## REQUIRED JSON OUTPUT
+{{outputFormat}}`;
+
+export const TEMPLATE_PLACEHOLDERS = {
+  context: 'The context block: the workflow and whichever optional fields were given',
+  workflowName: 'Workflow name',
+  epicDetails: 'EPIC details, or nothing',
+  persona: 'Free-text persona, or nothing',
+  personaProfile: 'The saved persona and its attributes, or nothing',
+  usecaseDescription: 'Use case description, or nothing',
+  frameworkName: 'Name of the selected framework',
+  catalogue: 'Every category of the framework with its items',
+  process: 'The standard evaluation steps, including the catalogue and scoring',
+  severityScale: 'P1 to P5 and what each means',
+  outputFormat: 'The JSON the reply must follow; required, results are checked against it',
+  itemLabel: 'What the framework calls a finding, e.g. "Trap"',
+  itemsLabel: 'The plural, e.g. "Traps"',
+  categoryLabel: 'What it calls a category, e.g. "Tenet"',
+  categoriesLabel: 'The plural, e.g. "Tenets"'
+};
+
+export const REQUIRED_PLACEHOLDERS = ['outputFormat'];
+
+export const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+const buildProcess = (framework) => {
+  const { labels, scale } = framework;
+  const range = `${scale.min}-${scale.max}`;
+  const itemCount = getItemCatalogue(framework).length;
+  return [
+    '1. **Understand the Context**: Analyze the workflow, persona needs/pain points, and use case to establish evaluation criteria',
+    ...(framework.guidance.length > 0
+      ? [`2. **Map Persona to Severity**: \n${framework.guidance.map(line => `   - ${line}`).join('\n')}`]
+      : []),
+    `${framework.guidance.length > 0 ? 3 : 2}. **Scan for All ${itemCount} ${labels.items}** across ${framework.categories.length} ${labels.categories}:`,
+    ...framework.categories.map(category => `   - ${category.name.toUpperCase()}: ${category.items.map(item => item.name).join(', ')}`),
+    '',
+    `${framework.guidance.length > 0 ? 4 : 3}. **Score Each ${labels.category}** (${range} scale)`,
+    `${framework.guidance.length > 0 ? 5 : 4}. **Provide Remediation** for each ${labels.item.toLowerCase()} found`
+  ].join('\n');
+};
+
+const buildOutputFormat = (framework) => {
+  const { labels, scale } = framework;
+  const range = `${scale.min}-${scale.max}`;
+  return `"traps" lists every ${labels.item.toLowerCase()} found; "tenet" is the ${labels.category.toLowerCase()} it belongs to.
+{
+  "summary": {
+    "verdict": "Pass|Needs Work|Critical",
+    "userIntent": "What user is trying to achieve",
+    "emotionalContext": "User's stress level/expectations",
+    "health": "${labels.category}-led or ${labels.item}-heavy"
+  },
+  "traps": [
+    {
+      "id": 1,
+      "name": "${labels.item} Name",
+      "tenet": "${labels.category} Name",
+      "severity": "P1-P5",
+      "location": {
+        "x": 0-100,
+        "y": 0-100,
+        "box": { "x": 0-100, "y": 0-100, "width": 0-100, "height": 0-100 },
+        "description": "Specific location in UI"
+      },
+      "evidence": "Exactly what triggers this ${labels.item.toLowerCase()}",
+      "diagnostic": "Psychological impact on user",
+      "quickPivot": "Low-effort tactical fix",
+      "architecturalSolve": "High-impact redesign option",
+      "aiFix": "How AI could automate away friction"
+    }
+  ],
+  "tenetScores": {
+${framework.categories.map(category => `    "${category.name}": ${range}`).join(',\n')}
+  },
+  "tenetWin": "One area where design excels",
+  "disarmPriorities": ["Top 3 ${labels.items.toLowerCase()} to fix first"],
+  "score": 1-10
+}
+
+x,y = percentage from top-left corner, placed on the element the ${labels.item.toLowerCase()} is about.
+box = bounding box of that element or area (top-left corner, width and height, all in percentages). For irregular areas you may give "polygon": [[x, y], ...] instead of "box".
+Return valid JSON only, no markdown.`;
+};
+
+// What each placeholder is filled with for this framework and context
+export const templateValues = (framework, context) => {
+  const { labels } = framework;
+  const { personaProfile } = context;
+  return {
+    context: buildContext(context),
+    workflowName: context.workflowName,
+    epicDetails: context.epicDetails?.trim() || '',
+    persona: context.persona?.trim() || '',
+    personaProfile: personaProfile
+      ? `${personaProfile.name} (${summarizePersona(personaProfile)})${personaProfile.description ? ` - ${personaProfile.description}` : ''}`
+      : '',
+    usecaseDescription: context.usecaseDescription?.trim() || '',
+    frameworkName: framework.name,
+    catalogue: framework.categories.map(category => `- ${category.name}: ${category.items.map(item => item.name).join(', ')}`).join('\n'),
+    process: buildProcess(framework),
+    severityScale: Object.entries(SEVERITY_CONFIG).map(([key, { label }]) => `- ${key}: ${label} - ${SEVERITY_DESCRIPTIONS[key]}`).join('\n'),
+    outputFormat: buildOutputFormat(framework),
+    itemLabel: labels.item,
+    itemsLabel: labels.items,
+    categoryLabel: labels.category,
+    categoriesLabel: labels.categories
+  };
+};
+
+// The evaluation prompt for a framework and context from a template body (the standard one by
+// default). Unknown placeholders are left as they are; validateTemplateBody catches them first.
+export const buildEvaluationPrompt = (framework, context, template = STANDARD_TEMPLATE) => {
+  const values = templateValues(framework, context);
+  return template.replace(PLACEHOLDER_PATTERN, (match, name) => (name in values ? values[name] : match));
+};
+
+// The {{context}} block: the workflow and whatever optional context was given
+export const buildContext = ({ workflowName, epicDetails, persona, personaProfile, usecaseDescription }) => {
+  const parts = [`**Workflow:** ${workflowName}`];
+  if (epicDetails?.trim()) parts.push(`**EPIC/Story:** ${epicDetails}`);
+  if (personaProfile) {
+    parts.push(`**Persona Profile:** ${personaProfile.name} (${summarizePersona(personaProfile)})${personaProfile.description ? ` - ${personaProfile.description}` : ''}`);
+  }
+  if (persona?.trim()) parts.push(`**Persona:** ${persona}`);
+  if (usecaseDescription?.trim()) parts.push(`**Use Case Description:** ${usecaseDescription}`);
+  return parts.join('\n');
+};
+
+// Appended for multi-screen flows. `{SCREEN_COUNT}` is filled in per run.
+export const buildFlowPrompt = (framework) => {
+  const { labels } = framework;
+  const crossScreen = framework.flowItems.length > 0
+    ? `, including ${labels.items.toLowerCase()} that only show up across screens: ${framework.flowItems.join(', ')}`
+    : '';
+  return `
+
+## MULTI-SCREEN FLOW
+You are evaluating {SCREEN_COUNT} screens that form one ordered user flow. The images are labelled "Screen 1" to "Screen {SCREEN_COUNT}" in the order the user moves through them.
+- Evaluate the flow as a whole${crossScreen}.
+- Every ${labels.item.toLowerCase()} must add "screens": [screen numbers where it occurs] and "locations": [{ "screen": n, "x": 0-100, "y": 0-100, "box": {...}, "description": "..." }] with one entry per affected screen. Keep "location" equal to the first entry.
+- x,y and box are percentages of the screen the location refers to.
+- Add "screenScores": [{ "screen": n, "tenetScores": { same keys as tenetScores } }] with one entry per screen. "tenetScores" and "score" rate the whole flow.
+
+Return valid JSON only, no markdown.`;
+};
+
+// Appended for each tile of a tiled evaluation. region: the part of the page the tile covers, in %
+export const buildTilePrompt = (framework, { number, count, region, hasFacts = false }) => {
+  const { labels } = framework;
+  const span = (start, size) => `${Math.round(start)}–${Math.round(start + size)}%`;
+  return `
+
+## TILED ANALYSIS
+The screenshot is too large to read as one image, so it is evaluated in ${count} overlapping tiles. The first image is the whole page, downscaled, for context only. The second image is tile ${number} of ${count} at full resolution; it covers ${span(region.x, region.width)} across and ${span(region.y, region.height)} down the page.
+- Report only the ${labels.items.toLowerCase()} you can see in this tile. Neighbouring tiles overlap, so an element on the edge may be reported from both; that is expected.
+- x, y, box and polygon are percentages of this tile, not of the whole page.${hasFacts ? '\n- The boxes of the measured page facts are percentages of the whole page; only use the facts for elements inside this tile.' : ''}
+- Rate "tenetScores" and "score" for the part of the page this tile shows, with the whole page in mind.
+
+Return valid JSON only, no markdown.`;
+};
+
+// Appended when screens were rendered from HTML. `facts` come from collectPageFacts.
+export const buildPageFactsPrompt = (facts, framework, isFlow) => {
+  const { labels } = framework;
+  const round = (value) => Math.round(value * 10) / 10;
+  const lines = facts.map(({ id, kind, element, detail, box, screen }) => (
+    `- ${id} [${FACT_KINDS[kind].label}]${isFlow ? ` Screen ${screen}:` : ''} ${element} — ${detail} — box { "x": ${round(box.x)}, "y": ${round(box.y)}, "width": ${round(box.width)}, "height": ${round(box.height)} }`
+  ));
+  const mapping = Object.entries(framework.factItems)
+    .filter(([kind]) => FACT_KINDS[kind])
+    .map(([kind, item]) => `${FACT_KINDS[kind].label} → ${item}`);
+
+  return `
+
+## MEASURED PAGE FACTS
+${isFlow ? 'Some screens were' : 'The screen was'} rendered from HTML and measured from its markup and layout. Treat these as evidence, not guesses.
+${lines.join('\n')}
+
+- Report the facts that matter to this user as ${labels.items.toLowerCase()}; facts of the same kind and cause can share one ${labels.item.toLowerCase()}.
+- Add "facts": ["F1", ...] to every ${labels.item.toLowerCase()} based on them; its location is then set to the measured element.
+- ${mapping.length > 0 ? `Map them as follows: ${mapping.join('; ')}. ` : ''}Otherwise use the closest ${labels.item.toLowerCase()} in the catalogue.
+
+Return valid JSON only, no markdown.`;
+};
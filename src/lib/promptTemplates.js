@@ -0,0 +1,118 @@
+import { STANDARD_TEMPLATE, TEMPLATE_PLACEHOLDERS, REQUIRED_PLACEHOLDERS, PLACEHOLDER_PATTERN, PROMPT_VERSION } from './prompt.js';
+
+// Evaluation prompt templates with their version history:
+//   { id, name, versions: [{ version, body, note, createdAt }] }
+// oldest version first. Saving a changed body adds a version; versions are never edited, so an
+// evaluation's `promptTemplate` ({ id, name, version }) always points at the text that produced it.
+
+export class TemplateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TemplateError';
+  }
+}
+
+// The built-in template follows the code's prompt version
+export const STANDARD_TEMPLATE_ID = 'standard';
+
+export const STANDARD = {
+  id: STANDARD_TEMPLATE_ID,
+  name: 'Standard',
+  versions: [{ version: PROMPT_VERSION, body: STANDARD_TEMPLATE, note: 'Built-in prompt', createdAt: null }]
+};
+
+const text = (value) => (typeof value === 'string' ? value.trim() : '');
+
+export const templateId = (name) => text(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+export const placeholdersIn = (body) => [...new Set(Array.from(body.matchAll(PLACEHOLDER_PATTERN), match => match[1]))];
+
+// A body must only use known placeholders and must ask for the output format, which replies are
+// validated against
+export const validateTemplateBody = (body) => {
+  if (!text(body)) throw new TemplateError('The template is empty.');
+  const unknown = placeholdersIn(body).filter(name => !TEMPLATE_PLACEHOLDERS[name]);
+  if (unknown.length > 0) {
+    throw new TemplateError(`Unknown placeholder${unknown.length === 1 ? '' : 's'} ${unknown.map(name => `{{${name}}}`).join(', ')}.`);
+  }
+  const missing = REQUIRED_PLACEHOLDERS.filter(name => !placeholdersIn(body).includes(name));
+  if (missing.length > 0) {
+    throw new TemplateError(`The template must include ${missing.map(name => `{{${name}}}`).join(', ')} so results can be read.`);
+  }
+  return body;
+};
+
+// Check a template, e.g. one a team shared. A plain { name, body } becomes version 1.
+export const validateTemplate = (raw) => {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new TemplateError('A prompt template must be a JSON object.');
+  const name = text(raw.name);
+  if (!name) throw new TemplateError('"name" is required.');
+  const id = text(raw.id) || templateId(name);
+  if (!/^[a-z0-9][a-z0-9-]*$/.test(id)) throw new TemplateError('"id" must be lowercase letters, digits and dashes.');
+  const rawVersions = Array.isArray(raw.versions) ? raw.versions : typeof raw.body === 'string' ? [{ version: 1, body: raw.body }] : [];
+  if (rawVersions.length === 0) throw new TemplateError('"versions" must list at least one version.');
+  const versions = rawVersions.map((version, idx) => {
+    try {
+      validateTemplateBody(version?.body);
+    } catch (err) {
+      throw new TemplateError(`Version ${version?.version ?? idx + 1}: ${err.message}`);
+    }
+    return { version: Number(version.version) || idx + 1, body: version.body, note: text(version.note), createdAt: version.createdAt || null };
+  }).sort((a, b) => a.version - b.version);
+  if (new Set(versions.map(version => version.version)).size !== versions.length) throw new TemplateError('Version numbers must be unique.');
+  return { id, name, versions };
+};
+
+export const latestVersion = (template) => template.versions[template.versions.length - 1];
+
+export const findVersion = (template, version) => template.versions.find(v => v.version === version) || null;
+
+// A new version of `template` with `body`, or the template unchanged when the body is the latest
+export const addVersion = (template, body, note = '') => {
+  validateTemplateBody(body);
+  const latest = latestVersion(template);
+  if (latest && latest.body === body) return template;
+  return {
+    ...template,
+    versions: [...template.versions, { version: (latest?.version || 0) + 1, body, note: text(note), createdAt: new Date().toISOString() }]
+  };
+};
+
+// What an evaluation records about the template that produced it
+export const templateRef = (template, version = latestVersion(template)) => ({ id: template.id, name: template.name, version: version.version });
+
+// A version ready to render: { id, name, version, body }
+export const resolveTemplate = (template, version = latestVersion(template)) => ({ ...templateRef(template, version), body: version.body });
+
+// "House style v3"
+export const templateLabel = (ref) => (ref ? `${ref.name} v${ref.version}` : '');
+
+// Line diff of two bodies: [{ type: 'same' | 'added' | 'removed', text }], from the longest common
+// subsequence of lines
+export const diffLines = (before, after) => {
+  const a = before.split('\n');
+  const b = after.split('\n');
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      lines.push({ type: 'removed', text: a[i++] });
+    } else {
+      lines.push({ type: 'added', text: b[j++] });
+    }
+  }
+  while (i < a.length) lines.push({ type: 'removed', text: a[i++] });
+  while (j < b.length) lines.push({ type: 'added', text: b[j++] });
+  return lines;
+};
@@ -0,0 +1,419 @@
+import { SEVERITY_CONFIG, scaleSteps } from './framework.js';
+import { getTrapLocations, getTrapScreens } from './traps.js';
+import { consensusLabel } from './consensus.js';
+import { summarizePersona, personaAdjustmentLabel } from './personas.js';
+import { loadImage, renderEvidenceCrop } from './evidence.js';
+
+// Stakeholder report: annotated screenshots plus the full evaluation, as standalone HTML or PDF
+
+const VERDICT_COLORS = { Pass: '#15803d', 'Needs Work': '#b45309', Critical: '#b91c1c' };
+
+const REMEDIATIONS = [
+  { field: 'quickPivot', label: 'Quick Pivot', color: '#1d4ed8', background: '#eff6ff' },
+  { field: 'architecturalSolve', label: 'Architectural Solve', color: '#7e22ce', background: '#faf5ff' },
+  { field: 'aiFix', label: 'AI-Assisted Fix', color: '#15803d', background: '#f0fdf4' }
+];
+
+const INCOMPLETE_NOTE = 'Incomplete: this evaluation was cancelled before the model finished, so some findings and scores may be missing.';
+
+const severityOf = (trap) => SEVERITY_CONFIG[trap.severity] || SEVERITY_CONFIG.P3;
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, ch => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[ch]));
+
+// Burn the region outlines and numbered, severity-colored trap pins into a copy of the screenshot
+export const renderAnnotatedScreenshot = async (dataUrl, traps, screen, { maxWidth = 1600 } = {}) => {
+  const img = await loadImage(dataUrl);
+  const scale = Math.min(1, maxWidth / img.width);
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(img.width * scale);
+  canvas.height = Math.round(img.height * scale);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+
+  const onScreen = (trap) => getTrapLocations(trap).filter(loc => (loc.screen ?? 1) === screen);
+
+  // Regions first so no outline covers a pin
+  ctx.lineWidth = Math.max(2, Math.round(canvas.width * 0.002));
+  traps.forEach(trap => onScreen(trap).forEach(loc => {
+    ctx.strokeStyle = severityOf(trap).color;
+    if (loc.box) {
+      ctx.strokeRect((loc.box.x / 100) * canvas.width, (loc.box.y / 100) * canvas.height, (loc.box.width / 100) * canvas.width, (loc.box.height / 100) * canvas.height);
+    } else if (Array.isArray(loc.polygon) && loc.polygon.length >= 3) {
+      ctx.beginPath();
+      loc.polygon.forEach(([x, y], idx) => ctx[idx === 0 ? 'moveTo' : 'lineTo']((x / 100) * canvas.width, (y / 100) * canvas.height));
+      ctx.closePath();
+      ctx.stroke();
+    }
+  }));
+
+  const radius = Math.max(12, Math.round(canvas.width * 0.014));
+  traps.forEach((trap, idx) => {
+    onScreen(trap).forEach(loc => {
+      const x = (loc.x / 100) * canvas.width;
+      const y = (loc.y / 100) * canvas.height;
+      ctx.save();
+      ctx.shadowColor = 'rgba(0, 0, 0, 0.35)';
+      ctx.shadowBlur = radius / 2;
+      ctx.beginPath();
+      ctx.arc(x, y, radius, 0, Math.PI * 2);
+      ctx.fillStyle = severityOf(trap).color;
+      ctx.fill();
+      ctx.restore();
+      ctx.lineWidth = Math.max(2, radius / 6);
+      ctx.strokeStyle = '#ffffff';
+      ctx.stroke();
+      ctx.fillStyle = '#ffffff';
+      ctx.font = `bold ${Math.round(radius * 1.1)}px system-ui, sans-serif`;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(String(idx + 1), x, y + 1);
+    });
+  });
+
+  return { dataUrl: canvas.toDataURL('image/jpeg', 0.9), width: canvas.width, height: canvas.height };
+};
+
+// Crop of the first place a trap occurs, keyed by trap id
+const renderEvidence = async (traps, screens) => Object.fromEntries(await Promise.all(traps.map(async (trap) => {
+  const location = getTrapLocations(trap)[0];
+  const screen = location && screens[(location.screen ?? 1) - 1];
+  const crop = screen ? await renderEvidenceCrop(screen.data, location, severityOf(trap).color).catch(() => null) : null;
+  return [trap.id, crop];
+})));
+
+// screens: [{ name, data }] in evaluation order
+export const prepareReport = async ({ context, evaluation, framework, screens, model }) => ({
+  context,
+  evaluation,
+  framework,
+  model,
+  generatedAt: new Date(),
+  screens: await Promise.all(screens.map(async (screen, idx) => ({
+    number: idx + 1,
+    name: screen.name,
+    image: await renderAnnotatedScreenshot(screen.data, evaluation.traps || [], idx + 1)
+  }))),
+  evidence: await renderEvidence(evaluation.traps || [], screens)
+});
+
+const reportTitle = (report) => `Heuristic Evaluation — ${report.context.workflowName || 'Untitled workflow'}`;
+
+// The saved persona, if one was used, followed by the free-text notes
+const personaText = (context) => [
+  context.personaProfile && `${context.personaProfile.name} (${summarizePersona(context.personaProfile)})`,
+  context.persona?.trim()
+].filter(Boolean).join('. ');
+
+const reviewLabel = (trap) => (trap.origin === 'reviewer' ? 'Added by reviewer' : trap.edited ? 'Edited by reviewer' : '');
+
+const trapScreensLabel = (report, trap) => {
+  if (report.screens.length < 2) return '';
+  const screens = getTrapScreens(trap);
+  return `${screens.length > 1 ? 'Screens' : 'Screen'} ${screens.join(', ')}`;
+};
+
+// HTML
+
+const HTML_STYLES = `
+  * { box-sizing: border-box; }
+  body { margin: 0; padding: 32px; font-family: system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif; color: #0f172a; background: #f8fafc; }
+  main { max-width: 960px; margin: 0 auto; background: #fff; padding: 40px; border-radius: 12px; }
+  h1 { font-size: 28px; margin: 0 0 4px; }
+  h2 { font-size: 18px; margin: 32px 0 12px; padding-bottom: 6px; border-bottom: 1px solid #e2e8f0; }
+  .muted { color: #64748b; font-size: 13px; }
+  .grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(220px, 1fr)); gap: 12px; }
+  .box { border: 1px solid #e2e8f0; border-radius: 8px; padding: 12px; }
+  .label { font-size: 11px; font-weight: 600; text-transform: uppercase; letter-spacing: .04em; color: #64748b; margin-bottom: 4px; }
+  .verdict { display: inline-block; padding: 4px 12px; border-radius: 999px; color: #fff; font-weight: 600; font-size: 14px; }
+  .score { font-size: 32px; font-weight: 700; }
+  figure { margin: 0 0 24px; }
+  figure img { width: 100%; border: 1px solid #e2e8f0; border-radius: 8px; }
+  figcaption { font-size: 13px; color: #64748b; margin-top: 6px; }
+  table { width: 100%; border-collapse: collapse; font-size: 14px; }
+  th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #f1f5f9; }
+  th { font-size: 12px; color: #64748b; }
+  .dots span { display: inline-block; width: 9px; height: 9px; border-radius: 50%; margin-right: 3px; background: #e2e8f0; }
+  .dots span.on { background: #6366f1; }
+  .trap { border: 1px solid #e2e8f0; border-left-width: 4px; border-radius: 8px; padding: 14px 16px; margin-bottom: 14px; break-inside: avoid; }
+  .trap-head { display: flex; align-items: center; gap: 10px; margin-bottom: 6px; }
+  .pin { width: 26px; height: 26px; border-radius: 50%; color: #fff; font-weight: 700; font-size: 13px; display: flex; align-items: center; justify-content: center; flex-shrink: 0; }
+  .tag { padding: 1px 6px; border-radius: 4px; background: #eef2ff; color: #4f46e5; font-size: 11px; font-weight: 600; }
+  .badge { padding: 2px 8px; border-radius: 4px; color: #fff; font-size: 12px; font-weight: 700; }
+  .crop { display: block; max-width: 320px; max-height: 180px; margin: 8px 0; border: 1px solid #e2e8f0; border-radius: 6px; }
+  .trap p { margin: 6px 0; font-size: 14px; line-height: 1.5; }
+  .fix { padding: 8px 10px; border-radius: 6px; margin-top: 6px; font-size: 13px; }
+  .fix strong { display: block; font-size: 12px; margin-bottom: 2px; }
+  ol { padding-left: 20px; }
+  @media print {
+    body { background: #fff; padding: 0; }
+    main { padding: 0; max-width: none; }
+    h2 { break-after: avoid; }
+    figure { break-inside: avoid; }
+  }
+  @page { margin: 16mm; }
+`;
+
+const scoreDots = (score, framework) => `<span class="dots">${scaleSteps(framework).map(i => `<span class="${i <= score ? 'on' : ''}"></span>`).join('')}</span>`;
+
+export const buildReportHtml = (report) => {
+  const { context, evaluation, framework } = report;
+  const { labels } = framework;
+  const summary = evaluation.summary || {};
+  const screenScores = evaluation.screenScores || [];
+  const tenets = Object.keys(evaluation.tenetScores || {});
+
+  const contextRows = [
+    ['EPIC / Story', context.epicDetails],
+    ['Persona', personaText(context)],
+    ['Use Case', context.usecaseDescription]
+  ].filter(([, value]) => value && value.trim());
+
+  const traps = (evaluation.traps || []).map((trap, idx) => {
+    const severity = severityOf(trap);
+    return `
+      <article class="trap" style="border-left-color: ${severity.color}">
+        <div class="trap-head">
+          <div class="pin" style="background: ${severity.color}">${idx + 1}</div>
+          <strong>${escapeHtml(trap.name)}</strong>
+          <span class="badge" style="background: ${severity.color}">${escapeHtml(trap.severity)} · ${escapeHtml(severity.label)}</span>
+          ${reviewLabel(trap) ? `<span class="tag">${reviewLabel(trap)}</span>` : ''}
+          ${consensusLabel(trap) ? `<span class="tag">${consensusLabel(trap)}</span>` : ''}
+          ${personaAdjustmentLabel(trap) ? `<span class="tag" title="${escapeHtml(trap.personaAdjustment.reasons.join('; '))}">${escapeHtml(personaAdjustmentLabel(trap))}</span>` : ''}
+        </div>
+        <div class="muted">${escapeHtml([trap.tenet, trapScreensLabel(report, trap), trap.location?.description].filter(Boolean).join(' · '))}</div>
+        ${report.evidence[trap.id] ? `<img class="crop" src="${report.evidence[trap.id]}" alt="" />` : ''}
+        ${trap.evidence ? `<p><strong>Evidence:</strong> ${escapeHtml(trap.evidence)}</p>` : ''}
+        ${trap.diagnostic ? `<p><strong>Impact:</strong> ${escapeHtml(trap.diagnostic)}</p>` : ''}
+        ${REMEDIATIONS.filter(r => trap[r.field]).map(r => `
+          <div class="fix" style="background: ${r.background}; color: ${r.color}"><strong>${r.label}</strong>${escapeHtml(trap[r.field])}</div>
+        `).join('')}
+      </article>`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1.0" />
+<title>${escapeHtml(reportTitle(report))}</title>
+<style>${HTML_STYLES}</style>
+</head>
+<body>
+<main>
+  <h1>${escapeHtml(reportTitle(report))}</h1>
+  <p class="muted">${escapeHtml(framework.name)} heuristic evaluation · Generated ${escapeHtml(report.generatedAt.toLocaleString())}${report.model ? ` · ${escapeHtml(report.model)}` : ''}</p>
+
+  ${contextRows.length ? `<div class="grid" style="margin-top: 16px">${contextRows.map(([label, value]) => `
+    <div class="box"><div class="label">${label}</div>${escapeHtml(value)}</div>`).join('')}
+  </div>` : ''}
+
+  <h2>Verdict</h2>
+  ${evaluation.incomplete ? `<p class="muted"><strong>${INCOMPLETE_NOTE}</strong></p>` : ''}
+  <div class="grid">
+    <div class="box">
+      <div class="label">Score</div>
+      <div class="score">${escapeHtml(evaluation.score ?? '—')}/10</div>
+      ${summary.verdict ? `<span class="verdict" style="background: ${VERDICT_COLORS[summary.verdict] || '#475569'}">${escapeHtml(summary.verdict)}</span>` : ''}
+      ${summary.health ? `<p class="muted">${escapeHtml(summary.health)}</p>` : ''}
+    </div>
+    ${summary.userIntent ? `<div class="box"><div class="label">User Intent</div>${escapeHtml(summary.userIntent)}</div>` : ''}
+    ${summary.emotionalContext ? `<div class="box"><div class="label">Emotional Context</div>${escapeHtml(summary.emotionalContext)}</div>` : ''}
+  </div>
+
+  <h2>Annotated ${report.screens.length > 1 ? 'Screens' : 'Screen'}</h2>
+  ${report.screens.map(screen => `
+    <figure>
+      <img src="${screen.image.dataUrl}" alt="${escapeHtml(screen.name)}" />
+      <figcaption>${report.screens.length > 1 ? `Screen ${screen.number}: ` : ''}${escapeHtml(screen.name)}</figcaption>
+    </figure>`).join('')}
+
+  ${tenets.length ? `
+  <h2>${escapeHtml(labels.category)} Scores</h2>
+  <table>
+    <thead><tr><th>${escapeHtml(labels.category)}</th><th>${screenScores.length ? 'Flow' : 'Score'}</th>${screenScores.map(s => `<th>Screen ${s.screen}</th>`).join('')}</tr></thead>
+    <tbody>
+      ${tenets.map(tenet => `<tr>
+        <td>${escapeHtml(tenet)}</td>
+        <td>${scoreDots(evaluation.tenetScores[tenet], framework)} ${escapeHtml(evaluation.tenetScores[tenet])}/${framework.scale.max}</td>
+        ${screenScores.map(s => `<td>${escapeHtml(s.tenetScores?.[tenet] ?? '–')}</td>`).join('')}
+      </tr>`).join('')}
+    </tbody>
+  </table>
+  ${evaluation.tenetWin ? `<p class="box" style="margin-top: 12px; background: #f0fdf4"><strong>${escapeHtml(labels.category)} Win:</strong> ${escapeHtml(evaluation.tenetWin)}</p>` : ''}` : ''}
+
+  <h2>${escapeHtml(labels.items)} Found (${(evaluation.traps || []).length})</h2>
+  ${traps || `<p class="muted">No ${escapeHtml(labels.items.toLowerCase())} were found.</p>`}
+
+  ${evaluation.dismissedTraps?.length ? `
+  <h2>Dismissed as False Positives (${evaluation.dismissedTraps.length})</h2>
+  <ul>${evaluation.dismissedTraps.map(trap => `<li><strong>${escapeHtml(trap.name)}</strong> (${escapeHtml(trap.severity)}) — ${escapeHtml(trap.dismissedReason)}</li>`).join('')}</ul>` : ''}
+
+  ${evaluation.disarmPriorities?.length ? `
+  <h2>Disarm Priorities</h2>
+  <ol>${evaluation.disarmPriorities.map(p => `<li>${escapeHtml(p)}</li>`).join('')}</ol>` : ''}
+</main>
+</body>
+</html>`;
+};
+
+// PDF
+
+const hexToRgb = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+
+export const buildReportPdf = async (report) => {
+  // jsPDF is only needed here, so keep it out of the main bundle
+  const { jsPDF } = await import('jspdf');
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  const { context, evaluation, framework } = report;
+  const summary = evaluation.summary || {};
+
+  const page = { width: doc.internal.pageSize.getWidth(), height: doc.internal.pageSize.getHeight(), margin: 16 };
+  const contentWidth = page.width - page.margin * 2;
+  let y = page.margin;
+
+  const ensureSpace = (height) => {
+    if (y + height > page.height - page.margin) {
+      doc.addPage();
+      y = page.margin;
+    }
+  };
+
+  const write = (text, { size = 10, bold = false, color = '#0f172a', indent = 0, gap = 1.5 } = {}) => {
+    if (!text) return;
+    doc.setFont('helvetica', bold ? 'bold' : 'normal');
+    doc.setFontSize(size);
+    doc.setTextColor(...hexToRgb(color));
+    const lineHeight = size * 0.42;
+    doc.splitTextToSize(String(text), contentWidth - indent).forEach(line => {
+      ensureSpace(lineHeight);
+      doc.text(line, page.margin + indent, y + lineHeight * 0.8);
+      y += lineHeight;
+    });
+    y += gap;
+  };
+
+  const heading = (text) => {
+    ensureSpace(14);
+    y += 4;
+    write(text, { size: 14, bold: true });
+    doc.setDrawColor(226, 232, 240);
+    doc.line(page.margin, y, page.width - page.margin, y);
+    y += 3;
+  };
+
+  write(reportTitle(report), { size: 20, bold: true, gap: 1 });
+  write(`${framework.name} heuristic evaluation · Generated ${report.generatedAt.toLocaleString()}${report.model ? ` · ${report.model}` : ''}`, { size: 9, color: '#64748b', gap: 4 });
+
+  [['EPIC / Story', context.epicDetails], ['Persona', personaText(context)], ['Use Case', context.usecaseDescription]]
+    .filter(([, value]) => value && value.trim())
+    .forEach(([label, value]) => {
+      write(label.toUpperCase(), { size: 8, bold: true, color: '#64748b', gap: 0.5 });
+      write(value, { gap: 3 });
+    });
+
+  heading('Verdict');
+  if (evaluation.incomplete) write(INCOMPLETE_NOTE, { bold: true, color: '#b45309', gap: 2 });
+  write(`Score ${evaluation.score ?? '—'}/10${summary.verdict ? ` · ${summary.verdict}` : ''}`, { size: 14, bold: true, color: VERDICT_COLORS[summary.verdict] || '#0f172a' });
+  write(summary.health, { color: '#64748b', gap: 3 });
+  if (summary.userIntent) {
+    write('USER INTENT', { size: 8, bold: true, color: '#64748b', gap: 0.5 });
+    write(summary.userIntent, { gap: 3 });
+  }
+  if (summary.emotionalContext) {
+    write('EMOTIONAL CONTEXT', { size: 8, bold: true, color: '#64748b', gap: 0.5 });
+    write(summary.emotionalContext, { gap: 3 });
+  }
+
+  heading(`Annotated ${report.screens.length > 1 ? 'Screens' : 'Screen'}`);
+  report.screens.forEach(screen => {
+    const maxHeight = page.height - page.margin * 2 - 12;
+    let width = contentWidth;
+    let height = (screen.image.height / screen.image.width) * width;
+    if (height > maxHeight) {
+      width = (width * maxHeight) / height;
+      height = maxHeight;
+    }
+    ensureSpace(height + 8);
+    doc.addImage(screen.image.dataUrl, 'JPEG', page.margin, y, width, height);
+    y += height + 2;
+    write(`${report.screens.length > 1 ? `Screen ${screen.number}: ` : ''}${screen.name}`, { size: 9, color: '#64748b', gap: 4 });
+  });
+
+  const tenets = Object.entries(evaluation.tenetScores || {});
+  if (tenets.length) {
+    heading(`${framework.labels.category} Scores`);
+    const steps = scaleSteps(framework);
+    const scoreX = page.margin + 64 + steps.length * 3.5;
+    tenets.forEach(([tenet, score]) => {
+      doc.setFont('helvetica', 'normal');
+      doc.setFontSize(10);
+      const nameLines = doc.splitTextToSize(tenet, 58);
+      ensureSpace(nameLines.length * 4.5 + 1.5);
+      doc.setTextColor(15, 23, 42);
+      doc.text(nameLines, page.margin, y + 4);
+      steps.forEach((i, idx) => {
+        doc.setFillColor(...(i <= score ? [99, 102, 241] : [226, 232, 240]));
+        doc.circle(page.margin + 62 + idx * 3.5, y + 2.8, 1.2, 'F');
+      });
+      const perScreen = (evaluation.screenScores || []).map(s => `S${s.screen}: ${s.tenetScores?.[tenet] ?? '–'}`).join('   ');
+      doc.text(`${score}/${framework.scale.max}${perScreen ? `     ${perScreen}` : ''}`, scoreX, y + 4);
+      y += nameLines.length * 4.5 + 1.5;
+    });
+    if (evaluation.tenetWin) {
+      y += 2;
+      write(`${framework.labels.category} Win: ${evaluation.tenetWin}`, { color: '#15803d', gap: 3 });
+    }
+  }
+
+  heading(`${framework.labels.items} Found (${(evaluation.traps || []).length})`);
+  (evaluation.traps || []).forEach((trap, idx) => {
+    const severity = severityOf(trap);
+    ensureSpace(24);
+    doc.setFillColor(...hexToRgb(severity.color));
+    doc.circle(page.margin + 3, y + 3, 3, 'F');
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(9);
+    doc.setTextColor(255, 255, 255);
+    doc.text(String(idx + 1), page.margin + 3, y + 4.1, { align: 'center' });
+    doc.setFontSize(11);
+    doc.setTextColor(15, 23, 42);
+    doc.text(trap.name, page.margin + 8, y + 4.2);
+    const badge = `${trap.severity} · ${severity.label}`;
+    doc.setFontSize(8);
+    const badgeWidth = doc.getTextWidth(badge) + 4;
+    doc.setFillColor(...hexToRgb(severity.color));
+    doc.roundedRect(page.width - page.margin - badgeWidth, y + 0.5, badgeWidth, 5, 1, 1, 'F');
+    doc.setTextColor(255, 255, 255);
+    doc.text(badge, page.width - page.margin - badgeWidth + 2, y + 4);
+    y += 8;
+
+    write([trap.tenet, trapScreensLabel(report, trap), trap.location?.description, reviewLabel(trap), consensusLabel(trap), personaAdjustmentLabel(trap)].filter(Boolean).join(' · '), { size: 9, color: '#64748b', indent: 8 });
+    const crop = report.evidence[trap.id];
+    if (crop) {
+      const { width, height } = doc.getImageProperties(crop);
+      const cropWidth = 60;
+      const cropHeight = Math.min(45, (height / width) * cropWidth);
+      ensureSpace(cropHeight + 2);
+      doc.addImage(crop, 'JPEG', page.margin + 8, y, (width / height) * cropHeight, cropHeight);
+      y += cropHeight + 2;
+    }
+    if (trap.evidence) write(`Evidence: ${trap.evidence}`, { indent: 8 });
+    if (trap.diagnostic) write(`Impact: ${trap.diagnostic}`, { indent: 8 });
+    REMEDIATIONS.filter(r => trap[r.field]).forEach(r => write(`${r.label}: ${trap[r.field]}`, { indent: 8, color: r.color }));
+    y += 3;
+  });
+
+  if (evaluation.dismissedTraps?.length) {
+    heading(`Dismissed as False Positives (${evaluation.dismissedTraps.length})`);
+    evaluation.dismissedTraps.forEach(trap => write(`${trap.name} (${trap.severity}) — ${trap.dismissedReason}`));
+  }
+
+  if (evaluation.disarmPriorities?.length) {
+    heading('Disarm Priorities');
+    evaluation.disarmPriorities.forEach((priority, idx) => write(`${idx + 1}. ${priority}`));
+  }
+
+  return doc.output('blob');
+};
@@ -0,0 +1,57 @@
+import { PROMPT_VERSION } from './prompt.js';
+
+// Evaluations already paid for, so the same request isn't sent twice. A request is identified by
+// a hash of what shapes its answer: the images exactly as sent (after compression or tiling), the
+// context fields, the prompt as built (framework, page facts, persona rules), the prompt version
+// and the template version it was built from, the provider and model, and the number of consensus
+// runs. Storage is up to the caller:
+//   { get(key) → entry | null, put(entry) }
+// with entries
+//   { key, createdAt, provider, model, runs, workflowName, screens: [names], prompt, evaluation }
+// The browser keeps them in IndexedDB (see storage.js); the command line in a folder of JSON files.
+
+export class CacheMissError extends Error {
+  constructor(message, key) {
+    super(message);
+    this.name = 'CacheMissError';
+    this.key = key;
+  }
+}
+
+// use: answer from the cache when possible, otherwise ask the model and store its answer;
+// fresh: always ask the model, replacing what was stored; replay: only ever answer from the cache
+export const CACHE_MODES = ['use', 'fresh', 'replay'];
+
+// settings.cache: `enabled` reuses stored answers; `replay` serves nothing else, even when
+// `enabled` is off, and never calls the model
+export const DEFAULT_CACHE_SETTINGS = { enabled: true, replay: false };
+
+export const normalizeCacheSettings = (raw) => ({
+  enabled: typeof raw?.enabled === 'boolean' ? raw.enabled : DEFAULT_CACHE_SETTINGS.enabled,
+  replay: raw?.replay === true
+});
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+
+const hashText = async (text) => toHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)));
+
+// messages: every request the evaluation would send (one per tile for tiled screenshots)
+export const responseKey = async ({ provider, model, runs = 1, context, template, messages }) => {
+  const { workflowName, epicDetails, persona, personaProfile, usecaseDescription } = context;
+  return hashText(JSON.stringify({
+    version: PROMPT_VERSION,
+    template: template && { id: template.id, version: template.version },
+    provider,
+    model,
+    runs,
+    context: { workflowName, epicDetails, persona, personaProfile, usecaseDescription },
+    messages
+  }));
+};
+
+// What an entry says about itself, for listing it without its evaluation
+export const describeCacheEntry = ({ evaluation, prompt, ...entry }) => ({
+  ...entry,
+  score: evaluation?.score,
+  trapCount: evaluation?.traps?.length ?? 0
+});
@@ -0,0 +1,135 @@
+import { getItemCatalogue } from './framework.js';
+import { getTrapLocations, moveLocation } from './traps.js';
+
+// Reviewer curation of an evaluation, kept apart from the model's output so the original findings
+// are never overwritten. Traps are addressed by id.
+//   edits:     { [trapId]: fields changed on a model trap }
+//   dismissed: { [trapId]: reason the finding is a false positive }
+//   added:     traps the reviewer created by hand
+export const EMPTY_REVIEW = { edits: {}, dismissed: {}, added: [] };
+
+export const EDITABLE_FIELDS = ['evidence', 'diagnostic', 'quickPivot', 'architecturalSolve', 'aiFix'];
+
+export const normalizeReview = (review) => ({
+  edits: review?.edits && typeof review.edits === 'object' ? review.edits : {},
+  dismissed: review?.dismissed && typeof review.dismissed === 'object' ? review.dismissed : {},
+  added: Array.isArray(review?.added) ? review.added : []
+});
+
+export const isReviewEmpty = (review) => !review || (
+  Object.keys(review.edits || {}).length === 0 &&
+  Object.keys(review.dismissed || {}).length === 0 &&
+  (review.added || []).length === 0
+);
+
+const isAdded = (review, id) => review.added.some(trap => trap.id === id);
+
+// The evaluation as the reviewer left it. Model traps keep their order, hand-made traps follow;
+// dismissed findings move to `dismissedTraps` together with the reason.
+export const applyReview = (evaluation, review) => {
+  if (!evaluation) return evaluation;
+  const { edits, dismissed, added } = normalizeReview(review);
+  const modelTraps = (evaluation.traps || []).map(trap => (edits[trap.id]
+    ? { ...trap, ...edits[trap.id], origin: 'ai', edited: true }
+    : { ...trap, origin: 'ai' }));
+  return {
+    ...evaluation,
+    traps: [
+      ...modelTraps.filter(trap => dismissed[trap.id] === undefined),
+      ...added.map(trap => ({ ...trap, origin: 'reviewer' }))
+    ],
+    dismissedTraps: modelTraps
+      .filter(trap => dismissed[trap.id] !== undefined)
+      .map(trap => ({ ...trap, dismissedReason: dismissed[trap.id] }))
+  };
+};
+
+const clamp = (value) => Math.min(100, Math.max(0, value));
+
+// Marker positions are percentages of the screenshot, kept to one decimal
+const toPoint = (x, y) => ({ x: Math.round(clamp(x) * 10) / 10, y: Math.round(clamp(y) * 10) / 10 });
+
+const findTrap = (evaluation, review, id) => applyReview(evaluation, review).traps.find(trap => trap.id === id);
+
+export const editTrap = (review, id, fields) => {
+  const next = normalizeReview(review);
+  if (isAdded(next, id)) {
+    return { ...next, added: next.added.map(trap => (trap.id === id ? { ...trap, ...fields } : trap)) };
+  }
+  return { ...next, edits: { ...next.edits, [id]: { ...next.edits[id], ...fields } } };
+};
+
+// Move one marker and its region; `locationIndex` counts the trap's markers as getTrapLocations returns them
+export const moveTrapLocation = (review, evaluation, id, locationIndex, { x, y }) => {
+  const trap = findTrap(evaluation, review, id);
+  if (!trap) return review;
+  const point = toPoint(x, y);
+  if (Array.isArray(trap.locations) && trap.locations.length > 0) {
+    const locations = getTrapLocations(trap).map((loc, idx) => (idx === locationIndex ? moveLocation(loc, point) : loc));
+    return editTrap(review, id, { locations, location: locations[0] });
+  }
+  return editTrap(review, id, { location: moveLocation(trap.location, point) });
+};
+
+// A new finding at the clicked point, starting as the framework's first item; flow evaluations
+// also record the screen it is on
+export const addTrap = (review, evaluation, { screen, x, y }, framework) => {
+  const [first] = getItemCatalogue(framework);
+  const next = normalizeReview(review);
+  const ids = [...(evaluation.traps || []), ...next.added].map(trap => trap.id).filter(Number.isFinite);
+  const location = { ...toPoint(x, y), description: '' };
+  const trap = {
+    id: Math.max(0, ...ids) + 1,
+    name: first.name,
+    tenet: first.tenet,
+    severity: 'P3',
+    location,
+    ...Object.fromEntries(EDITABLE_FIELDS.map(field => [field, ''])),
+    ...(evaluation.flow ? { screens: [screen], locations: [{ ...location, screen }] } : {})
+  };
+  return { review: { ...next, added: [...next.added, trap] }, trap };
+};
+
+// Hand-made traps are simply removed; model findings are kept and marked as false positives
+export const dismissTrap = (review, id, reason) => {
+  const next = normalizeReview(review);
+  if (isAdded(next, id)) return { ...next, added: next.added.filter(trap => trap.id !== id) };
+  return { ...next, dismissed: { ...next.dismissed, [id]: reason } };
+};
+
+export const restoreTrap = (review, id) => {
+  const next = normalizeReview(review);
+  const { [id]: _, ...dismissed } = next.dismissed;
+  return { ...next, dismissed };
+};
+
+// Drop every change to one model trap
+export const revertTrap = (review, id) => {
+  const next = normalizeReview(review);
+  const { [id]: _, ...edits } = next.edits;
+  return { ...next, edits };
+};
+
+// Undo/redo
+
+const HISTORY_LIMIT = 100;
+
+export const createReviewHistory = (review) => ({ past: [], present: normalizeReview(review), future: [] });
+
+export const pushReview = (history, review) => ({
+  past: [...history.past, history.present].slice(-HISTORY_LIMIT),
+  present: review,
+  future: []
+});
+
+export const undoReview = (history) => (history.past.length === 0 ? history : {
+  past: history.past.slice(0, -1),
+  present: history.past[history.past.length - 1],
+  future: [history.present, ...history.future]
+});
+
+export const redoReview = (history) => (history.future.length === 0 ? history : {
+  past: [...history.past, history.present],
+  present: history.future[0],
+  future: history.future.slice(1)
+});
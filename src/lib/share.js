@@ -0,0 +1,122 @@
+import { buildExport } from './exportFormat.js';
+
+// Read-only sharing without a server. A share link carries an export document (see
+// exportFormat.js), deflated and base64url-encoded, in the URL fragment, which never leaves the
+// browser: `…/#share=<data>`. The screenshots are downscaled until the link fits; when even the
+// smallest doesn't, the evaluation goes into a single-file bundle instead: the HTML report with
+// the full export embedded and a button that opens it in the app's viewer (`…/#share-bundle`),
+// which receives the document from the bundle's window by postMessage.
+
+export const SHARE_HASH_PREFIX = '#share=';
+export const SHARE_BUNDLE_HASH = '#share-bundle';
+
+// Chromium, Firefox and Safari all open longer URLs, but mail and chat clients start cutting them
+// off well before that
+export const MAX_SHARE_URL_LENGTH = 64 * 1024;
+
+// Screenshot widths tried in turn, largest first
+export const SHARE_IMAGE_WIDTHS = [800, 600, 400];
+export const SHARE_IMAGE_SETTINGS = { format: 'jpeg', quality: 0.6 };
+
+// Messages between a bundle and the viewer it opened
+export const SHARE_READY_MESSAGE = 'heuristic-evaluator:share-ready';
+export const SHARE_DOC_MESSAGE = 'heuristic-evaluator:share-doc';
+
+const BUNDLE_DATA_ID = 'heuristic-evaluator-share';
+
+export class ShareError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ShareError';
+  }
+}
+
+const toBase64Url = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+};
+
+const pipe = (bytes, transform) => new Response(new Blob([bytes]).stream().pipeThrough(transform));
+
+export const encodeShareDoc = async (doc) => {
+  const deflated = await pipe(new TextEncoder().encode(JSON.stringify(doc)), new CompressionStream('deflate-raw')).arrayBuffer();
+  return toBase64Url(new Uint8Array(deflated));
+};
+
+export const decodeShareDoc = async (encoded) => {
+  try {
+    return JSON.parse(await pipe(fromBase64Url(encoded), new DecompressionStream('deflate-raw')).text());
+  } catch {
+    throw new ShareError('This share link is damaged or incomplete. Ask for the link again, or for the bundle file.');
+  }
+};
+
+// The encoded document in a location hash, or null when it isn't a share link
+export const sharedDataFromHash = (hash) => (hash.startsWith(SHARE_HASH_PREFIX) ? hash.slice(SHARE_HASH_PREFIX.length) : null);
+
+// What a link or bundle carries: the evaluated screens and the reviewed result, without the
+// prompt, which only matters for re-running
+const shareDoc = ({ context, flow, images, run, evaluation, review, discussions, framework }) => {
+  const doc = buildExport({ context, flow, images, run, evaluation, review, discussions, framework });
+  return { ...doc, run: { ...doc.run, prompt: null } };
+};
+
+// The largest link that fits, or null. `downscale(images, width)` returns the screenshots no
+// wider than `width`.
+//   { url, width, length }
+export const buildShareLink = async ({ baseUrl, downscale, images, ...shared }) => {
+  for (const width of SHARE_IMAGE_WIDTHS) {
+    const doc = shareDoc({ ...shared, images: await downscale(images, width), discussions: null });
+    const url = `${baseUrl}${SHARE_HASH_PREFIX}${await encodeShareDoc(doc)}`;
+    if (url.length <= MAX_SHARE_URL_LENGTH) return { url, width, length: url.length };
+  }
+  return null;
+};
+
+const scriptJson = (value) => JSON.stringify(value).replace(/</g, '\\u003c');
+
+// The HTML report with the export document embedded and a button that opens the app's viewer
+// and hands the document over once the viewer says it is ready
+export const buildShareBundle = ({ reportHtml, appUrl, ...shared }) => {
+  const doc = shareDoc(shared);
+  const opener = `
+<div style="position: sticky; top: 0; z-index: 10; display: flex; align-items: center; gap: 12px; padding: 10px 24px; background: #1e1b4b; color: #e0e7ff; font: 14px system-ui, sans-serif" class="share-bar">
+  <span style="flex: 1">Shared evaluation. Open it in the viewer to explore the markers, or read the report below.</span>
+  <button id="open-viewer" style="padding: 6px 14px; border: 0; border-radius: 6px; background: #6366f1; color: #fff; font: inherit; cursor: pointer">Open in viewer</button>
+</div>
+<style>@media print { .share-bar { display: none !important; } }</style>
+<script type="application/json" id="${BUNDLE_DATA_ID}">${scriptJson(doc)}</script>
+<script>
+  (function () {
+    var appUrl = ${scriptJson(appUrl)};
+    var viewer = null;
+    document.getElementById('open-viewer').addEventListener('click', function () {
+      viewer = window.open(appUrl + ${scriptJson(SHARE_BUNDLE_HASH)}, '_blank');
+    });
+    window.addEventListener('message', function (event) {
+      if (!viewer || event.source !== viewer || !event.data || event.data.type !== ${scriptJson(SHARE_READY_MESSAGE)}) return;
+      var doc = JSON.parse(document.getElementById(${scriptJson(BUNDLE_DATA_ID)}).textContent);
+      viewer.postMessage({ type: ${scriptJson(SHARE_DOC_MESSAGE)}, doc: doc }, new URL(appUrl).origin);
+    });
+  })();
+</script>
+`;
+  return reportHtml.replace('<body>', `<body>${opener}`);
+};
+
+// The export document inside a bundle file, or null when the HTML isn't a bundle
+export const readShareBundle = (html) => {
+  const match = new RegExp(`<script type="application/json" id="${BUNDLE_DATA_ID}">([\\s\\S]*?)</script>`).exec(html);
+  if (!match) return null;
+  try {
+    return JSON.parse(match[1]);
+  } catch {
+    throw new ShareError('The bundle file is damaged.');
+  }
+};
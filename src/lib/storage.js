@@ -0,0 +1,227 @@
+import { describeCacheEntry } from './responseCache.js';
+
+// Local workspace in IndexedDB: projects, evaluation runs, screenshots, the working draft, the
+// usage ledger and the response cache. Screenshots are stored once per content hash and referenced
+// from runs and the draft.
+
+const DB_NAME = 'heuristic-evaluator';
+const DB_VERSION = 3;
+const DRAFT_ID = 'current';
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        if (event.oldVersion < 1) {
+          db.createObjectStore('projects', { keyPath: 'id' });
+          db.createObjectStore('runs', { keyPath: 'id' }).createIndex('projectId', 'projectId');
+          db.createObjectStore('images', { keyPath: 'hash' });
+          db.createObjectStore('drafts', { keyPath: 'id' });
+        }
+        // Kept apart from runs, so deleting an evaluation doesn't give its cost back
+        if (event.oldVersion < 2) db.createObjectStore('usage', { keyPath: 'id' }).createIndex('projectId', 'projectId');
+        if (event.oldVersion < 3) db.createObjectStore('responses', { keyPath: 'key' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+};
+
+const toPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Run `fn` with the named stores and resolve once the transaction has committed
+const withStores = async (names, mode, fn) => {
+  const db = await openDb();
+  const tx = db.transaction(names, mode);
+  const done = new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  done.catch(() => {});
+  const stores = Object.fromEntries(names.map(name => [name, tx.objectStore(name)]));
+  const result = await fn(stores);
+  await done;
+  return result;
+};
+
+const newId = () => crypto.randomUUID();
+
+export const hashDataUrl = async (dataUrl) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(dataUrl));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+// Screenshot references kept in runs and drafts; the pixels live in the images store.
+// Screens captured from HTML also keep their viewport and measured facts.
+const toImageRefs = (images) => images.map(({ id, name, hash, page }) => ({ id, name, hash, ...(page && { page }) }));
+
+// Only write screenshots the store doesn't have yet; drafts are saved on every edit
+const putImages = async (store, images) => {
+  const stored = new Set(await toPromise(store.getAllKeys()));
+  images.filter(img => !stored.has(img.hash)).forEach(({ hash, data }) => store.put({ hash, data }));
+};
+
+const resolveImages = async (refs) => withStores(['images'], 'readonly', ({ images }) => Promise.all(
+  refs.map(async (ref) => {
+    const stored = await toPromise(images.get(ref.hash));
+    return stored ? { ...ref, data: stored.data } : null;
+  })
+)).then(list => list.filter(Boolean));
+
+// Projects
+
+export const listProjects = () => withStores(['projects'], 'readonly', ({ projects }) => toPromise(projects.getAll()))
+  .then(list => list.sort((a, b) => a.createdAt.localeCompare(b.createdAt)));
+
+export const createProject = async (name) => {
+  const now = new Date().toISOString();
+  const project = { id: newId(), name, createdAt: now, updatedAt: now };
+  await withStores(['projects'], 'readwrite', ({ projects }) => projects.put(project));
+  return project;
+};
+
+export const ensureDefaultProject = async () => {
+  const projects = await listProjects();
+  return projects[0] || createProject('My Project');
+};
+
+export const renameProject = (id, name) => withStores(['projects'], 'readwrite', async ({ projects }) => {
+  const project = await toPromise(projects.get(id));
+  if (project) projects.put({ ...project, name, updatedAt: new Date().toISOString() });
+});
+
+// budget: { limit, period, warnAt } or null for none (see usage.js)
+export const setProjectBudget = (id, budget) => withStores(['projects'], 'readwrite', async ({ projects }) => {
+  const project = await toPromise(projects.get(id));
+  if (project) projects.put({ ...project, budget, updatedAt: new Date().toISOString() });
+});
+
+export const deleteProject = async (id) => {
+  await withStores(['projects', 'runs', 'usage'], 'readwrite', async ({ projects, runs, usage }) => {
+    const runIds = await toPromise(runs.index('projectId').getAllKeys(id));
+    runIds.forEach(runId => runs.delete(runId));
+    const usageIds = await toPromise(usage.index('projectId').getAllKeys(id));
+    usageIds.forEach(usageId => usage.delete(usageId));
+    projects.delete(id);
+  });
+  await collectUnusedImages();
+};
+
+// Runs
+
+export const listRuns = (projectId) => withStores(['runs'], 'readonly', ({ runs }) => toPromise(runs.index('projectId').getAll(projectId)))
+  .then(list => list.sort((a, b) => b.createdAt.localeCompare(a.createdAt)));
+
+// images: [{ id, name, hash, data }] — the session's screenshots at the time of the run
+export const saveRun = async (run, images) => {
+  const now = new Date().toISOString();
+  const record = { id: newId(), createdAt: now, ...run, images: toImageRefs(images), updatedAt: now };
+  await withStores(['runs', 'images'], 'readwrite', async ({ runs, images: imageStore }) => {
+    await putImages(imageStore, images);
+    runs.put(record);
+  });
+  return record;
+};
+
+export const updateRun = (id, changes) => withStores(['runs'], 'readwrite', async ({ runs }) => {
+  const run = await toPromise(runs.get(id));
+  if (!run) return null;
+  const updated = { ...run, ...changes, updatedAt: new Date().toISOString() };
+  runs.put(updated);
+  return updated;
+});
+
+export const getRun = (id) => withStores(['runs'], 'readonly', ({ runs }) => toPromise(runs.get(id)));
+
+// Screenshots that were exported by reference, looked up in this browser's workspace
+export const loadImages = (refs) => resolveImages(refs);
+
+// Load a run together with its screenshot data
+export const openRun = async (id) => {
+  const run = await getRun(id);
+  if (!run) throw new Error('This evaluation no longer exists.');
+  return { ...run, images: await resolveImages(run.images) };
+};
+
+export const duplicateRun = async (id) => {
+  const run = await getRun(id);
+  if (!run) throw new Error('This evaluation no longer exists.');
+  const now = new Date().toISOString();
+  // A copy cost nothing, so it carries no usage
+  const { usage, ...rest } = run;
+  const copy = { ...rest, id: newId(), name: `${run.name} (copy)`, createdAt: now, updatedAt: now };
+  await withStores(['runs'], 'readwrite', ({ runs }) => runs.put(copy));
+  return copy;
+};
+
+export const deleteRun = async (id) => {
+  await withStores(['runs'], 'readwrite', ({ runs }) => runs.delete(id));
+  await collectUnusedImages();
+};
+
+// Usage ledger: one entry per evaluation or discussion reply that reached the model
+
+export const recordUsage = async (entry) => {
+  const record = { id: newId(), at: new Date().toISOString(), ...entry };
+  await withStores(['usage'], 'readwrite', ({ usage }) => usage.put(record));
+  return record;
+};
+
+// Oldest first; every project's entries when no project is given
+export const listUsage = (projectId) => withStores(['usage'], 'readonly', ({ usage }) => toPromise(
+  projectId ? usage.index('projectId').getAll(projectId) : usage.getAll()
+)).then(list => list.sort((a, b) => a.at.localeCompare(b.at)));
+
+// Response cache: stored evaluations keyed on a hash of their request (see responseCache.js)
+
+export const responseCache = {
+  get: (key) => withStores(['responses'], 'readwrite', async ({ responses }) => {
+    const entry = await toPromise(responses.get(key));
+    if (!entry) return null;
+    responses.put({ ...entry, hits: (entry.hits || 0) + 1, lastUsedAt: new Date().toISOString() });
+    return entry;
+  }),
+  put: (entry) => withStores(['responses'], 'readwrite', ({ responses }) => responses.put({ ...entry, hits: 0 }))
+};
+
+// Newest first, without their evaluations
+export const listCachedResponses = () => withStores(['responses'], 'readonly', ({ responses }) => toPromise(responses.getAll()))
+  .then(list => list.map(describeCacheEntry).sort((a, b) => b.createdAt.localeCompare(a.createdAt)));
+
+export const deleteCachedResponse = (key) => withStores(['responses'], 'readwrite', ({ responses }) => responses.delete(key));
+
+export const clearResponseCache = () => withStores(['responses'], 'readwrite', ({ responses }) => responses.clear());
+
+// Draft: the sidebar context and screenshots being worked on, restored after a refresh
+
+export const saveDraft = (draft, images) => withStores(['drafts', 'images'], 'readwrite', async ({ drafts, images: imageStore }) => {
+  await putImages(imageStore, images);
+  drafts.put({ ...draft, id: DRAFT_ID, images: toImageRefs(images), updatedAt: new Date().toISOString() });
+});
+
+export const loadDraft = async () => {
+  const draft = await withStores(['drafts'], 'readonly', ({ drafts }) => toPromise(drafts.get(DRAFT_ID)));
+  if (!draft) return null;
+  return { ...draft, images: await resolveImages(draft.images || []) };
+};
+
+// Drop screenshots that no run or draft refers to any more
+export const collectUnusedImages = () => withStores(['runs', 'drafts', 'images'], 'readwrite', async ({ runs, drafts, images }) => {
+  const [allRuns, allDrafts, hashes] = await Promise.all([
+    toPromise(runs.getAll()),
+    toPromise(drafts.getAll()),
+    toPromise(images.getAllKeys())
+  ]);
+  const used = new Set([...allRuns, ...allDrafts].flatMap(record => (record.images || []).map(img => img.hash)));
+  hashes.filter(hash => !used.has(hash)).forEach(hash => images.delete(hash));
+});
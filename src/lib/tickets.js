@@ -0,0 +1,138 @@
+import { SEVERITY_CONFIG } from './framework.js';
+import { getTrapScreens } from './traps.js';
+import { toCsv } from './download.js';
+
+// Traps as issue-tracker tickets: a Jira CSV for the CSV importer, or Markdown issues for GitHub.
+// A ticket is { trapId, title, body, priority, labels }, with the body written in Markdown; the
+// Jira export converts it to Jira's wiki markup.
+
+const TICKET_SETTINGS_KEY = 'heuristic-evaluator:tickets';
+
+// Jira's default priority scheme
+export const DEFAULT_TICKET_SETTINGS = {
+  priorities: { P1: 'Highest', P2: 'High', P3: 'Medium', P4: 'Low', P5: 'Lowest' },
+  jiraUrl: '',
+  githubRepo: ''
+};
+
+export const loadTicketSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(TICKET_SETTINGS_KEY) || 'null');
+    return {
+      ...DEFAULT_TICKET_SETTINGS,
+      ...stored,
+      priorities: { ...DEFAULT_TICKET_SETTINGS.priorities, ...stored?.priorities }
+    };
+  } catch {
+    return DEFAULT_TICKET_SETTINGS;
+  }
+};
+
+export const saveTicketSettings = (settings) => {
+  localStorage.setItem(TICKET_SETTINGS_KEY, JSON.stringify(settings));
+};
+
+// Jira and GitHub labels can't contain spaces
+export const toLabel = (value) => String(value || '').trim().toLowerCase()
+  .replace(/&/g, 'and')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+// The EPIC field is free text; a Jira key ("SHOP-142") or a URL in it is the reference to link back to
+export const findEpicReference = (epicDetails, jiraUrl = '') => {
+  const url = /https?:\/\/[^\s)]+/.exec(epicDetails || '')?.[0] || null;
+  const key = /\b[A-Z][A-Z0-9]+-\d+\b/.exec(epicDetails || '')?.[0] || null;
+  const base = jiraUrl.trim().replace(/\/+$/, '');
+  return { key, url: url || (key && base ? `${base}/browse/${key}` : null) };
+};
+
+const buildTitle = (trap, isFlow) => {
+  const where = [
+    isFlow && `Screen ${getTrapScreens(trap).join(', ')}`,
+    trap.location?.description
+  ].filter(Boolean).join(', ');
+  return where ? `${trap.name}: ${where}` : trap.name;
+};
+
+const buildBody = (trap, { framework, context, epic }) => {
+  const severity = SEVERITY_CONFIG[trap.severity] || SEVERITY_CONFIG.P3;
+  const lines = [
+    `**${framework.labels.item}:** ${trap.name}${trap.tenet ? ` (${trap.tenet})` : ''}`,
+    `**Severity:** ${trap.severity} ${severity.label}`,
+    `**Workflow:** ${context.workflowName}`
+  ];
+  if (epic.url) lines.push(`**EPIC:** [${epic.key || epic.url}](${epic.url})`);
+  else if (epic.key) lines.push(`**EPIC:** ${epic.key}`);
+  else if (context.epicDetails?.trim()) lines.push(`**EPIC:** ${context.epicDetails.trim().split('\n')[0]}`);
+  if (trap.location?.description) lines.push(`**Location:** ${trap.location.description}`);
+
+  const sections = [
+    ['Evidence', trap.evidence],
+    ['Impact', trap.diagnostic]
+  ].filter(([, text]) => text);
+  const remediation = [
+    ['Quick Pivot', trap.quickPivot],
+    ['Architectural Solve', trap.architecturalSolve],
+    ['AI-Assisted Fix', trap.aiFix]
+  ].filter(([, text]) => text);
+
+  return [
+    lines.join('\n'),
+    ...sections.map(([heading, text]) => `### ${heading}\n${text}`),
+    ...(remediation.length > 0 ? [`### Remediation options\n${remediation.map(([label, text]) => `- **${label}:** ${text}`).join('\n')}`] : [])
+  ].join('\n\n');
+};
+
+// One ticket per trap, in the order given
+export const buildTickets = (traps, { framework, context, isFlow = false, settings = DEFAULT_TICKET_SETTINGS }) => {
+  const epic = findEpicReference(context.epicDetails, settings.jiraUrl);
+  return traps.map(trap => ({
+    trapId: trap.id,
+    title: buildTitle(trap, isFlow),
+    body: buildBody(trap, { framework, context, epic }),
+    priority: settings.priorities[trap.severity] || settings.priorities.P3,
+    labels: [toLabel(trap.tenet)].filter(Boolean),
+    epicKey: epic.key
+  }));
+};
+
+// The handful of Markdown the ticket bodies use, in Jira wiki markup
+export const markdownToJira = (text) => text
+  .split('\n')
+  .map(line => line
+    .replace(/^(#{1,6}) /, (_, hashes) => `h${hashes.length}. `)
+    .replace(/^(\s*)[-*] /, (_, indent) => `${'*'.repeat(Math.floor(indent.length / 2) + 1)} `)
+    .replace(/\*\*(.+?)\*\*/g, '*$1*')
+    .replace(/\[([^\]]+)\]\(([^)]+)\)/g, '[$1|$2]')
+    .replace(/`([^`]+)`/g, '{{$1}}'))
+  .join('\n');
+
+// Repeated "Labels" columns are how Jira's CSV importer takes several values for one field
+export const toJiraCsv = (tickets) => {
+  const labelColumns = Math.max(1, ...tickets.map(ticket => ticket.labels.length));
+  const hasEpic = tickets.some(ticket => ticket.epicKey);
+  const header = ['Summary', 'Description', 'Priority', ...Array(labelColumns).fill('Labels'), ...(hasEpic ? ['Epic Link'] : [])];
+  const rows = tickets.map(ticket => [
+    ticket.title,
+    markdownToJira(ticket.body),
+    ticket.priority,
+    ...Array.from({ length: labelColumns }, (_, idx) => ticket.labels[idx] || ''),
+    ...(hasEpic ? [ticket.epicKey || ''] : [])
+  ]);
+  return toCsv([header, ...rows]);
+};
+
+// GitHub has no priority field, so the priority goes in as a label
+export const githubLabels = (ticket) => [...ticket.labels, ticket.priority && `priority: ${ticket.priority.toLowerCase()}`].filter(Boolean);
+
+export const toGithubMarkdown = (tickets) => tickets.map(ticket => [
+  `# ${ticket.title}`,
+  `Labels: ${githubLabels(ticket).map(label => `\`${label}\``).join(', ')}`,
+  ticket.body
+].join('\n\n')).join('\n\n---\n\n');
+
+// A prefilled "New issue" page; labels only stick if they exist in the repository
+export const githubIssueUrl = (repo, ticket) => {
+  const params = new URLSearchParams({ title: ticket.title, body: ticket.body, labels: githubLabels(ticket).join(',') });
+  return `https://github.com/${repo.trim().replace(/^https:\/\/github\.com\//, '').replace(/\/+$/, '')}/issues/new?${params}`;
+};
@@ -0,0 +1,229 @@
+import { VERDICTS } from './framework.js';
+import { SEVERITY_RANK, sameFinding, locationDistance } from './compare.js';
+import { getLocationBounds } from './traps.js';
+
+// Tiled analysis for screenshots too large to send whole: full-page scrolls and dense dashboards
+// lose their small text when downscaled to one image. The page is cut into overlapping tiles,
+// each tile is evaluated next to a downscaled copy of the whole page, and the answers are mapped
+// back onto the page and merged. Nothing here touches the DOM; the browser cuts the tiles (see
+// tileImage in compressImage.js).
+
+export const IMAGE_FORMATS = {
+  jpeg: { label: 'JPEG', type: 'image/jpeg', lossy: true },
+  webp: { label: 'WebP', type: 'image/webp', lossy: true },
+  png: { label: 'PNG (lossless)', type: 'image/png', lossy: false }
+};
+
+export const TILING_MODES = {
+  off: 'Off: always send one downscaled image',
+  auto: 'Auto: tile screenshots too large to read when downscaled',
+  on: 'Always tile screenshots larger than one tile'
+};
+
+// maxWidth: px an untiled screenshot (and the whole-page overview) is downscaled to;
+// tileSize: px of the longer edge of each tile; tileOverlap: share of a tile its neighbours repeat
+export const DEFAULT_IMAGE_SETTINGS = {
+  maxWidth: 1200,
+  format: 'jpeg',
+  quality: 0.7,
+  tiling: 'auto',
+  tileSize: 1200,
+  tileOverlap: 0.15,
+  maxTiles: 12
+};
+
+const number = (value, min, max, fallback) => {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? Math.min(max, Math.max(min, parsed)) : fallback;
+};
+
+// Stored settings with anything missing or out of range replaced by the default
+export const normalizeImageSettings = (raw) => {
+  const d = DEFAULT_IMAGE_SETTINGS;
+  return {
+    maxWidth: Math.round(number(raw?.maxWidth, 320, 4096, d.maxWidth)),
+    format: IMAGE_FORMATS[raw?.format] ? raw.format : d.format,
+    quality: number(raw?.quality, 0.1, 1, d.quality),
+    tiling: TILING_MODES[raw?.tiling] ? raw.tiling : d.tiling,
+    tileSize: Math.round(number(raw?.tileSize, 512, 2048, d.tileSize)),
+    tileOverlap: number(raw?.tileOverlap, 0, 0.5, d.tileOverlap),
+    maxTiles: Math.round(number(raw?.maxTiles, 2, 32, d.maxTiles))
+  };
+};
+
+// Auto mode leaves alone anything a single tile would barely improve on
+const AUTO_TILING_FACTOR = 1.5;
+
+// Start offsets of `count` tiles of `size` spread evenly over `length`, first and last flush
+// with the edges
+const spread = (length, size, count) => (count === 1
+  ? [0]
+  : Array.from({ length: count }, (_, idx) => Math.round((idx * (length - size)) / (count - 1))));
+
+const tileCount = (length, size, overlap) => (length <= size ? 1 : Math.ceil((length - overlap) / (size - overlap)));
+
+// Cut a width × height px image into overlapping tiles. Tiles are `tileSize` px square (or the
+// whole edge, if shorter); when that would take more than `maxTiles` they grow, and are
+// downscaled to `tileSize` when encoded (`scale`).
+//   { columns, rows, scale, tiles: [{ index, column, row, x, y, width, height }] }
+export const planTiles = ({ width, height }, settings = DEFAULT_IMAGE_SETTINGS) => {
+  const { tileSize, tileOverlap, maxTiles } = normalizeImageSettings(settings);
+  let size = tileSize;
+  let columns;
+  let rows;
+  for (;;) {
+    const overlap = Math.round(size * tileOverlap);
+    columns = tileCount(width, size, overlap);
+    rows = tileCount(height, size, overlap);
+    if (columns * rows <= maxTiles) break;
+    size = Math.ceil(size * 1.25);
+  }
+  const tileWidth = Math.min(size, width);
+  const tileHeight = Math.min(size, height);
+  const xs = spread(width, tileWidth, columns);
+  const ys = spread(height, tileHeight, rows);
+  return {
+    columns,
+    rows,
+    scale: Math.min(1, tileSize / size),
+    tiles: ys.flatMap((y, row) => xs.map((x, column) => ({
+      index: row * columns + column,
+      column,
+      row,
+      x,
+      y,
+      width: tileWidth,
+      height: tileHeight
+    })))
+  };
+};
+
+// Whether a width × height px screenshot should be tiled under these settings
+export const shouldTile = (size, settings = DEFAULT_IMAGE_SETTINGS) => {
+  const { tiling, tileSize } = normalizeImageSettings(settings);
+  if (tiling === 'off') return false;
+  if (tiling === 'auto' && Math.max(size.width, size.height) <= tileSize * AUTO_TILING_FACTOR) return false;
+  return planTiles(size, settings).tiles.length > 1;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// The part of the page a tile covers, in % of the page
+export const tileRegion = (tile, page) => ({
+  x: round((tile.x / page.width) * 100),
+  y: round((tile.y / page.height) * 100),
+  width: round((tile.width / page.width) * 100),
+  height: round((tile.height / page.height) * 100)
+});
+
+// A location in % of the tile → the same location in % of the page
+export const tileToPageLocation = (location, tile, page) => {
+  if (!location) return location;
+  const region = tileRegion(tile, page);
+  const toX = (x) => round(region.x + (x / 100) * region.width);
+  const toY = (y) => round(region.y + (y / 100) * region.height);
+  const mapped = { ...location };
+  if (typeof location.x === 'number') mapped.x = toX(location.x);
+  if (typeof location.y === 'number') mapped.y = toY(location.y);
+  if (location.box) {
+    mapped.box = {
+      x: toX(location.box.x),
+      y: toY(location.box.y),
+      width: round((location.box.width / 100) * region.width),
+      height: round((location.box.height / 100) * region.height)
+    };
+  }
+  if (Array.isArray(location.polygon)) mapped.polygon = location.polygon.map(([x, y]) => [toX(x), toY(y)]);
+  return mapped;
+};
+
+// Close enough on the page to be the same element reported from two tiles
+export const TILE_MATCH_DISTANCE = 5;
+
+const overlaps = (a, b) => a && b
+  && a.x < b.x + b.width && b.x < a.x + a.width
+  && a.y < b.y + b.height && b.y < a.y + a.height;
+
+const isDuplicate = (a, b) => sameFinding(a, b) && (
+  overlaps(getLocationBounds(a.location), getLocationBounds(b.location))
+  || locationDistance(a, b) <= TILE_MATCH_DISTANCE
+);
+
+const area = (location) => {
+  const bounds = getLocationBounds(location);
+  return bounds ? bounds.width * bounds.height : 0;
+};
+
+// An element cut by a tile border is reported in part from each side: keep the more severe
+// report (or the one that saw more of it) and stretch its box over both
+const mergeDuplicates = (kept, other) => {
+  const [primary, secondary] = (SEVERITY_RANK[other.severity] || 3) < (SEVERITY_RANK[kept.severity] || 3)
+    || (other.severity === kept.severity && area(other.location) > area(kept.location))
+    ? [other, kept]
+    : [kept, other];
+  const a = getLocationBounds(primary.location);
+  const b = getLocationBounds(secondary.location);
+  if (!a || !b) return { ...primary, tiles: [...kept.tiles, ...other.tiles] };
+  const x = Math.min(a.x, b.x);
+  const y = Math.min(a.y, b.y);
+  const box = {
+    x,
+    y,
+    width: round(Math.max(a.x + a.width, b.x + b.width) - x),
+    height: round(Math.max(a.y + a.height, b.y + b.height) - y)
+  };
+  const { polygon, ...location } = primary.location;
+  return { ...primary, location: { ...location, box }, tiles: [...kept.tiles, ...other.tiles] };
+};
+
+const mean = (values) => {
+  const numbers = values.filter(value => typeof value === 'number');
+  return numbers.length > 0 ? round(numbers.reduce((sum, value) => sum + value, 0) / numbers.length) : undefined;
+};
+
+// results: [{ tile, evaluation }] with tile locations in % of the tile; page: { width, height }
+// in px. One evaluation of the whole page: traps mapped onto the page with duplicates merged,
+// scores averaged over the tiles and the worst verdict any tile gave.
+export const mergeTileEvaluations = (results, page, plan) => {
+  const traps = [];
+  for (const { tile, evaluation } of results) {
+    for (const trap of evaluation.traps || []) {
+      const { screens, locations, ...rest } = trap;
+      const placed = { ...rest, location: tileToPageLocation(trap.location, tile, page), tiles: [tile.index + 1] };
+      const match = traps.findIndex(other => isDuplicate(other, placed));
+      if (match === -1) traps.push(placed);
+      else traps[match] = mergeDuplicates(traps[match], placed);
+    }
+  }
+  traps.sort((a, b) => (SEVERITY_RANK[a.severity] || 3) - (SEVERITY_RANK[b.severity] || 3)
+    || (a.location?.y ?? 0) - (b.location?.y ?? 0));
+
+  const evaluations = results.map(result => result.evaluation);
+  const categories = [...new Set(evaluations.flatMap(evaluation => Object.keys(evaluation.tenetScores || {})))];
+  const verdicts = evaluations.map(evaluation => evaluation.summary?.verdict).filter(Boolean);
+  const verdict = verdicts.sort((a, b) => VERDICTS.indexOf(b) - VERDICTS.indexOf(a))[0];
+  // Narrative fields come from the tile that scored lowest, where the page's problems are
+  const worst = [...evaluations].sort((a, b) => (a.score ?? Infinity) - (b.score ?? Infinity))[0] || {};
+  const best = [...evaluations].sort((a, b) => (b.score ?? -Infinity) - (a.score ?? -Infinity))[0] || {};
+  const score = mean(evaluations.map(evaluation => evaluation.score));
+
+  return {
+    ...worst,
+    summary: { ...worst.summary, ...(verdict && { verdict }) },
+    traps: traps.map((trap, idx) => ({ ...trap, id: idx + 1 })),
+    ...(categories.length > 0 && {
+      tenetScores: Object.fromEntries(categories.map(name => [name, mean(evaluations.map(evaluation => evaluation.tenetScores?.[name]))]))
+    }),
+    tenetWin: best.tenetWin ?? worst.tenetWin,
+    disarmPriorities: [...new Set(traps.map(trap => trap.name))].slice(0, 3),
+    ...(score !== undefined && { score }),
+    tiling: {
+      columns: plan.columns,
+      rows: plan.rows,
+      tiles: plan.tiles.length,
+      evaluated: results.length,
+      width: page.width,
+      height: page.height
+    }
+  };
+};
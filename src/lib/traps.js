@@ -0,0 +1,66 @@
+// A trap's markers, one per screen it occurs on (single-screen results only have `location`)
+export const getTrapLocations = (trap) => {
+  if (Array.isArray(trap.locations) && trap.locations.length > 0) {
+    return trap.locations.filter(loc => loc && typeof loc.x === 'number' && typeof loc.y === 'number');
+  }
+  if (trap.location && typeof trap.location.x === 'number' && typeof trap.location.y === 'number') {
+    return [{ screen: trap.screens?.[0] ?? 1, ...trap.location }];
+  }
+  return [];
+};
+
+export const getTrapScreens = (trap) => {
+  if (Array.isArray(trap.screens) && trap.screens.length > 0) return trap.screens;
+  return [...new Set(getTrapLocations(trap).map(loc => loc.screen))];
+};
+
+// Bounding box of a location's region in screen percentages; null for point-only locations
+export const getLocationBounds = (location) => {
+  if (location.box) return location.box;
+  if (Array.isArray(location.polygon) && location.polygon.length >= 3) {
+    const xs = location.polygon.map(([x]) => x);
+    const ys = location.polygon.map(([, y]) => y);
+    const x = Math.min(...xs);
+    const y = Math.min(...ys);
+    return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+  }
+  return null;
+};
+
+// Part of the screen to show as evidence: the region plus a margin, at least `minSize` wide and
+// tall so small elements and point-only locations keep some surrounding context
+export const getEvidenceCrop = (location, { margin = 3, minSize = 16 } = {}) => {
+  const bounds = getLocationBounds(location) || { x: location.x, y: location.y, width: 0, height: 0 };
+  const span = (start, size) => {
+    const length = Math.min(100, Math.max(size + margin * 2, minSize));
+    const from = Math.min(100 - length, Math.max(0, start + size / 2 - length / 2));
+    return [from, length];
+  };
+  const [x, width] = span(bounds.x, bounds.width);
+  const [y, height] = span(bounds.y, bounds.height);
+  return { x, y, width, height };
+};
+
+// Shift a location and its region so the marker lands on `point`, or as close to it as the
+// marker and its region can get while staying on the screen
+export const moveLocation = (location, point) => {
+  const xs = [location.x];
+  const ys = [location.y];
+  if (location.box) {
+    xs.push(location.box.x, location.box.x + location.box.width);
+    ys.push(location.box.y, location.box.y + location.box.height);
+  }
+  if (Array.isArray(location.polygon)) {
+    location.polygon.forEach(([x, y]) => {
+      xs.push(x);
+      ys.push(y);
+    });
+  }
+  const shift = (delta, values) => Math.min(100 - Math.max(...values), Math.max(-Math.min(...values), delta));
+  const dx = shift(point.x - location.x, xs);
+  const dy = shift(point.y - location.y, ys);
+  const moved = { ...location, x: location.x + dx, y: location.y + dy };
+  if (location.box) moved.box = { ...location.box, x: location.box.x + dx, y: location.box.y + dy };
+  if (Array.isArray(location.polygon)) moved.polygon = location.polygon.map(([x, y]) => [x + dx, y + dy]);
+  return moved;
+};
@@ -0,0 +1,173 @@
+import { toCsv } from './download.js';
+
+// Token usage and what it cost. Every request the app makes adds to a usage record
+//   { requests, inputTokens, outputTokens, model }
+// which is priced from an editable table of per-model prices and written to the usage ledger
+// (see storage.js) against its project and workflow:
+//   { id, at, projectId, workflowName, runId, runName, kind: 'evaluation' | 'batch' | 'discussion',
+//     provider, model, runs, requests, inputTokens, outputTokens, cost }
+// Budgets are per project.
+
+export class BudgetError extends Error {
+  constructor(message, check) {
+    super(message);
+    this.name = 'BudgetError';
+    this.check = check;
+  }
+}
+
+const PRICES_KEY = 'heuristic-evaluator:prices';
+
+// USD per million tokens. A row applies to every model whose name starts with `model`; the
+// longest match wins, so dated snapshots share their family's price.
+export const DEFAULT_PRICES = [
+  { model: 'claude-opus-4', input: 15, output: 75 },
+  { model: 'claude-sonnet-4', input: 3, output: 15 },
+  { model: 'claude-3-7-sonnet', input: 3, output: 15 },
+  { model: 'claude-haiku-4', input: 1, output: 5 },
+  { model: 'claude-3-5-haiku', input: 0.8, output: 4 },
+  { model: 'gpt-4o-mini', input: 0.15, output: 0.6 },
+  { model: 'gpt-4o', input: 2.5, output: 10 },
+  { model: 'gpt-4.1-mini', input: 0.4, output: 1.6 },
+  { model: 'gpt-4.1', input: 2, output: 8 },
+  { model: 'mock-evaluator', input: 0, output: 0 }
+];
+
+const price = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : 0;
+};
+
+export const normalizePrices = (rows) => (Array.isArray(rows) ? rows : [])
+  .map(row => ({ model: String(row?.model || '').trim(), input: price(row?.input), output: price(row?.output) }))
+  .filter(row => row.model);
+
+export const loadPrices = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(PRICES_KEY) || 'null');
+    return stored ? normalizePrices(stored) : DEFAULT_PRICES;
+  } catch {
+    return DEFAULT_PRICES;
+  }
+};
+
+export const savePrices = (prices) => {
+  localStorage.setItem(PRICES_KEY, JSON.stringify(normalizePrices(prices)));
+};
+
+export const findPrice = (model, prices = DEFAULT_PRICES) => {
+  const name = String(model || '').toLowerCase();
+  return prices
+    .filter(row => name.startsWith(row.model.toLowerCase()))
+    .sort((a, b) => b.model.length - a.model.length)[0] || null;
+};
+
+export const emptyUsage = () => ({ requests: 0, inputTokens: 0, outputTokens: 0, model: null });
+
+// Add one provider reply ({ model, usage }) to a running total
+export const addUsage = (total, reply) => ({
+  requests: total.requests + 1,
+  inputTokens: total.inputTokens + (reply?.usage?.inputTokens || 0),
+  outputTokens: total.outputTokens + (reply?.usage?.outputTokens || 0),
+  model: reply?.model || total.model
+});
+
+// Estimated cost in USD, or null when the table has no price for the model
+export const estimateCost = (usage, prices = DEFAULT_PRICES) => {
+  const row = findPrice(usage.model, prices);
+  if (!row) return null;
+  return (usage.inputTokens * row.input + usage.outputTokens * row.output) / 1e6;
+};
+
+export const formatCost = (cost) => {
+  if (cost === null || cost === undefined) return '—';
+  return cost > 0 && cost < 0.01 ? '<$0.01' : `$${cost.toFixed(2)}`;
+};
+
+export const formatTokens = (count) => (count >= 1e6 ? `${(count / 1e6).toFixed(1)}M` : count >= 1e3 ? `${(count / 1e3).toFixed(1)}k` : String(count));
+
+// Totals over ledger entries: { requests, inputTokens, outputTokens, cost, unpriced }, where
+// `unpriced` counts entries whose model had no price
+export const sumUsage = (entries) => entries.reduce((sum, entry) => ({
+  requests: sum.requests + entry.requests,
+  inputTokens: sum.inputTokens + entry.inputTokens,
+  outputTokens: sum.outputTokens + entry.outputTokens,
+  cost: sum.cost + (entry.cost || 0),
+  unpriced: sum.unpriced + (entry.cost === null ? 1 : 0)
+}), { requests: 0, inputTokens: 0, outputTokens: 0, cost: 0, unpriced: 0 });
+
+// Ledger entries grouped by a key, e.g. workflow: [{ key, entries, ...totals }], most expensive first
+export const groupUsage = (entries, keyOf) => {
+  const groups = new Map();
+  for (const entry of entries) {
+    const key = keyOf(entry);
+    groups.set(key, [...(groups.get(key) || []), entry]);
+  }
+  return [...groups.entries()]
+    .map(([key, group]) => ({ key, entries: group, ...sumUsage(group) }))
+    .sort((a, b) => b.cost - a.cost || b.inputTokens - a.inputTokens);
+};
+
+export const BUDGET_PERIODS = { month: 'Per calendar month', total: 'All time' };
+
+// A project's budget: { limit (USD), period, warnAt (share of the limit) }; null means no budget
+export const normalizeBudget = (raw) => {
+  const limit = Number(raw?.limit);
+  if (!Number.isFinite(limit) || limit <= 0) return null;
+  const warnAt = Number(raw?.warnAt);
+  return {
+    limit,
+    period: BUDGET_PERIODS[raw?.period] ? raw.period : 'month',
+    warnAt: Number.isFinite(warnAt) && warnAt > 0 && warnAt <= 1 ? warnAt : 0.8
+  };
+};
+
+const periodStart = (period, now) => (period === 'month' ? new Date(now.getFullYear(), now.getMonth(), 1) : new Date(0));
+
+// Where a project stands before another run. `estimate` is what the run is expected to cost.
+//   { status: 'none' | 'ok' | 'warn' | 'blocked', spent, limit, message }
+export const checkBudget = (budget, entries, { estimate = 0, now = new Date() } = {}) => {
+  const normalized = normalizeBudget(budget);
+  if (!normalized) return { status: 'none', spent: 0, limit: null, message: '' };
+  const { limit, period, warnAt } = normalized;
+  const since = periodStart(period, now).toISOString();
+  const spent = sumUsage(entries.filter(entry => entry.at >= since)).cost;
+  const scope = period === 'month' ? 'this month' : 'in total';
+  if (spent >= limit) {
+    return { status: 'blocked', spent, limit, message: `This project has used its ${formatCost(limit)} budget ${scope} (${formatCost(spent)} spent). Raise the budget under Usage to keep evaluating.` };
+  }
+  if (spent + estimate > limit || spent >= limit * warnAt) {
+    return { status: 'warn', spent, limit, message: `This project has spent ${formatCost(spent)} of its ${formatCost(limit)} budget ${scope}${estimate > 0 ? `; this evaluation is estimated at about ${formatCost(estimate)}` : ''}.` };
+  }
+  return { status: 'ok', spent, limit, message: '' };
+};
+
+// Rough price of the next evaluation: the average of the project's recent evaluations with the
+// same provider (and model, where there are any), scaled to the number of consensus runs
+export const estimateNextCost = (entries, { provider, model, runs = 1 }) => {
+  const priced = entries.filter(entry => entry.kind !== 'discussion' && entry.provider === provider && entry.cost !== null);
+  const sameModel = priced.filter(entry => entry.model === model);
+  const recent = (sameModel.length > 0 ? sameModel : priced).slice(-10);
+  if (recent.length === 0) return 0;
+  return (recent.reduce((sum, entry) => sum + entry.cost / (entry.runs || 1), 0) / recent.length) * runs;
+};
+
+export const USAGE_CSV_COLUMNS = ['Date', 'Project', 'Workflow', 'Evaluation', 'Kind', 'Provider', 'Model', 'Requests', 'Input tokens', 'Output tokens', 'Estimated cost (USD)'];
+
+// entries: ledger entries; projects: { id → name }
+export const toUsageCsv = (entries, projectNames = {}) => toCsv([
+  USAGE_CSV_COLUMNS,
+  ...entries.map(entry => [
+    entry.at,
+    projectNames[entry.projectId] || entry.projectId,
+    entry.workflowName,
+    entry.runName || '',
+    entry.kind,
+    entry.provider,
+    entry.model || '',
+    entry.requests,
+    entry.inputTokens,
+    entry.outputTokens,
+    entry.cost === null ? '' : entry.cost.toFixed(4)
+  ])
+]);
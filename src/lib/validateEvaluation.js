@@ -0,0 +1,336 @@
+import { SEVERITY_CONFIG, VERDICTS, getCategoryNames, getItemCatalogue } from './framework.js';
+import { getLocationBounds } from './traps.js';
+
+// Thrown when a reply can't be turned into a usable evaluation at all
+export class ValidationError extends Error {
+  constructor(message, issues) {
+    super(message);
+    this.name = 'ValidationError';
+    this.issues = issues;
+  }
+}
+
+const TEXT_FIELDS = ['evidence', 'diagnostic', 'quickPivot', 'architecturalSolve', 'aiFix'];
+
+const normalizeName = (value) => String(value).toLowerCase().replace(/[^a-z]/g, '');
+
+const editDistance = (a, b) => {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let prev = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+      prev = current;
+    }
+  }
+  return row[b.length];
+};
+
+const words = (value) => String(value).toLowerCase().split(/[^a-z]+/).filter(Boolean);
+
+// Snap a free-form name to a catalogue entry: exact, then near-typo, then a unique partial match
+export const snapToCatalogue = (value, names) => {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const target = normalizeName(value);
+  const normalized = names.map(normalizeName);
+
+  const exact = normalized.indexOf(target);
+  if (exact >= 0) return names[exact];
+
+  const close = names.filter((_, i) => editDistance(target, normalized[i]) <= Math.max(1, Math.floor(normalized[i].length * 0.2)));
+  if (close.length === 1) return close[0];
+
+  if (target.length >= 6) {
+    const containing = names.filter((_, i) => normalized[i].includes(target) || target.includes(normalized[i]));
+    if (containing.length === 1) return containing[0];
+  }
+
+  // "Slow Response" → "Slow or No Response": every word of the value appears in one name
+  const valueWords = words(value);
+  if (valueWords.length >= 2) {
+    const covering = names.filter(name => valueWords.every(word => words(name).includes(word)));
+    if (covering.length === 1) return covering[0];
+  }
+  return null;
+};
+
+// Pull the JSON object out of a reply that may be wrapped in prose or markdown fences
+export const extractJson = (text) => {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start < 0 || end <= start) {
+    throw new ValidationError('Could not parse evaluation results.', [
+      { path: '$', level: 'error', message: 'The reply contains no JSON object.' }
+    ]);
+  }
+  try {
+    return JSON.parse(text.slice(start, end + 1));
+  } catch (err) {
+    throw new ValidationError('Could not parse evaluation results.', [
+      { path: '$', level: 'error', message: `The reply is not valid JSON: ${err.message}` }
+    ]);
+  }
+};
+
+const toNumber = (value) => {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) return Number(value);
+  return NaN;
+};
+
+const clampPercent = (value) => Math.min(100, Math.max(0, value));
+
+const normalizeSeverity = (value) => {
+  const match = typeof value === 'string' && value.trim().toUpperCase().match(/^P([1-5])\b/);
+  return match ? `P${match[1]}` : null;
+};
+
+// Check a parsed reply against the REQUIRED JSON OUTPUT contract of `framework`. Fixable
+// problems are corrected and reported as warnings; anything that can't be fixed is dropped and
+// reported as an error. `fatal` means there is nothing usable to show.
+export const validateEvaluation = (raw, { screenCount = 1, framework }) => {
+  const catalogue = getItemCatalogue(framework);
+  const categoryNames = getCategoryNames(framework);
+  const { labels, scale } = framework;
+  const issues = [];
+  const warn = (path, message) => issues.push({ path, level: 'warning', message });
+  const fail = (path, message) => issues.push({ path, level: 'error', message });
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    fail('$', 'The reply must be a JSON object.');
+    return { evaluation: null, issues, fatal: true };
+  }
+
+  const evaluation = { ...raw };
+  let fatal = false;
+
+  // Summary
+  if (!raw.summary || typeof raw.summary !== 'object') {
+    fail('summary', 'Missing "summary" object.');
+    fatal = true;
+  } else {
+    evaluation.summary = { ...raw.summary };
+    const verdict = snapToCatalogue(raw.summary.verdict, VERDICTS);
+    if (!verdict) {
+      fail('summary.verdict', `"${raw.summary.verdict}" is not one of ${VERDICTS.join(', ')}.`);
+      delete evaluation.summary.verdict;
+    } else if (verdict !== raw.summary.verdict) {
+      warn('summary.verdict', `"${raw.summary.verdict}" was read as "${verdict}".`);
+      evaluation.summary.verdict = verdict;
+    }
+  }
+
+  // Regions are optional; a broken one is dropped and the trap keeps its point
+  const validateBox = (box, path) => {
+    const values = ['x', 'y', 'width', 'height'].map(key => toNumber(box?.[key]));
+    if (values.some(Number.isNaN)) {
+      warn(path, 'Box needs numeric x, y, width and height; it was dropped.');
+      return null;
+    }
+    // Clamp both edges so a box reaching past the screen is trimmed, not moved
+    const [x, y] = values.slice(0, 2).map(clampPercent);
+    const width = clampPercent(values[0] + values[2]) - x;
+    const height = clampPercent(values[1] + values[3]) - y;
+    if (width <= 0 || height <= 0) {
+      warn(path, 'Box has no area; it was dropped.');
+      return null;
+    }
+    if (x !== values[0] || y !== values[1] || width !== values[2] || height !== values[3]) warn(path, 'Box was clamped to the screen.');
+    return { x, y, width, height };
+  };
+
+  const validatePolygon = (polygon, path) => {
+    const points = Array.isArray(polygon)
+      ? polygon.map(point => (Array.isArray(point) ? point : [point?.x, point?.y]).map(toNumber))
+      : [];
+    if (points.length < 3 || points.some(point => point.some(Number.isNaN))) {
+      warn(path, 'Polygon needs at least three [x, y] points; it was dropped.');
+      return null;
+    }
+    return points.map(point => point.map(clampPercent));
+  };
+
+  // Traps
+  const validateLocation = (location, path) => {
+    if (!location || typeof location !== 'object') {
+      fail(path, 'Missing location.');
+      return null;
+    }
+    const result = { ...location };
+    for (const [key, validate] of [['box', validateBox], ['polygon', validatePolygon]]) {
+      if (location[key] === undefined || location[key] === null) continue;
+      const region = validate(location[key], `${path}.${key}`);
+      if (region) result[key] = region;
+      else delete result[key];
+    }
+
+    // A region without a point gets its marker in the middle of the region
+    const bounds = getLocationBounds(result);
+    if (bounds && (location.x == null || location.y == null)) {
+      result.x = bounds.x + bounds.width / 2;
+      result.y = bounds.y + bounds.height / 2;
+      warn(path, 'Marker placed in the middle of the region.');
+    } else {
+      for (const axis of ['x', 'y']) {
+        const value = toNumber(location[axis]);
+        if (Number.isNaN(value)) {
+          fail(`${path}.${axis}`, `"${location[axis]}" is not a number.`);
+          return null;
+        }
+        if (value < 0 || value > 100) warn(`${path}.${axis}`, `${value} was clamped to the 0–100 range.`);
+        result[axis] = clampPercent(value);
+      }
+    }
+    if (location.screen !== undefined) {
+      const screen = toNumber(location.screen);
+      if (!Number.isInteger(screen) || screen < 1 || screen > screenCount) {
+        fail(`${path}.screen`, `Screen ${location.screen} does not exist; there ${screenCount === 1 ? 'is 1 screen' : `are ${screenCount} screens`}.`);
+        return null;
+      }
+      result.screen = screen;
+    }
+    return result;
+  };
+
+  if (!Array.isArray(raw.traps)) {
+    fail('traps', 'Missing "traps" array.');
+    fatal = true;
+  } else {
+    const trapNames = catalogue.map(t => t.name);
+    const seenIds = new Set();
+    evaluation.traps = raw.traps.flatMap((trap, idx) => {
+      const path = `traps[${idx}]`;
+      if (!trap || typeof trap !== 'object') {
+        fail(path, 'Trap must be an object.');
+        return [];
+      }
+      const result = { ...trap };
+
+      const name = snapToCatalogue(trap.name, trapNames);
+      if (!name) {
+        fail(`${path}.name`, `"${trap.name}" is not a ${labels.item.toLowerCase()} in the ${framework.name} catalogue.`);
+        return [];
+      }
+      if (name !== trap.name) warn(`${path}.name`, `"${trap.name}" was matched to "${name}".`);
+      result.name = name;
+
+      const tenet = catalogue.find(t => t.name === name).tenet;
+      if (trap.tenet !== tenet) {
+        warn(`${path}.tenet`, trap.tenet ? `"${trap.tenet}" was corrected to "${tenet}", the tenet ${name} belongs to.` : `Set to "${tenet}".`);
+      }
+      result.tenet = tenet;
+
+      const severity = normalizeSeverity(trap.severity);
+      if (!severity || !SEVERITY_CONFIG[severity]) {
+        fail(`${path}.severity`, `"${trap.severity}" is not a severity; use ${Object.keys(SEVERITY_CONFIG).join(', ')}.`);
+        return [];
+      }
+      if (severity !== trap.severity) warn(`${path}.severity`, `"${trap.severity}" was read as "${severity}".`);
+      result.severity = severity;
+
+      // Flow results carry one location per screen; single-screen results only `location`
+      if (Array.isArray(trap.locations)) {
+        result.locations = trap.locations
+          .map((loc, locIdx) => validateLocation(loc, `${path}.locations[${locIdx}]`))
+          .filter(Boolean);
+        if (result.locations.length === 0) {
+          fail(`${path}.locations`, 'No valid locations.');
+          return [];
+        }
+        result.location = result.locations[0];
+        result.screens = [...new Set(result.locations.map(loc => loc.screen).filter(Boolean))];
+      } else {
+        const location = validateLocation(trap.location, `${path}.location`);
+        if (!location) return [];
+        result.location = location;
+      }
+
+      for (const field of TEXT_FIELDS) {
+        if (trap[field] === undefined || trap[field] === null) continue;
+        if (typeof trap[field] !== 'string') {
+          warn(`${path}.${field}`, 'Converted to text.');
+          result[field] = String(trap[field]);
+        }
+      }
+      if (!result.evidence) warn(`${path}.evidence`, 'No evidence given.');
+
+      if (result.id === undefined || seenIds.has(result.id)) {
+        const nextId = Math.max(0, ...[...seenIds].filter(Number.isFinite)) + 1;
+        if (result.id !== undefined) warn(`${path}.id`, `Duplicate id ${result.id} was changed to ${nextId}.`);
+        result.id = nextId;
+      }
+      seenIds.add(result.id);
+      return [result];
+    });
+  }
+
+  // Category scores
+  const validateScores = (scores, path) => {
+    if (!scores || typeof scores !== 'object') {
+      fail(path, `Missing ${labels.category.toLowerCase()} scores.`);
+      return undefined;
+    }
+    const result = {};
+    for (const [key, value] of Object.entries(scores)) {
+      const tenet = snapToCatalogue(key, categoryNames);
+      if (!tenet) {
+        fail(`${path}.${key}`, `"${key}" is not a ${labels.category.toLowerCase()}.`);
+        continue;
+      }
+      if (tenet !== key) warn(`${path}.${key}`, `Renamed to "${tenet}".`);
+      const score = toNumber(value);
+      if (Number.isNaN(score) || score < scale.min || score > scale.max) {
+        fail(`${path}.${tenet}`, `${JSON.stringify(value)} is outside the ${scale.min}–${scale.max} scale.`);
+        continue;
+      }
+      if (!Number.isInteger(score)) warn(`${path}.${tenet}`, `${score} was rounded to ${Math.round(score)}.`);
+      result[tenet] = Math.round(score);
+    }
+    const missing = categoryNames.filter(tenet => !(tenet in result));
+    if (missing.length > 0) warn(path, `No score for ${missing.join(', ')}.`);
+    return result;
+  };
+
+  evaluation.tenetScores = validateScores(raw.tenetScores, 'tenetScores');
+
+  if (raw.screenScores !== undefined) {
+    evaluation.screenScores = Array.isArray(raw.screenScores)
+      ? raw.screenScores.flatMap((entry, idx) => {
+          const screen = toNumber(entry?.screen);
+          if (!Number.isInteger(screen) || screen < 1 || screen > screenCount) {
+            fail(`screenScores[${idx}].screen`, `Screen ${entry?.screen} does not exist.`);
+            return [];
+          }
+          return [{ screen, tenetScores: validateScores(entry.tenetScores, `screenScores[${idx}].tenetScores`) || {} }];
+        })
+      : [];
+  }
+
+  // Overall score
+  const score = toNumber(raw.score);
+  if (Number.isNaN(score) || score < 1 || score > 10) {
+    fail('score', `${JSON.stringify(raw.score)} is outside the 1–10 scale.`);
+    delete evaluation.score;
+  } else {
+    evaluation.score = score;
+  }
+
+  if (raw.disarmPriorities !== undefined && !Array.isArray(raw.disarmPriorities)) {
+    warn('disarmPriorities', 'Converted to a list.');
+    evaluation.disarmPriorities = [String(raw.disarmPriorities)];
+  }
+
+  return { evaluation: fatal ? null : evaluation, issues, fatal };
+};
+
+// Follow-up message asking the model to fix its own reply
+export const buildRepairPrompt = (issues, framework) => `Your previous reply did not match the REQUIRED JSON OUTPUT contract. Fix these problems:
+${issues.filter(issue => issue.level === 'error').map(issue => `- ${issue.path}: ${issue.message}`).join('\n')}
+
+Trap names must be one of: ${getItemCatalogue(framework).map(t => t.name).join(', ')}.
+Tenet scores use these keys: ${getCategoryNames(framework).join(', ')}.
+Severities must be one of: ${Object.keys(SEVERITY_CONFIG).join(', ')}. Tenet scores are ${framework.scale.min}-${framework.scale.max}, score is 1-10.
+
+Return the complete corrected JSON only, no markdown.`;
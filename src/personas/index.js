@@ -0,0 +1,44 @@
+import builtIn from './built-in.json';
+import { validatePersona, PersonaError } from '../lib/personas.js';
+
+export const BUILT_IN_PERSONAS = builtIn.map(validatePersona);
+
+const PERSONAS_KEY = 'heuristic-evaluator:personas';
+
+// Personas a team saved or imported, kept in this browser
+export const loadCustomPersonas = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(PERSONAS_KEY) || '[]');
+    return stored.flatMap(raw => {
+      try {
+        return [validatePersona(raw)];
+      } catch {
+        return [];
+      }
+    });
+  } catch {
+    return [];
+  }
+};
+
+const saveCustomPersonas = (personas) => {
+  localStorage.setItem(PERSONAS_KEY, JSON.stringify(personas));
+};
+
+export const listPersonas = () => [...BUILT_IN_PERSONAS, ...loadCustomPersonas()];
+
+export const isBuiltInPersona = (id) => BUILT_IN_PERSONAS.some(p => p.id === id);
+
+// Add or replace a custom persona; returns the validated persona
+export const saveCustomPersona = (raw) => {
+  const persona = validatePersona(raw);
+  if (isBuiltInPersona(persona.id)) {
+    throw new PersonaError(`"${persona.name}" has the id of a built-in persona; give it another name.`);
+  }
+  saveCustomPersonas([...loadCustomPersonas().filter(p => p.id !== persona.id), persona]);
+  return persona;
+};
+
+export const deleteCustomPersona = (id) => {
+  saveCustomPersonas(loadCustomPersonas().filter(p => p.id !== id));
+};
@@ -0,0 +1,72 @@
+import { errorFromResponse, readJson, toNetworkError, trimSlash } from './errors.js';
+import { readEventStream } from './sse.js';
+
+const toContentBlock = (part) => part.type === 'image'
+  ? { type: 'image', source: { type: 'base64', media_type: part.mediaType, data: part.data } }
+  : { type: 'text', text: part.text };
+
+const readStream = async (response, config, onText) => {
+  let text = '';
+  let model = config.model;
+  const usage = { inputTokens: 0, outputTokens: 0 };
+  await readEventStream(response, ({ data }) => {
+    if (data.type === 'message_start') {
+      model = data.message?.model || model;
+      usage.inputTokens = data.message?.usage?.input_tokens || 0;
+    } else if (data.type === 'content_block_delta' && data.delta?.type === 'text_delta') {
+      text += data.delta.text;
+      onText(data.delta.text);
+    } else if (data.type === 'message_delta') {
+      usage.outputTokens = data.usage?.output_tokens || usage.outputTokens;
+    } else if (data.type === 'error') {
+      throw errorFromResponse(response, data);
+    }
+  });
+  return { text, model, usage };
+};
+
+export const anthropicProvider = {
+  id: 'anthropic',
+  label: 'Anthropic Claude',
+  description: 'Messages API, directly or through a proxy that forwards to it.',
+  fields: ['apiKey', 'baseUrl', 'model', 'maxTokens'],
+  defaults: {
+    apiKey: '',
+    baseUrl: 'https://api.anthropic.com',
+    model: 'claude-sonnet-4-20250514',
+    maxTokens: 4000
+  },
+
+  // With onText the reply is streamed and each piece of text is passed on as it arrives
+  async send({ messages, config, signal, onText }) {
+    const headers = { 'Content-Type': 'application/json', 'anthropic-version': '2023-06-01' };
+    if (config.apiKey) {
+      headers['x-api-key'] = config.apiKey;
+      // Required by the API for keys used straight from a browser
+      headers['anthropic-dangerous-direct-browser-access'] = 'true';
+    }
+
+    const response = await fetch(`${trimSlash(config.baseUrl)}/v1/messages`, {
+      method: 'POST',
+      headers,
+      signal,
+      body: JSON.stringify({
+        model: config.model,
+        max_tokens: config.maxTokens,
+        messages: messages.map(msg => ({ role: msg.role, content: msg.content.map(toContentBlock) })),
+        ...(onText && { stream: true })
+      })
+    }).catch(toNetworkError);
+
+    if (onText && response.ok) return readStream(response, config, onText);
+
+    const data = await readJson(response);
+    if (!response.ok || data.error) throw errorFromResponse(response, data);
+
+    return {
+      text: (data.content || []).filter(block => block.type === 'text').map(block => block.text).join(''),
+      model: data.model || config.model,
+      usage: data.usage ? { inputTokens: data.usage.input_tokens, outputTokens: data.usage.output_tokens } : null
+    };
+  }
+};
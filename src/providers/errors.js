@@ -0,0 +1,83 @@
+// Error codes shared by the browser providers and the bundled proxy server
+export const ERROR_MESSAGES = {
+  rate_limited: 'Rate limit reached. Please wait a moment and try again.',
+  overloaded: 'The model is overloaded right now. Please try again shortly.',
+  invalid_request: 'Invalid request. Please check your inputs.',
+  auth_failed: 'The API key was rejected. Check it in Model Settings.',
+  payload_too_large: 'The screenshots are too large. Try fewer or smaller images.',
+  not_found: 'Endpoint or model not found. Check the base URL and model in Model Settings.',
+  timeout: 'The model took too long to respond. Please try again.',
+  network: 'Could not reach the provider. Check the base URL and your connection.',
+  upstream_error: 'The provider returned an error. Please try again.',
+  unknown: 'Evaluation failed'
+};
+
+export class ProviderError extends Error {
+  constructor(code, message, { status, retryAfter, detail } = {}) {
+    super(message || ERROR_MESSAGES[code] || ERROR_MESSAGES.unknown);
+    this.name = 'ProviderError';
+    this.code = ERROR_MESSAGES[code] ? code : 'unknown';
+    this.status = status;
+    this.retryAfter = retryAfter;
+    this.detail = detail;
+  }
+}
+
+const STATUS_CODES = {
+  400: 'invalid_request',
+  401: 'auth_failed',
+  403: 'auth_failed',
+  404: 'not_found',
+  408: 'timeout',
+  413: 'payload_too_large',
+  422: 'invalid_request',
+  429: 'rate_limited',
+  503: 'overloaded',
+  504: 'timeout',
+  529: 'overloaded'
+};
+
+// Anthropic and OpenAI both report a machine-readable `error.type`
+const TYPE_CODES = {
+  invalid_request_error: 'invalid_request',
+  authentication_error: 'auth_failed',
+  permission_error: 'auth_failed',
+  not_found_error: 'not_found',
+  request_too_large: 'payload_too_large',
+  rate_limit_error: 'rate_limited',
+  overloaded_error: 'overloaded',
+  api_error: 'upstream_error',
+  server_error: 'upstream_error'
+};
+
+// Map an error response to a ProviderError by status and error type, never by message text
+export const errorFromResponse = (response, body) => {
+  const error = body?.error;
+  const detail = typeof error === 'string' ? error : error?.message;
+  const retryAfter = Number(response.headers.get('retry-after')) || error?.retryAfter || undefined;
+  const options = { status: response.status, retryAfter, detail };
+
+  // Errors from the bundled proxy are already structured; keep its message
+  if (error?.code && ERROR_MESSAGES[error.code]) return new ProviderError(error.code, detail, options);
+
+  const code = TYPE_CODES[error?.type] || STATUS_CODES[response.status] || (response.status >= 500 ? 'upstream_error' : 'unknown');
+  return new ProviderError(code, code === 'unknown' ? detail : undefined, options);
+};
+
+// fetch only rejects for network failures and aborts; let aborts through untouched
+export const toNetworkError = (err) => {
+  if (err.name === 'AbortError') throw err;
+  throw new ProviderError('network', undefined, { detail: err.message });
+};
+
+// Read a JSON body, tolerating proxies that answer errors with HTML or plain text
+export const readJson = async (response) => {
+  try {
+    return await response.json();
+  } catch {
+    if (!response.ok) return null;
+    throw new ProviderError('upstream_error', 'The provider returned a response that is not JSON.', { status: response.status });
+  }
+};
+
+export const trimSlash = (url) => url.replace(/\/+$/, '');
@@ -0,0 +1,59 @@
+import { anthropicProvider } from './anthropic.js';
+import { openaiProvider } from './openai.js';
+import { mockProvider } from './mock.js';
+import { proxyProvider } from './proxy.js';
+import { DEFAULT_IMAGE_SETTINGS, normalizeImageSettings } from '../lib/tiling.js';
+import { DEFAULT_CACHE_SETTINGS, normalizeCacheSettings } from '../lib/responseCache.js';
+
+export const PROVIDERS = {
+  [anthropicProvider.id]: anthropicProvider,
+  [openaiProvider.id]: openaiProvider,
+  [proxyProvider.id]: proxyProvider,
+  [mockProvider.id]: mockProvider
+};
+
+const SETTINGS_KEY = 'heuristic-evaluator:settings';
+
+// Each provider keeps its own key, URL and model so switching back and forth loses nothing;
+// `image` is how screenshots are downscaled, encoded and tiled before they are sent and `cache`
+// whether answers are reused (see responseCache.js)
+export const DEFAULT_SETTINGS = {
+  provider: anthropicProvider.id,
+  providers: Object.fromEntries(Object.values(PROVIDERS).map(p => [p.id, { ...p.defaults }])),
+  image: DEFAULT_IMAGE_SETTINGS,
+  cache: DEFAULT_CACHE_SETTINGS
+};
+
+export const loadSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SETTINGS_KEY) || 'null');
+    if (!stored) return DEFAULT_SETTINGS;
+    return {
+      provider: PROVIDERS[stored.provider] ? stored.provider : DEFAULT_SETTINGS.provider,
+      providers: Object.fromEntries(Object.values(PROVIDERS).map(p => [
+        p.id,
+        { ...p.defaults, ...stored.providers?.[p.id] }
+      ])),
+      image: normalizeImageSettings(stored.image),
+      cache: normalizeCacheSettings(stored.cache)
+    };
+  } catch {
+    return DEFAULT_SETTINGS;
+  }
+};
+
+export const saveSettings = (settings) => {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+};
+
+export const getProviderConfig = (settings) => {
+  const provider = PROVIDERS[settings.provider] || anthropicProvider;
+  return { provider, config: { ...provider.defaults, ...settings.providers?.[provider.id] } };
+};
+
+// messages: [{ role: 'user' | 'assistant', content: [{ type: 'text', text } | { type: 'image', mediaType, data }] }]
+// onText(delta), when given, streams the reply; the full text is still returned at the end
+export const sendMessage = (settings, { messages, signal, onText }) => {
+  const { provider, config } = getProviderConfig(settings);
+  return provider.send({ messages, config, signal, onText });
+};
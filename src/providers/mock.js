@@ -0,0 +1,224 @@
+const MOCK_TRAPS = [
+  {
+    name: 'Uncomprehended Element',
+    tenet: 'Understandable',
+    severity: 'P2',
+    location: { x: 78, y: 18, box: { x: 70, y: 13, width: 16, height: 10 }, description: 'Unlabelled icon buttons in the header toolbar' },
+    evidence: 'Three icon-only buttons sit next to each other with no label or tooltip.',
+    diagnostic: 'Users hesitate and hover to guess what each icon does before committing.',
+    quickPivot: 'Add short text labels or tooltips to the toolbar icons.',
+    architecturalSolve: 'Group toolbar actions into a labelled menu with clear primary and secondary actions.',
+    aiFix: 'Suggest the most likely next action based on what the user selected.'
+  },
+  {
+    name: 'Information Overload',
+    tenet: 'Efficient',
+    severity: 'P3',
+    location: { x: 50, y: 55, box: { x: 10, y: 35, width: 80, height: 42 }, description: 'Main content table' },
+    evidence: 'Every column is shown at once with equal visual weight.',
+    diagnostic: 'Users scan repeatedly to find the few fields relevant to their task.',
+    quickPivot: 'Hide rarely used columns behind a column picker.',
+    architecturalSolve: 'Introduce saved views tailored to each persona.',
+    aiFix: 'Summarise the rows that need attention above the table.'
+  },
+  {
+    name: 'Irreversible Action',
+    tenet: 'Forgiving',
+    severity: 'P1',
+    location: { x: 88, y: 86, description: 'Delete button in the footer' },
+    evidence: 'Delete sits beside Save with the same styling and no confirmation or undo.',
+    diagnostic: 'A misclick permanently removes work and erodes trust.',
+    quickPivot: 'Style Delete as a destructive secondary action and add an undo toast.',
+    architecturalSolve: 'Move destructive actions to an overflow menu with soft-delete and recovery.',
+    aiFix: 'Detect unusual bulk deletions and ask for confirmation only then.'
+  },
+  {
+    name: 'Feedback Failure',
+    tenet: 'Understandable',
+    severity: 'P4',
+    location: {
+      x: 30,
+      y: 30,
+      polygon: [[18, 22], [44, 22], [44, 34], [30, 40], [18, 40]],
+      description: 'Form fields in the filter panel'
+    },
+    evidence: 'Filters apply without any visible change in state or result count.',
+    diagnostic: 'Users cannot tell whether their filter took effect.',
+    quickPivot: 'Show an applied-filter chip and an updated result count.',
+    architecturalSolve: 'Adopt a consistent pattern for pending, applied and empty filter states.',
+    aiFix: 'Explain in one line why the results changed.'
+  }
+];
+
+const MOCK_TENET_SCORES = {
+  Understandable: 3,
+  Responsive: 4,
+  Comfortable: 4,
+  Forgiving: 2,
+  Protective: 3,
+  Beautiful: 4,
+  Efficient: 3,
+  Discreet: 5,
+  Habituating: 3
+};
+
+// The catalogue and score scale listed in a generated evaluation prompt, so the mock answers in
+// the vocabulary of whichever framework was asked for. Null when the prompt has none.
+const readPromptFramework = (prompt = '') => {
+  const catalogue = prompt.match(/\*\*Scan for[^\n]*\n((?: {3}- [^\n]+\n)+)/);
+  const scores = prompt.match(/"tenetScores": \{\n([\s\S]*?)\n {2}\}/);
+  if (!catalogue || !scores) return null;
+  const items = catalogue[1].trim().split('\n').map(line => line.replace(/^\s*- [^:]+: /, '').split(', '));
+  const categories = [...scores[1].matchAll(/"([^"]+)":/g)].map(match => match[1]);
+  if (items.length !== categories.length) return null;
+  const scale = prompt.match(/\((\d+)-(\d+) scale\)/);
+  return {
+    categories: categories.map((name, idx) => ({ name, items: items[idx] })),
+    min: scale ? Number(scale[1]) : 1,
+    max: scale ? Number(scale[2]) : 5
+  };
+};
+
+// Keep a canned trap if the framework has it, otherwise swap in an item from the catalogue
+const adaptTrap = (trap, idx, framework) => {
+  if (!framework) return trap;
+  const owner = framework.categories.find(category => category.items.includes(trap.name));
+  if (owner) return { ...trap, tenet: owner.name };
+  const category = framework.categories[idx % framework.categories.length];
+  return { ...trap, name: category.items[0], tenet: category.name };
+};
+
+// Deterministic evaluation shaped like a real reply; flow requests get screen references
+export const buildMockEvaluation = (screenCount = 1, prompt = '') => {
+  const isFlow = screenCount > 1;
+  const framework = readPromptFramework(prompt);
+  const tenetScores = framework
+    ? Object.fromEntries(framework.categories.map(({ name }, idx) => [
+        name,
+        Math.min(framework.max, Math.max(framework.min, MOCK_TENET_SCORES[name] ?? [3, 4, 2, 5][idx % 4]))
+      ]))
+    : MOCK_TENET_SCORES;
+
+  const traps = MOCK_TRAPS.map((template, idx) => {
+    const trap = adaptTrap(template, idx, framework);
+    if (!isFlow) return { id: idx + 1, ...trap };
+    const screen = (idx % screenCount) + 1;
+    const location = { screen, ...trap.location };
+    return { id: idx + 1, ...trap, screens: [screen], location, locations: [location] };
+  });
+
+  if (isFlow && (!framework || framework.categories.some(category => category.items.includes('Wandering Element')))) {
+    const location = { screen: 1, x: 8, y: 6, description: 'Logo / home link' };
+    traps.push({
+      id: traps.length + 1,
+      name: 'Wandering Element',
+      tenet: 'Habituating',
+      severity: 'P3',
+      screens: [1, screenCount],
+      location,
+      locations: [location, { screen: screenCount, x: 92, y: 6, description: 'Home link moved to the right' }],
+      evidence: `The home link moves from the left on screen 1 to the right on screen ${screenCount}.`,
+      diagnostic: 'Users lose their anchor and have to search for the way back.',
+      quickPivot: 'Keep the home link in the same position on every screen.',
+      architecturalSolve: 'Use one shared page shell for every step of the flow.',
+      aiFix: 'Flag layout drift between screens during design review.'
+    });
+  }
+
+  return {
+    summary: {
+      verdict: 'Needs Work',
+      userIntent: 'Review and update records quickly',
+      emotionalContext: 'Routine task under moderate time pressure',
+      health: 'Trap-heavy'
+    },
+    traps,
+    tenetScores,
+    ...(isFlow && {
+      screenScores: Array.from({ length: screenCount }, (_, idx) => ({ screen: idx + 1, tenetScores }))
+    }),
+    tenetWin: 'Clean, restrained visual style that keeps the content readable.',
+    disarmPriorities: [traps[2].name, traps[0].name, traps[1].name],
+    score: 6
+  };
+};
+
+// Follow-up questions about a single finding get a canned answer that proposes a change, so the
+// discussion flow can be tried offline
+const buildMockDiscussionReply = (messages) => {
+  const asked = messages[messages.length - 1].content.filter(part => part.type === 'text').pop()?.text || '';
+  const severity = /severity/i.test(asked);
+  return [
+    severity
+      ? 'Looking at the screenshot again, the user can still recover here, so this is friction rather than a blocker.'
+      : 'The finding is based on what the screenshot shows in that area: the control gives no cue about what it does until it is used.',
+    '',
+    severity
+      ? 'I would lower the severity by one step.'
+      : 'A fix that reuses existing components: pair the control with a visible text label and keep the icon as a secondary cue.',
+    '',
+    '```proposal',
+    JSON.stringify(severity
+      ? { severity: 'P4' }
+      : { quickPivot: 'Add a visible text label next to the control using the existing label style.' }),
+    '```'
+  ].join('\n');
+};
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new DOMException('Aborted', 'AbortError'));
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(new DOMException('Aborted', 'AbortError'));
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// Offline provider for development and demos: no network, same answer every time
+export const mockProvider = {
+  id: 'mock',
+  label: 'Mock (offline)',
+  description: 'Returns a canned evaluation without any network access.',
+  fields: ['model', 'maxTokens'],
+  defaults: {
+    apiKey: '',
+    baseUrl: '',
+    model: 'mock-evaluator',
+    maxTokens: 4000,
+    latency: 800
+  },
+
+  async send({ messages, config, signal, onText }) {
+    const latency = config.latency ?? 800;
+    const prompt = messages[0].content.filter(part => part.type === 'text').map(part => part.text).join('\n');
+    // A tile request also carries the whole page, but answers for the tile alone
+    const screenCount = prompt.includes('## TILED ANALYSIS') ? 1 : messages[0].content.filter(part => part.type === 'image').length;
+    const text = prompt.includes('```proposal')
+      ? buildMockDiscussionReply(messages)
+      : JSON.stringify(buildMockEvaluation(screenCount, prompt), null, 2);
+
+    if (onText) {
+      // Stream a few lines at a time, spread over the usual latency plus a little extra
+      const lines = text.match(/[^\n]*\n?/g).filter(Boolean);
+      const steps = Math.ceil(lines.length / 4);
+      for (let idx = 0; idx < lines.length; idx += 4) {
+        await wait((latency * 2) / steps, signal);
+        onText(lines.slice(idx, idx + 4).join(''));
+      }
+    } else {
+      await wait(latency, signal);
+    }
+    // Roughly what a real model would count (about four characters a token, a screenshot ~1.5k),
+    // so usage tracking has something to show offline; the mock's price is zero
+    const parts = messages.flatMap(message => (Array.isArray(message.content) ? message.content : []));
+    const inputTokens = parts.reduce((sum, part) => sum + (part.type === 'image' ? 1500 : Math.ceil((part.text || '').length / 4)), 0);
+    return { text, model: config.model, usage: { inputTokens, outputTokens: Math.ceil(text.length / 4) } };
+  }
+};
@@ -0,0 +1,65 @@
+import { errorFromResponse, readJson, toNetworkError, trimSlash } from './errors.js';
+import { readEventStream } from './sse.js';
+
+const toContentPart = (part) => part.type === 'image'
+  ? { type: 'image_url', image_url: { url: `data:${part.mediaType};base64,${part.data}` } }
+  : { type: 'text', text: part.text };
+
+const readStream = async (response, config, onText) => {
+  let text = '';
+  let model = config.model;
+  let usage = null;
+  await readEventStream(response, ({ data }) => {
+    if (data.error) throw errorFromResponse(response, data);
+    model = data.model || model;
+    const delta = data.choices?.[0]?.delta?.content;
+    if (delta) {
+      text += delta;
+      onText(delta);
+    }
+    if (data.usage) usage = { inputTokens: data.usage.prompt_tokens, outputTokens: data.usage.completion_tokens };
+  });
+  return { text, model, usage };
+};
+
+// Chat Completions API: OpenAI, Azure-style gateways and local servers such as Ollama or LM Studio
+export const openaiProvider = {
+  id: 'openai',
+  label: 'OpenAI-compatible / local server',
+  description: 'Any /chat/completions endpoint with vision support, e.g. http://localhost:11434/v1 for Ollama.',
+  fields: ['apiKey', 'baseUrl', 'model', 'maxTokens'],
+  defaults: {
+    apiKey: '',
+    baseUrl: 'https://api.openai.com/v1',
+    model: 'gpt-4o',
+    maxTokens: 4000
+  },
+
+  async send({ messages, config, signal, onText }) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.apiKey) headers.Authorization = `Bearer ${config.apiKey}`;
+
+    const response = await fetch(`${trimSlash(config.baseUrl)}/chat/completions`, {
+      method: 'POST',
+      headers,
+      signal,
+      body: JSON.stringify({
+        model: config.model,
+        max_tokens: config.maxTokens,
+        messages: messages.map(msg => ({ role: msg.role, content: msg.content.map(toContentPart) })),
+        ...(onText && { stream: true, stream_options: { include_usage: true } })
+      })
+    }).catch(toNetworkError);
+
+    if (onText && response.ok) return readStream(response, config, onText);
+
+    const data = await readJson(response);
+    if (!response.ok || data.error) throw errorFromResponse(response, data);
+
+    return {
+      text: data.choices?.[0]?.message?.content || '',
+      model: data.model || config.model,
+      usage: data.usage ? { inputTokens: data.usage.prompt_tokens, outputTokens: data.usage.completion_tokens } : null
+    };
+  }
+};
@@ -0,0 +1,48 @@
+import { ProviderError, errorFromResponse, readJson, toNetworkError, trimSlash } from './errors.js';
+import { readEventStream } from './sse.js';
+
+// A streamed reply is a series of `text` events and a closing `done` event with the full result
+const readStream = async (response, onText) => {
+  let result = null;
+  await readEventStream(response, ({ event, data }) => {
+    if (event === 'text') onText(data.text);
+    else if (event === 'done') result = data;
+    else if (event === 'error') throw errorFromResponse(response, data);
+  });
+  if (!result) throw new ProviderError('upstream_error', 'The proxy closed the stream before the reply was complete.');
+  return result;
+};
+
+// The Node server in server/ holds the API key and forwards to the model provider
+export const proxyProvider = {
+  id: 'proxy',
+  label: 'Bundled proxy server',
+  description: 'Calls the server in server/, which holds the API key. Leave the base URL empty when the app is served from the same origin or through the Vite dev server.',
+  fields: ['baseUrl', 'model', 'maxTokens'],
+  defaults: {
+    apiKey: '',
+    baseUrl: '',
+    model: '',
+    maxTokens: 4000
+  },
+
+  async send({ messages, config, signal, onText }) {
+    const response = await fetch(`${trimSlash(config.baseUrl)}/api/evaluate`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      signal,
+      body: JSON.stringify({
+        model: config.model || undefined,
+        maxTokens: config.maxTokens,
+        messages,
+        ...(onText && { stream: true })
+      })
+    }).catch(toNetworkError);
+
+    if (onText && response.ok) return readStream(response, onText);
+
+    const data = await readJson(response);
+    if (!response.ok || data.error) throw errorFromResponse(response, data);
+    return data;
+  }
+};
@@ -0,0 +1,39 @@
+import { ProviderError } from './errors.js';
+
+// Read a text/event-stream body and call onEvent({ event, data }) for each event, with `data`
+// parsed as JSON. Works with fetch responses in the browser and in Node.
+export const readEventStream = async (response, onEvent) => {
+  if (!response.body) throw new ProviderError('upstream_error', 'The provider did not stream its response.');
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const dispatch = (block) => {
+    let event = 'message';
+    const data = [];
+    block.split('\n').forEach(line => {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+    });
+    if (data.length === 0) return;
+    const text = data.join('\n');
+    // OpenAI ends its stream with a bare [DONE]
+    if (text === '[DONE]') return;
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch {
+      throw new ProviderError('upstream_error', 'The provider streamed an event that is not JSON.');
+    }
+    onEvent({ event, data: parsed });
+  };
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+    const blocks = buffer.replace(/\r\n/g, '\n').split('\n\n');
+    buffer = done ? '' : blocks.pop();
+    blocks.filter(block => block.trim()).forEach(dispatch);
+    if (done) return;
+  }
+};
@@ -0,0 +1,47 @@
+import { STANDARD, validateTemplate, TemplateError } from '../lib/promptTemplates.js';
+
+export const BUILT_IN_TEMPLATES = [STANDARD];
+
+export const DEFAULT_TEMPLATE = STANDARD;
+
+const TEMPLATES_KEY = 'heuristic-evaluator:prompt-templates';
+
+// Templates a team wrote or imported, with their history, kept in this browser
+export const loadCustomTemplates = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(TEMPLATES_KEY) || '[]');
+    return stored.flatMap(raw => {
+      try {
+        return [validateTemplate(raw)];
+      } catch {
+        return [];
+      }
+    });
+  } catch {
+    return [];
+  }
+};
+
+const saveCustomTemplates = (templates) => {
+  localStorage.setItem(TEMPLATES_KEY, JSON.stringify(templates));
+};
+
+export const listTemplates = () => [...BUILT_IN_TEMPLATES, ...loadCustomTemplates()];
+
+export const isBuiltInTemplate = (id) => BUILT_IN_TEMPLATES.some(t => t.id === id);
+
+// Add or replace a custom template; returns the validated template
+export const saveCustomTemplate = (raw) => {
+  const template = validateTemplate(raw);
+  if (isBuiltInTemplate(template.id)) {
+    throw new TemplateError(`"${template.name}" has the id of a built-in template; give it another name.`);
+  }
+  saveCustomTemplates([...loadCustomTemplates().filter(t => t.id !== template.id), template]);
+  return template;
+};
+
+export const deleteCustomTemplate = (id) => {
+  saveCustomTemplates(loadCustomTemplates().filter(t => t.id !== id));
+};
+
+export const getTemplate = (id) => listTemplates().find(t => t.id === id) || DEFAULT_TEMPLATE;
@@ -0,0 +1,119 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBatchQueue, backoffDelay, isRetryable } from '../src/lib/batchQueue.js';
+import { ProviderError } from '../src/providers/errors.js';
+
+// Jobs that finish when the test says so
+const manualJobs = () => {
+  const pending = new Map();
+  const runJob = (input, signal) => new Promise((resolve, reject) => {
+    pending.set(input, { resolve, reject, signal });
+    signal.addEventListener('abort', () => reject(Object.assign(new Error('Aborted'), { name: 'AbortError' })));
+  });
+  return { pending, runJob };
+};
+
+const settle = () => new Promise(setImmediate);
+
+const createQueue = (options) => {
+  const queue = createBatchQueue({ onChange: (jobs) => { queue.jobs = jobs; }, ...options });
+  return queue;
+};
+
+const statuses = (queue) => queue.jobs.map(job => job.status);
+
+test('only `concurrency` jobs run at a time', async () => {
+  const { pending, runJob } = manualJobs();
+  const queue = createQueue({ runJob, concurrency: 2 });
+  queue.add(['a', 'b', 'c', 'd'].map(name => ({ name, input: name })));
+  assert.deepEqual(statuses(queue), ['running', 'running', 'queued', 'queued']);
+
+  pending.get('a').resolve('result a');
+  await settle();
+  assert.deepEqual(statuses(queue), ['done', 'running', 'running', 'queued']);
+  assert.equal(queue.jobs[0].result, 'result a');
+
+  queue.setConcurrency(3);
+  assert.deepEqual(statuses(queue), ['done', 'running', 'running', 'running']);
+});
+
+test('backoff doubles up to a minute and respects Retry-After', (t) => {
+  t.mock.method(Math, 'random', () => 0);
+  assert.deepEqual([1, 2, 3, 6, 7, 10].map(attempt => backoffDelay(attempt)), [2000, 4000, 8000, 60_000, 60_000, 60_000]);
+  assert.equal(backoffDelay(1, 30), 30_000);
+  assert.equal(backoffDelay(3, 1), 8000);
+});
+
+test('only rate limits and overload are retried', () => {
+  assert.equal(isRetryable(new ProviderError('rate_limited')), true);
+  assert.equal(isRetryable(new ProviderError('overloaded')), true);
+  assert.equal(isRetryable(new ProviderError('auth_failed')), false);
+  assert.equal(isRetryable(new Error('rate_limited')), false);
+});
+
+test('a rate-limited job waits and holds back the jobs that have not started', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  t.mock.method(Math, 'random', () => 0);
+  const { pending, runJob } = manualJobs();
+  const queue = createQueue({ runJob, concurrency: 1 });
+  queue.add([{ name: 'a', input: 'a' }, { name: 'b', input: 'b' }]);
+
+  pending.get('a').reject(new ProviderError('rate_limited', undefined, { retryAfter: 5 }));
+  await settle();
+  assert.deepEqual(statuses(queue), ['waiting', 'queued']);
+  assert.equal(queue.jobs[0].retryAt, Date.now() + 5000);
+
+  t.mock.timers.tick(4999);
+  await settle();
+  assert.deepEqual(statuses(queue), ['waiting', 'queued']);
+
+  t.mock.timers.tick(1);
+  await settle();
+  assert.deepEqual(statuses(queue), ['running', 'queued']);
+  assert.equal(queue.jobs[0].attempts, 2);
+
+  pending.get('a').resolve('ok');
+  await settle();
+  assert.deepEqual(statuses(queue), ['done', 'running']);
+});
+
+test('a job fails after too many retries or on any other error, and can be retried by hand', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  const runJob = mock.fn(async (input) => {
+    throw new ProviderError(input === 'busy' ? 'overloaded' : 'auth_failed');
+  });
+  const queue = createQueue({ runJob, maxRetries: 2 });
+  queue.add([{ name: 'busy', input: 'busy' }, { name: 'key', input: 'key' }]);
+  await settle();
+  assert.deepEqual(statuses(queue), ['waiting', 'failed']);
+
+  for (let i = 0; i < 2; i++) {
+    t.mock.timers.tick(60_000);
+    await settle();
+  }
+  assert.deepEqual(statuses(queue), ['failed', 'failed']);
+  assert.equal(queue.jobs[0].attempts, 3);
+  assert.equal(queue.jobs[0].error, 'The model is overloaded right now. Please try again shortly.');
+
+  queue.retry(queue.jobs[1].id);
+  await settle();
+  assert.equal(runJob.mock.callCount(), 5);
+  assert.deepEqual([queue.jobs[1].status, queue.jobs[1].attempts], ['failed', 1]);
+});
+
+test('cancelling a job aborts it and lets the next one start', async () => {
+  const { pending, runJob } = manualJobs();
+  const queue = createQueue({ runJob, concurrency: 1 });
+  const [first, second] = queue.add([{ name: 'a', input: 'a' }, { name: 'b', input: 'b' }]);
+
+  queue.cancel(first);
+  assert.equal(pending.get('a').signal.aborted, true);
+  assert.deepEqual(statuses(queue), ['cancelled', 'running']);
+  await settle();
+  assert.deepEqual(statuses(queue), ['cancelled', 'running']);
+
+  queue.clearFinished();
+  assert.deepEqual(queue.jobs.map(job => job.id), [second]);
+  queue.stop();
+  assert.equal(pending.get('b').signal.aborted, true);
+});
@@ -0,0 +1,78 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { execFile } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+const CLI = fileURLToPath(new URL('../cli/index.js', import.meta.url));
+// A 1 × 1 transparent PNG
+const PIXEL = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==', 'base64');
+
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'heuristic-evaluator-cli-'));
+  await fs.writeFile(path.join(dir, 'cart.png'), PIXEL);
+  await fs.writeFile(path.join(dir, 'pay.png'), PIXEL);
+});
+
+after(() => fs.rm(dir, { recursive: true, force: true }));
+
+// Resolves with the exit code and output instead of rejecting on a non-zero exit
+const cli = (...args) => new Promise((resolve) => {
+  execFile(process.execPath, [CLI, '--provider', 'mock', ...args], { cwd: dir }, (err, stdout, stderr) => {
+    resolve({ code: err ? err.code : 0, stdout, stderr });
+  });
+});
+
+test('each image is evaluated and reported as JSON', async () => {
+  const { code, stdout, stderr } = await cli('--workflow', 'Checkout', 'cart.png', 'pay.png');
+  assert.equal(code, 0, stderr);
+  const report = JSON.parse(stdout);
+  assert.equal(report.passed, true);
+  assert.deepEqual(report.results.map(result => result.screens), [['cart.png'], ['pay.png']]);
+  assert.equal(report.results[0].export.context.workflowName, 'Checkout');
+  assert.equal(report.results[0].export.images[0].data, undefined);
+  assert.match(stderr, /Evaluating cart\.png…/);
+});
+
+test('a flow is one evaluation of all images', async () => {
+  const { code, stdout } = await cli('--workflow', 'Checkout', '--flow', 'cart.png', 'pay.png');
+  assert.equal(code, 0);
+  const [result] = JSON.parse(stdout).results;
+  assert.deepEqual(result.screens, ['cart.png', 'pay.png']);
+  assert.equal(result.export.flow, true);
+});
+
+test('traps at or above --fail-on fail the run with exit code 1', async () => {
+  const { code, stdout } = await cli('--workflow', 'Checkout', '--fail-on', 'p2', '--format', 'junit', 'cart.png');
+  assert.equal(code, 1);
+  assert.match(stdout, /^<\?xml/);
+  assert.match(stdout, /<failure /);
+});
+
+test('screenshots too large to send as they are are flagged', async () => {
+  await fs.writeFile(path.join(dir, 'page.png'), Buffer.concat([PIXEL, Buffer.alloc(6 * 1024 * 1024)]));
+  const { code, stderr } = await cli('--workflow', 'Checkout', 'page.png');
+  assert.equal(code, 0);
+  assert.match(stderr, /Warning: page\.png is 6\.0 MB and is sent as it is/);
+  assert.doesNotMatch((await cli('--workflow', 'Checkout', 'cart.png')).stderr, /Warning/);
+  assert.match((await cli('--help')).stdout, /does not downscale large\nimages or cut tall pages into tiles/);
+});
+
+test('usage errors exit with code 2 and say what is wrong', async () => {
+  const cases = [
+    [['cart.png'], /A workflow name is required/],
+    [['--workflow', 'W'], /No images given\./],
+    [['--workflow', 'W', 'notes.txt'], /notes\.txt is not a PNG, JPEG, GIF or WebP image\./],
+    [['--workflow', 'W', '--fail-on', 'P9', 'cart.png'], /--fail-on must be one of/],
+    [['--workflow', 'W', '--framework', 'unknown', 'cart.png'], /Unknown framework "unknown"/]
+  ];
+  for (const [args, message] of cases) {
+    const { code, stderr } = await cli(...args);
+    assert.equal(code, 2, args.join(' '));
+    assert.match(stderr, message);
+  }
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareEvaluations, getRunScreenImage, getRunScreenCount, MATCH_DISTANCE } from '../src/lib/compare.js';
+
+const trap = (id, name, x, y, severity = 'P3', extra = {}) => ({ id, name, tenet: 'Understandable', severity, location: { x, y }, ...extra });
+
+const statuses = (result) => result.items.map(item => [item.status, item.before?.id ?? null, item.after?.id ?? null]);
+
+test('traps pair up by name and position; the rest are resolved or new', () => {
+  const result = compareEvaluations(
+    { traps: [trap(1, 'Invisible Element', 10, 10), trap(2, 'Captive Wait', 50, 50), trap(3, 'Distraction', 80, 80)] },
+    { traps: [trap(1, 'Invisible Element', 12, 14), trap(2, 'Distraction', 20, 20), trap(3, 'Captive Wait', 50, 50, 'P5')] }
+  );
+  assert.deepEqual(statuses(result), [
+    ['severity_changed', 2, 3],
+    ['persisting', 1, 1],
+    ['resolved', 3, null],
+    ['new', null, 2]
+  ]);
+  assert.equal(result.items[0].severityShift, 2);
+  assert.equal(result.items[1].distance, Math.hypot(2, 4));
+  assert.deepEqual(result.counts, { resolved: 1, new: 1, persisting: 1, severity_changed: 1 });
+});
+
+test('the closest pairs are taken first and each trap is used once', () => {
+  const result = compareEvaluations(
+    { traps: [trap(1, 'Invisible Element', 10, 10), trap(2, 'Invisible Element', 20, 10)] },
+    { traps: [trap(1, 'Invisible Element', 19, 10)] }
+  );
+  assert.deepEqual(statuses(result), [['persisting', 2, 1], ['resolved', 1, null]]);
+});
+
+test('traps too far apart or on different screens are different findings', () => {
+  const far = compareEvaluations({ traps: [trap(1, 'Invisible Element', 10, 10)] }, { traps: [trap(1, 'Invisible Element', 10, 10 + MATCH_DISTANCE + 1)] });
+  assert.deepEqual(statuses(far), [['resolved', 1, null], ['new', null, 1]]);
+
+  const near = compareEvaluations({ traps: [trap(1, 'Invisible Element', 10, 10)] }, { traps: [trap(1, 'Invisible Element', 10, 30)] }, { maxDistance: 25 });
+  assert.deepEqual(statuses(near), [['persisting', 1, 1]]);
+
+  const otherScreen = compareEvaluations(
+    { traps: [trap(1, 'Invisible Element', 10, 10, 'P3', { screens: [1] })] },
+    { traps: [trap(1, 'Invisible Element', 10, 10, 'P3', { locations: [{ x: 10, y: 10, screen: 2 }] })] }
+  );
+  assert.deepEqual(statuses(otherScreen), [['resolved', 1, null], ['new', null, 1]]);
+});
+
+test('scores are compared where both runs have them', () => {
+  const result = compareEvaluations(
+    { score: 5, tenetScores: { Understandable: 2, Responsive: 4 }, traps: [] },
+    { score: 7.5, tenetScores: { Understandable: 4, Comfortable: 3 }, traps: [] }
+  );
+  assert.deepEqual(result.scoreDelta, { before: 5, after: 7.5, delta: 2.5 });
+  assert.deepEqual(result.tenetDeltas, [
+    { tenet: 'Understandable', before: 2, after: 4, delta: 2 },
+    { tenet: 'Responsive', before: 4, after: undefined, delta: null },
+    { tenet: 'Comfortable', before: undefined, after: 3, delta: null }
+  ]);
+});
+
+test('a run shows the image it evaluated for each screen', () => {
+  const images = [{ id: 'a' }, { id: 'b' }, { id: 'c' }];
+  const flow = { images, evaluation: { evaluatedImages: [{ id: 'c' }, { id: 'a' }] } };
+  assert.deepEqual([getRunScreenImage(flow, 1), getRunScreenImage(flow, 2), getRunScreenImage(flow, 3)], [{ id: 'c' }, { id: 'a' }, null]);
+  assert.equal(getRunScreenCount(flow), 2);
+
+  const single = { images, evaluation: {} };
+  assert.deepEqual([getRunScreenImage(single, 1), getRunScreenImage(single, 2)], [{ id: 'a' }, null]);
+  assert.equal(getRunScreenCount(single), 1);
+});
@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildConsensus, isLowAgreement, consensusLabel } from '../src/lib/consensus.js';
+
+const trap = (name, x, y, severity = 'P2', extra = {}) => ({ name, tenet: 'Understandable', severity, location: { x, y }, ...extra });
+
+const run = (traps, score = 6, verdict = 'Needs Work') => ({
+  summary: { verdict, text: `Scored ${score}` },
+  score,
+  tenetScores: { Understandable: score > 5 ? 4 : 2 },
+  traps
+});
+
+const found = (evaluation) => evaluation.traps.map(t => [t.name, t.consensus.found]);
+
+test('traps with the same name close together are one finding', () => {
+  const consensus = buildConsensus([
+    run([trap('Invisible Element', 10, 10)]),
+    run([trap('Invisible Element', 14, 12)]),
+    run([trap('Invisible Element', 80, 80)])
+  ]);
+  assert.deepEqual(found(consensus), [['Invisible Element', 2], ['Invisible Element', 1]]);
+  assert.deepEqual(consensus.traps.map(t => t.consensus.lowAgreement), [false, true]);
+  assert.equal(consensus.consensus.lowAgreementCount, 1);
+});
+
+test('different names, tenets or screens never match', () => {
+  const consensus = buildConsensus([
+    run([trap('Invisible Element', 10, 10)]),
+    run([trap('Captive Wait', 10, 10), trap('Invisible Element', 10, 10, 'P2', { tenet: 'Responsive' })]),
+    run([trap('Invisible Element', 10, 10, 'P2', { location: { x: 10, y: 10, screen: 2 } })])
+  ]);
+  assert.equal(consensus.traps.length, 4);
+  assert.ok(consensus.traps.every(t => t.consensus.found === 1));
+});
+
+test('a run contributes at most one trap to a finding', () => {
+  const consensus = buildConsensus([
+    run([trap('Invisible Element', 10, 10)]),
+    run([trap('Invisible Element', 20, 10), trap('Invisible Element', 12, 10)])
+  ]);
+  assert.deepEqual(found(consensus), [['Invisible Element', 2], ['Invisible Element', 1]]);
+  assert.deepEqual(consensus.traps[0].consensus.severities, ['P2', 'P2']);
+});
+
+test('maxDistance decides how far apart a finding may be reported', () => {
+  const evaluations = [run([trap('Invisible Element', 10, 10)]), run([trap('Invisible Element', 30, 10)])];
+  assert.equal(buildConsensus(evaluations).traps.length, 2);
+  assert.equal(buildConsensus(evaluations, { maxDistance: 25 }).traps.length, 1);
+});
+
+test('severity is the rounded mean and findings are ranked by agreement, then severity', () => {
+  const consensus = buildConsensus([
+    run([trap('Invisible Element', 10, 10, 'P1'), trap('Captive Wait', 50, 50, 'P1')]),
+    run([trap('Invisible Element', 10, 10, 'P3'), trap('Data Loss', 90, 90, 'P4')]),
+    run([trap('Invisible Element', 10, 10, 'P2'), trap('Data Loss', 90, 90, 'P4')])
+  ]);
+  assert.deepEqual(consensus.traps.map(t => [t.name, t.severity, t.id]), [
+    ['Invisible Element', 'P2', 1],
+    ['Data Loss', 'P4', 2],
+    ['Captive Wait', 'P1', 3]
+  ]);
+  assert.deepEqual(consensus.traps[0].consensus.severities, ['P1', 'P3', 'P2']);
+  assert.equal(consensus.traps[0].consensus.confidence, 1);
+});
+
+test('scores are averaged and the verdict is the one most runs gave', () => {
+  const consensus = buildConsensus([run([], 4, 'Critical'), run([], 6), run([], 8)]);
+  assert.equal(consensus.score, 6);
+  assert.equal(consensus.summary.verdict, 'Needs Work');
+  assert.equal(consensus.summary.text, 'Scored 6');
+  assert.deepEqual(consensus.tenetScores, { Understandable: 3.33 });
+  assert.deepEqual(consensus.consensus.score, { mean: 6, variance: 2.67, min: 4, max: 8, values: [4, 6, 8] });
+});
+
+test('more than half of the runs is agreement', () => {
+  assert.deepEqual([[1, 1], [1, 2], [2, 3], [2, 4], [3, 5]].map(([f, runs]) => isLowAgreement(f, runs)), [false, true, false, true, false]);
+  assert.equal(consensusLabel({ consensus: { found: 1, runs: 3, lowAgreement: true } }), 'Found in 1 of 3 runs (low agreement)');
+  assert.equal(consensusLabel({}), '');
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDiscussionReply, replyText, buildDiscussionMessages, normalizeDiscussions } from '../src/lib/discussion.js';
+
+const framework = { name: 'Tenets & Traps', labels: { category: 'Tenet', item: 'Trap', items: 'Traps' } };
+
+test('a proposal block is taken out of the reply and checked', () => {
+  const reply = 'You are right, it is minor.\n\n```proposal\n{"severity": "p4 - medium", "quickPivot": " Darken the text ", "name": "Other", "aiFix": ""}\n```';
+  assert.deepEqual(parseDiscussionReply(reply), { text: 'You are right, it is minor.', proposal: { quickPivot: 'Darken the text', severity: 'P4' } });
+
+  const cases = ['No change.', 'Hm.\n```proposal\n{"severity": "P9"}\n```', 'Hm.\n```proposal\n{"severity": \n```'];
+  for (const text of cases) assert.equal(parseDiscussionReply(text).proposal, null, text);
+});
+
+test('a streaming reply hides the proposal block as soon as it starts', () => {
+  assert.equal(replyText('It stays P2.\n```proposal\n{"sev'), 'It stays P2.');
+});
+
+test('the screens and the finding go with the first turn only', () => {
+  const trap = { id: 1, name: 'Invisible Element', tenet: 'Understandable', severity: 'P2', location: { x: 1, y: 1, description: 'Pay button' } };
+  const messages = buildDiscussionMessages({
+    trap,
+    screens: [{ label: 'Screen 1: cart.png', image: { base64: 'AAAA', type: 'image/png' } }],
+    context: { workflowName: 'Checkout' },
+    framework,
+    turns: [
+      { role: 'user', text: 'Why?' },
+      { role: 'assistant', text: 'Contrast.', proposal: { severity: 'P3' } },
+      { role: 'user', text: 'Agreed.' }
+    ]
+  });
+  assert.deepEqual(messages.map(message => [message.role, message.content.length]), [['user', 4], ['assistant', 1], ['user', 1]]);
+  assert.deepEqual(messages[0].content[1], { type: 'image', mediaType: 'image/png', data: 'AAAA' });
+  assert.match(messages[0].content[2].text, /"location": "Pay button"/);
+  assert.equal(messages[1].content[0].text, 'Contrast.\n\n```proposal\n{"severity":"P3"}\n```');
+});
+
+test('stored threads drop turns that cannot be shown', () => {
+  assert.deepEqual(normalizeDiscussions({
+    1: [{ role: 'user', text: 'Why?' }, { role: 'system', text: 'x' }, { role: 'assistant' }],
+    2: [null],
+    3: 'not a thread'
+  }), { 1: [{ role: 'user', text: 'Why?', proposal: null }] });
+  assert.deepEqual(normalizeDiscussions([]), {});
+});
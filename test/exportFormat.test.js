@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { validateFramework, frameworkRef } from '../src/lib/framework.js';
+import { buildExport, parseExport, ImportError, EXPORT_FORMAT, EXPORT_VERSION } from '../src/lib/exportFormat.js';
+
+const framework = validateFramework(JSON.parse(fs.readFileSync(new URL('../src/frameworks/tenets-and-traps.json', import.meta.url), 'utf8')));
+const custom = validateFramework({ id: 'custom', name: 'Custom', categories: [{ name: 'Clarity', items: [{ name: 'Jargon' }] }] });
+
+// Files from before frameworks were pluggable were all made with Tenets & Traps
+const parse = (doc) => parseExport(doc, { defaultFramework: framework });
+
+const evaluation = {
+  summary: { verdict: 'Needs Work', text: 'Hard to find the checkout button.' },
+  score: 6,
+  tenetScores: Object.fromEntries(framework.categories.map(category => [category.name, 3])),
+  traps: [{ id: 1, name: 'Invisible Element', tenet: 'Understandable', severity: 'P2', location: { x: 10, y: 20 }, evidence: 'Grey on grey.' }]
+};
+
+const exported = (overrides = {}) => buildExport({
+  context: { workflowName: 'Checkout', epicDetails: '', persona: '', usecaseDescription: '' },
+  flow: false,
+  images: [{ id: 'a', name: 'cart.png', hash: 'h1', data: 'data:image/png;base64,AAAA', extra: true }],
+  run: { createdAt: '2026-01-01T00:00:00.000Z', prompt: 'The full prompt', provider: 'mock', model: 'mock-1' },
+  evaluation: { ...evaluation, framework: frameworkRef(custom) },
+  framework: custom,
+  ...overrides
+});
+
+test('an export reads back as it was written', () => {
+  const doc = exported();
+  assert.equal(doc.format, EXPORT_FORMAT);
+  assert.equal(doc.version, EXPORT_VERSION);
+  assert.deepEqual(doc.images, [{ id: 'a', name: 'cart.png', hash: 'h1', data: 'data:image/png;base64,AAAA' }]);
+  assert.deepEqual(doc.run, { evaluatedAt: '2026-01-01T00:00:00.000Z', prompt: 'The full prompt', provider: 'mock', model: 'mock-1' });
+  assert.deepEqual(parse(JSON.parse(JSON.stringify(doc))), { ...doc, discussions: {}, migratedFrom: null });
+});
+
+test('without embedded screenshots only their hashes are written', () => {
+  assert.deepEqual(exported({ embedImages: false }).images, [{ id: 'a', name: 'cart.png', hash: 'h1' }]);
+});
+
+test('a v1 export is upgraded and its evaluation normalized', () => {
+  const { traps, ...rest } = evaluation;
+  const doc = parse({
+    workflow: 'Checkout',
+    persona: 'First-time buyer',
+    evaluatedAt: '2024-05-01T10:00:00.000Z',
+    ...rest,
+    traps: [{ ...traps[0], severity: 'p2', tenet: undefined }]
+  });
+
+  assert.equal(doc.migratedFrom, 1);
+  assert.equal(doc.version, EXPORT_VERSION);
+  assert.deepEqual(doc.context, { workflowName: 'Checkout', epicDetails: '', persona: 'First-time buyer', usecaseDescription: '' });
+  assert.deepEqual(doc.images, []);
+  assert.deepEqual(doc.run, { evaluatedAt: '2024-05-01T10:00:00.000Z', prompt: null, provider: null, model: null });
+  assert.deepEqual([doc.evaluation.traps[0].severity, doc.evaluation.traps[0].tenet], ['P2', 'Understandable']);
+  assert.deepEqual(doc.evaluation.validation.issues.map(issue => issue.path), ['traps[0].tenet', 'traps[0].severity']);
+  assert.equal(doc.framework.id, 'tenets-and-traps');
+});
+
+test('files that are not a usable export are an ImportError', () => {
+  const cases = [
+    [{ hello: 'world' }, 'This file is not a Heuristic Evaluator export.'],
+    [{ ...exported(), version: 'two' }, 'Unknown export version "two".'],
+    [{ ...exported(), version: EXPORT_VERSION + 1 }, /exported by a newer version of the app/],
+    [{ ...exported(), evaluation: { summary: {} } }, 'The file does not contain a complete evaluation.'],
+    [{ ...exported(), images: [{ id: 'a', name: 'cart.png' }] }, 'The file lists screenshots without a content hash.'],
+    [{ ...exported(), framework: { ...custom, categories: [] } }, 'The file\'s framework definition is invalid: "categories" must list at least one category.']
+  ];
+  for (const [doc, message] of cases) {
+    assert.throws(() => parse(doc), { name: ImportError.name, message });
+  }
+});
+
+test('reviewer edits travel with the export; older files have none', () => {
+  const review = { edits: { 1: { severity: 'P4' } }, dismissed: {}, added: [] };
+  assert.deepEqual(parse(exported({ review })).review, review);
+  assert.equal(exported({ review: { edits: {}, dismissed: {}, added: [] } }).review, null);
+
+  const doc = parse({ ...exported(), version: 2, review: undefined });
+  assert.deepEqual([doc.review, doc.migratedFrom], [null, 2]);
+});
+
+test('files from before pluggable frameworks are marked as Tenets & Traps', () => {
+  const doc = parse({ ...exported(), version: 3, framework: undefined, evaluation });
+  assert.deepEqual(doc.framework, framework);
+  assert.deepEqual(doc.evaluation.framework, frameworkRef(framework));
+  assert.equal(parse(exported()).framework.id, 'custom');
+});
+
+test('discussion threads travel with the export', () => {
+  const discussions = { 1: [{ id: 'a', role: 'user', text: 'Why?' }, { id: 'b', role: 'assistant', text: 'Contrast.', proposal: { severity: 'p4' } }] };
+  const doc = parse(exported({ discussions }));
+  assert.deepEqual(doc.discussions[1].map(turn => turn.proposal), [null, { severity: 'P4' }]);
+  assert.equal(exported({ discussions: {} }).discussions, null);
+  assert.deepEqual(parse({ ...exported(), version: 4, discussions: undefined }).discussions, {});
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { validateFramework, getItemCatalogue, getCategoryColor, scaleSteps, FrameworkError } from '../src/lib/framework.js';
+
+const bundled = (file) => JSON.parse(fs.readFileSync(new URL(`../src/frameworks/${file}`, import.meta.url), 'utf8'));
+
+const minimal = (overrides = {}) => ({ id: 'team-heuristics', name: 'Team heuristics', categories: [{ name: 'Clarity', items: [{ name: 'Jargon' }] }], ...overrides });
+
+test('the bundled frameworks are valid', () => {
+  for (const file of fs.readdirSync(new URL('../src/frameworks/', import.meta.url)).filter(name => name.endsWith('.json'))) {
+    const framework = validateFramework(bundled(file));
+    assert.ok(getItemCatalogue(framework).length > 0, file);
+    for (const name of framework.flowItems) assert.ok(getItemCatalogue(framework).some(item => item.name === name), `${file}: ${name}`);
+  }
+});
+
+test('optional fields are filled in', () => {
+  const framework = validateFramework(minimal({ labels: { item: 'Heuristic', items: ' ' }, flowItems: ['Jargon', 'Unknown'] }));
+  assert.deepEqual(framework, {
+    id: 'team-heuristics',
+    name: 'Team heuristics',
+    version: 1,
+    description: '',
+    labels: { category: 'Category', categories: 'Categories', item: 'Heuristic', items: 'Issues' },
+    scale: { min: 1, max: 5 },
+    guidance: [],
+    flowItems: ['Jargon'],
+    factItems: {},
+    severityRules: [],
+    categories: [{ name: 'Clarity', color: '#1e3a5f', description: '', items: [{ name: 'Jargon', description: '' }] }]
+  });
+  assert.deepEqual(scaleSteps(framework), [1, 2, 3, 4, 5]);
+  assert.equal(getCategoryColor(framework, 'Clarity'), '#1e3a5f');
+  assert.equal(getCategoryColor(framework, 'Other'), '#64748b');
+});
+
+test('definitions that cannot be used are a FrameworkError', () => {
+  const cases = [
+    [[], 'A framework must be a JSON object.'],
+    [minimal({ id: 'Team Heuristics' }), /"id" must be lowercase/],
+    [minimal({ categories: [] }), '"categories" must list at least one category.'],
+    [minimal({ categories: [{ name: 'Clarity', items: [] }] }), '"Clarity" must list at least one item.'],
+    [minimal({ categories: [{ name: 'A', items: [{ name: 'Jargon' }] }, { name: 'B', items: [{ name: 'jargon' }] }] }), '"jargon" appears more than once.'],
+    [minimal({ categories: [{ name: 'A', items: [{ name: 'X' }] }, { name: 'a', items: [{ name: 'Y' }] }] }), 'Category names must be unique.'],
+    [minimal({ scale: { min: 1, max: 20 } }), /"scale" must run/]
+  ];
+  for (const [raw, message] of cases) assert.throws(() => validateFramework(raw), { name: FrameworkError.name, message });
+});
+
+test('every item knows its category', () => {
+  const framework = validateFramework(minimal({ categories: [{ name: 'A', items: [{ name: 'X' }, { name: 'Y' }] }, { name: 'B', items: [{ name: 'Z' }] }] }));
+  assert.deepEqual(getItemCatalogue(framework), [{ name: 'X', tenet: 'A' }, { name: 'Y', tenet: 'A' }, { name: 'Z', tenet: 'B' }]);
+});
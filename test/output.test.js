@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findFailures } from '../cli/output.js';
+
+const evaluation = (verdict, severities) => ({
+  summary: { verdict },
+  traps: severities.map((severity, idx) => ({ id: idx + 1, name: `Trap ${idx + 1}`, severity }))
+});
+
+test('traps at or above --fail-on and a Critical verdict fail the build', () => {
+  const cases = [
+    [evaluation('Pass', ['P1', 'P3']), undefined, []],
+    [evaluation('Critical', ['P3']), undefined, ['Verdict is Critical']],
+    [evaluation('Needs Work', ['P1', 'P2', 'P3']), 'P2', ['P1 Trap 1', 'P2 Trap 2']],
+    [evaluation('Needs Work', ['P4', 'P5']), 'P3', []]
+  ];
+  for (const [result, failOn, reasons] of cases) {
+    assert.deepEqual(findFailures(result, failOn).map(failure => failure.reason), reasons, `${result.summary.verdict} ${failOn}`);
+  }
+});
+
+test('a trap whose severity cannot be ranked fails the build', () => {
+  for (const failOn of ['P1', 'P5']) {
+    assert.deepEqual(findFailures(evaluation('Pass', ['urgent', undefined]), failOn), [
+      { reason: 'Unknown severity "urgent" on Trap 1', trapId: 1 },
+      { reason: 'Unknown severity "undefined" on Trap 2', trapId: 2 }
+    ]);
+  }
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseColor, blend, contrastRatio, collectPageFacts, anchorTrapsToFacts } from '../src/lib/pageFacts.js';
+
+const fact = (kind, element, box = { x: 10, y: 10, width: 20, height: 10 }) => ({ kind, element, detail: '', box });
+
+test('colours are read from computed styles and blended onto their background', () => {
+  assert.deepEqual(parseColor('rgb(12, 34, 56)'), [12, 34, 56, 1]);
+  assert.deepEqual(parseColor('rgba(12, 34, 56, 0.5)'), [12, 34, 56, 0.5]);
+  assert.equal(parseColor('transparent'), null);
+  assert.deepEqual(blend([0, 0, 0, 0.5], [255, 255, 255]), [127.5, 127.5, 127.5, 1]);
+});
+
+test('contrast follows the WCAG formula either way round', () => {
+  assert.equal(contrastRatio([0, 0, 0], [255, 255, 255]), 21);
+  assert.equal(contrastRatio([255, 255, 255], [0, 0, 0]), 21);
+  assert.equal(contrastRatio([119, 119, 119], [255, 255, 255]).toFixed(2), '4.48');
+});
+
+test('facts are numbered across screens, grouped by kind and capped', () => {
+  const facts = collectPageFacts([
+    { page: { facts: [fact('targetSize', 'a'), fact('contrast', 'b'), fact('contrast', 'c')] } },
+    {},
+    { page: { facts: Array.from({ length: 20 }, (_, idx) => fact('missingLabel', `img ${idx}`)) } }
+  ]);
+  assert.deepEqual(facts.slice(0, 4).map(f => [f.id, f.kind, f.element, f.screen]), [
+    ['F1', 'contrast', 'b', 1],
+    ['F2', 'contrast', 'c', 1],
+    ['F3', 'targetSize', 'a', 1],
+    ['F4', 'missingLabel', 'img 0', 3]
+  ]);
+  assert.equal(facts.length, 15);
+});
+
+test('traps citing a fact are placed on the measured element', () => {
+  const facts = collectPageFacts([{ page: { facts: [fact('contrast', 'Pay button')] } }]);
+  const evaluation = {
+    traps: [
+      { id: 1, facts: [' F1 ', 'F9'], location: { x: 90, y: 90, description: 'Bottom' } },
+      { id: 2, location: { x: 50, y: 50 } }
+    ]
+  };
+  const anchored = anchorTrapsToFacts(evaluation, facts);
+  assert.deepEqual(anchored.traps[0], { id: 1, facts: ['F1'], location: { x: 20, y: 15, box: facts[0].box, description: 'Bottom' } });
+  assert.equal(anchored.traps[1], evaluation.traps[1]);
+  assert.equal(anchorTrapsToFacts(evaluation, []), evaluation);
+});
+
+test('flow traps keep the model\'s location on screens without a cited fact', () => {
+  const facts = collectPageFacts([{ page: { facts: [] } }, { page: { facts: [fact('targetSize', 'Close')] } }]);
+  const evaluation = { flow: true, traps: [{ id: 1, facts: ['F1'], locations: [{ x: 5, y: 5, screen: 1 }, { x: 60, y: 60, screen: 2 }] }] };
+  const [trap] = anchorTrapsToFacts(evaluation, facts).traps;
+  assert.deepEqual(trap.locations, [{ x: 5, y: 5, screen: 1 }, { screen: 2, x: 20, y: 15, box: facts[0].box, description: 'Close' }]);
+  assert.deepEqual([trap.location, trap.screens], [trap.locations[0], [1, 2]]);
+});
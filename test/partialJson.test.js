@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePartialJson } from '../src/lib/partialJson.js';
+
+const DOCUMENT = JSON.stringify({
+  summary: { verdict: 'Needs Work', text: 'Line one\nsaid "hi" é' },
+  score: 6.5,
+  ratio: -1.25e-3,
+  traps: [
+    { id: 1, name: 'Invisible Element', location: { x: 12, y: 40 }, fixed: false, note: null },
+    { id: 2, name: 'Captive Wait', location: { x: 70, y: 8 }, fixed: true, note: 'spinner' }
+  ],
+  empty: [],
+  nested: [[1, 2], {}]
+}, null, 2);
+
+// Whatever a prefix yields must already be in the finished document: strings may be cut short,
+// but every number, literal and key that appears is final
+const assertPrefixOf = (partial, full, path) => {
+  if (typeof partial === 'string') {
+    assert.ok(typeof full === 'string' && full.startsWith(partial), `${path}: "${partial}" is not the start of ${JSON.stringify(full)}`);
+  } else if (Array.isArray(partial)) {
+    assert.ok(Array.isArray(full) && partial.length <= full.length, `${path}: array`);
+    partial.forEach((item, idx) => assertPrefixOf(item, full[idx], `${path}[${idx}]`));
+  } else if (partial && typeof partial === 'object') {
+    assert.ok(full && typeof full === 'object' && !Array.isArray(full), `${path}: object`);
+    for (const key of Object.keys(partial)) {
+      assert.ok(key in full, `${path}.${key}: unexpected key`);
+      assertPrefixOf(partial[key], full[key], `${path}.${key}`);
+    }
+  } else {
+    assert.equal(partial, full, path);
+  }
+};
+
+test('every prefix of a document parses to a prefix of its value', () => {
+  const full = JSON.parse(DOCUMENT);
+  for (let end = 0; end < DOCUMENT.length; end++) {
+    const { value, done } = parsePartialJson(DOCUMENT.slice(0, end));
+    assert.equal(done, false, `prefix of length ${end}`);
+    if (value !== undefined) assertPrefixOf(value, full, `prefix of length ${end}`);
+  }
+});
+
+test('the whole document parses as done with nothing open', () => {
+  const { value, done, open } = parsePartialJson(DOCUMENT);
+  assert.equal(done, true);
+  assert.deepEqual(value, JSON.parse(DOCUMENT));
+  assert.equal(open.has(value), false);
+});
+
+test('numbers and literals are left out until they are complete', () => {
+  const cases = [
+    ['{"score": 7', {}],
+    ['{"score": 7.', {}],
+    ['{"score": 7.5', {}],
+    ['{"score": 7.5,', { score: 7.5 }],
+    ['{"score": 1e', {}],
+    ['{"score": 1e-', {}],
+    ['{"score": 1e-3}', { score: 0.001 }],
+    ['{"score": -', {}],
+    ['{"ok": tr', {}],
+    ['{"ok": true', { ok: true }],
+    ['{"note": nul', {}],
+    ['[1, 2, 3', [1, 2]]
+  ];
+  for (const [text, expected] of cases) assert.deepEqual(parsePartialJson(text).value, expected, text);
+});
+
+test('strings are kept as far as they go', () => {
+  const cases = [
+    ['{"name": "Capt', { name: 'Capt' }],
+    ['{"name": "a\\', { name: 'a' }],
+    ['{"name": "a\\n', { name: 'a\n' }],
+    ['{"name": "\\u00', { name: '' }],
+    ['{"name": "\\u00e9', { name: 'é' }],
+    ['{"na', {}],
+    ['["ab', ['ab']]
+  ];
+  for (const [text, expected] of cases) assert.deepEqual(parsePartialJson(text).value, expected, text);
+});
+
+test('unclosed objects and arrays are listed as open', () => {
+  const { value, open } = parsePartialJson('{"traps": [{"id": 1}, {"id": 2');
+  assert.equal(open.has(value), true);
+  assert.equal(open.has(value.traps), true);
+  assert.equal(open.has(value.traps[0]), false);
+  assert.equal(open.has(value.traps[1]), true);
+});
+
+test('text that can never become JSON is an error', () => {
+  for (const text of ['{"a": x', '{"a" 1', '{a: 1}', '[1 2]', '{"a": 1]']) {
+    assert.throws(() => parsePartialJson(text), SyntaxError, text);
+  }
+});
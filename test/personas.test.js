@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { validateFramework } from '../src/lib/framework.js';
+import {
+  validatePersona, summarizePersona, matchingRules, applyPersonaRules, buildPersonaRulesPrompt, personaAdjustmentLabel, PersonaError
+} from '../src/lib/personas.js';
+
+const framework = validateFramework({
+  id: 'rules',
+  name: 'Rules',
+  labels: { item: 'Trap', items: 'Traps' },
+  categories: [{ name: 'Understandable', items: [{ name: 'Memory Challenge' }, { name: 'Forced Syntax' }, { name: 'Distraction' }] }],
+  severityRules: [
+    { when: { expertise: ['novice'] }, items: ['Memory Challenge', 'Forced Syntax'], adjust: 'raise', reason: 'Novices forget what they saw' },
+    { when: { stress: 'high', device: ['touch', 'voice'] }, items: ['memory challenge'], adjust: 'raise' },
+    { when: { accessibility: ['cognitive'] }, items: ['Distraction'], adjust: 'raise', reason: 'Hard to refocus' },
+    { when: { expertise: ['expert'] }, items: ['Forced Syntax'], adjust: 'lower', reason: 'Experts know the syntax' },
+    { when: { expertise: ['novice'] }, items: ['Not An Item'], adjust: 'raise' },
+    { when: {}, items: ['Distraction'], adjust: 'raise' },
+    { when: { expertise: ['novice'] }, items: ['Distraction'], adjust: 'double' }
+  ]
+});
+
+const persona = (overrides = {}) => validatePersona({ name: 'Night-shift nurse', ...overrides });
+
+const trap = (id, name, severity) => ({ id, name, tenet: 'Understandable', severity });
+
+test('personas are checked and filled in with middle-of-the-road defaults', () => {
+  assert.deepEqual(persona({ accessibility: ['cognitive', 'cognitive'] }), {
+    id: 'night-shift-nurse',
+    name: 'Night-shift nurse',
+    description: '',
+    expertise: 'intermediate',
+    stress: 'moderate',
+    device: 'desktop',
+    frequency: 'occasional',
+    accessibility: ['cognitive']
+  });
+  assert.equal(summarizePersona(persona({ expertise: 'novice', accessibility: ['screen-reader'] })), 'Novice · Moderate stress · Desktop, mouse and keyboard · Occasional · Screen reader');
+
+  const cases = [
+    [null, 'A persona must be a JSON object.'],
+    [{ name: ' ' }, '"name" is required.'],
+    [{ name: 'Nurse', id: 'Nurse One' }, /"id" must be lowercase/],
+    [{ name: 'Nurse', stress: 'extreme' }, '"stress" must be one of low, moderate, high.'],
+    [{ name: 'Nurse', accessibility: ['deaf'] }, /"deaf" is not an accessibility need/]
+  ];
+  for (const [raw, message] of cases) assert.throws(() => validatePersona(raw), { name: PersonaError.name, message });
+});
+
+test('the built-in personas are valid', () => {
+  const builtIn = JSON.parse(fs.readFileSync(new URL('../src/personas/built-in.json', import.meta.url), 'utf8'));
+  assert.ok(builtIn.length > 0);
+  for (const raw of builtIn) assert.equal(validatePersona(raw).id, raw.id);
+});
+
+test('rules that name no known item, match nothing or do not say which way are dropped', () => {
+  assert.equal(framework.severityRules.length, 4);
+  assert.deepEqual(framework.severityRules[1], { when: { stress: ['high'], device: ['touch', 'voice'] }, items: ['memory challenge'], adjust: 'raise', reason: '' });
+});
+
+test('a rule matches when every attribute it names does', () => {
+  const names = (p) => matchingRules(p, framework).map(rule => rule.reason || 'stress and device');
+  assert.deepEqual(names(persona({ expertise: 'novice' })), ['Novices forget what they saw']);
+  assert.deepEqual(names(persona({ stress: 'high', device: 'touch' })), ['stress and device']);
+  assert.deepEqual(names(persona({ stress: 'high' })), []);
+  assert.deepEqual(names(persona({ accessibility: ['motor', 'cognitive'] })), ['Hard to refocus']);
+  assert.deepEqual(matchingRules(null, framework), []);
+});
+
+test('severities move one step at most, the same way every time', () => {
+  const evaluation = {
+    traps: [trap(1, 'Memory Challenge', 'P3'), trap(2, 'Forced Syntax', 'P1'), trap(3, 'Distraction', 'P3'), trap(4, 'Memory Challenge', 'urgent')]
+  };
+  const nurse = persona({ expertise: 'novice', stress: 'high', device: 'touch' });
+  const adjusted = applyPersonaRules(evaluation, nurse, framework);
+
+  assert.deepEqual(adjusted.traps.map(t => t.severity), ['P2', 'P1', 'P3', 'urgent']);
+  assert.deepEqual(adjusted.traps[0].personaAdjustment, {
+    persona: 'Night-shift nurse', from: 'P3', to: 'P2', reasons: ['Novices forget what they saw', 'Raised for this persona']
+  });
+  assert.equal(personaAdjustmentLabel(adjusted.traps[0]), 'Raised from P3 for Night-shift nurse');
+  assert.equal(personaAdjustmentLabel(adjusted.traps[1]), '');
+  assert.equal(adjusted.traps[2], evaluation.traps[2]);
+
+  // Already adjusted traps are left alone, so applying the rules again changes nothing
+  assert.deepEqual(applyPersonaRules(adjusted, nurse, framework), adjusted);
+  assert.deepEqual(applyPersonaRules(evaluation, nurse, framework), adjusted);
+
+  const expert = applyPersonaRules(evaluation, persona({ expertise: 'expert' }), framework);
+  assert.equal(personaAdjustmentLabel(expert.traps[1]), 'Lowered from P1 for Night-shift nurse');
+  assert.equal(applyPersonaRules(evaluation, persona(), framework), evaluation);
+});
+
+test('the prompt names the rules without asking the model to apply them', () => {
+  const prompt = buildPersonaRulesPrompt(persona({ expertise: 'novice' }), framework);
+  assert.match(prompt, /## PERSONA SEVERITY RULES/);
+  assert.match(prompt, /- Raise Memory Challenge, Forced Syntax: Novices forget what they saw/);
+  assert.match(prompt, /do not apply them yourself/);
+  assert.equal(buildPersonaRulesPrompt(persona(), framework), '');
+});
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { validateFramework } from '../src/lib/framework.js';
+import { buildEvaluationPrompt, STANDARD_TEMPLATE } from '../src/lib/prompt.js';
+import { buildEvaluationRequest } from '../src/lib/evaluateScreens.js';
+import {
+  validateTemplate, validateTemplateBody, addVersion, findVersion, resolveTemplate, templateLabel, placeholdersIn, diffLines, STANDARD, TemplateError
+} from '../src/lib/promptTemplates.js';
+
+const framework = validateFramework(JSON.parse(fs.readFileSync(new URL('../src/frameworks/tenets-and-traps.json', import.meta.url), 'utf8')));
+
+const context = { workflowName: 'Checkout', epicDetails: '  ', persona: 'First-time buyer', usecaseDescription: '' };
+
+const HOUSE_STYLE = 'Review {{ workflowName }} for {{persona}}{{epicDetails}} against {{frameworkName}}.\nList {{itemsLabel}} by {{categoryLabel}}.\n{{outputFormat}}';
+
+test('placeholders are filled in from the framework and context', () => {
+  const prompt = buildEvaluationPrompt(framework, context, HOUSE_STYLE);
+  assert.match(prompt, /^Review Checkout for First-time buyer against Tenets & Traps\.\nList Traps by Tenet\.\n"traps" lists every trap found/);
+  assert.doesNotMatch(prompt, /\{\{/);
+
+  // An unknown placeholder is left in place rather than silently dropped
+  assert.equal(buildEvaluationPrompt(framework, context, '{{outputFormat}} {{budget}}').endsWith(' {{budget}}'), true);
+});
+
+test('the standard template renders the built-in prompt', () => {
+  const prompt = buildEvaluationPrompt(framework, context);
+  assert.equal(prompt, buildEvaluationPrompt(framework, context, STANDARD_TEMPLATE));
+  assert.match(prompt, /using the Tenets & Traps framework\.\n\n## CONTEXT PROVIDED\n\*\*Workflow:\*\* Checkout\n/);
+  assert.match(prompt, /- P1: .+ - /);
+  assert.deepEqual(placeholdersIn(STANDARD_TEMPLATE), ['frameworkName', 'context', 'process', 'severityScale', 'outputFormat']);
+});
+
+test('a template body must use known placeholders and ask for the output format', () => {
+  assert.equal(validateTemplateBody(HOUSE_STYLE), HOUSE_STYLE);
+  const cases = [
+    ['  ', 'The template is empty.'],
+    ['{{outputFormat}} {{budget}} {{tone}}', 'Unknown placeholders {{budget}}, {{tone}}.'],
+    ['Review {{workflowName}}.', 'The template must include {{outputFormat}} so results can be read.']
+  ];
+  for (const [body, message] of cases) assert.throws(() => validateTemplateBody(body), { name: TemplateError.name, message });
+});
+
+test('shared templates are checked, and a plain body becomes version 1', () => {
+  assert.deepEqual(validateTemplate({ name: 'House Style', body: HOUSE_STYLE }), {
+    id: 'house-style',
+    name: 'House Style',
+    versions: [{ version: 1, body: HOUSE_STYLE, note: '', createdAt: null }]
+  });
+  const cases = [
+    [[], 'A prompt template must be a JSON object.'],
+    [{ body: HOUSE_STYLE }, '"name" is required.'],
+    [{ name: 'House', versions: [] }, '"versions" must list at least one version.'],
+    [{ name: 'House', versions: [{ version: 2, body: 'No format' }] }, 'Version 2: The template must include {{outputFormat}} so results can be read.'],
+    [{ name: 'House', versions: [{ version: 1, body: HOUSE_STYLE }, { version: 1, body: STANDARD_TEMPLATE }] }, 'Version numbers must be unique.']
+  ];
+  for (const [raw, message] of cases) assert.throws(() => validateTemplate(raw), { name: TemplateError.name, message });
+});
+
+test('saving a changed body adds a version and old versions stay as they were', () => {
+  const edited = addVersion(STANDARD, HOUSE_STYLE, ' Shorter ');
+  assert.deepEqual(edited.versions.map(version => [version.version, version.note]), [[STANDARD.versions[0].version, 'Built-in prompt'], [STANDARD.versions[0].version + 1, 'Shorter']]);
+  assert.equal(addVersion(edited, HOUSE_STYLE), edited);
+  assert.equal(findVersion(edited, STANDARD.versions[0].version).body, STANDARD_TEMPLATE);
+
+  const resolved = resolveTemplate(edited);
+  assert.deepEqual(resolved, { id: 'standard', name: 'Standard', version: STANDARD.versions[0].version + 1, body: HOUSE_STYLE });
+  assert.equal(templateLabel(resolved), `Standard v${resolved.version}`);
+  assert.equal(templateLabel(null), '');
+});
+
+test('an evaluation request is built from the chosen template version', async () => {
+  const template = resolveTemplate(validateTemplate({ name: 'House Style', body: HOUSE_STYLE }));
+  const screens = [{ id: 'a', name: 'cart.png', data: 'data:image/png;base64,iVBORw0KGgo=' }];
+  const { prompt, messages } = await buildEvaluationRequest({ screens, context, framework, template });
+  assert.equal(prompt, buildEvaluationPrompt(framework, context, HOUSE_STYLE));
+  assert.equal(messages[0].content.at(-1).text, prompt);
+});
+
+test('versions are compared line by line', () => {
+  assert.deepEqual(diffLines('a\nb\nc', 'a\nc\nd'), [
+    { type: 'same', text: 'a' },
+    { type: 'removed', text: 'b' },
+    { type: 'same', text: 'c' },
+    { type: 'added', text: 'd' }
+  ]);
+});
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { validateFramework } from '../src/lib/framework.js';
+import { evaluateScreens } from '../src/lib/evaluateScreens.js';
+import { responseKey, describeCacheEntry, normalizeCacheSettings, CacheMissError } from '../src/lib/responseCache.js';
+
+const framework = validateFramework(JSON.parse(fs.readFileSync(new URL('../src/frameworks/tenets-and-traps.json', import.meta.url), 'utf8')));
+
+const context = { workflowName: 'Checkout', epicDetails: '', persona: '', usecaseDescription: '' };
+const messages = [[{ role: 'user', content: [{ type: 'text', text: 'Evaluate this screen.' }] }]];
+const request = { provider: 'anthropic', model: 'claude-sonnet-4-20250514', context, messages };
+
+const settings = { provider: 'mock', providers: { mock: { latency: 0 } } };
+const screens = [{ id: 'a', name: 'cart.png', data: 'data:image/png;base64,iVBORw0KGgo=' }];
+
+const memoryCache = () => {
+  const entries = new Map();
+  return { entries, get: async (key) => entries.get(key) || null, put: async (entry) => { entries.set(entry.key, entry); } };
+};
+
+test('a request is keyed by everything that shapes its answer and nothing else', async () => {
+  const key = await responseKey(request);
+  assert.match(key, /^[0-9a-f]{64}$/);
+  assert.equal(await responseKey({ ...request, context: { ...context, projectId: 'p1' } }), key);
+
+  const changed = [
+    { ...request, model: 'claude-opus-4-20250514' },
+    { ...request, provider: 'openai' },
+    { ...request, runs: 3 },
+    { ...request, template: { id: 'house-style', name: 'House style', version: 2 } },
+    { ...request, context: { ...context, persona: 'First-time buyer' } },
+    { ...request, messages: [[{ role: 'user', content: [{ type: 'text', text: 'Evaluate that screen.' }] }]] }
+  ];
+  for (const other of changed) assert.notEqual(await responseKey(other), key);
+});
+
+test('cache settings default to reusing answers without replay', () => {
+  assert.deepEqual(normalizeCacheSettings(undefined), { enabled: true, replay: false });
+  assert.deepEqual(normalizeCacheSettings({ enabled: false, replay: 'yes' }), { enabled: false, replay: false });
+  assert.deepEqual(
+    describeCacheEntry({ key: 'k', prompt: 'long', evaluation: { score: 6, traps: [{}, {}] } }),
+    { key: 'k', score: 6, trapCount: 2 }
+  );
+});
+
+test('an identical request is answered from the cache without calling the model', async () => {
+  const cache = memoryCache();
+  const evaluate = (cacheMode) => evaluateScreens({ settings, screens, context, framework, cache, cacheMode });
+
+  const first = await evaluate();
+  assert.equal(first.cached, null);
+  assert.equal(first.usage.requests, 1);
+  const [entry] = cache.entries.values();
+  assert.deepEqual([entry.provider, entry.model, entry.runs, entry.workflowName, entry.screens], ['mock', 'mock-evaluator', 1, 'Checkout', ['cart.png']]);
+
+  const second = await evaluate();
+  assert.deepEqual(second.cached, { key: entry.key, createdAt: entry.createdAt });
+  assert.equal(second.usage.requests, 0);
+  assert.deepEqual(second.evaluation, first.evaluation);
+
+  const fresh = await evaluate('fresh');
+  assert.deepEqual([fresh.cached, fresh.usage.requests, cache.entries.size], [null, 1, 1]);
+
+  const replayed = await evaluate('replay');
+  assert.equal(replayed.cached.key, entry.key);
+});
+
+test('replay never calls the model, even without a cache', async () => {
+  const evaluate = (cache) => evaluateScreens({ settings, screens, context, framework, cache, cacheMode: 'replay' });
+  for (const cache of [memoryCache(), null]) {
+    await assert.rejects(evaluate(cache), (err) => {
+      assert.equal(err.name, CacheMissError.name);
+      assert.match(err.key, /^[0-9a-f]{64}$/);
+      assert.equal(err.usage.requests, 0);
+      return true;
+    });
+  }
+});
+
+test('a result that could not be stored is still returned, with the reason', async () => {
+  const cache = { get: async () => null, put: async () => { throw new Error('The quota has been exceeded.'); } };
+  const { evaluation, cached, cacheError } = await evaluateScreens({ settings, screens, context, framework, cache });
+  assert.ok(evaluation.traps.length > 0);
+  assert.deepEqual([cached, cacheError], [null, 'The quota has been exceeded.']);
+
+  const stored = await evaluateScreens({ settings, screens, context, framework, cache: memoryCache() });
+  assert.equal(stored.cacheError, null);
+});
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { validateFramework } from '../src/lib/framework.js';
+import {
+  applyReview, editTrap, moveTrapLocation, addTrap, dismissTrap, restoreTrap, revertTrap,
+  createReviewHistory, pushReview, undoReview, redoReview, isReviewEmpty, EMPTY_REVIEW
+} from '../src/lib/review.js';
+
+const framework = validateFramework(JSON.parse(fs.readFileSync(new URL('../src/frameworks/tenets-and-traps.json', import.meta.url), 'utf8')));
+
+const trap = (id, extra = {}) => ({ id, name: 'Invisible Element', tenet: 'Understandable', severity: 'P3', location: { x: 10, y: 20 }, ...extra });
+
+const evaluation = { summary: { verdict: 'Needs Work' }, traps: [trap(1), trap(2)] };
+
+test('edits apply over the model traps without changing them', () => {
+  const review = editTrap(EMPTY_REVIEW, 1, { severity: 'P1', name: 'Captive Wait', tenet: 'Responsive' });
+  const reviewed = applyReview(evaluation, review);
+  assert.deepEqual(reviewed.traps[0], { ...trap(1), severity: 'P1', name: 'Captive Wait', tenet: 'Responsive', origin: 'ai', edited: true });
+  assert.deepEqual(reviewed.traps[1], { ...trap(2), origin: 'ai' });
+  assert.equal(evaluation.traps[0].severity, 'P3');
+
+  assert.ok(isReviewEmpty(revertTrap(review, 1)));
+});
+
+test('dismissed findings keep their reason and can be restored', () => {
+  const review = dismissTrap(EMPTY_REVIEW, 2, 'Not a problem for this persona');
+  const reviewed = applyReview(evaluation, review);
+  assert.deepEqual(reviewed.traps.map(t => t.id), [1]);
+  assert.deepEqual(reviewed.dismissedTraps.map(t => [t.id, t.dismissedReason]), [[2, 'Not a problem for this persona']]);
+  assert.deepEqual(applyReview(evaluation, restoreTrap(review, 2)).traps.map(t => t.id), [1, 2]);
+});
+
+test('hand-made traps follow the model traps and are removed when dismissed', () => {
+  const { review, trap: added } = addTrap(EMPTY_REVIEW, evaluation, { screen: 1, x: 150, y: 33.33 }, framework);
+  assert.deepEqual([added.id, added.name, added.tenet], [3, 'Distraction', 'Understandable']);
+  assert.deepEqual(added.location, { x: 100, y: 33.3, description: '' });
+  assert.deepEqual(applyReview(evaluation, review).traps.map(t => [t.id, t.origin]), [[1, 'ai'], [2, 'ai'], [3, 'reviewer']]);
+
+  const edited = editTrap(review, 3, { severity: 'P2' });
+  assert.deepEqual(edited.edits, {});
+  assert.equal(edited.added[0].severity, 'P2');
+  assert.ok(isReviewEmpty(dismissTrap(edited, 3, 'Duplicate')));
+
+  const flow = addTrap(EMPTY_REVIEW, { ...evaluation, flow: true }, { screen: 2, x: 5, y: 5 }, framework).trap;
+  assert.deepEqual([flow.screens, flow.locations], [[2], [{ x: 5, y: 5, description: '', screen: 2 }]]);
+});
+
+test('markers move one at a time and stay on the screen', () => {
+  const flowEvaluation = { traps: [trap(1, { locations: [{ x: 10, y: 10, screen: 1 }, { x: 20, y: 20, screen: 2 }] })] };
+  const review = moveTrapLocation(EMPTY_REVIEW, flowEvaluation, 1, 1, { x: 42.04, y: -3 });
+  const [moved] = applyReview(flowEvaluation, review).traps;
+  assert.deepEqual(moved.locations, [{ x: 10, y: 10, screen: 1 }, { x: 42, y: 0, screen: 2 }]);
+  assert.deepEqual(moved.location, { x: 10, y: 10, screen: 1 });
+
+  assert.equal(moveTrapLocation(EMPTY_REVIEW, evaluation, 9, 0, { x: 1, y: 1 }), EMPTY_REVIEW);
+});
+
+test('undo and redo step through the review history', () => {
+  let history = createReviewHistory(null);
+  assert.deepEqual(history.present, EMPTY_REVIEW);
+  assert.equal(undoReview(history), history);
+
+  const first = editTrap(history.present, 1, { severity: 'P1' });
+  const second = dismissTrap(first, 2, 'Duplicate');
+  history = pushReview(pushReview(history, first), second);
+
+  history = undoReview(history);
+  assert.equal(history.present, first);
+  history = undoReview(history);
+  assert.deepEqual(history.present, EMPTY_REVIEW);
+  history = redoReview(history);
+  assert.equal(history.present, first);
+  assert.deepEqual(history.future, [second]);
+  assert.equal(redoReview(redoReview(history)).present, second);
+
+  // A new change after undoing drops the changes that were undone
+  history = pushReview(history, revertTrap(first, 1));
+  assert.deepEqual(history.future, []);
+  assert.equal(redoReview(history), history);
+});
+
+test('the history keeps the last hundred changes', () => {
+  let history = createReviewHistory(null);
+  for (let i = 0; i < 150; i++) history = pushReview(history, editTrap(history.present, 1, { evidence: String(i) }));
+  assert.equal(history.past.length, 100);
+  assert.equal(history.past[0].edits[1].evidence, '49');
+});
@@ -0,0 +1,172 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import { loadConfig } from '../server/config.js';
+import { createProxyServer } from '../server/app.js';
+import { createRateLimiter } from '../server/rateLimiter.js';
+import { validateEvaluationRequest } from '../server/validateRequest.js';
+import { createMockUpstream } from '../server/mockUpstream.js';
+import { readEventStream } from '../src/providers/sse.js';
+
+const ORIGIN = 'http://localhost:5173';
+const IMAGE = { type: 'image', mediaType: 'image/png', data: 'iVBORw0KGgo=' };
+
+const evaluationBody = (content = [IMAGE, { type: 'text', text: 'Evaluate this screen.' }]) => ({ messages: [{ role: 'user', content }] });
+
+const servers = [];
+
+const listen = async (server) => {
+  servers.push(server);
+  server.listen(0);
+  await once(server, 'listening');
+  return `http://localhost:${server.address().port}`;
+};
+
+// A proxy in front of its own stand-in upstream; env overrides the proxy's settings
+const startProxy = async (env = {}, upstreamOptions = {}) => {
+  const upstreamUrl = await listen(createMockUpstream(upstreamOptions));
+  return listen(createProxyServer(loadConfig({ ANTHROPIC_API_KEY: 'test', UPSTREAM_URL: upstreamUrl, ...env })));
+};
+
+const evaluate = (baseUrl, body = evaluationBody(), headers = {}) => fetch(`${baseUrl}/api/evaluate`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', Origin: ORIGIN, ...headers },
+  body: typeof body === 'string' ? body : JSON.stringify(body)
+});
+
+let proxyUrl;
+
+before(async () => {
+  proxyUrl = await startProxy();
+});
+
+after(() => {
+  servers.forEach(server => server.close());
+});
+
+test('an evaluation is forwarded upstream and its reply passed back', async () => {
+  const response = await evaluate(proxyUrl);
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('access-control-allow-origin'), ORIGIN);
+
+  const result = await response.json();
+  assert.equal(result.model, 'claude-sonnet-4-20250514');
+  assert.deepEqual(result.usage, { inputTokens: 1500, outputTokens: 1200 });
+  assert.ok(Array.isArray(JSON.parse(result.text).traps));
+});
+
+test('a streamed evaluation arrives as text events and ends with the result', async () => {
+  const response = await evaluate(proxyUrl, { ...evaluationBody(), stream: true });
+  assert.equal(response.headers.get('content-type'), 'text/event-stream');
+
+  const events = [];
+  await readEventStream(response, (event) => events.push(event));
+  const done = events.pop();
+  assert.equal(done.event, 'done');
+  assert.ok(events.length > 1 && events.every(({ event }) => event === 'text'));
+  assert.equal(events.map(({ data }) => data.text).join(''), done.data.text);
+  assert.deepEqual(done.data.usage, { inputTokens: 1500, outputTokens: 1200 });
+});
+
+test('a streamed evaluation that fails before any text keeps its HTTP status', async () => {
+  const response = await evaluate(await startProxy({}, { forcedError: 'overloaded_error' }), { ...evaluationBody(), stream: true });
+  assert.equal(response.status, 503);
+  assert.equal((await response.json()).error.code, 'overloaded');
+});
+
+test('the health check names the default model', async () => {
+  const response = await fetch(`${proxyUrl}/api/health`);
+  assert.deepEqual(await response.json(), { ok: true, model: 'claude-sonnet-4-20250514' });
+});
+
+test('bad requests are refused with a structured error', async () => {
+  const cases = [
+    ['not json', 400, 'invalid_request'],
+    [{ messages: [] }, 400, 'invalid_request'],
+    [evaluationBody([{ ...IMAGE, mediaType: 'image/tiff' }]), 400, 'invalid_request'],
+    [evaluationBody([{ ...IMAGE, data: `data:image/png;base64,${IMAGE.data}` }]), 400, 'invalid_request'],
+    [{ ...evaluationBody(), model: 7 }, 400, 'invalid_request'],
+    [{ ...evaluationBody(), stream: 'yes' }, 400, 'invalid_request']
+  ];
+  for (const [body, status, code] of cases) {
+    const response = await evaluate(proxyUrl, body);
+    assert.equal(response.status, status, JSON.stringify(body));
+    assert.equal((await response.json()).error.code, code);
+  }
+});
+
+test('unknown origins and routes are refused', async () => {
+  assert.equal((await evaluate(proxyUrl, evaluationBody(), { Origin: 'https://elsewhere.example' })).status, 403);
+  const response = await fetch(`${proxyUrl}/api/other`);
+  assert.equal(response.status, 404);
+  assert.equal((await response.json()).error.code, 'not_found');
+});
+
+test('bodies and images over the limits are too large', async () => {
+  const url = await startProxy({ MAX_BODY_MB: '0.1', MAX_IMAGES: '1' });
+  const image = { ...IMAGE, data: 'A'.repeat(200_000) };
+
+  const tooLarge = await evaluate(url, evaluationBody([image]));
+  assert.equal(tooLarge.status, 413);
+  assert.match((await tooLarge.json()).error.message, /exceeds 0\.1 MB/);
+
+  const tooMany = await evaluate(url, evaluationBody([IMAGE, IMAGE]));
+  assert.equal(tooMany.status, 413);
+  assert.equal((await tooMany.json()).error.message, '2 images were sent; the limit is 1 per request. Evaluate fewer screens at once, or raise MAX_IMAGES on the proxy.');
+});
+
+test('a flow of many screens fits the default image limit', async () => {
+  assert.equal(loadConfig({}).maxImages, 50);
+  const screens = Array.from({ length: 20 }, (_, idx) => [{ type: 'text', text: `Screen ${idx + 1}` }, IMAGE]).flat();
+  assert.equal((await evaluate(proxyUrl, evaluationBody([...screens, { type: 'text', text: 'Evaluate this flow.' }]))).status, 200);
+});
+
+test('clients over the rate limit are told when to retry', async () => {
+  const url = await startProxy({ RATE_LIMIT: '1' });
+  assert.equal((await evaluate(url)).status, 200);
+
+  const response = await evaluate(url);
+  assert.equal(response.status, 429);
+  assert.equal(response.headers.get('retry-after'), '60');
+  assert.deepEqual((await response.json()).error, { code: 'rate_limited', message: 'Too many evaluations. Try again in 60s.', retryAfter: 60 });
+});
+
+test('upstream errors keep their code and describe the proxy, not the browser', async () => {
+  const rateLimited = await evaluate(await startProxy({}, { forcedError: 'rate_limit_error' }));
+  assert.equal(rateLimited.status, 429);
+  assert.equal((await rateLimited.json()).error.retryAfter, 30);
+
+  const overloaded = await evaluate(await startProxy({}, { forcedError: 'overloaded_error' }));
+  assert.equal(overloaded.status, 503);
+
+  const noKey = await evaluate(await startProxy({ ANTHROPIC_API_KEY: '' }));
+  assert.equal(noKey.status, 502);
+  assert.deepEqual((await noKey.json()).error, { code: 'auth_failed', message: 'The proxy server could not authenticate with the model provider.' });
+});
+
+test('models outside the allow list are refused', async () => {
+  const url = await startProxy({ ALLOWED_MODELS: 'model-a, model-b' });
+  assert.equal((await evaluate(url, { ...evaluationBody(), model: 'model-b' })).status, 200);
+  const response = await evaluate(url, { ...evaluationBody(), model: 'model-c' });
+  assert.equal(response.status, 400);
+  assert.equal((await response.json()).error.message, 'Model "model-c" is not enabled on this proxy.');
+});
+
+test('the rate limiter counts each client separately', () => {
+  const limiter = createRateLimiter({ limit: 2, windowMs: 60_000 });
+  assert.deepEqual([limiter.take('a'), limiter.take('a')].map(result => result.allowed), [true, true]);
+  assert.deepEqual(limiter.take('a'), { allowed: false, retryAfter: 60 });
+  assert.equal(limiter.take('b').allowed, true);
+  limiter.stop();
+});
+
+test('images are counted and sized across all messages', () => {
+  const limits = { maxImages: 2, maxImageBytes: 0.5 * 1024 * 1024 };
+  const messages = [{ role: 'user', content: [IMAGE] }, { role: 'assistant', content: [{ type: 'text', text: 'ok' }] }, { role: 'user', content: [IMAGE, IMAGE] }];
+  assert.throws(() => validateEvaluationRequest({ messages }, limits), { code: 'payload_too_large', message: '3 images were sent; the limit is 2 per request. Evaluate fewer screens at once, or raise MAX_IMAGES on the proxy.' });
+  assert.throws(
+    () => validateEvaluationRequest(evaluationBody([{ ...IMAGE, data: 'A'.repeat(1_000_000) }]), limits),
+    { code: 'payload_too_large', message: 'Image 1 is 0.7 MB; the limit is 0.5 MB per image.' }
+  );
+  assert.doesNotThrow(() => validateEvaluationRequest({ messages: messages.slice(0, 2) }, limits));
+});
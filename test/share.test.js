@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomBytes } from 'node:crypto';
+import {
+  encodeShareDoc, decodeShareDoc, sharedDataFromHash, buildShareLink, buildShareBundle, readShareBundle, ShareError,
+  SHARE_HASH_PREFIX, SHARE_IMAGE_WIDTHS, MAX_SHARE_URL_LENGTH
+} from '../src/lib/share.js';
+
+const BASE_URL = 'https://example.com/evaluator/';
+
+const shared = (data = 'data:image/png;base64,AAAA') => ({
+  context: { workflowName: 'Checkout </script><script>alert(1)</script>' },
+  flow: false,
+  images: [{ id: 'a', name: 'cart.png', hash: 'h1', data }],
+  run: { createdAt: '2026-01-01T00:00:00.000Z', prompt: 'The full prompt', provider: 'mock', model: 'mock-1' },
+  evaluation: { summary: { verdict: 'Pass' }, traps: [] },
+  review: null,
+  discussions: { 1: [{ role: 'user', text: 'Why?' }] },
+  framework: { id: 'f', name: 'Framework' }
+});
+
+// Random bytes don't compress, so they stand in for a screenshot of about `length` characters
+const noise = (length) => randomBytes(Math.ceil((length * 3) / 4)).toString('base64');
+
+test('a document survives encoding for a link', async () => {
+  const doc = { text: 'ünïcödé ✓', list: [1, 2, 3], nested: { a: null } };
+  const encoded = await encodeShareDoc(doc);
+  assert.match(encoded, /^[A-Za-z0-9_-]+$/);
+  assert.deepEqual(await decodeShareDoc(encoded), doc);
+});
+
+test('a damaged link is a ShareError', async () => {
+  const encoded = await encodeShareDoc({ a: 1 });
+  for (const damaged of [encoded.slice(0, -4), 'not*base64', '']) {
+    await assert.rejects(decodeShareDoc(damaged), ShareError, damaged);
+  }
+});
+
+test('only share hashes carry data', () => {
+  assert.equal(sharedDataFromHash(`${SHARE_HASH_PREFIX}abc`), 'abc');
+  for (const hash of ['', '#share-bundle', '#other=abc']) assert.equal(sharedDataFromHash(hash), null);
+});
+
+test('a link leaves out the prompt and discussions', async () => {
+  const link = await buildShareLink({ baseUrl: BASE_URL, downscale: async (images) => images, ...shared() });
+  assert.equal(link.width, SHARE_IMAGE_WIDTHS[0]);
+  assert.equal(link.length, link.url.length);
+  assert.ok(link.url.startsWith(`${BASE_URL}${SHARE_HASH_PREFIX}`));
+
+  const doc = await decodeShareDoc(sharedDataFromHash(link.url.slice(BASE_URL.length)));
+  assert.equal(doc.run.prompt, null);
+  assert.equal(doc.run.model, 'mock-1');
+  assert.equal(doc.discussions, null);
+  assert.equal(doc.images[0].data, 'data:image/png;base64,AAAA');
+});
+
+test('screenshots are downscaled until the link fits, or there is no link', async () => {
+  const sizes = { 800: MAX_SHARE_URL_LENGTH * 2, 600: MAX_SHARE_URL_LENGTH / 2, 400: 100 };
+  const tried = [];
+  const downscale = async (images, width) => {
+    tried.push(width);
+    return images.map(image => ({ ...image, data: noise(sizes[width]) }));
+  };
+  const link = await buildShareLink({ baseUrl: BASE_URL, downscale, ...shared() });
+  assert.equal(link.width, 600);
+  assert.deepEqual(tried, [800, 600]);
+  assert.ok(link.length <= MAX_SHARE_URL_LENGTH);
+
+  const tooLarge = await buildShareLink({ baseUrl: BASE_URL, downscale: async (images) => images, ...shared(noise(MAX_SHARE_URL_LENGTH * 2)) });
+  assert.equal(tooLarge, null);
+});
+
+test('a bundle carries the whole document and can be read back', () => {
+  const html = buildShareBundle({ reportHtml: '<html><body><h1>Report</h1></body></html>', appUrl: BASE_URL, ...shared() });
+  assert.ok(html.includes('<h1>Report</h1>'));
+  assert.equal(html.match(/<\/script>/g).length, 2);
+
+  const doc = readShareBundle(html);
+  assert.equal(doc.context.workflowName, shared().context.workflowName);
+  assert.equal(doc.run.prompt, null);
+  assert.deepEqual(doc.discussions, shared().discussions);
+});
+
+test('HTML that is not a bundle has no document; a damaged one is a ShareError', () => {
+  assert.equal(readShareBundle('<html><body>Report</body></html>'), null);
+  const html = buildShareBundle({ reportHtml: '<html><body></body></html>', appUrl: BASE_URL, ...shared() });
+  assert.throws(() => readShareBundle(html.replace('"format"', '"format')), ShareError);
+});
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildTickets, findEpicReference, toLabel, markdownToJira, toJiraCsv, toGithubMarkdown, githubIssueUrl, DEFAULT_TICKET_SETTINGS } from '../src/lib/tickets.js';
+
+const framework = { labels: { item: 'Trap', items: 'Traps' } };
+
+const TRAP = {
+  id: 3,
+  name: 'Invisible Element',
+  tenet: 'Understandable',
+  severity: 'P2',
+  location: { x: 10, y: 20, description: 'Checkout button' },
+  evidence: 'The button is grey on grey.',
+  diagnostic: 'Users miss it.',
+  quickPivot: 'Raise the contrast.'
+};
+
+test('a trap becomes a ticket with its severity as the priority', () => {
+  const [ticket] = buildTickets([TRAP], { framework, context: { workflowName: 'Checkout', epicDetails: 'Part of SHOP-142' } });
+  assert.deepEqual({ ...ticket, body: undefined }, {
+    trapId: 3,
+    title: 'Invisible Element: Checkout button',
+    body: undefined,
+    priority: 'High',
+    labels: ['understandable'],
+    epicKey: 'SHOP-142'
+  });
+  assert.equal(ticket.body, [
+    '**Trap:** Invisible Element (Understandable)\n**Severity:** P2 Critical\n**Workflow:** Checkout\n**EPIC:** SHOP-142\n**Location:** Checkout button',
+    '### Evidence\nThe button is grey on grey.',
+    '### Impact\nUsers miss it.',
+    '### Remediation options\n- **Quick Pivot:** Raise the contrast.'
+  ].join('\n\n'));
+});
+
+test('flow tickets name their screens and custom priorities apply', () => {
+  const trap = { ...TRAP, severity: 'P5', location: { x: 1, y: 1 }, screens: [1, 3] };
+  const settings = { ...DEFAULT_TICKET_SETTINGS, priorities: { ...DEFAULT_TICKET_SETTINGS.priorities, P5: 'Trivial' } };
+  const [ticket] = buildTickets([trap], { framework, context: { workflowName: 'Checkout' }, isFlow: true, settings });
+  assert.equal(ticket.title, 'Invisible Element: Screen 1, 3');
+  assert.equal(ticket.priority, 'Trivial');
+  assert.equal(ticket.epicKey, null);
+});
+
+test('the EPIC reference is a link when there is one to make', () => {
+  const cases = [
+    ['SHOP-142 checkout redesign', '', { key: 'SHOP-142', url: null }],
+    ['SHOP-142', 'https://acme.atlassian.net/', { key: 'SHOP-142', url: 'https://acme.atlassian.net/browse/SHOP-142' }],
+    ['See https://jira.example.com/browse/PAY-7 (PAY-7)', 'https://acme.atlassian.net', { key: 'PAY-7', url: 'https://jira.example.com/browse/PAY-7' }],
+    ['Checkout redesign', 'https://acme.atlassian.net', { key: null, url: null }],
+    [undefined, '', { key: null, url: null }]
+  ];
+  for (const [epicDetails, jiraUrl, expected] of cases) assert.deepEqual(findEpicReference(epicDetails, jiraUrl), expected, String(epicDetails));
+});
+
+test('labels have no spaces or punctuation', () => {
+  assert.deepEqual(['Understandable', 'Look & Feel', '  Error Prevention! ', null].map(toLabel), ['understandable', 'look-and-feel', 'error-prevention', '']);
+});
+
+test('Markdown is converted to Jira wiki markup', () => {
+  assert.equal(
+    markdownToJira('### Remediation\n- **Quick:** use `aria-label`\n  - see [docs](https://example.com)'),
+    'h3. Remediation\n* *Quick:* use {{aria-label}}\n** see [docs|https://example.com]'
+  );
+});
+
+test('the Jira CSV repeats the Labels column and adds the EPIC link when any ticket has one', () => {
+  const tickets = [
+    { title: 'A, "quoted"', body: '**Bold**', priority: 'High', labels: ['one', 'two'], epicKey: 'SHOP-1' },
+    { title: 'B', body: 'Plain', priority: 'Low', labels: [], epicKey: null }
+  ];
+  assert.equal(toJiraCsv(tickets), [
+    'Summary,Description,Priority,Labels,Labels,Epic Link',
+    '"A, ""quoted""",*Bold*,High,one,two,SHOP-1',
+    'B,Plain,Low,,,'
+  ].join('\r\n'));
+  assert.equal(toJiraCsv([tickets[1]]).split('\r\n')[0], 'Summary,Description,Priority,Labels');
+});
+
+test('GitHub issues carry the priority as a label', () => {
+  const ticket = { title: 'A', body: 'Body', priority: 'High', labels: ['understandable'] };
+  assert.equal(toGithubMarkdown([ticket, ticket]), '# A\n\nLabels: `understandable`, `priority: high`\n\nBody\n\n---\n\n# A\n\nLabels: `understandable`, `priority: high`\n\nBody');
+
+  const url = new URL(githubIssueUrl(' https://github.com/acme/shop/ ', ticket));
+  assert.equal(url.pathname, '/acme/shop/issues/new');
+  assert.deepEqual(Object.fromEntries(url.searchParams), { title: 'A', body: 'Body', labels: 'understandable,priority: high' });
+});
@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { planTiles, shouldTile, normalizeImageSettings, tileRegion, tileToPageLocation, mergeTileEvaluations, DEFAULT_IMAGE_SETTINGS } from '../src/lib/tiling.js';
+
+// Two tiles stacked on a 1000 × 2000 px page: the first covers 0–60% of its height, the second 40–100%
+const PAGE = { width: 1000, height: 2000 };
+const PLAN = planTiles(PAGE);
+const [TOP, BOTTOM] = PLAN.tiles;
+
+const trap = (name, location, severity = 'P2') => ({ id: 1, name, tenet: 'Understandable', severity, location });
+
+const tileResult = (tile, traps, score, verdict = 'Needs Work') => ({
+  tile,
+  evaluation: { summary: { verdict, text: `Tile ${tile.index + 1}` }, score, tenetScores: { Understandable: score > 5 ? 4 : 2 }, traps }
+});
+
+test('tiles overlap and cover the page edge to edge', () => {
+  assert.deepEqual([PLAN.columns, PLAN.rows, PLAN.scale], [1, 2, 1]);
+  assert.deepEqual(PLAN.tiles.map(({ x, y, width, height }) => [x, y, width, height]), [[0, 0, 1000, 1200], [0, 800, 1000, 1200]]);
+
+  const { tiles } = planTiles({ width: 3000, height: 3000 });
+  assert.equal(tiles.length, 9);
+  assert.equal(Math.max(...tiles.map(tile => tile.x + tile.width)), 3000);
+  assert.equal(Math.max(...tiles.map(tile => tile.y + tile.height)), 3000);
+});
+
+test('tiles grow instead of going over maxTiles', () => {
+  const plan = planTiles({ width: 1000, height: 20000 });
+  assert.ok(plan.tiles.length <= DEFAULT_IMAGE_SETTINGS.maxTiles);
+  assert.ok(plan.scale < 1);
+  assert.equal(plan.tiles.at(-1).y + plan.tiles.at(-1).height, 20000);
+});
+
+test('only screenshots a single image would not do justice are tiled', () => {
+  const cases = [
+    [{ width: 1200, height: 1200 }, 'auto', false],
+    [{ width: 1200, height: 1700 }, 'auto', false],
+    [{ width: 1200, height: 3000 }, 'auto', true],
+    [{ width: 1200, height: 1700 }, 'on', true],
+    [{ width: 1000, height: 1000 }, 'on', false],
+    [{ width: 1200, height: 3000 }, 'off', false]
+  ];
+  for (const [size, tiling, expected] of cases) {
+    assert.equal(shouldTile(size, { ...DEFAULT_IMAGE_SETTINGS, tiling }), expected, `${size.width}×${size.height} ${tiling}`);
+  }
+});
+
+test('stored settings out of range fall back or are clamped', () => {
+  assert.deepEqual(normalizeImageSettings(undefined), DEFAULT_IMAGE_SETTINGS);
+  assert.deepEqual(normalizeImageSettings({ format: 'gif', tiling: 'sometimes', tileSize: 99999, quality: 'high', maxTiles: 1 }), {
+    ...DEFAULT_IMAGE_SETTINGS, tileSize: 2048, maxTiles: 2
+  });
+});
+
+test('tile locations map onto the page', () => {
+  assert.deepEqual(tileRegion(BOTTOM, PAGE), { x: 0, y: 40, width: 100, height: 60 });
+  assert.deepEqual(tileToPageLocation({ x: 50, y: 50, box: { x: 40, y: 0, width: 20, height: 50 } }, BOTTOM, PAGE), {
+    x: 50, y: 70, box: { x: 40, y: 40, width: 20, height: 30 }
+  });
+  assert.deepEqual(tileToPageLocation({ x: 0, y: 100, polygon: [[0, 0], [100, 0], [100, 100]] }, TOP, PAGE), {
+    x: 0, y: 60, polygon: [[0, 0], [100, 0], [100, 60]]
+  });
+});
+
+test('an element cut by the tile border is one trap boxed over both parts', () => {
+  const merged = mergeTileEvaluations([
+    tileResult(TOP, [trap('Invisible Element', { x: 50, y: 90, box: { x: 40, y: 80, width: 20, height: 20 } })], 7),
+    tileResult(BOTTOM, [
+      trap('Invisible Element', { x: 50, y: 10, box: { x: 40, y: 0, width: 20, height: 20 } }),
+      trap('Captive Wait', { x: 10, y: 90 }, 'P1')
+    ], 5, 'Critical')
+  ], PAGE, PLAN);
+
+  assert.deepEqual(merged.traps.map(t => [t.id, t.name, t.tiles]), [[1, 'Captive Wait', [2]], [2, 'Invisible Element', [1, 2]]]);
+  assert.deepEqual(merged.traps[1].location, { x: 50, y: 54, box: { x: 40, y: 40, width: 20, height: 20 } });
+  assert.deepEqual(merged.traps[0].location, { x: 10, y: 94 });
+});
+
+test('the more severe report of a cut element speaks for it', () => {
+  const merged = mergeTileEvaluations([
+    tileResult(TOP, [{ ...trap('Invisible Element', { x: 50, y: 95 }, 'P3'), evidence: 'top' }], 6),
+    tileResult(BOTTOM, [{ ...trap('Invisible Element', { x: 50, y: 28 }, 'P1'), evidence: 'bottom' }], 6)
+  ], PAGE, PLAN);
+  assert.equal(merged.traps.length, 1);
+  assert.deepEqual([merged.traps[0].severity, merged.traps[0].evidence], ['P1', 'bottom']);
+});
+
+test('the same trap far apart on the page stays two traps', () => {
+  const merged = mergeTileEvaluations([
+    tileResult(TOP, [trap('Invisible Element', { x: 50, y: 10 })], 6),
+    tileResult(BOTTOM, [trap('Invisible Element', { x: 50, y: 90 })], 6)
+  ], PAGE, PLAN);
+  assert.equal(merged.traps.length, 2);
+});
+
+test('scores are averaged over the tiles and the worst verdict wins', () => {
+  const merged = mergeTileEvaluations([tileResult(TOP, [], 8, 'Pass'), tileResult(BOTTOM, [], 5, 'Critical')], PAGE, PLAN);
+  assert.equal(merged.score, 6.5);
+  assert.deepEqual(merged.tenetScores, { Understandable: 3 });
+  assert.deepEqual(merged.summary, { verdict: 'Critical', text: 'Tile 2' });
+  assert.deepEqual(merged.tiling, { columns: 1, rows: 2, tiles: 2, evaluated: 2, width: 1000, height: 2000 });
+});
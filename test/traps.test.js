@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getTrapLocations, getTrapScreens, getLocationBounds, getEvidenceCrop, moveLocation } from '../src/lib/traps.js';
+
+test('single-screen traps have one marker, flow traps one per screen', () => {
+  assert.deepEqual(getTrapLocations({ location: { x: 10, y: 20 } }), [{ screen: 1, x: 10, y: 20 }]);
+  assert.deepEqual(getTrapLocations({ location: { x: 10, y: 20 }, screens: [3] }), [{ screen: 3, x: 10, y: 20 }]);
+
+  const flow = { locations: [{ x: 1, y: 1, screen: 2 }, { x: 'left', y: 1, screen: 3 }, { x: 5, y: 5, screen: 2 }] };
+  assert.deepEqual(getTrapLocations(flow), [{ x: 1, y: 1, screen: 2 }, { x: 5, y: 5, screen: 2 }]);
+  assert.deepEqual(getTrapScreens(flow), [2]);
+  assert.deepEqual(getTrapLocations({ location: { description: 'Somewhere' } }), []);
+});
+
+test('a region is bounded by its box or its polygon', () => {
+  assert.deepEqual(getLocationBounds({ x: 1, y: 1, box: { x: 10, y: 20, width: 30, height: 40 } }), { x: 10, y: 20, width: 30, height: 40 });
+  assert.deepEqual(getLocationBounds({ x: 1, y: 1, polygon: [[10, 50], [40, 20], [30, 60]] }), { x: 10, y: 20, width: 30, height: 40 });
+  assert.equal(getLocationBounds({ x: 1, y: 1 }), null);
+});
+
+test('evidence crops keep some context and stay on the screen', () => {
+  assert.deepEqual(getEvidenceCrop({ x: 50, y: 50, box: { x: 20, y: 30, width: 40, height: 10 } }), { x: 17, y: 27, width: 46, height: 16 });
+  assert.deepEqual(getEvidenceCrop({ x: 2, y: 99 }), { x: 0, y: 84, width: 16, height: 16 });
+  assert.deepEqual(getEvidenceCrop({ x: 50, y: 50, box: { x: 0, y: 0, width: 100, height: 100 } }), { x: 0, y: 0, width: 100, height: 100 });
+});
+
+test('a moved marker takes its region along', () => {
+  const location = { x: 20, y: 20, box: { x: 10, y: 10, width: 20, height: 20 }, polygon: [[10, 10], [30, 10], [20, 30]], description: 'Pay button' };
+  assert.deepEqual(moveLocation(location, { x: 30, y: 15 }), {
+    x: 30,
+    y: 15,
+    box: { x: 20, y: 5, width: 20, height: 20 },
+    polygon: [[20, 5], [40, 5], [30, 25]],
+    description: 'Pay button'
+  });
+});
+
+test('a moved marker stops where its region would leave the screen', () => {
+  const location = { x: 20, y: 20, box: { x: 10, y: 10, width: 20, height: 20 }, polygon: [[10, 10], [30, 10], [20, 30]] };
+  assert.deepEqual(moveLocation(location, { x: 95, y: -10 }), {
+    x: 90,
+    y: 10,
+    box: { x: 80, y: 0, width: 20, height: 20 },
+    polygon: [[80, 0], [100, 0], [90, 20]]
+  });
+  assert.deepEqual(moveLocation({ x: 50, y: 50 }, { x: 120, y: -5 }), { x: 100, y: 0 });
+});
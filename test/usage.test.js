@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  findPrice, addUsage, emptyUsage, estimateCost, formatCost, normalizeBudget, checkBudget, estimateNextCost, groupUsage, toUsageCsv
+} from '../src/lib/usage.js';
+
+const now = new Date('2026-03-15T12:00:00Z');
+
+const entry = (at, cost, extra = {}) => ({
+  at, cost, kind: 'evaluation', provider: 'anthropic', model: 'claude-sonnet-4-20250514', runs: 1, requests: 1, inputTokens: 1000, outputTokens: 500, ...extra
+});
+
+test('the longest matching price row wins, and unknown models have no price', () => {
+  assert.equal(findPrice('claude-sonnet-4-20250514').model, 'claude-sonnet-4');
+  assert.equal(findPrice('gpt-4o-mini-2024-07-18').model, 'gpt-4o-mini');
+  assert.equal(findPrice('llama-3'), null);
+
+  const usage = addUsage(addUsage(emptyUsage(), { model: 'claude-sonnet-4-20250514', usage: { inputTokens: 1e6, outputTokens: 1e5 } }), {});
+  assert.deepEqual(usage, { requests: 2, inputTokens: 1e6, outputTokens: 1e5, model: 'claude-sonnet-4-20250514' });
+  assert.equal(estimateCost(usage), 4.5);
+  assert.equal(estimateCost({ ...usage, model: 'llama-3' }), null);
+  assert.deepEqual([formatCost(4.5), formatCost(0.001), formatCost(0), formatCost(null)], ['$4.50', '<$0.01', '$0.00', '—']);
+});
+
+test('budgets without a positive limit are no budget', () => {
+  assert.equal(normalizeBudget({ limit: 0 }), null);
+  assert.equal(normalizeBudget(null), null);
+  assert.deepEqual(normalizeBudget({ limit: '20', period: 'week', warnAt: 3 }), { limit: 20, period: 'month', warnAt: 0.8 });
+  assert.deepEqual(checkBudget(null, [entry('2026-03-10T00:00:00Z', 100)], { now }), { status: 'none', spent: 0, limit: null, message: '' });
+});
+
+test('a monthly budget only counts this month, warns near the limit and blocks past it', () => {
+  const budget = { limit: 10, period: 'month', warnAt: 0.8 };
+  const lastMonth = entry('2026-02-20T00:00:00Z', 50);
+
+  assert.deepEqual(checkBudget(budget, [lastMonth, entry('2026-03-10T00:00:00Z', 5)], { now }), { status: 'ok', spent: 5, limit: 10, message: '' });
+
+  const near = checkBudget(budget, [entry('2026-03-10T00:00:00Z', 8)], { now });
+  assert.equal(near.status, 'warn');
+  assert.equal(near.message, 'This project has spent $8.00 of its $10.00 budget this month.');
+
+  const over = checkBudget(budget, [entry('2026-03-10T00:00:00Z', 5)], { now, estimate: 6 });
+  assert.equal(over.status, 'warn');
+  assert.match(over.message, /this evaluation is estimated at about \$6\.00\.$/);
+
+  const blocked = checkBudget(budget, [entry('2026-03-02T00:00:00Z', 4), entry('2026-03-10T00:00:00Z', 6)], { now });
+  assert.equal(blocked.status, 'blocked');
+  assert.match(blocked.message, /used its \$10\.00 budget this month \(\$10\.00 spent\)/);
+
+  assert.equal(checkBudget({ ...budget, period: 'total' }, [lastMonth], { now }).status, 'blocked');
+});
+
+test('the next run is estimated from recent runs with the same provider and model', () => {
+  const entries = [
+    entry('2026-03-01T00:00:00Z', 0.75, { runs: 3 }),
+    entry('2026-03-02T00:00:00Z', 0.25),
+    entry('2026-03-03T00:00:00Z', 5, { kind: 'discussion' }),
+    entry('2026-03-04T00:00:00Z', 1, { model: 'claude-opus-4-20250514' }),
+    entry('2026-03-05T00:00:00Z', null, { model: 'claude-sonnet-4-20250514' }),
+    entry('2026-03-06T00:00:00Z', 9, { provider: 'openai', model: 'gpt-4o' })
+  ];
+  assert.equal(estimateNextCost(entries, { provider: 'anthropic', model: 'claude-sonnet-4-20250514' }), 0.25);
+  assert.equal(estimateNextCost(entries, { provider: 'anthropic', model: 'claude-sonnet-4-20250514', runs: 2 }), 0.5);
+  // No runs with this model yet, so any of the provider's runs will do
+  assert.equal(estimateNextCost(entries, { provider: 'anthropic', model: 'claude-haiku-4' }), 0.5);
+  assert.equal(estimateNextCost(entries, { provider: 'mock', model: 'mock-evaluator' }), 0);
+});
+
+test('usage groups by workflow, most expensive first, and exports as CSV', () => {
+  const entries = [
+    entry('2026-03-01T00:00:00Z', 1, { workflowName: 'Checkout', projectId: 'p1' }),
+    entry('2026-03-02T00:00:00Z', null, { workflowName: 'Sign up', projectId: 'p1' }),
+    entry('2026-03-03T00:00:00Z', 2, { workflowName: 'Checkout', projectId: 'p1', runName: 'After redesign' })
+  ];
+  const groups = groupUsage(entries, item => item.workflowName);
+  assert.deepEqual(groups.map(group => [group.key, group.requests, group.cost, group.unpriced]), [['Checkout', 2, 3, 0], ['Sign up', 1, 0, 1]]);
+
+  const rows = toUsageCsv(entries, { p1: 'Storefront' }).split(/\r?\n/);
+  assert.equal(rows[0], 'Date,Project,Workflow,Evaluation,Kind,Provider,Model,Requests,Input tokens,Output tokens,Estimated cost (USD)');
+  assert.equal(rows[2], '2026-03-02T00:00:00Z,Storefront,Sign up,,evaluation,anthropic,claude-sonnet-4-20250514,1,1000,500,');
+  assert.equal(rows[3], '2026-03-03T00:00:00Z,Storefront,Checkout,After redesign,evaluation,anthropic,claude-sonnet-4-20250514,1,1000,500,2.0000');
+});
@@ -0,0 +1,174 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { validateFramework } from '../src/lib/framework.js';
+import { validateEvaluation, snapToCatalogue, extractJson, buildRepairPrompt, ValidationError } from '../src/lib/validateEvaluation.js';
+
+const framework = validateFramework(JSON.parse(fs.readFileSync(new URL('../src/frameworks/tenets-and-traps.json', import.meta.url), 'utf8')));
+
+const reply = (traps, extra = {}) => ({
+  summary: { verdict: 'Needs Work' },
+  score: 6,
+  tenetScores: Object.fromEntries(framework.categories.map(category => [category.name, 3])),
+  traps,
+  ...extra
+});
+
+const trap = (overrides = {}) => ({
+  id: 1,
+  name: 'Invisible Element',
+  tenet: 'Understandable',
+  severity: 'P2',
+  location: { x: 50, y: 50 },
+  evidence: 'The button has no label.',
+  ...overrides
+});
+
+const validate = (raw, options = {}) => validateEvaluation(raw, { framework, ...options });
+const messages = (issues, level) => issues.filter(issue => issue.level === level).map(issue => `${issue.path}: ${issue.message}`);
+
+test('a reply that matches the contract passes untouched', () => {
+  const { evaluation, issues, fatal } = validate(reply([trap()]));
+  assert.equal(fatal, false);
+  assert.deepEqual(issues, []);
+  assert.deepEqual(evaluation.traps, [trap()]);
+});
+
+test('a reply without a summary or traps is fatal', () => {
+  for (const raw of [null, [], 'text', reply([], { summary: undefined }), reply(undefined)]) {
+    const { evaluation, fatal } = validate(raw);
+    assert.equal(fatal, true, JSON.stringify(raw));
+    assert.equal(evaluation, null);
+  }
+});
+
+test('names, tenets, severities and verdicts are repaired', () => {
+  const { evaluation, issues } = validate(reply([trap({ name: 'invisible element', tenet: 'Efficient', severity: 'p1 - critical' })], {
+    summary: { verdict: 'needs work' }
+  }));
+  assert.equal(evaluation.summary.verdict, 'Needs Work');
+  assert.deepEqual(
+    [evaluation.traps[0].name, evaluation.traps[0].tenet, evaluation.traps[0].severity],
+    ['Invisible Element', 'Understandable', 'P1']
+  );
+  assert.equal(messages(issues, 'error').length, 0);
+  assert.equal(messages(issues, 'warning').length, 4);
+});
+
+test('traps that cannot be repaired are dropped with an error', () => {
+  const cases = [
+    [{ name: 'Not A Trap' }, 'traps[0].name'],
+    [{ severity: 'urgent' }, 'traps[0].severity'],
+    [{ severity: 'P9' }, 'traps[0].severity'],
+    [{ location: undefined }, 'traps[0].location'],
+    [{ location: { x: 'left', y: 10 } }, 'traps[0].location.x'],
+    [{ location: { x: 10, y: 10, screen: 2 } }, 'traps[0].location.screen']
+  ];
+  for (const [overrides, path] of cases) {
+    const { evaluation, issues } = validate(reply([trap(overrides)]));
+    assert.deepEqual(evaluation.traps, [], path);
+    assert.deepEqual(issues.filter(issue => issue.level === 'error').map(issue => issue.path), [path]);
+  }
+});
+
+test('points are clamped to the screen', () => {
+  const { evaluation, issues } = validate(reply([trap({ location: { x: -5, y: '120' } })]));
+  assert.deepEqual(evaluation.traps[0].location, { x: 0, y: 100 });
+  assert.deepEqual(messages(issues, 'warning'), [
+    'traps[0].location.x: -5 was clamped to the 0–100 range.',
+    'traps[0].location.y: 120 was clamped to the 0–100 range.'
+  ]);
+});
+
+test('boxes reaching past the screen are trimmed, not moved', () => {
+  const cases = [
+    [{ x: 10, y: 20, width: 30, height: 40 }, { x: 10, y: 20, width: 30, height: 40 }],
+    [{ x: 80, y: 90, width: 40, height: 20 }, { x: 80, y: 90, width: 20, height: 10 }],
+    [{ x: -10, y: -5, width: 30, height: 25 }, { x: 0, y: 0, width: 20, height: 20 }],
+    [{ x: '5', y: '5', width: '10', height: '10' }, { x: 5, y: 5, width: 10, height: 10 }]
+  ];
+  for (const [box, expected] of cases) {
+    const { evaluation } = validate(reply([trap({ location: { x: 50, y: 50, box } })]));
+    assert.deepEqual(evaluation.traps[0].location.box, expected, JSON.stringify(box));
+  }
+});
+
+test('broken regions are dropped and the trap keeps its point', () => {
+  const cases = [
+    { box: { x: 10, y: 10, width: 'wide', height: 5 } },
+    { box: { x: 110, y: 10, width: 10, height: 5 } },
+    { polygon: [[10, 10], [20, 20]] },
+    { polygon: [[10, 10], [20, 'top'], [30, 10]] }
+  ];
+  for (const region of cases) {
+    const { evaluation, issues } = validate(reply([trap({ location: { x: 40, y: 60, ...region } })]));
+    assert.deepEqual(evaluation.traps[0].location, { x: 40, y: 60 }, JSON.stringify(region));
+    assert.equal(messages(issues, 'error').length, 0);
+  }
+});
+
+test('a region without a point gets its marker in the middle', () => {
+  const box = { x: 10, y: 20, width: 30, height: 40 };
+  for (const point of [{}, { x: null, y: null }, { x: null, y: 5 }, { x: 5 }]) {
+    const { evaluation, issues } = validate(reply([trap({ location: { ...point, box } })]));
+    assert.deepEqual(evaluation.traps[0].location, { x: 25, y: 40, box }, JSON.stringify(point));
+    assert.deepEqual(messages(issues, 'warning'), ['traps[0].location: Marker placed in the middle of the region.']);
+  }
+  const { evaluation } = validate(reply([trap({ location: { polygon: [[0, 0], [20, 0], [20, 10]] } })]));
+  assert.deepEqual([evaluation.traps[0].location.x, evaluation.traps[0].location.y], [10, 5]);
+});
+
+test('flow traps keep their valid locations and list their screens', () => {
+  const { evaluation, issues } = validate(reply([trap({
+    location: undefined,
+    locations: [{ x: 10, y: 10, screen: 1 }, { x: 20, y: 20, screen: 3 }, { x: 30, y: 30, screen: 2 }]
+  })]), { screenCount: 2 });
+  assert.deepEqual(evaluation.traps[0].screens, [1, 2]);
+  assert.deepEqual(evaluation.traps[0].location, { x: 10, y: 10, screen: 1 });
+  assert.deepEqual(messages(issues, 'error'), ['traps[0].locations[1].screen: Screen 3 does not exist; there are 2 screens.']);
+});
+
+test('duplicate and missing ids are renumbered', () => {
+  const { evaluation } = validate(reply([trap({ id: 1 }), trap({ id: 1 }), trap({ id: undefined })]));
+  assert.deepEqual(evaluation.traps.map(t => t.id), [1, 2, 3]);
+});
+
+test('scores outside the scale are dropped, others renamed and rounded', () => {
+  const { evaluation, issues } = validate(reply([], {
+    score: 11,
+    tenetScores: { understandable: 4.4, Responsive: 9, Comfortable: 2 }
+  }));
+  assert.equal(evaluation.score, undefined);
+  assert.deepEqual(evaluation.tenetScores, { Understandable: 4, Comfortable: 2 });
+  assert.deepEqual(issues.filter(issue => issue.level === 'error').map(issue => issue.path), ['tenetScores.Responsive', 'score']);
+});
+
+test('catalogue names snap to the one entry they clearly mean', () => {
+  const names = ['Slow or No Response', 'Captive Wait', 'Invisible Element', 'Effectively Invisible Element'];
+  const cases = [
+    ['Captive Wait', 'Captive Wait'],
+    ['captive-wait', 'Captive Wait'],
+    ['Captve Wait', 'Captive Wait'],
+    ['Slow Response', 'Slow or No Response'],
+    ['Invisible Element', 'Invisible Element'],
+    ['Element', null],
+    ['Something Else', null],
+    ['', null],
+    [undefined, null]
+  ];
+  for (const [value, expected] of cases) assert.equal(snapToCatalogue(value, names), expected, String(value));
+});
+
+test('JSON is pulled out of prose and fences', () => {
+  assert.deepEqual(extractJson('Here you go:\n```json\n{"a": {"b": 1}}\n```\nDone.'), { a: { b: 1 } });
+  for (const text of ['no json here', '{"a": }']) {
+    assert.throws(() => extractJson(text), (err) => err instanceof ValidationError && err.issues.length === 1);
+  }
+});
+
+test('the repair prompt lists only the errors', () => {
+  const { issues } = validate(reply([trap({ name: 'Not A Trap' }), trap({ id: 2, severity: 'p2' })]));
+  const prompt = buildRepairPrompt(issues, framework);
+  assert.match(prompt, /- traps\[0\]\.name: "Not A Trap" is not a trap/);
+  assert.doesNotMatch(prompt, /traps\[1\]\.severity/);
+});
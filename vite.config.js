@@ -4,4 +4,8 @@ import { defineConfig } from 'vite'
    export default defineConfig({
      plugins: [react()],
      base: '/heuristic-evaluator/',
+     server: {
+       // Forward evaluation calls to the bundled proxy (npm run server)
+       proxy: { '/api': 'http://localhost:8787' },
+     },
    })